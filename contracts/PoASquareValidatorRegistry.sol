@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+// On-chain record of the PoA Square validator set: reliability scores,
+// active/standby membership and every reliability-based replacement
+contract PoASquareValidatorRegistry {
+    address public regulator;  // Governance account that records scores and replacements
+
+    uint16 public constant MAX_RELIABILITY = 10000;  // Reliability is kept in basis points
+    uint16 public reliabilityThreshold;              // Active validators below this may be replaced
+
+    constructor(uint16 _reliabilityThreshold) {
+        require(_reliabilityThreshold <= MAX_RELIABILITY, "Invalid threshold");
+        regulator = msg.sender; // The deployer becomes the regulator
+        reliabilityThreshold = _reliabilityThreshold;
+    }
+
+    // ====================
+    // EVENTS
+    // ====================
+    event ValidatorRegistered(address indexed validator, bool isActive);
+    event ReliabilityRecorded(address indexed validator, uint16 reliability, uint64 height);
+    event ValidatorReplaced(
+        address indexed replaced,
+        address indexed replacement,
+        uint16 replacedReliability,
+        uint16 replacementReliability,
+        uint64 height
+    );
+
+    // ====================
+    // MODIFIERS
+    // ====================
+    modifier onlyRegulator() {
+        require(msg.sender == regulator, "Not authorized");
+        _;
+    }
+
+    // ====================
+    // STRUCTS
+    // ====================
+    struct Validator {
+        bool isRegistered;
+        bool isActive;         // Active validators propose and vote; the rest are standby
+        uint16 reliability;    // Basis points of MAX_RELIABILITY
+        uint32 replacementCount;  // Times the validator was promoted from standby
+    }
+
+    // Audit record of one replacement
+    struct Replacement {
+        address replaced;
+        address replacement;
+        uint16 replacedReliability;
+        uint16 replacementReliability;
+        uint64 height;         // Consensus height the replacement took effect at
+        uint timestamp;
+    }
+
+    // ====================
+    // STORAGE
+    // ====================
+    mapping(address => Validator) public validators;
+    address[] public validatorList;
+    Replacement[] public replacements;
+
+    // ====================
+    // REGISTRATION
+    // ====================
+    // New validators start with full reliability
+    function registerValidator(address _validator, bool _isActive) external onlyRegulator {
+        require(!validators[_validator].isRegistered, "Already registered");
+        validators[_validator] = Validator(true, _isActive, MAX_RELIABILITY, 0);
+        validatorList.push(_validator);
+        emit ValidatorRegistered(_validator, _isActive);
+    }
+
+    // ====================
+    // RELIABILITY
+    // ====================
+    // Record the scores validators hold at a consensus height
+    function recordReliability(
+        address[] calldata _validators,
+        uint16[] calldata _scores,
+        uint64 _height
+    ) external onlyRegulator {
+        require(_validators.length == _scores.length, "Length mismatch");
+        for (uint i = 0; i < _validators.length; i++) {
+            require(validators[_validators[i]].isRegistered, "Unknown validator");
+            require(_scores[i] <= MAX_RELIABILITY, "Invalid reliability");
+            validators[_validators[i]].reliability = _scores[i];
+            emit ReliabilityRecorded(_validators[i], _scores[i], _height);
+        }
+    }
+
+    // ====================
+    // REPLACEMENT
+    // ====================
+    // Swap an active validator recorded below the threshold for a standby one
+    function replaceValidator(address _replaced, address _replacement, uint64 _height) external onlyRegulator {
+        Validator storage outgoing = validators[_replaced];
+        Validator storage incoming = validators[_replacement];
+        require(outgoing.isRegistered && outgoing.isActive, "Replaced validator not active");
+        require(incoming.isRegistered && !incoming.isActive, "Replacement not on standby");
+        require(outgoing.reliability < reliabilityThreshold, "Reliability above threshold");
+
+        outgoing.isActive = false;
+        incoming.isActive = true;
+        incoming.replacementCount++;
+
+        replacements.push(Replacement(
+            _replaced, _replacement, outgoing.reliability, incoming.reliability, _height, block.timestamp
+        ));
+        emit ValidatorReplaced(_replaced, _replacement, outgoing.reliability, incoming.reliability, _height);
+    }
+
+    // ====================
+    // VIEW FUNCTIONS
+    // ====================
+    function getValidatorSets()
+        public
+        view
+        returns (address[] memory active, address[] memory standby)
+    {
+        uint activeCount = 0;
+        for (uint i = 0; i < validatorList.length; i++) {
+            if (validators[validatorList[i]].isActive) activeCount++;
+        }
+        active = new address[](activeCount);
+        standby = new address[](validatorList.length - activeCount);
+
+        uint a = 0;
+        uint s = 0;
+        for (uint i = 0; i < validatorList.length; i++) {
+            if (validators[validatorList[i]].isActive) active[a++] = validatorList[i];
+            else standby[s++] = validatorList[i];
+        }
+    }
+
+    function getReliabilities()
+        public
+        view
+        returns (address[] memory addresses, uint16[] memory scores)
+    {
+        addresses = validatorList;
+        scores = new uint16[](validatorList.length);
+        for (uint i = 0; i < validatorList.length; i++) {
+            scores[i] = validators[validatorList[i]].reliability;
+        }
+    }
+
+    function getReplacementCount() public view returns (uint) {
+        return replacements.length;
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Byzantine Fault Test for Consensus Mechanisms
+ * Runs the standard transaction sequence through each consensus model with a
+ * growing share of faulty validators, from none to beyond what the protocol
+ * is designed to tolerate, and compares throughput, finality and safety at
+ * each step. Every faulty validator crashes: BFT models' faulty validators
+ * withhold every message and the others never take part, so this is a
+ * crash-fault sweep. Equivocation and other Byzantine behaviour is covered
+ * by the strategies in byzantine-strategies.js.
+ */
+const { testConsensusModel } = require("./validator-scaling-test");
+const { saveTestResults } = require("./test-utils");
+
+// Share of the validators (%) that are faulty, past one third and one half
+const DEFAULT_FAULT_PERCENTAGES = [0, 10, 20, 33, 40, 50];
+
+// Validators per model; each 10% step adds one faulty validator
+const DEFAULT_VALIDATOR_COUNT = 10;
+
+// Fault injected into the faulty validators of every model
+const INJECTED_FAULT = "crash";
+
+function faultyCount(percentage, validatorCount) {
+  return Math.round(percentage / 100 * validatorCount);
+}
+
+/**
+ * Highest tested percentage up to which the model kept safety and finalized
+ * every batch, and its throughput there relative to the fault-free run
+ */
+function toleratedFaults(faultMetrics) {
+  const baseline = faultMetrics.find(metrics => metrics.faultPercentage === 0);
+  let tolerated = null;
+  for (const metrics of faultMetrics) {
+    if (metrics.error || !metrics.safetyHeld || metrics.consensus.successRate < 1) break;
+    tolerated = metrics;
+  }
+  return {
+    percentage: tolerated ? tolerated.faultPercentage : null,
+    faultyValidators: tolerated ? tolerated.faultyValidators : null,
+    throughputRetained: tolerated && baseline && baseline.consensus.throughput > 0
+      ? tolerated.consensus.throughput / baseline.consensus.throughput
+      : null
+  };
+}
+
+// Main function to run Byzantine fault tests
+async function runByzantineFaultTests(
+  consensusMechanisms = ["PoASquare", "PBFT", "DPoS", "PoA", "PoW", "Tendermint", "HotStuff", "Raft", "QBFT", "CasperFFG"],
+  faultPercentages = DEFAULT_FAULT_PERCENTAGES,
+  validatorCount = DEFAULT_VALIDATOR_COUNT
+) {
+  const invalid = faultPercentages.filter(percentage => !(percentage >= 0 && percentage <= 100));
+  if (invalid.length > 0) {
+    throw new Error(`Fault percentages must be between 0 and 100: ${invalid.join(", ")}`);
+  }
+  const percentages = [...faultPercentages].sort((a, b) => a - b);
+
+  const results = {
+    testDate: new Date().toISOString(),
+    validatorCount,
+    faultPercentages: percentages,
+    injectedFault: INJECTED_FAULT,
+    consensusMechanisms: {},
+    comparison: {
+      throughput: {},
+      finality: {},
+      successRate: {},
+      safetyHeld: {},
+      faultTolerance: {}
+    }
+  };
+
+  for (const mechanism of consensusMechanisms) {
+    console.log(`\n===== Testing ${mechanism} =====`);
+
+    const mechanismResults = {
+      name: mechanism,
+      faultMetrics: []
+    };
+
+    for (const percentage of percentages) {
+      const faultyValidators = faultyCount(percentage, validatorCount);
+      console.log(`\n💥 ${mechanism} with ${percentage}% crashed validators (${faultyValidators} of ${validatorCount})`);
+      try {
+        const metrics = await testConsensusModel(mechanism, validatorCount, { faultyValidators });
+        const { faults, faultThreshold } = metrics.consensus;
+        metrics.faultPercentage = percentage;
+        metrics.faultyValidators = faultyValidators;
+        metrics.safetyHeld = faults.safetyViolations === 0;
+        metrics.beyondThreshold = faultThreshold !== null && faultyValidators > faultThreshold;
+        mechanismResults.faultModel = metrics.consensus.faultModel;
+        mechanismResults.faultThreshold = faultThreshold;
+        mechanismResults.faultMetrics.push(metrics);
+
+        if (!results.comparison.throughput[percentage]) {
+          results.comparison.throughput[percentage] = {};
+          results.comparison.finality[percentage] = {};
+          results.comparison.successRate[percentage] = {};
+          results.comparison.safetyHeld[percentage] = {};
+        }
+        results.comparison.throughput[percentage][mechanism] = metrics.consensus.throughput;
+        results.comparison.finality[percentage][mechanism] = metrics.consensus.averageFinality;
+        results.comparison.successRate[percentage][mechanism] = metrics.consensus.successRate;
+        results.comparison.safetyHeld[percentage][mechanism] = metrics.safetyHeld;
+
+        console.log(`📊 ${metrics.consensus.finalizedBatches}/${metrics.consensus.batches} batches finalized, ` +
+          `average finality ${metrics.consensus.averageFinality.toFixed(2)}ms, ` +
+          `safety ${metrics.safetyHeld ? "held" : "VIOLATED"}` +
+          (metrics.beyondThreshold ? ` (beyond f = ${faultThreshold})` : ""));
+      } catch (error) {
+        console.error(`Error testing ${mechanism} with ${percentage}% faulty validators:`, error);
+        mechanismResults.faultMetrics.push({
+          faultPercentage: percentage,
+          faultyValidators,
+          error: error.message
+        });
+      }
+    }
+
+    mechanismResults.tolerated = toleratedFaults(mechanismResults.faultMetrics);
+    results.comparison.faultTolerance[mechanism] = {
+      ...mechanismResults.tolerated,
+      faultModel: mechanismResults.faultModel,
+      injectedFault: INJECTED_FAULT
+    };
+    results.consensusMechanisms[mechanism] = mechanismResults;
+  }
+
+  saveTestResults("byzantine-fault-results.json", results);
+
+  return results;
+}
+
+// Execute if called directly
+if (require.main === module) {
+  runByzantineFaultTests()
+    .then(results => {
+      console.log("\n===== Byzantine Fault Test Complete =====");
+      Object.entries(results.comparison.faultTolerance).forEach(([mechanism, { percentage }]) => {
+        console.log(`${mechanism}: ${percentage === null ? "lost safety or liveness without faults" : `tolerated ${percentage}% crashed validators`}`);
+      });
+    })
+    .catch(error => {
+      console.error("Error running Byzantine fault tests:", error);
+    });
+}
+
+module.exports = {
+  runByzantineFaultTests,
+  DEFAULT_FAULT_PERCENTAGES
+};
@@ -0,0 +1,197 @@
+/**
+ * Byzantine Strategy Library
+ * Concrete adversarial behaviours a validator can be assigned, by index, in the
+ * runners that support them (PBFT and PoA Square):
+ *
+ *   const strategies = createStrategies({ 1: "equivocation", 3: "collusion", 4: "collusion" }, 7, random);
+ *   strategies.get(1).receivesConflicting(5); // does validator 5 get the forged value?
+ *
+ * A strategy only says what the validator does; each runner maps that onto its
+ * own messages and tallies.
+ */
+
+const BYZANTINE_STRATEGIES = {
+  equivocation: {
+    description: "Sends one value to half of its peers and a conflicting value to the other half"
+  },
+  "selective-silence": {
+    description: "Sends nothing at all to a chosen set of peers"
+  },
+  "withhold-votes": {
+    description: "Holds proposals and votes back until the round has timed out"
+  },
+  "invalid-transition": {
+    description: "Proposes K-ETS state transitions that fail validation and votes for such proposals"
+  },
+  collusion: {
+    description: "Coalition members back each other's conflicting proposals with matching double votes"
+  }
+};
+
+// K-ETS state transitions an honest validator refuses when it re-executes a proposal
+const INVALID_TRANSITIONS = [
+  { type: "allowance-overdraw", description: "Transfers more allowances than the seller holds" },
+  { type: "emissions-rewrite", description: "Overwrites another industry's verified GHG emissions" },
+  { type: "unauthorised-auction", description: "Opens an allowance auction without the regulator" },
+  { type: "double-settlement", description: "Settles the same auction bid twice" }
+];
+
+function forgeTransition(random) {
+  return { ...random.pick(INVALID_TRANSITIONS), valid: false };
+}
+
+// Requests without a transition are ordinary K-ETS transactions
+function isValidTransition(transition) {
+  return !transition || transition.valid !== false;
+}
+
+/**
+ * Validators that collude, the honest validators they feed the conflicting
+ * value to, and the plans they share out of band (keyed by the runner, e.g.
+ * view and sequence) so every member forges the same value
+ */
+class Coalition {
+  constructor(label, members, victims) {
+    this.label = label;
+    this.members = new Set(members);
+    this.victims = new Set(victims);
+    this.plans = new Map();
+  }
+
+  propose(key, value, conflicting) {
+    if (!this.plans.has(key)) this.plans.set(key, { value, conflicting });
+    return this.plans.get(key);
+  }
+
+  planFor(key) {
+    return this.plans.get(key) || null;
+  }
+}
+
+class ByzantineStrategy {
+  constructor(name, index, targets, coalition = null) {
+    this.name = name;
+    this.index = index;
+    // Peers left in silence (selective-silence) or sent the conflicting value (equivocation)
+    this.targets = new Set(targets);
+    this.coalition = coalition;
+  }
+
+  silentTo(peer) {
+    return this.name === "selective-silence" && this.targets.has(peer);
+  }
+
+  withholds() {
+    return this.name === "withhold-votes";
+  }
+
+  proposesInvalid() {
+    return this.name === "invalid-transition";
+  }
+
+  acceptsInvalid() {
+    return this.name === "invalid-transition";
+  }
+
+  colludesWith(peer) {
+    return this.coalition !== null && this.coalition.members.has(peer);
+  }
+
+  receivesConflicting(peer) {
+    if (this.name === "equivocation") return this.targets.has(peer);
+    if (this.name === "collusion") return this.coalition.victims.has(peer);
+    return false;
+  }
+
+  describe() {
+    const details = [];
+    if (this.coalition) details.push(`coalition ${this.coalition.label}: ${[...this.coalition.members].join("/")}`);
+    else if (this.targets.size > 0) details.push(`targets ${[...this.targets].join("/")}`);
+    return details.length > 0 ? `${this.name} (${details.join(", ")})` : this.name;
+  }
+}
+
+// Random half of the given peers
+function half(peers, random) {
+  const pool = [...peers];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = random.nextInt(i + 1);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, Math.floor(pool.length / 2)).sort((a, b) => a - b);
+}
+
+function normalizeSpec(spec) {
+  return typeof spec === "string" ? { strategy: spec } : { ...spec };
+}
+
+/**
+ * Build a strategy per validator from { index: name | { strategy, targets, coalition } }.
+ * Equivocation and selective silence default to a random half of the other
+ * validators as targets; collusion members sharing a coalition label (default
+ * "A") split the honest validators between the two values together.
+ */
+function createStrategies(specs, validatorCount, random) {
+  const entries = Object.entries(specs || {}).map(([index, spec]) => [Number(index), normalizeSpec(spec)]);
+  for (const [index, spec] of entries) {
+    if (!Number.isInteger(index) || index < 0 || index >= validatorCount) {
+      throw new Error(`Byzantine strategy assigned to validator ${index}, but there are only ${validatorCount} validators`);
+    }
+    if (!BYZANTINE_STRATEGIES[spec.strategy]) {
+      throw new Error(`Unknown Byzantine strategy "${spec.strategy}" (available: ${Object.keys(BYZANTINE_STRATEGIES).join(", ")})`);
+    }
+  }
+
+  const adversaries = new Set(entries.map(([index]) => index));
+  const honest = [...Array(validatorCount).keys()].filter(index => !adversaries.has(index));
+
+  const coalitionMembers = new Map();
+  for (const [index, spec] of entries) {
+    if (spec.strategy !== "collusion") continue;
+    const label = spec.coalition || "A";
+    if (!coalitionMembers.has(label)) coalitionMembers.set(label, []);
+    coalitionMembers.get(label).push(index);
+  }
+  const coalitions = new Map([...coalitionMembers].map(([label, members]) =>
+    [label, new Coalition(label, members, half(honest, random.fork(`coalition-${label}`)))]));
+
+  const strategies = new Map();
+  for (const [index, spec] of entries) {
+    const peers = [...Array(validatorCount).keys()].filter(peer => peer !== index);
+    const targets = spec.strategy === "equivocation" || spec.strategy === "selective-silence"
+      ? spec.targets || half(peers, random.fork(`targets-${index}`))
+      : [];
+    const coalition = spec.strategy === "collusion" ? coalitions.get(spec.coalition || "A") : null;
+    strategies.set(index, new ByzantineStrategy(spec.strategy, index, targets, coalition));
+  }
+  return strategies;
+}
+
+/**
+ * Read strategy assignments for a standalone runner from BYZANTINE_STRATEGIES,
+ * e.g. "1:equivocation,2:selective-silence:0/4,3:collusion:B,5:collusion:B".
+ * Returns null when unset.
+ */
+function strategiesFromEnv(env = process.env) {
+  if (!env.BYZANTINE_STRATEGIES) return null;
+  const specs = {};
+  for (const entry of env.BYZANTINE_STRATEGIES.split(",").map(part => part.trim()).filter(Boolean)) {
+    const [index, strategy, argument] = entry.split(":");
+    const spec = { strategy };
+    if (argument !== undefined && strategy === "collusion") spec.coalition = argument;
+    else if (argument !== undefined) spec.targets = argument.split("/").map(Number);
+    specs[index] = spec;
+  }
+  return specs;
+}
+
+module.exports = {
+  BYZANTINE_STRATEGIES,
+  INVALID_TRANSITIONS,
+  ByzantineStrategy,
+  Coalition,
+  createStrategies,
+  strategiesFromEnv,
+  forgeTransition,
+  isValidTransition
+};
@@ -0,0 +1,1126 @@
+/**
+ * Casper FFG Consensus Runner
+ * Stake-based finality gadget modelled on Ethereum's beacon chain (Gasper without LMD-GHOST forks)
+ *
+ * Time is split into slots, and slots into epochs:
+ * 1. Each slot a stake-weighted proposer publishes a block with pending transactions
+ * 2. Every active validator attests once per epoch with an FFG vote (source -> target checkpoint)
+ * 3. At each epoch boundary a checkpoint is justified when 2/3 of the stake voted for it,
+ *    and finalized by the phase0 justification-bits rules
+ * A transaction is final once a finalized checkpoint descends from its block.
+ *
+ * When finality stalls for more than MIN_EPOCHS_TO_INACTIVITY_PENALTY epochs the
+ * inactivity leak drains non-attesting stake until the online validators regain 2/3.
+ * A slasher checks every attestation for double votes and surround votes; offenders
+ * are slashed and the evidence is logged as a security event.
+ * Byzantine validators follow the PBFT runner's fault model (crash, malicious, delayed),
+ * where a malicious attestation is a slashable vote.
+ * With a network model blocks and attestations are gossiped to every validator and
+ * count once more than two-thirds of the validators have them; a partition holds
+ * them until it heals.
+ */
+
+const { ethers } = require("hardhat");
+const { parseEther } = ethers;
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+const { networkFromEnv } = require("./network-model");
+
+// Constants for simulation (time scaled down from 12s slots)
+const VALIDATOR_STAKES = [32, 32, 32, 40, 48, 32, 56, 64]; // ETH per validator
+const SLOT_TIME = 1000; // ms
+const SLOTS_PER_EPOCH = 4;
+const ATTESTATION_OFFSET = SLOT_TIME / 3; // Attest a third of the way into the slot
+const BLOCK_PROPAGATION_TIME = 200; // ms, without a network model
+const ATTESTATION_PROPAGATION_TIME = 300; // ms, without a network model
+const FINALITY_DEADLINE = 64 * SLOTS_PER_EPOCH * SLOT_TIME; // Give up waiting for a transaction after 64 epochs
+
+// Rewards, penalties and the inactivity leak (Altair formulas, quotients scaled for short runs)
+const ATTESTATION_REWARD_RATE = 0.0005; // Fraction of balance per timely target vote
+const MIN_EPOCHS_TO_INACTIVITY_PENALTY = 4;
+const INACTIVITY_SCORE_BIAS = 4;
+const INACTIVITY_SCORE_RECOVERY_RATE = 16;
+const INACTIVITY_PENALTY_QUOTIENT = 64; // 3 * 2^24 on mainnet
+const EJECTION_BALANCE = 16; // ETH
+
+// Slashing (Bellatrix constants)
+const MIN_SLASHING_PENALTY_QUOTIENT = 32;
+const PROPORTIONAL_SLASHING_MULTIPLIER = 3;
+const WHISTLEBLOWER_REWARD_QUOTIENT = 512;
+
+// Correlated outage: validators holding more than 1/3 of the stake go offline together
+const OUTAGE_START_EPOCH = 4;
+const OUTAGE_EPOCHS = 14;
+const OUTAGE_STAKE_FRACTION = 1 / 3;
+
+// Byzantine behavior constants (same model as the PBFT runner)
+const BYZANTINE_VALIDATOR_COUNT = 1;
+const BYZANTINE_FAILURE_TYPES = [
+  'crash', // Validator stops responding
+  'malicious', // Validator signs slashable (double or surround) votes
+  'delayed' // Validator responds with excessive delay
+];
+const BYZANTINE_FAILURE_PROBABILITY = 0.3; // Chance of Byzantine behavior per validator per message
+
+// Message sizes in bytes, each gossiped to every other validator
+const MESSAGE_SIZES = {
+  block: 1024,
+  attestation: 256
+};
+
+// Seeded randomness (SIM_SEED / --seed) so runs can be replayed exactly
+const rng = createRandom();
+const resourceNoise = rng.fork("resource-usage");
+
+// Simulated clock - slots, attestations and epoch processing run on it
+const clock = new EventScheduler(Date.now());
+
+// Log file setup
+const LOG_FILE = path.join(__dirname, "../logs/casper-ffg-measurements.json");
+const LOG_DIR = path.dirname(LOG_FILE);
+
+if (!fs.existsSync(LOG_DIR)) {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+}
+
+// Measurement data structure (PBFT shape plus checkpoint and slashing data)
+const measurements = {
+  consensusMechanism: "CasperFFG",
+  seed: rng.seed,
+  timeModel: "virtual-clock",
+  transactions: [],
+  blocks: [],
+  missedSlots: [],
+  finalityTimes: [],
+  gasUsage: [],
+  resourceUsage: [],
+  networkMessages: [],
+  epochs: [],
+  checkpoints: {
+    justified: [],
+    finalized: []
+  },
+  inactivityLeak: [],
+  byzantineEvents: [],
+  securityEvents: [],
+  slashings: [],
+  ejections: [],
+  outages: [],
+  livenessFailures: [],
+  startTime: null,
+  endTime: null
+};
+
+function hashRoot(...parts) {
+  return "0x" + crypto.createHash("sha256").update(parts.join(":")).digest("hex");
+}
+
+function epochOf(slot) {
+  return Math.floor(slot / SLOTS_PER_EPOCH);
+}
+
+/**
+ * Staked validator (fault injection as in PBFTValidator)
+ */
+class CasperValidator {
+  constructor(account, index, stake, isByzantine = false, random = rng, failureProbability = BYZANTINE_FAILURE_PROBABILITY, failureTypes = BYZANTINE_FAILURE_TYPES) {
+    this.account = account;
+    this.address = account.address;
+    this.index = index;
+    this.balance = stake;
+    this.initialStake = stake;
+    this.rng = random;
+    this.isByzantine = isByzantine;
+    this.byzantineType = isByzantine ? this.rng.pick(failureTypes) : null;
+    this.failureProbability = failureProbability;
+    this.online = true;
+    this.slashed = false;
+    this.exited = false;
+    this.inactivityScore = 0;
+    this.attestationsSent = 0;
+    this.blocksProposed = 0;
+    this.failures = 0;
+    this.lastAttestation = null;
+  }
+
+  isActive() {
+    return !this.slashed && !this.exited;
+  }
+
+  /**
+   * Check if validator should exhibit Byzantine behavior for this message
+   */
+  exhibitsByzantineFailure() {
+    if (!this.isByzantine) return false;
+
+    if (this.rng.chance(this.failureProbability)) {
+      this.failures++;
+      return this.byzantineType;
+    }
+    return false;
+  }
+}
+
+/**
+ * Beacon-chain style state: chain of blocks, FFG checkpoints and validator balances
+ */
+class CasperFFGConsensus {
+  constructor(validatorAccounts, random = rng, scheduler = clock, options = {}) {
+    this.rng = random;
+    this.clock = scheduler;
+    this.byzantineCount = Math.min(options.byzantineCount ?? BYZANTINE_VALIDATOR_COUNT, validatorAccounts.length);
+    this.failureProbability = options.failureProbability ?? BYZANTINE_FAILURE_PROBABILITY;
+    this.failureTypes = options.byzantineTypes || BYZANTINE_FAILURE_TYPES; // Faults Byzantine validators pick from
+    this.network = options.network || null; // NetworkModel; without one messages take the fixed propagation times
+    this.proposerRng = this.rng.fork("proposer");
+    this.committeeRng = this.rng.fork("committees");
+    this.validators = this.setupValidators(validatorAccounts);
+
+    const genesis = { slot: 0, epoch: 0, root: hashRoot("genesis"), parentRoot: null, proposer: null, transactions: [] };
+    this.chain = [genesis];
+    this.genesisTime = this.clock.now;
+
+    const genesisCheckpoint = { epoch: 0, root: genesis.root };
+    this.previousJustified = genesisCheckpoint;
+    this.currentJustified = genesisCheckpoint;
+    this.finalized = genesisCheckpoint;
+    this.justificationBits = [false, false, false, false]; // bit 0 = current epoch
+
+    this.attestations = new Map(); // target epoch -> Map(validator index -> attestation)
+    this.slasherHistory = new Map(); // validator index -> signed attestations
+    this.pendingTransactions = [];
+    this.included = new Map(); // tx hash -> { slot, submittedAt, includedAt }
+    this.committees = new Map(); // epoch -> Map(validator index -> slot)
+    this.epochMessages = new Map(); // epoch -> message counters
+    this.ticker = null;
+    this.slot = 0;
+    this.outageGroup = options.outage === false ? [] : this.pickOutageGroup(); // `outage: false` skips the scripted outage
+  }
+
+  /**
+   * Set up validators including Byzantine ones
+   */
+  setupValidators(accounts) {
+    const byzantineIndices = new Set();
+    while (byzantineIndices.size < this.byzantineCount) {
+      byzantineIndices.add(this.rng.nextInt(accounts.length));
+    }
+
+    return accounts.map((account, index) => new CasperValidator(
+      account,
+      index,
+      VALIDATOR_STAKES[index % VALIDATOR_STAKES.length],
+      byzantineIndices.has(index),
+      this.rng.fork(`validator-${index}`),
+      this.failureProbability,
+      this.failureTypes
+    ));
+  }
+
+  /**
+   * Honest validators that fail together (one hosting provider), holding more than OUTAGE_STAKE_FRACTION
+   */
+  pickOutageGroup() {
+    const outageRng = this.rng.fork("outage");
+    const candidates = this.validators.filter(v => !v.isByzantine);
+    const group = [];
+    let stake = 0;
+    while (stake <= this.totalActiveBalance() * OUTAGE_STAKE_FRACTION && candidates.length > 0) {
+      const [validator] = candidates.splice(outageRng.nextInt(candidates.length), 1);
+      group.push(validator);
+      stake += validator.balance;
+    }
+    return group;
+  }
+
+  activeValidators() {
+    return this.validators.filter(v => v.isActive());
+  }
+
+  totalActiveBalance() {
+    return this.activeValidators().reduce((sum, v) => sum + v.balance, 0);
+  }
+
+  currentEpoch() {
+    return epochOf(this.slot);
+  }
+
+  /**
+   * Root of the epoch's checkpoint: the latest block at or before its first slot
+   */
+  checkpointRoot(epoch) {
+    const boundary = epoch * SLOTS_PER_EPOCH;
+    for (let i = this.chain.length - 1; i >= 0; i--) {
+      if (this.chain[i].slot <= boundary) return this.chain[i].root;
+    }
+    return this.chain[0].root;
+  }
+
+  getEpochMessages(epoch) {
+    if (!this.epochMessages.has(epoch)) {
+      this.epochMessages.set(epoch, { block: 0, attestation: 0 });
+    }
+    return this.epochMessages.get(epoch);
+  }
+
+  gossip(type, epoch) {
+    this.getEpochMessages(epoch)[type] += this.validators.length - 1;
+  }
+
+  /**
+   * Time for a message from `validator` to reach more than two-thirds of the
+   * validators (sender included). Gossip holds messages across a partition, so
+   * on the smaller side they only get there once it heals.
+   */
+  propagationTime(validator, type) {
+    if (!this.network) return type === "block" ? BLOCK_PROPAGATION_TIME : ATTESTATION_PROPAGATION_TIME;
+    const recipients = this.validators.filter(v => v !== validator).map(v => v.index);
+    const arrivals = this.network.broadcast(validator.index, recipients, MESSAGE_SIZES[type], { reliable: true })
+      .map(delay => delay ?? 0)
+      .sort((a, b) => a - b);
+    const needed = Math.floor((2 * this.validators.length) / 3);
+    return needed > 0 ? arrivals[needed - 1] : 0;
+  }
+
+  start() {
+    this.onSlot(0);
+  }
+
+  stop() {
+    this.clock.cancel(this.ticker);
+    this.ticker = null;
+  }
+
+  /**
+   * Slot boundary: process the finished epoch, then propose and schedule attestations
+   */
+  onSlot(slot) {
+    this.slot = slot;
+    this.ticker = this.clock.schedule(SLOT_TIME, () => this.onSlot(slot + 1), `slot:${slot + 1}`);
+
+    const epoch = epochOf(slot);
+    if (slot % SLOTS_PER_EPOCH === 0) {
+      if (epoch > 0) this.processEpoch(epoch - 1);
+      this.updateOutage(epoch);
+      this.assignCommittees(epoch);
+    }
+
+    // Slot 0 holds the genesis block
+    if (slot > 0) this.proposeBlock(slot);
+
+    for (const [index, assignedSlot] of this.committees.get(epoch)) {
+      if (assignedSlot !== slot) continue;
+      const validator = this.validators[index];
+      this.clock.schedule(ATTESTATION_OFFSET, () => this.attest(validator, slot), `attest:${index}@${slot}`);
+    }
+  }
+
+  updateOutage(epoch) {
+    if (this.outageGroup.length === 0) return;
+    if (epoch === OUTAGE_START_EPOCH || epoch === OUTAGE_START_EPOCH + OUTAGE_EPOCHS) {
+      const online = epoch !== OUTAGE_START_EPOCH;
+      this.outageGroup.forEach(v => { v.online = online; });
+      const stake = this.outageGroup.reduce((sum, v) => sum + v.balance, 0);
+      console.log(`${online ? "🔌 Outage over" : "⚡ Outage"} at epoch ${epoch}: ${this.outageGroup.length} validators (${stake.toFixed(2)} ETH, ${((stake / this.totalActiveBalance()) * 100).toFixed(1)}% of stake)`);
+      measurements.outages.push({
+        timestamp: this.clock.now,
+        epoch,
+        event: online ? "end" : "start",
+        validators: this.outageGroup.map(v => v.index),
+        stake,
+        stakeFraction: stake / this.totalActiveBalance()
+      });
+    }
+  }
+
+  /**
+   * Shuffle active validators across the epoch's slots
+   */
+  assignCommittees(epoch) {
+    const shuffled = this.activeValidators().map(v => v.index);
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = this.committeeRng.nextInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const committee = new Map();
+    shuffled.forEach((index, position) => committee.set(index, epoch * SLOTS_PER_EPOCH + (position % SLOTS_PER_EPOCH)));
+    this.committees.set(epoch, committee);
+    this.committees.delete(epoch - 2);
+  }
+
+  /**
+   * Stake-weighted proposer selection; offline or crashed proposers miss the slot
+   */
+  selectProposer() {
+    const active = this.activeValidators();
+    let ticket = this.proposerRng.next() * this.totalActiveBalance();
+    for (const validator of active) {
+      ticket -= validator.balance;
+      if (ticket < 0) return validator;
+    }
+    return active[active.length - 1];
+  }
+
+  proposeBlock(slot) {
+    const proposer = this.selectProposer();
+    const epoch = epochOf(slot);
+    if (!proposer) {
+      // Every validator has been ejected or slashed
+      measurements.missedSlots.push({ slot, epoch, proposer: null, reason: "no active validators" });
+      return;
+    }
+    const crashed = proposer.online && proposer.byzantineType === 'crash' &&
+      this.recordByzantine(proposer, "proposal", proposer.exhibitsByzantineFailure()) === 'crash';
+    if (!proposer.online || crashed) {
+      measurements.missedSlots.push({ slot, epoch, proposer: proposer.address, reason: proposer.online ? "crash" : "offline" });
+      return;
+    }
+
+    const parent = this.chain[this.chain.length - 1];
+    const transactions = this.pendingTransactions.splice(0);
+    const block = {
+      slot,
+      epoch,
+      root: hashRoot(parent.root, slot, proposer.index, ...transactions.map(tx => tx.txHash)),
+      parentRoot: parent.root,
+      proposer: proposer.index,
+      transactions: transactions.map(tx => tx.txHash)
+    };
+    this.chain.push(block);
+    proposer.blocksProposed++;
+    this.gossip("block", epoch);
+
+    const includedAt = this.clock.now + this.propagationTime(proposer, "block");
+    transactions.forEach(tx => this.included.set(tx.txHash, { ...tx, slot, includedAt }));
+    measurements.blocks.push({
+      number: this.chain.length - 1,
+      slot,
+      epoch,
+      root: block.root,
+      primary: proposer.address,
+      transactions: block.transactions,
+      timestamp: this.clock.now
+    });
+  }
+
+  /**
+   * FFG vote from the validator's view: source = current justified, target = this epoch's checkpoint
+   */
+  attest(validator, slot) {
+    if (!validator.isActive() || !validator.online) return;
+    const epoch = epochOf(slot);
+    const data = {
+      slot,
+      source: { ...this.currentJustified },
+      target: { epoch, root: this.checkpointRoot(epoch) }
+    };
+
+    const failure = this.recordByzantine(validator, "attestation", validator.exhibitsByzantineFailure());
+    if (failure === 'crash') return;
+
+    // Lands in the next epoch
+    const extraDelay = failure === 'delayed' ? SLOTS_PER_EPOCH * SLOT_TIME : 0;
+
+    const signed = failure === 'malicious' ? this.slashableVotes(validator, data) : [data];
+
+    for (const vote of signed) {
+      const attestation = { validator: validator.index, ...vote, signedAt: this.clock.now };
+      validator.attestationsSent++;
+      validator.lastAttestation = attestation;
+      this.gossip("attestation", epoch);
+      const delay = this.propagationTime(validator, "attestation") + extraDelay;
+      this.clock.schedule(delay, () => this.receiveAttestation(attestation), `attestation:${validator.index}@${slot}`);
+    }
+  }
+
+  /**
+   * Malicious votes: one that surrounds the previous vote when possible, otherwise a double vote
+   */
+  slashableVotes(validator, data) {
+    const previous = validator.lastAttestation;
+    if (previous && previous.source.epoch > 0 && previous.target.epoch < data.target.epoch && validator.rng.chance(0.5)) {
+      const sourceEpoch = previous.source.epoch - 1;
+      return [{ ...data, source: { epoch: sourceEpoch, root: this.checkpointRoot(sourceEpoch) } }];
+    }
+    const conflicting = { epoch: data.target.epoch, root: hashRoot("conflicting", validator.index, data.target.epoch) };
+    return [data, { ...data, target: conflicting }];
+  }
+
+  recordByzantine(validator, phase, failure) {
+    if (!failure) return false;
+    measurements.byzantineEvents.push({
+      timestamp: this.clock.now,
+      validator: validator.address,
+      validatorIndex: validator.index,
+      slot: this.slot,
+      epoch: this.currentEpoch(),
+      phase,
+      failureType: failure
+    });
+    return failure;
+  }
+
+  /**
+   * Slasher check, then keep the attestation for the epoch-boundary tally
+   */
+  receiveAttestation(attestation) {
+    const validator = this.validators[attestation.validator];
+    const history = this.slasherHistory.get(validator.index) || [];
+    for (const previous of history) {
+      const offence = this.slashableOffence(previous, attestation);
+      if (offence && !validator.slashed) this.slash(validator, offence, previous, attestation);
+    }
+    history.push(attestation);
+    this.slasherHistory.set(validator.index, history);
+
+    if (validator.slashed) return;
+    const targetEpoch = attestation.target.epoch;
+    if (targetEpoch < this.currentEpoch() - 1) return; // too old to be included
+    if (!this.attestations.has(targetEpoch)) this.attestations.set(targetEpoch, new Map());
+    const votes = this.attestations.get(targetEpoch);
+    if (!votes.has(validator.index)) votes.set(validator.index, attestation);
+  }
+
+  /**
+   * Casper FFG slashing conditions
+   */
+  slashableOffence(a, b) {
+    const sameData = a.source.epoch === b.source.epoch && a.source.root === b.source.root &&
+      a.target.epoch === b.target.epoch && a.target.root === b.target.root;
+    if (sameData) return null;
+    if (a.target.epoch === b.target.epoch) return "double-vote";
+    if ((a.source.epoch < b.source.epoch && b.target.epoch < a.target.epoch) ||
+        (b.source.epoch < a.source.epoch && a.target.epoch < b.target.epoch)) {
+      return "surround-vote";
+    }
+    return null;
+  }
+
+  slash(offender, offence, first, second) {
+    const whistleblower = this.activeValidators().find(v => v !== offender && v.online && !v.isByzantine);
+    offender.slashed = true;
+
+    const balanceBefore = offender.balance;
+    const initialPenalty = offender.balance / MIN_SLASHING_PENALTY_QUOTIENT;
+    offender.balance -= initialPenalty;
+
+    // Correlation penalty (applied at once rather than after EPOCHS_PER_SLASHINGS_VECTOR / 2)
+    const total = this.totalActiveBalance() + offender.balance;
+    const slashedStake = this.validators.filter(v => v.slashed).reduce((sum, v) => sum + v.initialStake, 0);
+    const correlationPenalty = offender.balance * Math.min(slashedStake * PROPORTIONAL_SLASHING_MULTIPLIER, total) / total;
+    offender.balance -= correlationPenalty;
+
+    const reward = balanceBefore / WHISTLEBLOWER_REWARD_QUOTIENT;
+    if (whistleblower) whistleblower.balance += reward;
+
+    console.log(`🚨 Slashed validator ${offender.index} for a ${offence} (${first.source.epoch}->${first.target.epoch} vs ${second.source.epoch}->${second.target.epoch})`);
+    const event = {
+      timestamp: this.clock.now,
+      type: offence,
+      severity: "slashable",
+      validator: offender.address,
+      validatorIndex: offender.index,
+      epoch: this.currentEpoch(),
+      evidence: [first, second].map(a => ({ slot: a.slot, source: a.source, target: a.target })),
+      reportedBy: whistleblower ? whistleblower.address : null
+    };
+    measurements.securityEvents.push(event);
+    measurements.slashings.push({
+      ...event,
+      balanceBefore,
+      initialPenalty,
+      correlationPenalty,
+      whistleblowerReward: whistleblower ? reward : 0,
+      balanceAfter: offender.balance
+    });
+  }
+
+  /**
+   * Epoch boundary: justification and finalization, then rewards, penalties and the inactivity leak
+   */
+  processEpoch(epoch) {
+    const totalBalance = this.totalActiveBalance();
+    const previousEpoch = epoch - 1;
+    const matchingStake = targetEpoch => {
+      const votes = this.attestations.get(targetEpoch);
+      if (!votes) return { stake: 0, voters: new Set() };
+      const expectedSource = targetEpoch === epoch ? this.currentJustified : this.previousJustified;
+      const voters = new Set();
+      let stake = 0;
+      for (const [index, attestation] of votes) {
+        const validator = this.validators[index];
+        if (!validator.isActive() || attestation.target.root !== this.checkpointRoot(targetEpoch)) continue;
+        if (attestation.source.epoch !== expectedSource.epoch || attestation.source.root !== expectedSource.root) continue;
+        voters.add(index);
+        stake += validator.balance;
+      }
+      return { stake, voters };
+    };
+
+    const current = matchingStake(epoch);
+    const previous = previousEpoch >= 0 ? matchingStake(previousEpoch) : { stake: 0, voters: new Set() };
+    const justifiedBefore = this.currentJustified.epoch;
+    const finalizedBefore = this.finalized.epoch;
+
+    if (epoch > 0) {
+      this.processJustificationAndFinalization(epoch, previous.stake, current.stake, totalBalance);
+    }
+
+    const finalityDelay = previousEpoch - this.finalized.epoch;
+    const leaking = finalityDelay > MIN_EPOCHS_TO_INACTIVITY_PENALTY;
+    if (previousEpoch >= 0) {
+      this.processRewardsAndPenalties(previousEpoch, previous.voters, leaking);
+    }
+
+    const participation = totalBalance > 0 ? current.stake / totalBalance : 0;
+    measurements.epochs.push({
+      epoch,
+      timestamp: this.clock.now,
+      totalActiveBalance: totalBalance,
+      targetStake: current.stake,
+      lateTargetStake: previous.stake,
+      participation,
+      justifiedEpoch: this.currentJustified.epoch,
+      finalizedEpoch: this.finalized.epoch,
+      justificationBits: this.justificationBits.map(bit => (bit ? 1 : 0)).join(""),
+      finalityDelay,
+      inactivityLeak: leaking
+    });
+    if (this.currentJustified.epoch > justifiedBefore) {
+      measurements.checkpoints.justified.push({ ...this.currentJustified, justifiedAt: epoch, timestamp: this.clock.now });
+    }
+    if (this.finalized.epoch > finalizedBefore) {
+      console.log(`🔒 Epoch ${epoch}: finalized checkpoint ${this.finalized.epoch} (justified ${this.currentJustified.epoch}, participation ${(participation * 100).toFixed(1)}%)`);
+      measurements.checkpoints.finalized.push({ ...this.finalized, finalizedAt: epoch, timestamp: this.clock.now });
+    }
+
+    const messages = this.getEpochMessages(epoch);
+    for (const type of Object.keys(MESSAGE_SIZES)) {
+      if (messages[type] === 0) continue;
+      measurements.networkMessages.push({
+        timestamp: this.clock.now,
+        epoch,
+        phase: type,
+        messageCount: messages[type],
+        messageSize: MESSAGE_SIZES[type],
+        totalBytes: messages[type] * MESSAGE_SIZES[type]
+      });
+    }
+    this.epochMessages.delete(epoch);
+    this.attestations.delete(epoch - 1);
+
+    recordCasperResourceUsage(epoch, measurements.byzantineEvents.filter(e => e.epoch === epoch).length, "epoch");
+  }
+
+  /**
+   * Phase0 process_justification_and_finalization
+   */
+  processJustificationAndFinalization(epoch, previousTargetStake, currentTargetStake, totalBalance) {
+    const oldPreviousJustified = this.previousJustified;
+    const oldCurrentJustified = this.currentJustified;
+
+    this.previousJustified = this.currentJustified;
+    this.justificationBits = [false, ...this.justificationBits.slice(0, 3)];
+    if (previousTargetStake * 3 >= totalBalance * 2) {
+      this.currentJustified = { epoch: epoch - 1, root: this.checkpointRoot(epoch - 1) };
+      this.justificationBits[1] = true;
+    }
+    if (currentTargetStake * 3 >= totalBalance * 2) {
+      this.currentJustified = { epoch, root: this.checkpointRoot(epoch) };
+      this.justificationBits[0] = true;
+    }
+
+    const bits = this.justificationBits;
+    if (bits[1] && bits[2] && bits[3] && oldPreviousJustified.epoch + 3 === epoch) {
+      this.finalized = oldPreviousJustified;
+    }
+    if (bits[1] && bits[2] && oldPreviousJustified.epoch + 2 === epoch) {
+      this.finalized = oldPreviousJustified;
+    }
+    if (bits[0] && bits[1] && bits[2] && oldCurrentJustified.epoch + 2 === epoch) {
+      this.finalized = oldCurrentJustified;
+    }
+    if (bits[0] && bits[1] && oldCurrentJustified.epoch + 1 === epoch) {
+      this.finalized = oldCurrentJustified;
+    }
+  }
+
+  /**
+   * Target-vote rewards and penalties, inactivity scores and ejections for the previous epoch
+   */
+  processRewardsAndPenalties(epoch, voters, leaking) {
+    let leaked = 0;
+    for (const validator of this.activeValidators()) {
+      const participated = voters.has(validator.index);
+
+      if (participated) {
+        validator.inactivityScore -= Math.min(1, validator.inactivityScore);
+      } else {
+        validator.inactivityScore += INACTIVITY_SCORE_BIAS;
+      }
+      if (!leaking) {
+        validator.inactivityScore -= Math.min(INACTIVITY_SCORE_RECOVERY_RATE, validator.inactivityScore);
+      }
+
+      const baseReward = validator.balance * ATTESTATION_REWARD_RATE;
+      if (participated && !leaking) {
+        validator.balance += baseReward;
+      } else if (!participated) {
+        validator.balance -= baseReward;
+        const inactivityPenalty = validator.balance * validator.inactivityScore /
+          (INACTIVITY_SCORE_BIAS * INACTIVITY_PENALTY_QUOTIENT);
+        validator.balance -= inactivityPenalty;
+        if (leaking) leaked += inactivityPenalty;
+      }
+
+      if (validator.balance < EJECTION_BALANCE) {
+        validator.exited = true;
+        console.log(`⏏️ Validator ${validator.index} ejected at epoch ${epoch} (balance ${validator.balance.toFixed(2)} ETH)`);
+        measurements.ejections.push({ timestamp: this.clock.now, epoch, validator: validator.address, balance: validator.balance });
+      }
+    }
+
+    if (leaking) {
+      const offlineStake = this.activeValidators().filter(v => !voters.has(v.index)).reduce((sum, v) => sum + v.balance, 0);
+      measurements.inactivityLeak.push({
+        timestamp: this.clock.now,
+        epoch,
+        finalizedEpoch: this.finalized.epoch,
+        leakedStake: leaked,
+        inactiveStakeFraction: offlineStake / this.totalActiveBalance(),
+        scores: Object.fromEntries(this.validators.filter(v => v.inactivityScore > 0).map(v => [v.index, v.inactivityScore]))
+      });
+    }
+  }
+
+  submitTransaction(txHash) {
+    this.pendingTransactions.push({ txHash, submittedAt: this.clock.now });
+  }
+
+  /**
+   * A transaction is final once the finalized checkpoint is at or after its block
+   */
+  isFinalized(txHash) {
+    const inclusion = this.included.get(txHash);
+    return Boolean(inclusion) && inclusion.slot <= this.finalized.epoch * SLOTS_PER_EPOCH;
+  }
+
+  /**
+   * Wait on the simulated clock until the transaction's block is finalized
+   */
+  async awaitFinality(txHash) {
+    const submittedAt = this.clock.now;
+    const finalized = await this.clock.advanceUntil(() => this.isFinalized(txHash), submittedAt + FINALITY_DEADLINE);
+    const inclusion = this.included.get(txHash);
+
+    if (!finalized) {
+      measurements.livenessFailures.push({
+        timestamp: this.clock.now,
+        txHash,
+        epoch: this.currentEpoch(),
+        finalizedEpoch: this.finalized.epoch,
+        included: Boolean(inclusion)
+      });
+      return { success: false };
+    }
+
+    return {
+      success: true,
+      slot: inclusion.slot,
+      inclusionTime: inclusion.includedAt - submittedAt,
+      finalityTime: this.clock.now - submittedAt,
+      finalizedEpoch: this.finalized.epoch
+    };
+  }
+
+  recordValidatorState(eventType) {
+    if (!measurements.validatorState) {
+      measurements.validatorState = [];
+    }
+    measurements.validatorState.push({
+      timestamp: this.clock.now,
+      eventType,
+      epoch: this.currentEpoch(),
+      justifiedEpoch: this.currentJustified.epoch,
+      finalizedEpoch: this.finalized.epoch,
+      validators: this.validators.map(v => ({
+        address: v.address,
+        index: v.index,
+        balance: v.balance,
+        initialStake: v.initialStake,
+        isByzantine: v.isByzantine,
+        byzantineType: v.byzantineType,
+        slashed: v.slashed,
+        exited: v.exited,
+        inactivityScore: v.inactivityScore,
+        attestationsSent: v.attestationsSent,
+        blocksProposed: v.blocksProposed,
+        failures: v.failures
+      }))
+    });
+  }
+}
+
+/**
+ * Simulates Casper FFG finality over the K-ETS workflow
+ */
+async function runCasperFFGConsensus() {
+  console.log("Starting Casper FFG consensus simulation with stake-weighted finality...");
+  console.log(`Simulation seed: ${rng.seed} (replay with SIM_SEED=${rng.seed})`);
+  measurements.startTime = clock.now;
+  measurements.wallClockStart = Date.now();
+
+  // Deploy the contract
+  const KETSFactory = await ethers.getContractFactory("KETSBlockchain");
+  const ketsContract = await KETSFactory.deploy();
+  const contractAddress = await ketsContract.getAddress();
+  console.log(`Contract deployed at: ${contractAddress}`);
+
+  const [regulator, ...allAccounts] = await ethers.getSigners();
+  console.log(`Regulator: ${regulator.address}`);
+
+  if (allAccounts.length < VALIDATOR_STAKES.length + 3) {
+    throw new Error(`Not enough accounts for Casper FFG. Need ${VALIDATOR_STAKES.length} validators and 3 industries`);
+  }
+  const validatorAccounts = allAccounts.slice(0, VALIDATOR_STAKES.length);
+  const industries = allAccounts.slice(VALIDATOR_STAKES.length, VALIDATOR_STAKES.length + 3);
+
+  const network = networkFromEnv(clock, rng.fork("network"));
+  const casper = new CasperFFGConsensus(validatorAccounts, rng, clock, { network });
+  if (network) console.log(`🌐 Network preset: ${network.preset} (${network.description})`);
+  console.log(`Validators: ${casper.validators.length}, total stake ${casper.totalActiveBalance()} ETH`);
+  casper.validators.filter(v => v.isByzantine).forEach(v => {
+    console.log(`- Byzantine: ${v.address.substring(0, 10)}... (${v.byzantineType})`);
+  });
+
+  measurements.casperConfiguration = {
+    seed: rng.seed,
+    stakes: VALIDATOR_STAKES,
+    slotTime: SLOT_TIME,
+    slotsPerEpoch: SLOTS_PER_EPOCH,
+    byzantineValidators: BYZANTINE_VALIDATOR_COUNT,
+    byzantineTypes: BYZANTINE_FAILURE_TYPES,
+    failureProbability: BYZANTINE_FAILURE_PROBABILITY,
+    inactivityLeak: {
+      minEpochsToPenalty: MIN_EPOCHS_TO_INACTIVITY_PENALTY,
+      scoreBias: INACTIVITY_SCORE_BIAS,
+      scoreRecoveryRate: INACTIVITY_SCORE_RECOVERY_RATE,
+      penaltyQuotient: INACTIVITY_PENALTY_QUOTIENT,
+      ejectionBalance: EJECTION_BALANCE
+    },
+    slashing: {
+      minSlashingPenaltyQuotient: MIN_SLASHING_PENALTY_QUOTIENT,
+      proportionalSlashingMultiplier: PROPORTIONAL_SLASHING_MULTIPLIER,
+      whistleblowerRewardQuotient: WHISTLEBLOWER_REWARD_QUOTIENT
+    },
+    outage: {
+      startEpoch: OUTAGE_START_EPOCH,
+      epochs: OUTAGE_EPOCHS,
+      validators: casper.outageGroup.map(v => v.index)
+    }
+  };
+
+  casper.recordValidatorState("genesis");
+  casper.start();
+
+  // Submit a transaction and wait for its block to be finalized
+  async function executeWithCasper(txPromise, txType) {
+    const tx = await txPromise;
+    const receipt = await tx.wait();
+
+    recordTransaction(receipt, txType);
+    console.log(`${txType}, Gas used: ${receipt.gasUsed.toString()}`);
+
+    casper.submitTransaction(tx.hash);
+    const result = await casper.awaitFinality(tx.hash);
+    if (result.success) {
+      console.log(`Time to finality: ${result.finalityTime}ms (included after ${result.inclusionTime}ms, finalized epoch ${result.finalizedEpoch})`);
+      measurements.finalityTimes.push({
+        txHash: tx.hash,
+        transactionType: txType,
+        finalityTime: result.finalityTime,
+        inclusionTime: result.inclusionTime,
+        slot: result.slot,
+        finalizedEpoch: result.finalizedEpoch,
+        timestamp: clock.now
+      });
+    } else {
+      console.log(`❌ ${txType} not finalized within ${FINALITY_DEADLINE}ms`);
+    }
+    return result;
+  }
+
+  // Register industries
+  console.log("Registering industries...");
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithCasper(
+      ketsContract.connect(industries[i]).registerIndustry(`Industry-${i+1}`, i % 2 === 0),
+      "registerIndustry"
+    );
+  }
+
+  // Update GHG emissions
+  console.log("Updating GHG emissions...");
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithCasper(
+      ketsContract.connect(industries[i]).updateGHGEmissions(
+        industries[i].address, 0,
+        5000 + i * 1000, 2000 + i * 500, 1000 + i * 200, 3000 + i * 300, 2000 + i * 250, 1000 + i * 100
+      ),
+      "updateGHGEmissions"
+    );
+  }
+
+  // Create auction
+  console.log("Creating auction...");
+  await executeWithCasper(ketsContract.connect(regulator).createAuction(100, parseEther("0.01")), "createAuction");
+
+  // Place bids
+  console.log("Placing bids...");
+  for (let i = 0; i < industries.length; i++) {
+    try {
+      await executeWithCasper(
+        ketsContract.connect(industries[i]).placeBid(10, { value: parseEther("0.02") }),
+        "placeBid"
+      );
+    } catch (error) {
+      console.error(`Error placing bid for Industry-${i+1}:`, error.message);
+    }
+  }
+
+  // Finalize the auction
+  console.log("Finalizing auction...");
+  try {
+    await executeWithCasper(ketsContract.connect(regulator).finalizeAuction(), "finalizeAuction");
+  } catch (error) {
+    console.error("Error finalizing auction:", error.message);
+  }
+
+  // The slot ticker reschedules itself forever, so stop it before draining in-flight messages
+  casper.stop();
+  clock.runUntilIdle();
+  if (network) measurements.network = network.summary();
+  casper.recordValidatorState("final");
+
+  measurements.endTime = clock.now;
+  console.log("Casper FFG consensus simulation completed");
+
+  saveMeasurements();
+
+  const avgFinality = measurements.finalityTimes.length > 0 ?
+    measurements.finalityTimes.reduce((sum, item) => sum + item.finalityTime, 0) / measurements.finalityTimes.length : 0;
+
+  return {
+    consensusMechanism: "CasperFFG",
+    transactionsProcessed: measurements.transactions.length,
+    averageFinality: avgFinality,
+    totalDuration: measurements.endTime - measurements.startTime,
+    epochs: measurements.epochs.length,
+    finalizedEpoch: casper.finalized.epoch,
+    inactivityLeakEpochs: measurements.inactivityLeak.length,
+    securityEvents: measurements.securityEvents.length
+  };
+}
+
+/**
+ * Simulated resource usage per epoch, scaled by Byzantine activity
+ */
+function recordCasperResourceUsage(epoch, byzantineCount = 0, phase = 'epoch') {
+  const baseCpuUsage = 25; // percentage
+  const baseMemoryUsage = 300; // MB
+  const baseNetworkBandwidth = 600; // KB/s
+
+  const byzantineFactor = 1 + (byzantineCount * 0.2);
+  const phaseModifier = phase === 'transaction' ? 1.0 : 1.1;
+
+  const cpuUsage = baseCpuUsage * byzantineFactor * phaseModifier + (resourceNoise.next() * 10);
+  const memoryUsage = baseMemoryUsage * byzantineFactor * phaseModifier + (resourceNoise.next() * 30);
+  const networkBandwidth = baseNetworkBandwidth * byzantineFactor * phaseModifier + (resourceNoise.next() * 100);
+
+  measurements.resourceUsage.push({
+    epoch,
+    timestamp: clock.now,
+    byzantineCount,
+    byzantineFactor,
+    phase,
+    phaseModifier,
+    cpu: cpuUsage,
+    memory: memoryUsage,
+    network: networkBandwidth,
+    messageComplexity: "O(n) attestations per epoch"
+  });
+}
+
+/**
+ * Record transaction metrics
+ */
+function recordTransaction(receipt, txType) {
+  const gasUsed = receipt.gasUsed.toString();
+
+  measurements.transactions.push({
+    hash: receipt.hash || receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed,
+    effectiveGasPrice: receipt.effectiveGasPrice?.toString() || "0",
+    type: txType,
+    timestamp: clock.now,
+    consensusMechanism: "CasperFFG"
+  });
+
+  measurements.gasUsage.push({
+    txType,
+    gasUsed,
+    consensusMechanism: "CasperFFG",
+    timestamp: clock.now
+  });
+
+  recordCasperResourceUsage(measurements.epochs.length, 0, 'transaction');
+  return gasUsed;
+}
+
+/**
+ * Generate the measurement report (same sections as the PBFT report)
+ */
+function generateCasperFFGReport() {
+  const totalTransactions = measurements.transactions.length;
+  const finality = measurements.finalityTimes.map(item => item.finalityTime);
+  const avgFinalityTime = finality.length > 0 ? finality.reduce((a, b) => a + b, 0) / finality.length : 0;
+  const inclusion = measurements.finalityTimes.map(item => item.inclusionTime);
+
+  const resource = measurements.resourceUsage.reduce((m, usage) => {
+    m.cpu += usage.cpu;
+    m.memory += usage.memory;
+    m.network += usage.network;
+    m.count++;
+    return m;
+  }, { cpu: 0, memory: 0, network: 0, count: 0 });
+  const avg = value => resource.count > 0 ? value / resource.count : 0;
+
+  const epochs = measurements.epochs;
+  const totalMessages = measurements.networkMessages.reduce((sum, m) => sum + m.messageCount, 0);
+  const totalBytes = measurements.networkMessages.reduce((sum, m) => sum + m.totalBytes, 0);
+  const finalizedEpochs = measurements.checkpoints.finalized.map(c => c.finalizedAt);
+  const longestStall = epochs.reduce((max, e) => Math.max(max, e.finalityDelay), 0);
+  const duration = measurements.endTime && measurements.startTime ? (measurements.endTime - measurements.startTime) / 1000 : 0;
+
+  return {
+    consensusMechanism: "CasperFFG",
+    configuration: measurements.casperConfiguration,
+    summary: {
+      totalTransactions,
+      successfulConsensusCount: finality.length,
+      consensusSuccessRate: totalTransactions > 0 ? (finality.length / totalTransactions) * 100 : 0,
+      byzantineEventCount: measurements.byzantineEvents.length,
+      securityEventCount: measurements.securityEvents.length,
+      epochs: epochs.length
+    },
+    performance: {
+      finalityTimes: {
+        average: avgFinalityTime,
+        min: finality.length > 0 ? Math.min(...finality) : 0,
+        max: finality.length > 0 ? Math.max(...finality) : 0,
+        guaranteedFinality: "Economic finality once a checkpoint at or after the block is finalized"
+      },
+      inclusionTime: inclusion.length > 0 ? inclusion.reduce((a, b) => a + b, 0) / inclusion.length : 0,
+      checkpoints: {
+        justified: measurements.checkpoints.justified.length,
+        finalized: measurements.checkpoints.finalized.length,
+        averageParticipation: epochs.length > 0 ? epochs.reduce((sum, e) => sum + e.participation, 0) / epochs.length : 0,
+        longestFinalityStall: longestStall,
+        lastFinalizedAt: finalizedEpochs.length > 0 ? finalizedEpochs[finalizedEpochs.length - 1] : null
+      },
+      missedSlots: measurements.missedSlots.length,
+      throughput: {
+        transactionsPerSecond: duration > 0 ? totalTransactions / duration : 0,
+        potentialTps: avgFinalityTime > 0 ? 1000 / avgFinalityTime : 0
+      }
+    },
+    resourceUsage: {
+      averageCpu: avg(resource.cpu),
+      averageMemory: avg(resource.memory),
+      averageNetwork: avg(resource.network)
+    },
+    networkOverhead: {
+      messagesPerEpoch: epochs.length > 0 ? totalMessages / epochs.length : 0,
+      bytesPerEpoch: epochs.length > 0 ? totalBytes / epochs.length : 0,
+      messageComplexity: "O(n) attestations per epoch, gossiped to all peers"
+    },
+    faultTolerance: {
+      maximumByzantineStake: "1/3 of active stake",
+      actualByzantineNodes: BYZANTINE_VALIDATOR_COUNT,
+      inactivityLeakEpochs: measurements.inactivityLeak.length,
+      leakedStake: measurements.inactivityLeak.reduce((sum, l) => sum + l.leakedStake, 0),
+      ejections: measurements.ejections.length,
+      slashings: measurements.slashings.length,
+      securityEvents: measurements.securityEvents.map(e => ({ type: e.type, validator: e.validator, epoch: e.epoch })),
+      livenessFailures: measurements.livenessFailures.length
+    },
+    comparisonMetrics: {
+      blockTime: SLOT_TIME,
+      finalityTime: avgFinalityTime,
+      messageComplexity: "O(n) per epoch",
+      resourceUsage: {
+        cpu: avg(resource.cpu),
+        memory: avg(resource.memory),
+        network: avg(resource.network)
+      },
+      bytesSent: epochs.length > 0 ? totalBytes / epochs.length : 0,
+      faultTolerance: "Safety while < 1/3 of stake is slashable; liveness restored by the inactivity leak",
+      centralizedElements: "None; stake-weighted proposers",
+      scalabilityLimitations: "Finality takes two to three epochs"
+    }
+  };
+}
+
+/**
+ * Saves measurement data and the report
+ */
+function saveMeasurements() {
+  try {
+    measurements.endTime = clock.now;
+    measurements.totalDuration = measurements.endTime - measurements.startTime;
+    measurements.wallClockDuration = Date.now() - measurements.wallClockStart;
+
+    const report = generateCasperFFGReport();
+    measurements.report = report;
+
+    fs.writeFileSync(LOG_FILE, JSON.stringify(measurements, null, 2), 'utf8');
+    console.log(`Casper FFG measurements saved to ${LOG_FILE}`);
+
+    const reportFile = path.join(__dirname, "../reports/casper-ffg-consensus-report.json");
+    if (!fs.existsSync(path.dirname(reportFile))) {
+      fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+    }
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`Casper FFG detailed report saved to ${reportFile}`);
+
+    return { logFile: LOG_FILE, reportFile };
+  } catch (error) {
+    console.error("Error saving measurements:", error);
+    return null;
+  }
+}
+
+// Run the simulation when called directly
+if (require.main === module) {
+  runCasperFFGConsensus()
+    .then(summary => {
+      console.log("\nCasper FFG Simulation Summary:");
+      console.log(JSON.stringify(summary, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("Casper FFG simulation failed:", error);
+      process.exit(1);
+    });
+} else {
+  module.exports = {
+    runCasperFFGConsensus,
+    CasperFFGConsensus,
+    measurements,
+    SLOT_TIME
+  };
+}
@@ -0,0 +1,759 @@
+/**
+ * Clique/Aura PoA Consensus Runner
+ * Authority-based block sealing for the K-ETS blockchain simulation, replacing
+ * the bare Hardhat automine behind the original "PoA" numbers.
+ *
+ * Clique (default, POA_ENGINE=clique):
+ * - Authorities take turns: the in-turn signer for block n is signers[n % N] and
+ *   seals with difficulty 2 after the block period
+ * - Any other authority may seal out-of-turn with difficulty 1 after a random
+ *   backoff ("wiggle"), so the chain keeps moving when the in-turn signer is down
+ * - SIGNER_LIMIT rule: an authority may seal only one of any floor(N/2)+1
+ *   consecutive blocks
+ * - Authorities vote to add or drop authorities through block headers; a
+ *   proposal passes with votes from more than half the authorities, and pending
+ *   votes are discarded at every epoch checkpoint
+ *
+ * Aura (POA_ENGINE=aura): one proposer per time step, no out-of-turn sealing -
+ * a step whose proposer is offline passes without a block.
+ *
+ * Block slots run on a simulated clock (see event-scheduler.js).
+ */
+
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+const { networkFromEnv } = require("./network-model");
+
+// Sealing engine: "clique" (in-turn/out-of-turn) or "aura" (strict step rotation)
+const ENGINE = process.env.POA_ENGINE === "aura" ? "aura" : "clique";
+
+// Authority set configuration
+const INITIAL_SIGNERS = 5;      // Authorities in the genesis signer list
+const CANDIDATE_SIGNERS = 1;    // Accounts proposed for admission by vote
+const BLOCK_PERIOD = 5000;      // 5 seconds, matching the PoA block time in the comparison
+const TOTAL_BLOCKS = 60;        // Blocks sealed per run (the workflow plus empty blocks)
+const EPOCH_LENGTH = 30;        // Checkpoint interval - pending votes are reset here
+
+// Clique sealing parameters
+const DIFF_IN_TURN = 2;
+const DIFF_NO_TURN = 1;
+const WIGGLE_TIME = 500;        // Out-of-turn backoff per signer-limit slot (as in geth)
+const PROPAGATION_DELAY = 150;  // Time for a sealed block to reach the other authorities (without a network model)
+const MIN_OFFLINE_PROBABILITY = 0.02; // Per-authority chance of being offline for a slot
+const MAX_OFFLINE_PROBABILITY = 0.25;
+const BLOCK_MESSAGE_SIZE = 1024; // Bytes per block announcement
+
+// Seeded randomness (SIM_SEED / --seed) so runs can be replayed exactly
+const rng = createRandom();
+
+// Simulated clock - block periods are modelled on it instead of slept
+const clock = new EventScheduler(Date.now());
+
+// Log file setup
+const LOG_FILE = path.join(__dirname, "../logs/clique-poa-measurements.json");
+const LOG_DIR = path.dirname(LOG_FILE);
+
+if (!fs.existsSync(LOG_DIR)) {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+}
+
+// Measurement data structure
+const measurements = {
+  consensusMechanism: ENGINE === "aura" ? "Aura-PoA" : "Clique-PoA",
+  seed: rng.seed,
+  timeModel: "virtual-clock",
+  transactions: [],
+  blocks: [],
+  finalityTimes: [],
+  gasUsage: [],
+  networkMessages: [],
+  forks: [],
+  missedSlots: [],
+  votes: [],
+  authorityChanges: [],
+  signerSnapshots: [],
+  startTime: null,
+  endTime: null
+};
+
+/**
+ * Authority set snapshot: signer list, recent signers and the running vote tally,
+ * updated block by block like geth's clique.Snapshot
+ */
+class AuthoritySet {
+  constructor(signerAddresses) {
+    this.signers = [...signerAddresses].sort();
+    this.recents = new Map(); // block number -> signer
+    this.votes = [];          // { signer, address, authorize, block }
+    this.tally = new Map();   // address -> { authorize, votes }
+  }
+
+  signerLimit() {
+    return Math.floor(this.signers.length / 2) + 1;
+  }
+
+  isAuthorized(address) {
+    return this.signers.includes(address);
+  }
+
+  inTurn(number, signer) {
+    return this.signers[number % this.signers.length] === signer;
+  }
+
+  /**
+   * SIGNER_LIMIT rule: a signer that sealed one of the last floor(N/2)+1 blocks must wait
+   */
+  recentlySigned(number, signer) {
+    const limit = this.signerLimit();
+    for (const [seen, recent] of this.recents) {
+      if (recent === signer && number < seen + limit) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  canSeal(number, signer) {
+    return this.isAuthorized(signer) && !this.recentlySigned(number, signer);
+  }
+
+  /**
+   * A vote is only meaningful if it changes the set (add an outsider, drop a signer)
+   */
+  validVote(address, authorize) {
+    return authorize ? !this.isAuthorized(address) : this.isAuthorized(address);
+  }
+
+  /**
+   * Apply a sealed block to the snapshot. Returns the authority change it caused, if any.
+   */
+  apply(block) {
+    const limit = this.signerLimit();
+    if (block.number >= limit) {
+      this.recents.delete(block.number - limit);
+    }
+    this.recents.set(block.number, block.sealer);
+
+    // Checkpoint blocks discard all pending votes
+    if (block.number % EPOCH_LENGTH === 0) {
+      this.votes = [];
+      this.tally = new Map();
+    }
+
+    if (!block.vote) return null;
+
+    const { address, authorize } = block.vote;
+
+    // A signer's newer vote on the same address replaces the older one
+    this.votes = this.votes.filter(vote => {
+      if (vote.signer === block.sealer && vote.address === address) {
+        this.uncast(vote.address, vote.authorize);
+        return false;
+      }
+      return true;
+    });
+
+    if (!this.cast(address, authorize)) return null;
+    this.votes.push({ signer: block.sealer, address, authorize, block: block.number });
+
+    const votes = this.tally.get(address).votes;
+    if (votes <= this.signers.length / 2) return null;
+
+    // Vote passed - update the signer list
+    if (authorize) {
+      this.signers = [...this.signers, address].sort();
+    } else {
+      this.signers = this.signers.filter(signer => signer !== address);
+
+      // The signer list shrank, so the oldest recent entry falls out of the window
+      const newLimit = this.signerLimit();
+      if (block.number >= newLimit) {
+        this.recents.delete(block.number - newLimit);
+      }
+      // Votes cast by the removed signer no longer count
+      this.votes = this.votes.filter(vote => {
+        if (vote.signer === address) {
+          this.uncast(vote.address, vote.authorize);
+          return false;
+        }
+        return true;
+      });
+    }
+
+    // Discard every vote on the address that was just decided
+    this.votes = this.votes.filter(vote => vote.address !== address);
+    this.tally.delete(address);
+
+    return { address, authorize, votes, signers: this.signers.length };
+  }
+
+  cast(address, authorize) {
+    if (!this.validVote(address, authorize)) return false;
+    const tally = this.tally.get(address);
+    if (tally) {
+      if (tally.authorize !== authorize) return false;
+      tally.votes++;
+    } else {
+      this.tally.set(address, { authorize, votes: 1 });
+    }
+    return true;
+  }
+
+  uncast(address, authorize) {
+    const tally = this.tally.get(address);
+    if (!tally || tally.authorize !== authorize) return;
+    tally.votes--;
+    if (tally.votes === 0) this.tally.delete(address);
+  }
+}
+
+/**
+ * Authority (signer node) with its own availability profile; a `failed` authority is never online
+ */
+class Authority {
+  constructor(account, index, random, failed = false) {
+    this.account = account;
+    this.address = account.address;
+    this.index = index;
+    this.rng = random;
+    this.offlineProbability = MIN_OFFLINE_PROBABILITY + random.next() * (MAX_OFFLINE_PROBABILITY - MIN_OFFLINE_PROBABILITY);
+    if (failed) this.offlineProbability = 1;
+    this.blocksSealed = 0;
+    this.inTurnBlocks = 0;
+    this.outOfTurnBlocks = 0;
+    this.sideBlocks = 0;
+    this.offlineSlots = 0;
+  }
+
+  isOnline() {
+    const online = !this.rng.chance(this.offlineProbability);
+    if (!online) this.offlineSlots++;
+    return online;
+  }
+}
+
+/**
+ * Block production on top of the authority set
+ */
+class PoAChain {
+  constructor(authorities, proposals, random = rng, scheduler = clock, signerCount = INITIAL_SIGNERS, network = null) {
+    this.authorities = new Map(authorities.map(authority => [authority.address, authority]));
+    this.snapshot = new AuthoritySet(authorities.slice(0, signerCount).map(a => a.address));
+    this.proposals = proposals;
+    this.rng = random;
+    this.clock = scheduler;
+    this.network = network; // NetworkModel; without one blocks take PROPAGATION_DELAY to reach every signer
+    this.blocks = [];
+    this.head = { number: 0, timestamp: this.clock.now, sealer: null, difficulty: 0 };
+    this.totalDifficulty = 0;
+    this.step = 0;
+    this.pendingTransactions = [];
+    this.unfinalized = [];
+    this.partitionFork = null; // blocks sealed on the cut-off side of a network partition
+    this.recordSnapshot("genesis");
+  }
+
+  /**
+   * Seal the next canonical block, retrying slot after slot if nobody can seal.
+   * Pending transactions go into the block. Resolves to null if no block is
+   * sealed before `deadline`.
+   */
+  async sealNextBlock(deadline = Infinity) {
+    while (this.clock.now < deadline) {
+      const block = ENGINE === "aura" ? await this.sealAuraStep() : await this.sealCliqueSlot();
+      if (block) return block;
+    }
+    return null;
+  }
+
+  /**
+   * Clique slot: every online authority allowed by SIGNER_LIMIT races to seal.
+   * The in-turn signer seals at the block period, out-of-turn signers after a
+   * random wiggle. Authorities whose timers fire before the first block reaches
+   * them seal competing blocks; the heavier (in-turn) block wins.
+   */
+  async sealCliqueSlot() {
+    const number = this.head.number + 1;
+    const limit = this.snapshot.signerLimit();
+    const reachable = this.canonicalSide(number);
+    const sealers = [];
+
+    for (const address of this.snapshot.signers) {
+      const authority = this.authorities.get(address);
+      if (!this.snapshot.canSeal(number, address) || !authority.isOnline()) continue;
+      if (!reachable.has(address)) {
+        this.sealOnPartitionFork(number, authority);
+        continue;
+      }
+
+      const inTurn = this.snapshot.inTurn(number, address);
+      const delay = BLOCK_PERIOD + (inTurn ? 0 : this.rng.next() * limit * WIGGLE_TIME);
+      sealers.push({ authority, inTurn, delay });
+    }
+
+    if (sealers.length === 0) {
+      // Nobody eligible is online - the slot passes and the authorities try again
+      await this.clock.advance(BLOCK_PERIOD);
+      this.recordMissedSlot(number, this.snapshot.signers[number % this.snapshot.signers.length], "no eligible signer online");
+      return null;
+    }
+
+    sealers.sort((a, b) => a.delay - b.delay);
+    const first = sealers[0];
+    const propagation = this.propagationTime(first.authority);
+    const competing = sealers.filter(s => s.delay < first.delay + propagation);
+    // Heaviest block wins; on equal difficulty the first one seen
+    const winner = competing.reduce((best, s) => (s.inTurn && !best.inTurn ? s : best), first);
+
+    const sealTime = Math.max(this.clock.now, this.head.timestamp + winner.delay);
+    await this.clock.advance(sealTime - this.clock.now);
+
+    if (competing.length > 1) {
+      for (const side of competing) {
+        if (side !== winner) side.authority.sideBlocks++;
+      }
+      const fork = {
+        number,
+        timestamp: this.clock.now,
+        winner: winner.authority.address,
+        sealers: competing.map(s => ({ signer: s.authority.address, inTurn: s.inTurn, delay: s.delay })),
+        reorg: winner !== first
+      };
+      measurements.forks.push(fork);
+      console.log(`🔀 Fork at block ${number}: ${competing.length} competing seals, ` +
+                  `${winner.inTurn ? "in-turn" : "out-of-turn"} block from ${winner.authority.address.substring(0, 10)}... wins`);
+    }
+
+    const winnerPropagation = winner === first ? propagation : this.propagationTime(winner.authority);
+    return this.commitBlock(number, winner.authority, winner.inTurn, competing.length - 1, winnerPropagation);
+  }
+
+  /**
+   * Aura step: only the step's proposer may seal; an offline proposer skips the step
+   */
+  async sealAuraStep() {
+    const number = this.head.number + 1;
+    const signers = this.snapshot.signers;
+    const proposer = this.authorities.get(signers[this.step % signers.length]);
+    this.step++;
+
+    await this.clock.advance(BLOCK_PERIOD);
+
+    if (!proposer.isOnline()) {
+      this.recordMissedSlot(number, proposer.address, "step proposer offline");
+      return null;
+    }
+    if (!this.canonicalSide(number).has(proposer.address)) {
+      this.sealOnPartitionFork(number, proposer);
+      this.recordMissedSlot(number, proposer.address, "step proposer partitioned");
+      return null;
+    }
+
+    return this.commitBlock(number, proposer, true, 0, this.propagationTime(proposer));
+  }
+
+  /**
+   * Time for a block sealed by `authority` to reach every other signer it can reach
+   */
+  propagationTime(authority) {
+    if (!this.network) return PROPAGATION_DELAY;
+    const recipients = this.snapshot.signers
+      .filter(address => address !== authority.address)
+      .map(address => this.authorities.get(address).index);
+    return this.network.broadcast(authority.index, recipients, BLOCK_MESSAGE_SIZE)
+      .reduce((latest, delay) => Math.max(latest, delay ?? 0), 0);
+  }
+
+  /**
+   * Signers that extend the canonical chain for `number`. While a network partition
+   * splits the signers, the side with the most signers (ties: the side holding the
+   * head's sealer) keeps the canonical chain and the others seal a fork that is
+   * reorganised away when the partition heals.
+   */
+  canonicalSide(number) {
+    const signers = this.snapshot.signers;
+    const groups = this.network
+      ? this.network.components(signers.map(address => this.authorities.get(address).index))
+      : [];
+
+    if (groups.length <= 1) {
+      if (this.partitionFork) this.abandonPartitionFork(number);
+      return new Set(signers);
+    }
+
+    const headSealer = this.head.sealer ? this.authorities.get(this.head.sealer).index : null;
+    const canonical = groups.reduce((best, group) =>
+      group.length > best.length || (group.length === best.length && group.includes(headSealer)) ? group : best);
+    const indices = new Set(canonical);
+    return new Set(signers.filter(address => indices.has(this.authorities.get(address).index)));
+  }
+
+  /**
+   * A cut-off signer seals on its side's fork. In Clique each signer may seal only
+   * once per signer-limit window, so the smaller side stalls after each of its
+   * signers has sealed once; Aura steps keep extending the fork.
+   */
+  sealOnPartitionFork(number, authority) {
+    if (!this.partitionFork) {
+      this.partitionFork = { number, timestamp: this.clock.now, blocks: 0, sealers: new Set() };
+    }
+    const fork = this.partitionFork;
+    if (ENGINE !== "aura" && fork.sealers.has(authority.address)) return;
+    fork.sealers.add(authority.address);
+    fork.blocks++;
+    authority.sideBlocks++;
+  }
+
+  /**
+   * The partition healed: the fork sealed by the cut-off side loses to the canonical chain
+   */
+  abandonPartitionFork(number) {
+    const fork = this.partitionFork;
+    this.partitionFork = null;
+    if (fork.blocks === 0) return;
+
+    measurements.forks.push({
+      number: fork.number,
+      timestamp: this.clock.now,
+      winner: this.head.sealer,
+      sealers: [...fork.sealers].map(signer => ({ signer, inTurn: false, delay: null })),
+      reorg: true,
+      partition: true,
+      depth: fork.blocks
+    });
+    console.log(`🔀 Partition healed before block ${number}: ${fork.blocks}-block fork from block ${fork.number} is reorganised away`);
+  }
+
+  commitBlock(number, authority, inTurn, sideBlocks, propagationTime = PROPAGATION_DELAY) {
+    // The sealer adds a vote for one of its open proposals
+    const openProposals = this.proposals.filter(p =>
+      this.snapshot.validVote(p.address, p.authorize) &&
+      !this.snapshot.votes.some(v => v.signer === authority.address && v.address === p.address)
+    );
+    const vote = openProposals.length > 0 ? this.rng.pick(openProposals) : null;
+
+    const block = {
+      number,
+      timestamp: this.clock.now,
+      sealer: authority.address,
+      inTurn,
+      difficulty: inTurn ? DIFF_IN_TURN : DIFF_NO_TURN,
+      signers: this.snapshot.signers.length,
+      vote: vote ? { address: vote.address, authorize: vote.authorize } : null,
+      transactions: this.pendingTransactions.map(tx => tx.hash),
+      sideBlocks,
+      propagationTime,
+      status: "sealed",
+      finalizedAt: null
+    };
+
+    authority.blocksSealed++;
+    if (inTurn) authority.inTurnBlocks++;
+    else authority.outOfTurnBlocks++;
+
+    this.totalDifficulty += block.difficulty;
+    this.head = block;
+    this.blocks.push(block);
+    measurements.blocks.push(block);
+
+    if (vote) {
+      measurements.votes.push({
+        block: number,
+        timestamp: this.clock.now,
+        signer: authority.address,
+        address: vote.address,
+        authorize: vote.authorize
+      });
+    }
+
+    const change = this.snapshot.apply(block);
+    if (change) {
+      measurements.authorityChanges.push({ block: number, timestamp: this.clock.now, ...change });
+      console.log(`🗳️ Authority ${change.authorize ? "added" : "dropped"}: ${change.address.substring(0, 10)}... ` +
+                  `(${change.votes} votes, ${change.signers} signers now)`);
+      this.recordSnapshot(`block-${number}`);
+    }
+
+    // Block announcement to every other authority, plus the losing seals
+    const peers = this.snapshot.signers.length - 1;
+    const totalMessages = peers * (1 + sideBlocks);
+    measurements.networkMessages.push({
+      blockNumber: number,
+      blockMessages: peers,
+      sideBlockMessages: peers * sideBlocks,
+      totalMessages,
+      messageSize: BLOCK_MESSAGE_SIZE,
+      totalBandwidth: totalMessages * BLOCK_MESSAGE_SIZE
+    });
+
+    console.log(`⛓️ Block ${number} sealed by ${authority.address.substring(0, 10)}... ` +
+                `(${inTurn ? "in-turn" : "out-of-turn"}, ${block.transactions.length} txs)`);
+
+    const included = this.pendingTransactions;
+    this.pendingTransactions = [];
+    this.unfinalized.push({ block, transactions: included });
+    this.updateFinality();
+
+    return block;
+  }
+
+  /**
+   * A block is final once floor(N/2)+1 distinct authorities (its own sealer
+   * included) have sealed on the chain through it: reverting it would need a
+   * majority of the authority set to sign a conflicting chain.
+   */
+  updateFinality() {
+    const chain = this.blocks;
+    const limit = this.snapshot.signerLimit();
+    this.unfinalized = this.unfinalized.filter(({ block, transactions }) => {
+      const distinctSealers = new Set(chain.slice(block.number - 1).map(b => b.sealer));
+      if (distinctSealers.size < limit) return true;
+
+      // Final once the last of those seals has propagated
+      block.finalizedAt = this.head.timestamp + this.head.propagationTime;
+      block.status = "finalized";
+      for (const tx of transactions) {
+        measurements.finalityTimes.push({
+          blockNumber: block.number,
+          txHash: tx.hash,
+          finalityTime: block.finalizedAt - tx.submittedAt,
+          confirmations: this.head.number - block.number,
+          timestamp: block.finalizedAt
+        });
+      }
+      return false;
+    });
+  }
+
+  recordMissedSlot(number, signer, reason) {
+    measurements.missedSlots.push({ number, timestamp: this.clock.now, signer, reason });
+    console.log(`⚠️ No block for height ${number}: ${reason}`);
+  }
+
+  recordSnapshot(label) {
+    measurements.signerSnapshots.push({
+      label,
+      timestamp: this.clock.now,
+      signers: [...this.snapshot.signers],
+      signerLimit: this.snapshot.signerLimit()
+    });
+  }
+}
+
+/**
+ * Runs the K-ETS workflow on a Clique/Aura authority chain
+ */
+async function runCliquePoAConsensus() {
+  console.log(`Starting ${measurements.consensusMechanism} consensus simulation...`);
+  console.log(`Simulation seed: ${rng.seed} (replay with SIM_SEED=${rng.seed})`);
+  measurements.startTime = clock.now;
+  measurements.wallClockStart = Date.now();
+
+  const signers = await ethers.getSigners();
+  const regulator = signers[0];
+  const authorityAccounts = signers.slice(1, 1 + INITIAL_SIGNERS + CANDIDATE_SIGNERS);
+  const industries = signers.slice(1 + INITIAL_SIGNERS + CANDIDATE_SIGNERS, 4 + INITIAL_SIGNERS + CANDIDATE_SIGNERS);
+
+  const authorities = authorityAccounts.map((account, index) =>
+    new Authority(account, index, rng.fork(`authority-${index}`)));
+
+  // Governance: admit the candidate authority and drop the least available genesis signer
+  const candidates = authorities.slice(INITIAL_SIGNERS);
+  const flakiest = authorities.slice(0, INITIAL_SIGNERS)
+    .reduce((worst, a) => (a.offlineProbability > worst.offlineProbability ? a : worst));
+  const proposals = [
+    ...candidates.map(a => ({ address: a.address, authorize: true })),
+    { address: flakiest.address, authorize: false }
+  ];
+
+  const network = networkFromEnv(clock, rng.fork("network"));
+  const chain = new PoAChain(authorities, proposals, rng.fork("sealing"), clock, INITIAL_SIGNERS, network);
+  if (network) console.log(`🌐 Network preset: ${network.preset} (${network.description})`);
+  console.log(`Engine: ${ENGINE}, ${chain.snapshot.signers.length} authorities, signer limit ${chain.snapshot.signerLimit()}`);
+  proposals.forEach(p => console.log(`Proposal: ${p.authorize ? "add" : "drop"} ${p.address.substring(0, 10)}...`));
+
+  measurements.networkInfo = {
+    consensusMechanism: measurements.consensusMechanism,
+    engine: ENGINE,
+    seed: rng.seed,
+    initialSigners: INITIAL_SIGNERS,
+    blockPeriod: BLOCK_PERIOD,
+    epochLength: EPOCH_LENGTH,
+    wiggleTime: WIGGLE_TIME,
+    propagationDelay: PROPAGATION_DELAY,
+    finalityRule: "floor(N/2)+1 distinct authorities sealed on top",
+    proposals
+  };
+
+  // Deploy the contract
+  const KETSFactory = await ethers.getContractFactory("KETSBlockchain", regulator);
+  const ketsContract = await KETSFactory.deploy();
+  await ketsContract.waitForDeployment();
+  measurements.contractAddress = await ketsContract.getAddress();
+  console.log(`Contract deployed at: ${measurements.contractAddress}`);
+
+  // Submit a transaction and wait for the authority chain to seal it
+  async function executeWithPoA(txPromise, action) {
+    try {
+      const submittedAt = clock.now;
+      const tx = await txPromise;
+      const receipt = await tx.wait();
+
+      chain.pendingTransactions.push({ hash: receipt.hash, submittedAt });
+      const block = await chain.sealNextBlock();
+
+      measurements.transactions.push({
+        hash: receipt.hash,
+        blockNumber: block.number,
+        gasUsed: receipt.gasUsed.toString(),
+        type: action,
+        sealer: block.sealer,
+        inTurn: block.inTurn,
+        inclusionTime: block.timestamp - submittedAt,
+        timestamp: clock.now
+      });
+      measurements.gasUsage.push({
+        txType: action,
+        gasUsed: receipt.gasUsed.toString(),
+        timestamp: clock.now
+      });
+
+      console.log(`✅ ${action}: gas ${receipt.gasUsed.toString()}, block ${block.number}`);
+      return receipt;
+    } catch (error) {
+      console.error(`❌ Error in ${action}:`, error.message);
+      return null;
+    }
+  }
+
+  // K-ETS workflow
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithPoA(
+      ketsContract.connect(industries[i]).registerIndustry(`Industry ${i + 1}`, i % 2 === 0),
+      `Register Industry ${i + 1}`
+    );
+  }
+
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithPoA(
+      ketsContract.connect(regulator).updateGHGEmissions(
+        industries[i].address, 0,
+        1000 * (i + 1), 50 * (i + 1), 30 * (i + 1), 20 * (i + 1), 10 * (i + 1), 5 * (i + 1)
+      ),
+      `Update Industry ${i + 1} Emissions`
+    );
+  }
+
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithPoA(
+      ketsContract.connect(regulator).freeAllocation(industries[i].address, 0, 1000 * (i + 1)),
+      `Allocate Free Credits to Industry ${i + 1}`
+    );
+  }
+
+  await executeWithPoA(
+    ketsContract.connect(regulator).createAuction(1000, ethers.parseEther("0.01")),
+    "Create Auction"
+  );
+
+  await executeWithPoA(
+    ketsContract.connect(regulator).finalizeAuction(),
+    "Finalize Auction"
+  );
+
+  await executeWithPoA(
+    ketsContract.connect(industries[0]).tradeCredits(industries[1].address, 0, 0, 50),
+    "Trade Credits"
+  );
+
+  // Keep sealing empty blocks so governance votes and finality play out
+  while (chain.head.number < TOTAL_BLOCKS) {
+    await chain.sealNextBlock();
+  }
+  if (network) measurements.network = network.summary();
+
+  measurements.endTime = clock.now;
+  measurements.wallClockDuration = Date.now() - measurements.wallClockStart;
+  measurements.authorities = authorities.map(a => ({
+    address: a.address,
+    authorized: chain.snapshot.isAuthorized(a.address),
+    offlineProbability: a.offlineProbability,
+    blocksSealed: a.blocksSealed,
+    inTurnBlocks: a.inTurnBlocks,
+    outOfTurnBlocks: a.outOfTurnBlocks,
+    sideBlocks: a.sideBlocks,
+    offlineSlots: a.offlineSlots
+  }));
+  measurements.summary = {
+    blocks: chain.head.number,
+    totalDifficulty: chain.totalDifficulty,
+    inTurnBlocks: measurements.blocks.filter(b => b.inTurn).length,
+    outOfTurnBlocks: measurements.blocks.filter(b => !b.inTurn).length,
+    forks: measurements.forks.length,
+    missedSlots: measurements.missedSlots.length,
+    authorityChanges: measurements.authorityChanges.length,
+    finalSigners: chain.snapshot.signers.length,
+    averageFinality: calculateAverageFinality()
+  };
+
+  saveMeasurements();
+
+  console.log(`\n📊 ${measurements.consensusMechanism} Summary`);
+  console.log(`Blocks: ${measurements.summary.blocks} (${measurements.summary.inTurnBlocks} in-turn, ${measurements.summary.outOfTurnBlocks} out-of-turn)`);
+  console.log(`Forks: ${measurements.summary.forks}, missed slots: ${measurements.summary.missedSlots}`);
+  console.log(`Authority changes: ${measurements.summary.authorityChanges}, signers now: ${measurements.summary.finalSigners}`);
+  console.log(`Average finality: ${measurements.summary.averageFinality.toFixed(0)}ms`);
+
+  return {
+    consensusMechanism: measurements.consensusMechanism,
+    seed: rng.seed,
+    transactionsProcessed: measurements.transactions.length,
+    averageFinality: measurements.summary.averageFinality,
+    totalDuration: measurements.endTime - measurements.startTime
+  };
+}
+
+/**
+ * Calculates the average transaction finality time
+ */
+function calculateAverageFinality() {
+  if (measurements.finalityTimes.length === 0) return 0;
+  return measurements.finalityTimes.reduce((sum, f) => sum + f.finalityTime, 0) / measurements.finalityTimes.length;
+}
+
+/**
+ * Saves measurement data to file
+ */
+function saveMeasurements() {
+  try {
+    fs.writeFileSync(LOG_FILE, JSON.stringify(measurements, null, 2), "utf8");
+    console.log(`Measurements saved to ${LOG_FILE}`);
+  } catch (error) {
+    console.error("Error saving measurements:", error);
+  }
+}
+
+// Run the simulation when called directly
+if (require.main === module) {
+  runCliquePoAConsensus()
+    .then(summary => {
+      console.log("Simulation Summary:", summary);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("Simulation failed:", error);
+      process.exit(1);
+    });
+} else {
+  module.exports = {
+    runCliquePoAConsensus,
+    AuthoritySet,
+    Authority,
+    PoAChain,
+    measurements,
+    BLOCK_PERIOD
+  };
+}
@@ -0,0 +1,1127 @@
+/**
+ * Consensus Model Interface and Registry
+ * Common interface over the consensus runners so the scaling, stress and
+ * comparison drivers can run any registered mechanism the same way:
+ *
+ *   const model = createConsensusModel("PBFT", { validatorCount: 7 });
+ *   model.initValidators(validatorAccounts);
+ *   const result = await model.finalizeBatch([{ hash, receipt, type }]);
+ *   console.log(model.getMetrics());
+ *   model.close();
+ *
+ * Every batch is ordered and finalized as one consensus instance (block) whose
+ * payload is the digest of the batch's transaction hashes. Models run on a
+ * simulated clock (see event-scheduler.js); pass `scheduler` to share it.
+ * Models whose class sets `networkAware` exchange messages through a
+ * NetworkModel (see network-model.js) when given `network`. With
+ * `faultyValidators` that many validators crash: they withhold every message
+ * or never take part. The class's `faultModel` names the faults the protocol
+ * is designed to tolerate. Models whose class sets
+ * `strategyAware` accept `byzantineStrategies`, assigning validators a
+ * strategy from byzantine-strategies.js by index, and those that set
+ * `crashRecoveryAware` accept `crashRecovery` (see crash-recovery.js).
+ * A `faultSchedule` (see fault-schedule.js) replays scripted events; its
+ * `block` counts the batches the model orders. Crash events need
+ * `crashRecoveryAware` or `scheduledCrashAware`, byzantine events
+ * `strategyAware`. PoA Square also takes a `reliabilityPolicy` (see
+ * reliability-policies.js).
+ */
+
+const crypto = require("crypto");
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+const { NetworkModel } = require("./network-model");
+const { CrashRecoveryModel } = require("./crash-recovery");
+const { FaultSchedule, usesFaultAction } = require("./fault-schedule");
+const { ReliabilityPolicy, createReliabilityPolicy } = require("./reliability-policies");
+const pbft = require("./pbft-runner");
+const poaSquare = require("./poa-square-runner");
+const dpos = require("./dpos-runner");
+const clique = require("./clique-poa-runner");
+const pow = require("./pow-mining-model");
+const tendermint = require("./tendermint-runner");
+const hotstuff = require("./hotstuff-runner");
+const raft = require("./raft-runner");
+const qbft = require("./qbft-runner");
+const casper = require("./casper-ffg-runner");
+
+const DEFAULT_VALIDATOR_COUNT = 4;
+const POA_SQUARE_ACTIVE_SHARE = 0.75; // Share of PoA Square validators that are active, the rest standby
+const POA_SQUARE_MAX_ATTEMPTS = 10; // Block slots a batch may wait through before it is reported unfinalized
+const DPOS_MAX_DELEGATES = 21; // Block producers elected from the validator set
+const DPOS_MAX_MISSED_SLOTS = 50; // Missed slots in a row before a DPoS batch is reported unfinalized
+const POA_MAX_SLOTS = 50; // Block periods a PoA batch may wait for finality before it is reported unfinalized
+const POW_CONFIRMATIONS = 6; // Blocks on top before a PoW batch counts as final
+const RAFT_ELECTION_DEADLINE = 30000; // ms of simulated time to wait for the first Raft leader
+const BLOCK_ANNOUNCEMENT_SIZE = 1024; // Bytes per block announcement (DPoS, PoW)
+// Fault given to faultyValidators in the BFT runners: withholding every message, which is a
+// crash fault. The runners' delayed and equivocating validators still deliver their real votes
+// to most peers, so they are not used; the Byzantine strategies cover equivocation.
+const WITHHOLDING_FAILURE_TYPES = ["crash"];
+
+// Seeded randomness (SIM_SEED / --seed) so runs can be replayed exactly
+const rng = createRandom();
+
+/**
+ * Digest of a batch: sha256 over its transaction hashes in order
+ */
+function batchDigest(transactions) {
+  return "0x" + crypto.createHash("sha256")
+    .update(transactions.map(tx => tx.hash).join(":"))
+    .digest("hex");
+}
+
+/**
+ * Message and byte totals of a runner's networkMessages log
+ * (runners record either messageCount/totalBytes or totalMessages/totalBandwidth)
+ */
+function networkTotals(entries) {
+  return entries.reduce((totals, entry) => {
+    totals.messages += entry.messageCount ?? entry.totalMessages ?? 0;
+    totals.bytes += entry.totalBytes ?? entry.totalBandwidth ?? 0;
+    return totals;
+  }, { messages: 0, bytes: 0 });
+}
+
+/**
+ * Fault counters from a runner's measurements log (viewChanges holds view,
+ * round or leader changes; only Raft records elections)
+ */
+function runnerFaultCounters(log) {
+  return {
+    safetyViolations: log.safetyViolations.length,
+    viewChanges: log.viewChanges.length,
+    elections: log.elections ? log.elections.length : 0,
+    forks: 0
+  };
+}
+
+/**
+ * Actions in a fault schedule a model class cannot apply: crashes need
+ * crashRecoveryAware or scheduledCrashAware, strategy switches strategyAware,
+ * partitions a network
+ */
+function unsupportedFaultActions(ModelClass, schedule, hasNetwork) {
+  const supported = {
+    crash: ModelClass.crashRecoveryAware || ModelClass.scheduledCrashAware,
+    byzantine: ModelClass.strategyAware,
+    partition: hasNetwork
+  };
+  return [...new Set(schedule.events.map(event => event.action))].filter(action => !supported[action]);
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Base class of every consensus model.
+ * Subclasses implement initValidators() and orderBatch(digest, transactions),
+ * and may override ready(), messageTotals(), faultCounters(), faultHandlers(),
+ * primaryIndex(), faultThreshold(), describe() and close().
+ */
+class ConsensusModel {
+  // Whether the model's messages can be routed through a NetworkModel
+  static networkAware = false;
+
+  // Faults the protocol is designed to tolerate: "byzantine" (BFT, whose faulty
+  // validators withhold every message) or "crash" (faulty validators never take part)
+  static faultModel = "crash";
+
+  // Whether validators can be assigned strategies from byzantine-strategies.js
+  static strategyAware = false;
+
+  // Whether validators can crash for a sampled time and catch up on rejoining
+  static crashRecoveryAware = false;
+
+  // Whether fault-schedule crash events can take validators down without the
+  // crash-recovery model (the runner's own crash handling)
+  static scheduledCrashAware = false;
+
+  /**
+   * @param {string} name - Registry name of the model
+   * @param {Object} [options]
+   * @param {number} [options.validatorCount] - Validators (miners for PoW) to run with
+   * @param {Object} [options.random] - SeededRandom instance
+   * @param {EventScheduler} [options.scheduler] - Simulated clock shared with the caller
+   * @param {string|NetworkModel} [options.network] - Network preset name or model on the same clock
+   * @param {Object} [options.gossip] - Peer topology settings for the network (topology, degree, fanout)
+   * @param {number} [options.faultyValidators] - Validators that fail every time; without it the runner's own fault injection applies
+   * @param {Object} [options.byzantineStrategies] - Strategy per validator index, e.g. { 0: "equivocation", 2: "collusion" }
+   * @param {boolean|Object} [options.crashRecovery] - Crash-recovery settings (crashProbability, minDowntime, ...), or true for the defaults
+   * @param {Object} [options.faultSchedule] - Parsed fault schedule (loadFaultSchedule); times count from the first batch
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.protocol = name;
+    this.validatorCount = options.validatorCount || DEFAULT_VALIDATOR_COUNT;
+    this.random = options.random || rng.fork(`${name}-${this.validatorCount}`);
+    this.clock = options.scheduler || new EventScheduler(Date.now());
+    this.network = this.createNetwork(options.network, options.gossip);
+    this.faultyValidators = options.faultyValidators ?? null;
+    if (this.faultyValidators !== null && !(Number.isInteger(this.faultyValidators) && this.faultyValidators >= 0)) {
+      throw new Error(`${this.name} model: faultyValidators must be a non-negative integer`);
+    }
+    if (this.faultyValidators > this.validatorCount) this.faultyValidators = this.validatorCount;
+    this.byzantineStrategies = options.byzantineStrategies || null;
+    if (this.byzantineStrategies && !this.constructor.strategyAware) {
+      throw new Error(`${this.name} model does not support Byzantine strategies`);
+    }
+    this.schedule = options.faultSchedule || null;
+    if (this.schedule) this.checkFaultSchedule(this.schedule);
+    // Scheduled crashes go through the recovery model where the model has one
+    this.recovery = this.createRecovery(options.crashRecovery ||
+      (this.constructor.crashRecoveryAware && this.schedule && usesFaultAction(this.schedule, "crash") ? { crashProbability: 0 } : null));
+    this.faultSchedule = null; // FaultSchedule, attached when the first batch starts
+    this.blockInterval = null; // Nominal block time in ms
+    this.batches = [];
+    this.faultBaseline = null; // faultCounters() before the first batch
+    this.initialized = false;
+  }
+
+  createNetwork(network, gossip = {}) {
+    if (!network) {
+      if (gossip.topology || gossip.fanout) throw new Error(`${this.name} model: gossip settings need a network preset`);
+      return null;
+    }
+    if (!this.constructor.networkAware) {
+      throw new Error(`${this.name} model does not exchange messages through a network model`);
+    }
+    if (network instanceof NetworkModel) return network;
+    return new NetworkModel({
+      preset: network,
+      scheduler: this.clock,
+      random: this.random.fork("network"),
+      nodeCount: this.validatorCount,
+      ...gossip
+    });
+  }
+
+  createRecovery(settings) {
+    if (!settings) return null;
+    if (!this.constructor.crashRecoveryAware) {
+      throw new Error(`${this.name} model does not model crash recovery`);
+    }
+    return new CrashRecoveryModel({
+      ...(settings === true ? {} : settings),
+      scheduler: this.clock,
+      random: this.random.fork("crash-recovery"),
+      network: this.network
+    });
+  }
+
+  /**
+   * Reject schedules with events the model cannot apply, before any batch runs
+   */
+  checkFaultSchedule(schedule) {
+    const unsupported = unsupportedFaultActions(this.constructor, schedule, this.network !== null);
+    if (unsupported.length > 0) {
+      throw new Error(`${this.name} model cannot apply ${unsupported.join(" and ")} events from fault schedule ${schedule.name}` +
+        (unsupported.includes("partition") && this.constructor.networkAware ? " (partitions need a network preset)" : ""));
+    }
+  }
+
+  /**
+   * Runner callbacks for scheduled crash and byzantine events (models that set
+   * crashRecoveryAware, scheduledCrashAware or strategyAware provide them)
+   */
+  faultHandlers() {
+    return {};
+  }
+
+  /**
+   * Indices of the validators picked to be faulty, from a stream of their own
+   * so the pick does not shift the rest of the run
+   */
+  faultyIndices() {
+    const faultRandom = this.random.fork("faulty-validators");
+    const indices = [...Array(this.validatorCount).keys()];
+    for (let i = 0; i < (this.faultyValidators || 0); i++) {
+      const j = i + faultRandom.nextInt(indices.length - i);
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, this.faultyValidators || 0);
+  }
+
+  /**
+   * Options for a BFT runner's faulty validators: the requested number, each
+   * crashed so it withholds every message (the runner's defaults without faultyValidators)
+   */
+  byzantineOptions() {
+    if (this.faultyValidators === null) return {};
+    return { byzantineCount: this.faultyValidators, failureProbability: 1, byzantineTypes: WITHHOLDING_FAILURE_TYPES };
+  }
+
+  /**
+   * Set up the validator set from signer accounts (at least validatorCount of them)
+   */
+  initValidators(accounts) {
+    throw new Error(`${this.name} model does not implement initValidators()`);
+  }
+
+  /**
+   * Run one consensus instance over the batch digest.
+   * Resolves to { success, finalityTime?, details? }.
+   */
+  async orderBatch(digest, transactions) {
+    throw new Error(`${this.name} model does not implement orderBatch()`);
+  }
+
+  /**
+   * Wait for the model to be able to accept work (e.g. a leader elected)
+   */
+  async ready() {}
+
+  /**
+   * Cumulative consensus messages and bytes sent by the model so far
+   */
+  messageTotals() {
+    return { messages: 0, bytes: 0 };
+  }
+
+  /**
+   * Cumulative safety violations, view/round changes, leader elections and
+   * forks recorded by the underlying runner so far
+   */
+  faultCounters() {
+    return { safetyViolations: 0, viewChanges: 0, elections: 0, forks: 0 };
+  }
+
+  /**
+   * Node index of the current primary, leader or proposer, or null if the protocol has none
+   */
+  primaryIndex() {
+    return null;
+  }
+
+  /**
+   * Most faulty validators the protocol is designed to tolerate, or null if it has no fixed bound
+   */
+  faultThreshold() {
+    return null;
+  }
+
+  /**
+   * Model-specific configuration for reports
+   */
+  describe() {
+    return {};
+  }
+
+  /**
+   * Stop timers and flush any buffered measurements
+   */
+  close() {}
+
+  /**
+   * Order and finalize a batch of transactions ({ hash, receipt?, type? })
+   */
+  async finalizeBatch(transactions) {
+    if (!this.initialized) {
+      throw new Error(`${this.name} model: initValidators() must be called before finalizeBatch()`);
+    }
+    if (transactions.length === 0) {
+      throw new Error(`${this.name} model: cannot finalize an empty batch`);
+    }
+
+    if (!this.faultBaseline) this.faultBaseline = this.faultCounters();
+    if (this.schedule && !this.faultSchedule) {
+      this.faultSchedule = new FaultSchedule(this.schedule, {
+        scheduler: this.clock,
+        nodeCount: this.validatorCount,
+        network: this.network,
+        handlers: this.faultHandlers(),
+        runner: `${this.name} model`
+      });
+    }
+    if (this.faultSchedule) this.faultSchedule.onBlock(this.batches.length + 1);
+    await this.ready();
+    const digest = batchDigest(transactions);
+    const startedAt = this.clock.now;
+    const before = this.messageTotals();
+    const outcome = await this.orderBatch(digest, transactions);
+    const after = this.messageTotals();
+
+    const result = {
+      batch: this.batches.length + 1,
+      digest,
+      size: transactions.length,
+      success: outcome.success,
+      finalityTime: outcome.success ? (outcome.finalityTime ?? this.clock.now - startedAt) : null,
+      startedAt,
+      finishedAt: this.clock.now,
+      messages: after.messages - before.messages,
+      bytes: after.bytes - before.bytes,
+      details: outcome.details || {}
+    };
+    this.batches.push(result);
+    return result;
+  }
+
+  getMetrics() {
+    const finalized = this.batches.filter(batch => batch.success);
+    const finalityTimes = finalized.map(batch => batch.finalityTime);
+    const transactions = this.batches.reduce((sum, batch) => sum + batch.size, 0);
+    const finalizedTransactions = finalized.reduce((sum, batch) => sum + batch.size, 0);
+    const simulatedDuration = this.batches.length > 0
+      ? this.batches[this.batches.length - 1].finishedAt - this.batches[0].startedAt
+      : 0;
+    const counters = this.faultCounters();
+    const faults = Object.fromEntries(Object.entries(counters).map(([key, value]) =>
+      [key, value - (this.faultBaseline ? this.faultBaseline[key] : value)]
+    ));
+
+    return {
+      model: this.name,
+      protocol: this.protocol,
+      validatorCount: this.validatorCount,
+      blockInterval: this.blockInterval,
+      batches: this.batches.length,
+      finalizedBatches: finalized.length,
+      transactions,
+      finalizedTransactions,
+      successRate: this.batches.length > 0 ? finalized.length / this.batches.length : 0,
+      averageFinality: average(finalityTimes),
+      minFinality: finalityTimes.length > 0 ? Math.min(...finalityTimes) : null,
+      maxFinality: finalityTimes.length > 0 ? Math.max(...finalityTimes) : null,
+      messagesPerBatch: average(this.batches.map(batch => batch.messages)),
+      bytesPerBatch: average(this.batches.map(batch => batch.bytes)),
+      simulatedDuration,
+      throughput: simulatedDuration > 0 ? finalizedTransactions / (simulatedDuration / 1000) : 0,
+      network: this.network ? this.network.summary() : null,
+      faultModel: this.constructor.faultModel,
+      faultyValidators: this.faultyValidators,
+      faultThreshold: this.faultThreshold(),
+      faults,
+      recovery: this.recovery ? this.recovery.summary() : null,
+      faultSchedule: this.faultSchedule ? this.faultSchedule.summary() : null,
+      ...this.describe()
+    };
+  }
+}
+
+/**
+ * PBFT: three-phase commit with view changes (pbft-runner.js)
+ */
+class PBFTModel extends ConsensusModel {
+  static networkAware = true;
+  static faultModel = "byzantine";
+  static strategyAware = true;
+  static crashRecoveryAware = true;
+
+  constructor(options) {
+    super("PBFT", options);
+    this.blockInterval = pbft.BLOCK_TIME;
+  }
+
+  initValidators(accounts) {
+    this.consensus = new pbft.PBFTConsensus(accounts.slice(0, this.validatorCount), this.random, this.clock, {
+      network: this.network,
+      strategies: this.byzantineStrategies,
+      crashRecovery: this.recovery,
+      ...this.byzantineOptions()
+    });
+    this.initialized = true;
+  }
+
+  async orderBatch(digest, transactions) {
+    const last = transactions[transactions.length - 1];
+    const receipt = last.receipt || { blockNumber: null };
+    const result = await this.consensus.runConsensus(digest, receipt);
+    return {
+      success: result.success,
+      finalityTime: result.totalTime,
+      details: { view: result.view, viewChanges: result.viewChanges }
+    };
+  }
+
+  messageTotals() {
+    return networkTotals(pbft.measurements.networkMessages);
+  }
+
+  faultCounters() {
+    return runnerFaultCounters(pbft.measurements);
+  }
+
+  faultHandlers() {
+    return this.consensus.faultHandlers();
+  }
+
+  primaryIndex() {
+    return this.consensus.getPrimary().index;
+  }
+
+  faultThreshold() {
+    return this.consensus.f;
+  }
+
+  describe() {
+    return { maxFaultyNodes: this.consensus.f, minHealthyNodes: this.consensus.validators.length - this.consensus.f };
+  }
+}
+
+/**
+ * PoA Square: reliability-weighted square voting with standby replacement (poa-square-runner.js)
+ */
+class PoASquareModel extends ConsensusModel {
+  static networkAware = true;
+  static strategyAware = true;
+  static crashRecoveryAware = true;
+
+  /**
+   * @param {Object} [options] - ConsensusModel options, plus
+   * @param {string|Object|ReliabilityPolicy} [options.reliabilityPolicy] - Policy name, { policy, ...settings } or a policy
+   */
+  constructor(options = {}) {
+    super("PoASquare", options);
+    this.protocol = "PoA Square";
+    this.blockInterval = poaSquare.BLOCK_TIME;
+    const policy = options.reliabilityPolicy;
+    if (policy instanceof ReliabilityPolicy) {
+      this.reliabilityPolicy = policy;
+    } else if (policy && typeof policy === "object") {
+      const { policy: name, ...settings } = policy;
+      this.reliabilityPolicy = createReliabilityPolicy(name, settings);
+    } else {
+      this.reliabilityPolicy = createReliabilityPolicy(policy); // The linear policy when unset
+    }
+  }
+
+  initValidators(accounts) {
+    this.activeCount = Math.max(1, Math.ceil(this.validatorCount * POA_SQUARE_ACTIVE_SHARE));
+    this.manager = new poaSquare.ValidatorManager(
+      accounts.slice(0, this.validatorCount), this.random, this.activeCount, this.clock, this.faultyIndices(),
+      this.byzantineStrategies, this.recovery, this.reliabilityPolicy
+    );
+    this.initialized = true;
+  }
+
+  async orderBatch(digest) {
+    const submittedAt = this.clock.now;
+    for (let attempt = 1; attempt <= POA_SQUARE_MAX_ATTEMPTS; attempt++) {
+      const finalityTime = await poaSquare.simulatePoASquareConsensus(digest, this.manager, this.clock, this.network);
+      this.manager.processValidatorStatus();
+      if (finalityTime !== null) {
+        return { success: true, finalityTime: this.clock.now - submittedAt, details: { attempts: attempt } };
+      }
+    }
+    return { success: false, details: { attempts: POA_SQUARE_MAX_ATTEMPTS } };
+  }
+
+  messageTotals() {
+    return networkTotals(poaSquare.measurements.networkMessages);
+  }
+
+  faultCounters() {
+    return { safetyViolations: poaSquare.measurements.safetyViolations.length, viewChanges: 0, elections: 0, forks: 0 };
+  }
+
+  faultHandlers() {
+    return this.manager.faultHandlers();
+  }
+
+  primaryIndex() {
+    return this.manager.selectPrimary(this.manager.nextBlockNumber()).index;
+  }
+
+  describe() {
+    return {
+      activeValidators: this.manager.getActiveValidators().length,
+      standbyValidators: this.manager.getStandbyValidators().length,
+      reliability: this.manager.replacementSummary()
+    };
+  }
+}
+
+/**
+ * DPoS: elected delegates produce blocks in shuffled slots (dpos-runner.js).
+ * A batch is final once a delegate produces the block carrying it. With a network
+ * model the block is broadcast to the other delegates and is final once more than
+ * two-thirds of them have it; a block that cannot reach that many is orphaned.
+ */
+class DPoSModel extends ConsensusModel {
+  static networkAware = true;
+
+  constructor(options) {
+    super("DPoS", options);
+    this.blockInterval = dpos.BLOCK_TIME;
+    this.slot = 0;
+    this.messages = 0;
+    this.orphanedBlocks = 0;
+  }
+
+  initValidators(accounts) {
+    const candidates = accounts.slice(0, this.validatorCount);
+    this.election = new dpos.DelegateElection(candidates, this.random, Math.min(DPOS_MAX_DELEGATES, candidates.length));
+    // Faulty delegates miss every slot they are scheduled for
+    this.faultyIndices().forEach(index => { this.election.candidates[index].missProbability = 1; });
+    this.production = this.random.fork("production");
+    this.initialized = true;
+  }
+
+  /**
+   * Advance to the end of the next production slot, electing and reshuffling
+   * at round boundaries the same way the DPoS runner does
+   */
+  async nextSlot() {
+    const delegateCount = this.election.delegateCount;
+    if (this.slot % delegateCount === 0) {
+      if (this.election.round % dpos.ROUNDS_PER_EPOCH === 0) {
+        this.election.elect(this.clock.now);
+      }
+      this.election.shuffleSchedule(this.clock.now);
+    }
+
+    const producer = this.election.schedule[this.slot % delegateCount];
+    this.slot++;
+    await this.clock.advance(dpos.BLOCK_TIME);
+
+    const missed = this.production.chance(producer.missProbability);
+    if (missed) {
+      this.election.recordMissedBlock(producer, this.slot, this.clock.now);
+      return { producer, missed, confirmation: null };
+    }
+    producer.blocksProduced++;
+    if (!this.network) {
+      this.messages += delegateCount - 1;
+      return { producer, missed, confirmation: 0 };
+    }
+    const { delivered, confirmation } = dpos.broadcastBlock(this.network, producer, this.election.delegates);
+    this.messages += delivered;
+    if (confirmation === null) this.orphanedBlocks++;
+    return { producer, missed, confirmation };
+  }
+
+  async orderBatch() {
+    const submittedAt = this.clock.now;
+    let missedSlots = 0;
+    let orphaned = 0;
+    while (missedSlots + orphaned < DPOS_MAX_MISSED_SLOTS) {
+      const { producer, missed, confirmation } = await this.nextSlot();
+      if (confirmation !== null) {
+        return {
+          success: true,
+          finalityTime: this.clock.now + confirmation - submittedAt,
+          details: { producer: producer.address, slot: this.slot, missedSlots, orphaned }
+        };
+      }
+      if (missed) missedSlots++;
+      else orphaned++;
+    }
+    return { success: false, details: { slot: this.slot, missedSlots, orphaned } };
+  }
+
+  messageTotals() {
+    return { messages: this.messages, bytes: this.messages * BLOCK_ANNOUNCEMENT_SIZE };
+  }
+
+  faultCounters() {
+    return { safetyViolations: 0, viewChanges: 0, elections: 0, forks: this.orphanedBlocks };
+  }
+
+  /**
+   * Delegate scheduled for the next slot, or null before the first round is shuffled
+   */
+  primaryIndex() {
+    const schedule = this.election.schedule;
+    return schedule.length > 0 ? schedule[this.slot % schedule.length].index : null;
+  }
+
+  describe() {
+    return {
+      blockProducers: this.election.delegateCount,
+      epochs: this.election.epoch,
+      missedBlocks: this.election.missedBlocks.length
+    };
+  }
+}
+
+/**
+ * PoA: Clique/Aura authority chain (clique-poa-runner.js).
+ * A batch is final once a majority of authorities has sealed on top of its block.
+ */
+class PoAModel extends ConsensusModel {
+  static networkAware = true;
+
+  constructor(options) {
+    super("PoA", options);
+    this.blockInterval = clique.BLOCK_PERIOD;
+  }
+
+  initValidators(accounts) {
+    const failed = this.faultyIndices();
+    const authorities = accounts.slice(0, this.validatorCount).map((account, index) =>
+      new clique.Authority(account, index, this.random.fork(`authority-${index}`), failed.includes(index))
+    );
+    this.chain = new clique.PoAChain(
+      authorities, [], this.random.fork("chain"), this.clock, authorities.length, this.network
+    );
+    this.initialized = true;
+  }
+
+  async orderBatch(digest) {
+    const submittedAt = this.clock.now;
+    const deadline = submittedAt + POA_MAX_SLOTS * this.blockInterval;
+    this.chain.pendingTransactions.push({ hash: digest, submittedAt });
+    const block = await this.chain.sealNextBlock(deadline);
+    while (block && block.status !== "finalized") {
+      if (!await this.chain.sealNextBlock(deadline)) break;
+    }
+    if (!block || block.status !== "finalized") {
+      return { success: false, details: { block: block ? block.number : null } };
+    }
+    return {
+      success: true,
+      finalityTime: block.finalizedAt - submittedAt,
+      details: { block: block.number, sealer: block.sealer, inTurn: block.inTurn }
+    };
+  }
+
+  messageTotals() {
+    return networkTotals(clique.measurements.networkMessages);
+  }
+
+  faultCounters() {
+    return { safetyViolations: 0, viewChanges: 0, elections: 0, forks: clique.measurements.forks.length };
+  }
+
+  /**
+   * In-turn signer of the next block
+   */
+  primaryIndex() {
+    const signers = this.chain.snapshot.signers;
+    return this.chain.authorities.get(signers[(this.chain.head.number + 1) % signers.length]).index;
+  }
+
+  /**
+   * Finality needs signerLimit distinct sealers, so the rest of the signers may be down
+   */
+  faultThreshold() {
+    return this.chain.snapshot.signers.length - this.chain.snapshot.signerLimit();
+  }
+
+  describe() {
+    return { signers: this.chain.snapshot.signers.length, signerLimit: this.chain.snapshot.signerLimit() };
+  }
+}
+
+/**
+ * PoW: Poisson mining with propagation delay and forks (pow-mining-model.js).
+ * Validators are miners; a batch is final after POW_CONFIRMATIONS blocks.
+ */
+class PoWModel extends ConsensusModel {
+  static networkAware = true;
+
+  constructor(options = {}) {
+    super("PoW", options);
+    this.blockInterval = pow.TARGET_BLOCK_TIME;
+    this.confirmations = options.confirmations || POW_CONFIRMATIONS;
+  }
+
+  initValidators(accounts) {
+    const hashShares = accounts.slice(0, this.validatorCount).map((_, index) =>
+      pow.DEFAULT_HASH_SHARES[index % pow.DEFAULT_HASH_SHARES.length]
+    );
+    this.mining = new pow.PoWMiningModel({
+      hashShares, offlineMiners: this.faultyIndices(), random: this.random, scheduler: this.clock, network: this.network
+    });
+    this.initialized = true;
+  }
+
+  async orderBatch(digest) {
+    this.mining.submitTransaction(digest);
+    const inclusion = await this.mining.waitForInclusion(digest, this.confirmations);
+    if (!inclusion) return { success: false };
+    return {
+      success: true,
+      finalityTime: inclusion.confirmationTime,
+      details: { inclusionTime: inclusion.inclusionTime, confirmations: inclusion.confirmations }
+    };
+  }
+
+  /**
+   * Forks are reorgs of the observer's chain; a reorg at least as deep as the
+   * confirmation depth reverts batches already reported final
+   */
+  faultCounters() {
+    const reorgs = this.mining.reorgEvents.filter(event => event.node === this.mining.observer.label);
+    return {
+      safetyViolations: reorgs.filter(event => event.depth >= this.confirmations).length,
+      viewChanges: 0,
+      elections: 0,
+      forks: reorgs.length
+    };
+  }
+
+  messageTotals() {
+    const blocksMined = this.mining.blocks.size - 1;
+    const messages = blocksMined * (this.mining.nodes.length - 1);
+    return { messages, bytes: messages * BLOCK_ANNOUNCEMENT_SIZE };
+  }
+
+  describe() {
+    const summary = this.mining.summary();
+    return { requiredConfirmations: this.confirmations, orphanRate: summary.orphanRate };
+  }
+
+  close() {
+    this.mining.stop();
+  }
+}
+
+/**
+ * Tendermint: propose/prevote/precommit with locking (tendermint-runner.js)
+ */
+class TendermintModel extends ConsensusModel {
+  static networkAware = true;
+  static faultModel = "byzantine";
+  static scheduledCrashAware = true;
+
+  constructor(options) {
+    super("Tendermint", options);
+    this.blockInterval = tendermint.BLOCK_TIME;
+  }
+
+  initValidators(accounts) {
+    this.consensus = new tendermint.TendermintConsensus(accounts.slice(0, this.validatorCount), this.random, this.clock, {
+      network: this.network,
+      ...this.byzantineOptions()
+    });
+    this.initialized = true;
+  }
+
+  async orderBatch(digest, transactions) {
+    const last = transactions[transactions.length - 1];
+    const result = await this.consensus.runConsensus(digest, last.receipt || { blockNumber: null });
+    // First quorum commit, like the other BFT models; heightTime runs until every correct validator has the block
+    return {
+      success: result.success,
+      finalityTime: result.totalTime,
+      details: { round: result.round, heightTime: result.heightTime, allDecided: result.allDecided }
+    };
+  }
+
+  messageTotals() {
+    return networkTotals(tendermint.measurements.networkMessages);
+  }
+
+  faultCounters() {
+    return runnerFaultCounters(tendermint.measurements);
+  }
+
+  faultHandlers() {
+    return this.consensus.faultHandlers();
+  }
+
+  primaryIndex() {
+    const state = this.consensus.heightState;
+    return state && state.proposers.length > 0 ? state.proposers[state.proposers.length - 1].index : null;
+  }
+
+  faultThreshold() {
+    return this.consensus.f;
+  }
+}
+
+/**
+ * Chained HotStuff: leader-collected QCs with a three-chain commit (hotstuff-runner.js)
+ */
+class HotStuffModel extends ConsensusModel {
+  static networkAware = true;
+  static faultModel = "byzantine";
+  static scheduledCrashAware = true;
+
+  constructor(options) {
+    super("HotStuff", options);
+    this.blockInterval = hotstuff.BLOCK_TIME;
+  }
+
+  initValidators(accounts) {
+    this.consensus = new hotstuff.HotStuffConsensus(accounts.slice(0, this.validatorCount), this.random, this.clock, {
+      network: this.network,
+      ...this.byzantineOptions()
+    });
+    this.initialized = true;
+  }
+
+  async orderBatch(digest) {
+    const result = await this.consensus.runConsensus(digest);
+    return { success: result.success, finalityTime: result.totalTime, details: { view: result.view } };
+  }
+
+  /**
+   * HotStuff only flushes message counts when it finalizes, so count its per-view stats
+   */
+  messageTotals() {
+    const totals = { messages: 0, bytes: 0 };
+    for (const stats of this.consensus.viewStats.values()) {
+      for (const { count, bytes } of Object.values(stats.messages)) {
+        totals.messages += count;
+        totals.bytes += bytes;
+      }
+    }
+    return totals;
+  }
+
+  faultCounters() {
+    return runnerFaultCounters(hotstuff.measurements);
+  }
+
+  faultHandlers() {
+    return this.consensus.faultHandlers();
+  }
+
+  primaryIndex() {
+    return this.consensus.leaderOf(this.consensus.currentView).index;
+  }
+
+  faultThreshold() {
+    return this.consensus.f;
+  }
+
+  describe() {
+    return { maxFaultyNodes: this.consensus.f, quorum: this.consensus.quorum };
+  }
+
+  close() {
+    this.consensus.finalize();
+  }
+}
+
+/**
+ * Raft: crash-fault-tolerant leader-based log replication (raft-runner.js)
+ */
+class RaftModel extends ConsensusModel {
+  static networkAware = true;
+  static scheduledCrashAware = true;
+
+  constructor(options) {
+    super("Raft", options);
+    this.blockInterval = raft.BLOCK_TIME;
+  }
+
+  initValidators(accounts) {
+    this.consensus = new raft.RaftConsensus(accounts.slice(0, this.validatorCount), this.random, this.clock, {
+      network: this.network,
+      failedNodes: this.faultyIndices()
+    });
+    this.initialized = true;
+  }
+
+  async ready() {
+    if (this.batches.length > 0) return;
+    await this.clock.advanceUntil(() => this.consensus.currentLeader() !== null, this.clock.now + RAFT_ELECTION_DEADLINE);
+  }
+
+  async orderBatch(digest) {
+    const result = await this.consensus.runConsensus(digest);
+    return { success: result.success, finalityTime: result.totalTime, details: { term: result.term } };
+  }
+
+  messageTotals() {
+    return networkTotals(raft.measurements.networkMessages);
+  }
+
+  faultCounters() {
+    return runnerFaultCounters(raft.measurements);
+  }
+
+  faultHandlers() {
+    return this.consensus.faultHandlers();
+  }
+
+  primaryIndex() {
+    const leader = this.consensus.currentLeader();
+    return leader ? leader.index : null;
+  }
+
+  faultThreshold() {
+    return this.consensus.f;
+  }
+
+  describe() {
+    return { majority: this.consensus.majority, maxTolerableCrashes: this.consensus.f };
+  }
+
+  close() {
+    this.consensus.stop();
+  }
+}
+
+/**
+ * QBFT: IBFT-family rounds with justified proposals (qbft-runner.js)
+ */
+class QBFTModel extends ConsensusModel {
+  static networkAware = true;
+  static faultModel = "byzantine";
+  static scheduledCrashAware = true;
+
+  constructor(options) {
+    super("QBFT", options);
+    this.blockInterval = qbft.BLOCK_PERIOD;
+  }
+
+  initValidators(accounts) {
+    this.consensus = new qbft.QBFTConsensus(accounts.slice(0, this.validatorCount), [], this.random, this.clock, {
+      network: this.network,
+      ...this.byzantineOptions()
+    });
+    this.initialized = true;
+  }
+
+  async orderBatch(digest) {
+    const result = await this.consensus.runConsensus(digest);
+    return { success: result.success, finalityTime: result.totalTime, details: { round: result.round } };
+  }
+
+  messageTotals() {
+    return networkTotals(qbft.measurements.networkMessages);
+  }
+
+  faultCounters() {
+    return runnerFaultCounters(qbft.measurements);
+  }
+
+  faultHandlers() {
+    return this.consensus.faultHandlers();
+  }
+
+  primaryIndex() {
+    return this.consensus.heightState ? this.consensus.proposerFor(this.consensus.currentRound).index : null;
+  }
+
+  faultThreshold() {
+    return Math.floor((this.consensus.validators.length - 1) / 3);
+  }
+}
+
+/**
+ * Casper FFG: stake-weighted checkpoint finality over a slot-based chain (casper-ffg-runner.js)
+ */
+class CasperFFGModel extends ConsensusModel {
+  static networkAware = true;
+  static faultModel = "byzantine";
+
+  /**
+   * @param {Object} [options] - ConsensusModel options, plus `outage: false` to skip the runner's scripted stake outage
+   */
+  constructor(options = {}) {
+    super("CasperFFG", options);
+    this.protocol = "Casper FFG";
+    this.blockInterval = casper.SLOT_TIME;
+    this.outage = options.outage ?? true;
+  }
+
+  initValidators(accounts) {
+    this.consensus = new casper.CasperFFGConsensus(accounts.slice(0, this.validatorCount), this.random, this.clock, {
+      network: this.network,
+      outage: this.outage,
+      ...this.byzantineOptions()
+    });
+    this.consensus.start();
+    this.initialized = true;
+  }
+
+  async orderBatch(digest) {
+    this.consensus.submitTransaction(digest);
+    const result = await this.consensus.awaitFinality(digest);
+    return {
+      success: result.success,
+      finalityTime: result.finalityTime,
+      details: { slot: result.slot, finalizedEpoch: result.finalizedEpoch }
+    };
+  }
+
+  messageTotals() {
+    return networkTotals(casper.measurements.networkMessages);
+  }
+
+  /**
+   * Validator count standing in for the one-third stake bound (stakes differ per validator)
+   */
+  faultThreshold() {
+    return Math.floor((this.consensus.validators.length - 1) / 3);
+  }
+
+  describe() {
+    return { totalStake: this.consensus.totalActiveBalance(), finalizedEpoch: this.consensus.finalized.epoch };
+  }
+
+  close() {
+    this.consensus.stop();
+  }
+}
+
+// Registry: model name -> ConsensusModel subclass
+const registry = new Map();
+
+/**
+ * Register a ConsensusModel subclass under a name
+ */
+function registerConsensusModel(name, ModelClass) {
+  if (!(ModelClass.prototype instanceof ConsensusModel)) {
+    throw new Error(`Consensus model ${name} must extend ConsensusModel`);
+  }
+  if (registry.has(name)) {
+    throw new Error(`Consensus model ${name} is already registered`);
+  }
+  registry.set(name, ModelClass);
+}
+
+/**
+ * Create a registered model by name
+ */
+function createConsensusModel(name, options = {}) {
+  const ModelClass = registry.get(name);
+  if (!ModelClass) {
+    throw new Error(`Unknown consensus model: ${name} (registered: ${listConsensusModels().join(", ")})`);
+  }
+  return new ModelClass(options);
+}
+
+function hasConsensusModel(name) {
+  return registry.has(name);
+}
+
+function listConsensusModels() {
+  return [...registry.keys()];
+}
+
+/**
+ * Whether a registered model accepts the `network` option
+ */
+function isNetworkAwareModel(name) {
+  return registry.has(name) && registry.get(name).networkAware;
+}
+
+/**
+ * Fault-schedule actions a registered model cannot apply (partitions count as
+ * supported for network-aware models, which then need a network preset)
+ */
+function faultScheduleGaps(name, schedule) {
+  const ModelClass = registry.get(name);
+  if (!ModelClass) throw new Error(`Unknown consensus model: ${name}`);
+  return unsupportedFaultActions(ModelClass, schedule, ModelClass.networkAware);
+}
+
+registerConsensusModel("PoASquare", PoASquareModel);
+registerConsensusModel("PBFT", PBFTModel);
+registerConsensusModel("DPoS", DPoSModel);
+registerConsensusModel("PoA", PoAModel);
+registerConsensusModel("PoW", PoWModel);
+registerConsensusModel("Tendermint", TendermintModel);
+registerConsensusModel("HotStuff", HotStuffModel);
+registerConsensusModel("Raft", RaftModel);
+registerConsensusModel("QBFT", QBFTModel);
+registerConsensusModel("CasperFFG", CasperFFGModel);
+
+module.exports = {
+  ConsensusModel,
+  registerConsensusModel,
+  createConsensusModel,
+  hasConsensusModel,
+  listConsensusModels,
+  isNetworkAwareModel,
+  faultScheduleGaps,
+  batchDigest
+};
@@ -0,0 +1,183 @@
+/**
+ * Crash-Recovery Test for Consensus Mechanisms
+ * Runs the standard transaction sequence through the models that support
+ * crash recovery with validators going down at increasing rates. Each crashed
+ * validator stays down for a sampled time, then catches up by state transfer
+ * or block sync before it takes part again (see crash-recovery.js). Reports
+ * recovery time, bytes transferred and how much throughput the committee
+ * loses, overall and while validators are out, as the mean, standard
+ * deviation and range over several seeded runs per crash probability.
+ */
+const { testConsensusModel } = require("./validator-scaling-test");
+const { saveTestResults } = require("./test-utils");
+const { CRASH_RECOVERY_DEFAULTS } = require("./crash-recovery");
+const { createRandom } = require("./seeded-random");
+
+// Chance per validator per block of crashing; 0 is the baseline without crashes
+const DEFAULT_CRASH_PROBABILITIES = [0, 0.02, 0.05, 0.1];
+
+const DEFAULT_VALIDATOR_COUNT = 7;
+
+// Seeded runs per model and crash probability; one standard sequence is too few
+// blocks for the crashes to average out. CRASH_RECOVERY_RUNS overrides it.
+const DEFAULT_RUNS = Number(process.env.CRASH_RECOVERY_RUNS) || 30;
+
+// Run i of every crash probability uses the same seed, so it is compared with its own baseline
+const rng = createRandom();
+
+/**
+ * Mean, sample standard deviation and range over the runs (runs without a value skipped)
+ */
+function spread(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return null;
+  const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+  const variance = present.length > 1
+    ? present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (present.length - 1)
+    : 0;
+  return { mean, stddev: Math.sqrt(variance), min: Math.min(...present), max: Math.max(...present), runs: present.length };
+}
+
+function formatSpread(stats, unit = "", scale = 1, digits = 1) {
+  if (!stats) return "n/a";
+  const format = value => (value * scale).toFixed(digits);
+  return `${format(stats.mean)} ± ${format(stats.stddev)}${unit} (${format(stats.min)} to ${format(stats.max)})`;
+}
+
+// Main function to run crash-recovery tests
+async function runCrashRecoveryTests(
+  consensusMechanisms = ["PBFT", "PoASquare"],
+  crashProbabilities = DEFAULT_CRASH_PROBABILITIES,
+  validatorCount = DEFAULT_VALIDATOR_COUNT,
+  recoverySettings = {},
+  runs = DEFAULT_RUNS
+) {
+  const invalid = crashProbabilities.filter(probability => !(probability >= 0 && probability <= 1));
+  if (invalid.length > 0) {
+    throw new Error(`Crash probabilities must be between 0 and 1: ${invalid.join(", ")}`);
+  }
+  if (!(Number.isInteger(runs) && runs >= 1)) {
+    throw new Error("Crash-recovery runs must be a positive integer");
+  }
+  const probabilities = [...new Set([0, ...crashProbabilities])].sort((a, b) => a - b);
+
+  const results = {
+    testDate: new Date().toISOString(),
+    seed: rng.seed,
+    validatorCount,
+    runs,
+    crashProbabilities: probabilities,
+    recoverySettings: { ...CRASH_RECOVERY_DEFAULTS, ...recoverySettings },
+    consensusMechanisms: {},
+    comparison: {
+      // Each entry is { mean, stddev, min, max, runs } over the seeded runs
+      throughput: {},
+      throughputImpact: {},
+      committeeImpact: {},
+      recoveryTime: {},
+      bytesTransferred: {}
+    }
+  };
+
+  for (const mechanism of consensusMechanisms) {
+    console.log(`\n===== Testing ${mechanism} =====`);
+
+    const mechanismResults = {
+      name: mechanism,
+      crashMetrics: []
+    };
+    const baselines = []; // Fault-free throughput per run
+
+    for (const crashProbability of probabilities) {
+      console.log(`\n💥 ${mechanism} with crash probability ${crashProbability} per validator per block, ${runs} runs`);
+      const crashRecovery = crashProbability > 0 ? { ...recoverySettings, crashProbability } : null;
+      const runMetrics = [];
+
+      for (let run = 0; run < runs; run++) {
+        try {
+          const metrics = await testConsensusModel(mechanism, validatorCount, {
+            crashRecovery,
+            random: rng.fork(`${mechanism}-run-${run}`)
+          });
+          const { recovery, throughput } = metrics.consensus;
+          if (crashProbability === 0) baselines[run] = throughput;
+          runMetrics.push({
+            run,
+            batches: metrics.consensus.batches,
+            finalizedBatches: metrics.consensus.finalizedBatches,
+            throughput,
+            throughputImpact: baselines[run] > 0 ? 1 - throughput / baselines[run] : null,
+            committeeImpact: recovery ? recovery.committee.throughputImpact : null,
+            crashes: recovery ? recovery.crashes : 0,
+            recovered: recovery ? recovery.recovered : 0,
+            stateTransfers: recovery ? recovery.stateTransfers : 0,
+            blockSyncs: recovery ? recovery.blockSyncs : 0,
+            averageRecoveryTime: recovery ? recovery.averageRecoveryTime : null,
+            bytesTransferred: recovery ? recovery.bytesTransferred : 0
+          });
+        } catch (error) {
+          console.error(`Error testing ${mechanism} with crash probability ${crashProbability} (run ${run}):`, error);
+          runMetrics.push({ run, error: error.message });
+        }
+      }
+
+      const completed = runMetrics.filter(metrics => !metrics.error);
+      const summary = {
+        crashProbability,
+        throughput: spread(completed.map(metrics => metrics.throughput)),
+        throughputImpact: spread(completed.map(metrics => metrics.throughputImpact)),
+        committeeImpact: spread(completed.map(metrics => metrics.committeeImpact)),
+        recoveryTime: spread(completed.map(metrics => metrics.averageRecoveryTime)),
+        bytesTransferred: spread(completed.map(metrics => metrics.bytesTransferred)),
+        crashes: completed.reduce((sum, metrics) => sum + metrics.crashes, 0),
+        failedRuns: runMetrics.length - completed.length,
+        runs: runMetrics
+      };
+      mechanismResults.crashMetrics.push(summary);
+
+      if (!results.comparison.throughput[crashProbability]) {
+        for (const key of Object.keys(results.comparison)) results.comparison[key][crashProbability] = {};
+      }
+      for (const key of Object.keys(results.comparison)) {
+        results.comparison[key][crashProbability][mechanism] = summary[key];
+      }
+
+      console.log(`📊 Throughput ${formatSpread(summary.throughput, " tx/s", 1, 3)}` +
+        (crashProbability > 0 ? `, ${formatSpread(summary.throughputImpact, "%", 100)} below baseline` : ""));
+      if (crashProbability > 0) {
+        console.log(`🔄 ${summary.crashes} crashes over ${completed.length} runs, ` +
+          `average recovery ${formatSpread(summary.recoveryTime, "ms", 1, 0)}, ` +
+          `${formatSpread(summary.bytesTransferred, " bytes", 1, 0)} transferred per run`);
+      }
+    }
+
+    results.consensusMechanisms[mechanism] = mechanismResults;
+  }
+
+  saveTestResults("crash-recovery-results.json", results);
+
+  return results;
+}
+
+// Execute if called directly
+if (require.main === module) {
+  runCrashRecoveryTests()
+    .then(results => {
+      console.log("\n===== Crash-Recovery Test Complete =====");
+      Object.entries(results.comparison.throughputImpact).forEach(([probability, impacts]) => {
+        if (Number(probability) === 0) return;
+        Object.entries(impacts).forEach(([mechanism, impact]) => {
+          console.log(`${mechanism} at ${probability}: ${impact === null ? "n/a" : `${formatSpread(impact, "%", 100)} throughput lost`}`);
+        });
+      });
+    })
+    .catch(error => {
+      console.error("Error running crash-recovery tests:", error);
+    });
+}
+
+module.exports = {
+  runCrashRecoveryTests,
+  DEFAULT_CRASH_PROBABILITIES,
+  DEFAULT_RUNS
+};
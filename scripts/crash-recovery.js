@@ -0,0 +1,254 @@
+/**
+ * Crash-Recovery Model
+ * Validators that go down for a sampled duration, then rejoin and have to
+ * catch up before they take part again:
+ *
+ *   const recovery = new CrashRecoveryModel({ scheduler, random, network });
+ *   recovery.maybeCrash(index, () => runner.resync(validator)); // at each block
+ *   recovery.catchUp(index, nextTransfer, apply, done);          // on rejoin
+ *   recovery.recordFinalized();                                  // per finalized block
+ *   console.log(recovery.summary());
+ *
+ * The runner says what a rejoining validator lacks (a state snapshot and/or a
+ * number of blocks); this model times each transfer, counts its bytes and
+ * tracks how fast the rest of the committee finalizes while validators are out.
+ */
+
+const CRASH_RECOVERY_DEFAULTS = {
+  crashProbability: 0.05, // Per validator per block
+  minDowntime: 1000, // ms, sampled uniformly up to maxDowntime
+  maxDowntime: 8000,
+  snapshotSize: 64 * 1024, // Bytes of K-ETS state: balances, emissions, open auctions
+  blockSize: 2048, // Bytes per synced block with its commit proof
+  requestSize: 128, // Bytes per sync request
+  bandwidth: 10, // Mbps for transfers without a network model
+  latency: 25 // ms one way for transfers without a network model
+};
+
+class CrashRecoveryModel {
+  /**
+   * @param {Object} options
+   * @param {EventScheduler} options.scheduler - Simulated clock of the runner
+   * @param {SeededRandom} options.random - Stream for crash and downtime draws
+   * @param {NetworkModel} [options.network] - Transfers take its link delays when given
+   */
+  constructor(options = {}) {
+    if (!options.scheduler || !options.random) {
+      throw new Error("Crash-recovery model needs a scheduler and a random stream");
+    }
+    const settings = { ...CRASH_RECOVERY_DEFAULTS, ...options };
+    if (!(settings.crashProbability >= 0 && settings.crashProbability <= 1)) {
+      throw new Error(`Crash probability must be between 0 and 1, got ${settings.crashProbability}`);
+    }
+    if (!(settings.minDowntime >= 0 && settings.maxDowntime >= settings.minDowntime)) {
+      throw new Error(`Invalid downtime range ${settings.minDowntime}-${settings.maxDowntime}ms`);
+    }
+    this.clock = options.scheduler;
+    this.rng = options.random;
+    this.network = options.network || null;
+    this.crashProbability = settings.crashProbability;
+    this.minDowntime = settings.minDowntime;
+    this.maxDowntime = settings.maxDowntime;
+    this.snapshotSize = settings.snapshotSize;
+    this.blockSize = settings.blockSize;
+    this.requestSize = settings.requestSize;
+    this.bandwidth = settings.bandwidth;
+    this.latency = settings.latency;
+
+    this.outages = [];
+    this.current = new Map(); // validator index -> outage still in progress (down or catching up)
+    this.startedAt = this.clock.now;
+    this.degradedSince = null;
+    this.degradedTime = 0;
+    this.finalized = { healthy: 0, degraded: 0 };
+  }
+
+  /**
+   * Whether a validator is up and caught up
+   */
+  isAvailable(index) {
+    return !this.current.has(index);
+  }
+
+  unavailableCount() {
+    return this.current.size;
+  }
+
+  /**
+   * Crash an available validator with the configured probability. Returns the
+   * sampled downtime, or null if it stays up.
+   */
+  maybeCrash(index, onRejoin) {
+    if (!this.isAvailable(index) || !this.rng.chance(this.crashProbability)) return null;
+    const downtime = this.minDowntime + this.rng.next() * (this.maxDowntime - this.minDowntime);
+    return this.crash(index, Math.round(downtime), onRejoin);
+  }
+
+  /**
+   * Take a validator down for `downtime` ms; `onRejoin` runs when it comes back
+   */
+  crash(index, downtime, onRejoin) {
+    if (!this.isAvailable(index)) return null;
+    const outage = {
+      validatorIndex: index,
+      crashedAt: this.clock.now,
+      downtime,
+      rejoinedAt: null,
+      caughtUpAt: null,
+      recoveryTime: null,
+      outageTime: null,
+      method: "none",
+      snapshots: 0,
+      blocksSynced: 0,
+      transfers: 0,
+      bytesTransferred: 0
+    };
+    this.outages.push(outage);
+    this.setUnavailable(index, outage);
+    this.clock.schedule(downtime, () => {
+      outage.rejoinedAt = this.clock.now;
+      onRejoin();
+    }, `rejoin:${index}`);
+    return downtime;
+  }
+
+  /**
+   * Bring a rejoined validator up to date. `nextTransfer()` returns what it
+   * still lacks as { source, snapshot, blocks } (null once it is current, or a
+   * null source when no peer is up to fetch from); each transfer is timed from
+   * the source and handed to `apply(transfer)`, repeating until nothing is
+   * left, since the chain keeps growing while the validator catches up. `done`
+   * runs once it is available again.
+   */
+  catchUp(index, nextTransfer, apply, done) {
+    const outage = this.current.get(index);
+    const step = () => {
+      const transfer = nextTransfer();
+      if (!transfer || transfer.source === null || (!transfer.snapshot && transfer.blocks === 0)) {
+        this.finishRecovery(index, outage);
+        done();
+        return;
+      }
+
+      const bytes = (transfer.snapshot ? this.snapshotSize : 0) + transfer.blocks * this.blockSize;
+      const duration = this.transferTime(index, transfer.source, bytes);
+      outage.transfers++;
+      outage.bytesTransferred += bytes;
+      outage.blocksSynced += transfer.blocks;
+      if (transfer.snapshot) outage.snapshots++;
+      outage.method = outage.snapshots > 0 ? "state-transfer" : "block-sync";
+
+      this.clock.schedule(duration, () => {
+        apply({ ...transfer, bytes });
+        step();
+      }, `sync:${transfer.source}->${index}`);
+    };
+    step();
+  }
+
+  /**
+   * What a validator `blocksBehind` should fetch when the runner keeps no
+   * checkpoints: a snapshot once the missed blocks would be larger
+   */
+  chooseTransfer(blocksBehind) {
+    return blocksBehind * this.blockSize > this.snapshotSize
+      ? { snapshot: true, blocks: 0 }
+      : { snapshot: false, blocks: blocksBehind };
+  }
+
+  /**
+   * Request to the source plus the response, over the network model when there
+   * is one (held across partitions until they heal)
+   */
+  transferTime(index, source, bytes) {
+    if (this.network) {
+      return this.network.transmitReliable(index, source, this.requestSize) +
+        this.network.transmitReliable(source, index, bytes);
+    }
+    return 2 * this.latency + ((this.requestSize + bytes) * 8) / (this.bandwidth * 1000);
+  }
+
+  finishRecovery(index, outage) {
+    outage.caughtUpAt = this.clock.now;
+    outage.recoveryTime = outage.caughtUpAt - outage.rejoinedAt;
+    outage.outageTime = outage.caughtUpAt - outage.crashedAt;
+    this.current.delete(index);
+    if (this.current.size === 0 && this.degradedSince !== null) {
+      this.degradedTime += this.clock.now - this.degradedSince;
+      this.degradedSince = null;
+    }
+  }
+
+  setUnavailable(index, outage) {
+    if (this.current.size === 0) this.degradedSince = this.clock.now;
+    this.current.set(index, outage);
+  }
+
+  /**
+   * Count a block finalized now, against the time with or without validators out
+   */
+  recordFinalized() {
+    if (this.current.size > 0) this.finalized.degraded++;
+    else this.finalized.healthy++;
+  }
+
+  /**
+   * Outage and recovery statistics, and blocks per second finalized by the
+   * committee with every validator up versus with some of them out
+   */
+  summary() {
+    const now = this.clock.now;
+    const recovered = this.outages.filter(outage => outage.caughtUpAt !== null);
+    const degradedTime = this.degradedTime + (this.degradedSince !== null ? now - this.degradedSince : 0);
+    const healthyTime = now - this.startedAt - degradedTime;
+    const rate = (blocks, time) => (time > 0 ? blocks / (time / 1000) : null);
+    const healthyRate = rate(this.finalized.healthy, healthyTime);
+    const degradedRate = rate(this.finalized.degraded, degradedTime);
+    const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+    return {
+      crashProbability: this.crashProbability,
+      downtimeRange: [this.minDowntime, this.maxDowntime],
+      crashes: this.outages.length,
+      recovered: recovered.length,
+      stillOut: this.current.size,
+      averageDowntime: average(this.outages.map(outage => outage.downtime)),
+      averageRecoveryTime: average(recovered.map(outage => outage.recoveryTime)),
+      maxRecoveryTime: recovered.length > 0 ? Math.max(...recovered.map(outage => outage.recoveryTime)) : null,
+      stateTransfers: recovered.filter(outage => outage.method === "state-transfer").length,
+      blockSyncs: recovered.filter(outage => outage.method === "block-sync").length,
+      bytesTransferred: this.outages.reduce((sum, outage) => sum + outage.bytesTransferred, 0),
+      committee: {
+        healthyTime,
+        degradedTime,
+        healthyBlocks: this.finalized.healthy,
+        degradedBlocks: this.finalized.degraded,
+        healthyBlocksPerSecond: healthyRate,
+        degradedBlocksPerSecond: degradedRate,
+        throughputImpact: healthyRate && degradedRate !== null ? 1 - degradedRate / healthyRate : null
+      },
+      outages: this.outages.map(outage => ({ ...outage }))
+    };
+  }
+}
+
+/**
+ * Crash-recovery model for a standalone runner from CRASH_PROBABILITY and
+ * CRASH_DOWNTIME ("min-max" in ms). Returns null when CRASH_PROBABILITY is unset.
+ */
+function crashRecoveryFromEnv(scheduler, random, network = null, env = process.env) {
+  if (!env.CRASH_PROBABILITY) return null;
+  const options = { scheduler, random, network, crashProbability: Number(env.CRASH_PROBABILITY) };
+  if (env.CRASH_DOWNTIME) {
+    const [min, max] = env.CRASH_DOWNTIME.split("-").map(Number);
+    options.minDowntime = min;
+    options.maxDowntime = max ?? min;
+  }
+  return new CrashRecoveryModel(options);
+}
+
+module.exports = {
+  CrashRecoveryModel,
+  crashRecoveryFromEnv,
+  CRASH_RECOVERY_DEFAULTS
+};
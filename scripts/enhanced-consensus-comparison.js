@@ -2,6 +2,7 @@
 // A script to generate enhanced academic comparisons between PoA, PoW, and DPoS consensus mechanisms
 const fs = require('fs');
 const path = require('path');
+const { measurePoWFinality } = require('./pow-mining-model');
 
 // Function to parse log files and extract metrics
 function parseLogFile(filePath) {
@@ -29,7 +30,10 @@ function parseLogFile(filePath) {
       console.log(`Parsing JSON format log: ${path.basename(filePath)}`);
       
       // Determine which type of JSON format it is
-      if (filePath.includes('poa-square-measurements.json') || filePath.includes('pbft-measurements.json')) {
+      if (filePath.includes('poa-square-measurements.json') || filePath.includes('pbft-measurements.json') ||
+          filePath.includes('clique-poa-measurements.json') || filePath.includes('tendermint-measurements.json') ||
+          filePath.includes('hotstuff-measurements.json') || filePath.includes('raft-measurements.json') ||
+          filePath.includes('qbft-measurements.json') || filePath.includes('casper-ffg-measurements.json')) {
         // Handle structured JSON format for newer consensus mechanisms
         try {
           const jsonData = JSON.parse(fileContent);
@@ -65,6 +69,26 @@ function parseLogFile(filePath) {
             });
           }
           
+          // Runners without resource samples: block times from consecutive sealed blocks
+          if (metrics.blockTimes.length === 0 && Array.isArray(jsonData.blocks) && !Array.isArray(jsonData.resourceUsage)) {
+            jsonData.blocks.forEach((block, index) => {
+              if (index > 0 && block.timestamp && jsonData.blocks[index-1].timestamp) {
+                const blockTime = block.timestamp - jsonData.blocks[index-1].timestamp;
+                metrics.blockTimes.push(blockTime);
+                metrics.durations.push(blockTime);
+              }
+            });
+          }
+          
+          // Measured per-transaction finality, if the runner records it
+          if (Array.isArray(jsonData.finalityTimes)) {
+            metrics.finalityTimes = jsonData.finalityTimes.map(f => f.finalityTime);
+          }
+          if (jsonData.networkInfo && jsonData.networkInfo.finalityRule) {
+            metrics.finalityRule = jsonData.networkInfo.finalityRule;
+            metrics.consensusVariant = jsonData.consensusMechanism;
+          }
+          
           // Calculate total duration
           if (jsonData.startTime && jsonData.endTime) {
             metrics.totalDuration = jsonData.endTime - jsonData.startTime;
@@ -162,9 +186,9 @@ function parseLogFile(filePath) {
             metrics.gasUsed.push(transaction.gasUsed);
           }
           
-          // For PoA/PoW, use fixed block times based on typical values
+          // PoW runs record the simulated mining time; PoA uses a fixed typical block time
           if (filePath.includes('pow')) {
-            transaction.duration = 15000; // 15 seconds for PoW
+            transaction.duration = tx.miningTime || 15000; // 15 seconds for older PoW logs
           } else {
             transaction.duration = 5000; // 5 seconds for PoA
           }
@@ -271,18 +295,35 @@ function analyzeFinality(metrics, consensusMechanism) {
   let finalityModel;
   
   switch (consensusMechanism) {
-    case 'PoW':
-      // PoW requires multiple confirmations for finality, typically 6 blocks
+    case 'PoW': {
+      // PoW finality is probabilistic: use the confirmation depth and time measured
+      // from the mining model's forks, re-simulating at this block time if the PoW
+      // runner's chain measurements are not available
       const avgBlockTime = metrics.blockTimes.reduce((sum, val) => sum + val, 0) / metrics.blockTimes.length;
+      const chain = metrics.chain || measurePoWFinality({ targetBlockTime: avgBlockTime });
       finalityModel = {
-        averageTimeToFinality: avgBlockTime * 6, // 6 confirmations
-        finalizationMechanism: 'Probabilistic - 6 confirmations',
+        averageTimeToFinality: chain.finality.averageTimeToFinality,
+        finalizationMechanism: `Probabilistic - ${chain.finality.requiredConfirmations} confirmations (measured, reorg risk <= ${chain.finality.risk})`,
         securityModel: 'Work-based - 51% attack resistance',
         throughputLimitation: 'Block size and time',
+        requiredConfirmations: chain.finality.requiredConfirmations,
+        orphanRate: chain.orphanRate,
+        maxReorgDepth: chain.reorgs.maxDepth,
       };
       break;
+    }
     
     case 'PoA':
+      if (metrics.finalityRule && metrics.finalityTimes.length > 0) {
+        // Clique/Aura runner: finality measured once a majority of authorities sealed on top
+        finalityModel = {
+          averageTimeToFinality: metrics.finalityTimes.reduce((sum, val) => sum + val, 0) / metrics.finalityTimes.length,
+          finalizationMechanism: `Authority-based (${metrics.consensusVariant}) - ${metrics.finalityRule}`,
+          securityModel: 'Identity-based - 51% of authorities',
+          throughputLimitation: 'Block period and SIGNER_LIMIT sealing rotation',
+        };
+        break;
+      }
       // PoA typically has faster finality with Byzantine fault tolerance
       finalityModel = {
         averageTimeToFinality: metrics.blockTimes[0], // 1 confirmation is usually enough
@@ -321,6 +362,66 @@ function analyzeFinality(metrics, consensusMechanism) {
         throughputLimitation: 'Communication overhead between validators',
       };
       break;
+      
+    case 'Tendermint':
+      // Tendermint decides once +2/3 of voting power precommits; round changes add timeout delays
+      finalityModel = {
+        averageTimeToFinality: metrics.finalityTimes && metrics.finalityTimes.length > 0 ?
+          metrics.finalityTimes.reduce((sum, val) => sum + val, 0) / metrics.finalityTimes.length :
+          metrics.blockTimes[0],
+        finalizationMechanism: 'Propose/prevote/precommit rounds with locking (+2/3 voting power)',
+        securityModel: 'Byzantine fault tolerance (<1/3 of voting power)',
+        throughputLimitation: 'All-to-all vote gossip and escalating round timeouts',
+      };
+      break;
+      
+    case 'HotStuff':
+      // Chained HotStuff commits a block once three consecutive views certify a direct chain on top of it
+      finalityModel = {
+        averageTimeToFinality: metrics.finalityTimes && metrics.finalityTimes.length > 0 ?
+          metrics.finalityTimes.reduce((sum, val) => sum + val, 0) / metrics.finalityTimes.length :
+          metrics.blockTimes[0],
+        finalizationMechanism: 'Three-chain commit over leader-aggregated QCs',
+        securityModel: 'Byzantine fault tolerance (3f+1 validators)',
+        throughputLimitation: 'Leader bandwidth and three views of pipeline latency',
+      };
+      break;
+      
+    case 'Raft':
+      // Raft commits once a majority stores the entry; measured finality includes election downtime
+      finalityModel = {
+        averageTimeToFinality: metrics.finalityTimes && metrics.finalityTimes.length > 0 ?
+          metrics.finalityTimes.reduce((sum, val) => sum + val, 0) / metrics.finalityTimes.length :
+          metrics.blockTimes[0],
+        finalizationMechanism: 'Leader replication to a majority (crash fault tolerant)',
+        securityModel: 'Crash fault tolerance (2f+1 nodes), no Byzantine tolerance',
+        throughputLimitation: 'Single leader; no commits during elections',
+      };
+      break;
+      
+    case 'QBFT':
+      // QBFT finalizes once a quorum of commit seals is collected; measured finality includes the block-period wait
+      finalityModel = {
+        averageTimeToFinality: metrics.finalityTimes && metrics.finalityTimes.length > 0 ?
+          metrics.finalityTimes.reduce((sum, val) => sum + val, 0) / metrics.finalityTimes.length :
+          metrics.blockTimes[0],
+        finalizationMechanism: 'Commit seals from ceil(2n/3) validators, round changes with justified proposals',
+        securityModel: 'Byzantine fault tolerance (3f+1 validators)',
+        throughputLimitation: 'Block period and all-to-all prepare/commit messages',
+      };
+      break;
+      
+    case 'CasperFFG':
+      // Casper FFG finalizes a checkpoint after two justified epochs; measured finality spans several epochs
+      finalityModel = {
+        averageTimeToFinality: metrics.finalityTimes && metrics.finalityTimes.length > 0 ?
+          metrics.finalityTimes.reduce((sum, val) => sum + val, 0) / metrics.finalityTimes.length :
+          metrics.blockTimes[0],
+        finalizationMechanism: 'Checkpoints justified and finalized by 2/3 of stake, with slashing',
+        securityModel: 'Economic finality (< 1/3 of stake Byzantine), inactivity leak for liveness',
+        throughputLimitation: 'Finality takes two to three epochs',
+      };
+      break;
     
     default:
       finalityModel = {
@@ -337,11 +438,26 @@ function analyzeFinality(metrics, consensusMechanism) {
 // Function to generate the enhanced comparison report
 function generateEnhancedComparisonReport() {
   // Parse log files - using the actual log filenames that exist in the project
-  const poaMetrics = parseLogFile(path.join(__dirname, '..', 'gas-measurements.log')); // PoA measurements
+  // PoA measurements: the Clique/Aura runner when it has been run, otherwise the Hardhat automine log
+  const cliquePoAPath = path.join(__dirname, '..', 'logs', 'clique-poa-measurements.json');
+  const poaMetrics = fs.existsSync(cliquePoAPath) ?
+    parseLogFile(cliquePoAPath) :
+    parseLogFile(path.join(__dirname, '..', 'gas-measurements.log'));
   const powMetrics = parseLogFile(path.join(__dirname, '..', 'gas-measurements-pow.log')); // PoW measurements
   const dposMetrics = parseLogFile(path.join(__dirname, '..', 'dpos-measurements.log')); // DPoS measurements
   const poaSquareMetrics = parseLogFile(path.join(__dirname, '..', 'logs', 'poa-square-measurements.json')); // PoA Square measurements
   const pbftMetrics = parseLogFile(path.join(__dirname, '..', 'logs', 'pbft-measurements.json')); // PBFT measurements
+  const tendermintMetrics = parseLogFile(path.join(__dirname, '..', 'logs', 'tendermint-measurements.json')); // Tendermint measurements
+  const hotstuffMetrics = parseLogFile(path.join(__dirname, '..', 'logs', 'hotstuff-measurements.json')); // HotStuff measurements
+  const raftMetrics = parseLogFile(path.join(__dirname, '..', 'logs', 'raft-measurements.json')); // Raft measurements
+  const qbftMetrics = parseLogFile(path.join(__dirname, '..', 'logs', 'qbft-measurements.json')); // QBFT measurements
+  const casperMetrics = parseLogFile(path.join(__dirname, '..', 'logs', 'casper-ffg-measurements.json')); // Casper FFG measurements
+  
+  // Fork and finality statistics from the PoW mining model, if the PoW runner has been run
+  const powChainPath = path.join(__dirname, '..', 'logs', 'pow-measurements.json');
+  if (powMetrics && fs.existsSync(powChainPath)) {
+    powMetrics.chain = JSON.parse(fs.readFileSync(powChainPath, 'utf8')).chain;
+  }
   
   // Check for required log files
   const requiredMetrics = {
@@ -353,7 +469,12 @@ function generateEnhancedComparisonReport() {
   // Optional newer consensus mechanisms
   const optionalMetrics = {
     PoASquare: poaSquareMetrics,
-    PBFT: pbftMetrics
+    PBFT: pbftMetrics,
+    Tendermint: tendermintMetrics,
+    HotStuff: hotstuffMetrics,
+    Raft: raftMetrics,
+    QBFT: qbftMetrics,
+    CasperFFG: casperMetrics
   };
   
   // Check if required metrics are available
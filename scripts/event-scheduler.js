@@ -0,0 +1,182 @@
+/**
+ * Discrete-Event Scheduler
+ * Simulated clock and event queue used by the consensus models so protocol
+ * timing is modelled rather than slept.
+ *
+ * Time only moves when the scheduler processes events or is explicitly
+ * advanced, so a model that "waits" for a 300ms prepare phase costs no
+ * wall-clock time and is not affected by Hardhat RPC jitter.
+ *
+ * Runner code stays sequential: `await clock.advance(ms)` replaces
+ * `await sleep(ms)` and processes every event due in that window.
+ */
+
+class EventScheduler {
+  /**
+   * @param {number} startTime - Initial simulated time in ms (e.g. Date.now() so
+   *   recorded timestamps stay readable as dates)
+   */
+  constructor(startTime = 0) {
+    this.startTime = startTime;
+    this.now = startTime;
+    this.queue = [];
+    this.sequence = 0;
+    this.cancelled = new Set();
+    this.eventsProcessed = 0;
+  }
+
+  /**
+   * Simulated time elapsed since the scheduler was created
+   */
+  elapsed() {
+    return this.now - this.startTime;
+  }
+
+  /**
+   * Number of events waiting to be processed
+   */
+  get pending() {
+    return this.queue.length - this.cancelled.size;
+  }
+
+  /**
+   * Schedule a callback `delay` ms from now. Returns an id usable with cancel().
+   */
+  schedule(delay, callback, label = null) {
+    return this.scheduleAt(this.now + Math.max(0, delay), callback, label);
+  }
+
+  /**
+   * Schedule a callback at an absolute simulated time
+   */
+  scheduleAt(time, callback, label = null) {
+    if (time < this.now) {
+      throw new Error(`Cannot schedule event "${label}" in the past (${time} < ${this.now})`);
+    }
+
+    const event = { time, id: this.sequence++, callback, label };
+    this.push(event);
+    return event.id;
+  }
+
+  /**
+   * Cancel a scheduled event (no-op if it already ran)
+   */
+  cancel(id) {
+    if (this.queue.some(event => event.id === id)) {
+      this.cancelled.add(id);
+    }
+  }
+
+  /**
+   * Process the next event. Returns false when the queue is empty.
+   */
+  step() {
+    if (!this.peek()) return false;
+
+    const event = this.pop();
+    this.now = event.time;
+    this.eventsProcessed++;
+    event.callback(this.now);
+    return true;
+  }
+
+  /**
+   * Process every event due at or before `time`, then move the clock to `time`
+   */
+  runUntil(time) {
+    while (this.peek() && this.peek().time <= time) {
+      this.step();
+    }
+    this.now = Math.max(this.now, time);
+    return this.now;
+  }
+
+  /**
+   * Process events until the queue drains (or the optional time limit is hit)
+   */
+  runUntilIdle(maxTime = Infinity) {
+    while (this.peek() && this.peek().time <= maxTime) {
+      this.step();
+    }
+    return this.now;
+  }
+
+  /**
+   * Advance simulated time by `ms`, processing due events on the way.
+   * Async so it can replace `await sleep(ms)` one-for-one.
+   */
+  async advance(ms) {
+    return this.runUntil(this.now + Math.max(0, ms));
+  }
+
+  /**
+   * Process events until `predicate()` holds or the next event is past `deadline`.
+   * If the predicate never holds the clock ends at the deadline (a timeout).
+   * Resolves to whether the predicate was satisfied.
+   */
+  async advanceUntil(predicate, deadline) {
+    while (!predicate()) {
+      const next = this.peek();
+      if (!next || next.time > deadline) {
+        this.now = Math.max(this.now, deadline);
+        return false;
+      }
+      this.step();
+    }
+    return true;
+  }
+
+  // Binary min-heap ordered by (time, id) so ties run in scheduling order
+
+  /**
+   * Earliest live event, discarding cancelled events at the head of the heap
+   */
+  peek() {
+    while (this.queue.length > 0 && this.cancelled.has(this.queue[0].id)) {
+      this.cancelled.delete(this.pop().id);
+    }
+    return this.queue[0];
+  }
+
+  push(event) {
+    const queue = this.queue;
+    queue.push(event);
+    let index = queue.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!isEarlier(queue[index], queue[parent])) break;
+      [queue[index], queue[parent]] = [queue[parent], queue[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const queue = this.queue;
+    const top = queue[0];
+    const last = queue.pop();
+    if (queue.length > 0) {
+      queue[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = 2 * index + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < queue.length && isEarlier(queue[left], queue[smallest])) smallest = left;
+        if (right < queue.length && isEarlier(queue[right], queue[smallest])) smallest = right;
+        if (smallest === index) break;
+        [queue[index], queue[smallest]] = [queue[smallest], queue[index]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+function isEarlier(a, b) {
+  return a.time < b.time || (a.time === b.time && a.id < b.id);
+}
+
+module.exports = {
+  EventScheduler
+};
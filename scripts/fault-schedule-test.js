@@ -0,0 +1,150 @@
+/**
+ * Fault Schedule Test for Consensus Mechanisms
+ * Replays one fault schedule (see fault-schedule.js; FAULT_SCHEDULE=file, by
+ * default fault-schedules/crash-equivocate-partition.yaml) against every
+ * model that can apply all of its events, under a steady stream of batches.
+ * Reports per model which events fired, whether safety held, the longest
+ * stretch without a finalized batch and how the crashed validators recovered.
+ * The schedule is saved with the results so the scenario can be reviewed and
+ * replayed.
+ */
+const path = require("path");
+const { ethers } = require("hardhat");
+const { saveTestResults } = require("./test-utils");
+const { createConsensusModel, listConsensusModels, faultScheduleGaps } = require("./consensus-models");
+const { loadFaultSchedule, usesFaultAction } = require("./fault-schedule");
+
+const DEFAULT_SCHEDULE = path.join(__dirname, "../fault-schedules/crash-equivocate-partition.yaml");
+const DEFAULT_VALIDATOR_COUNT = 4; // Unless the schedule names its own
+const NETWORK_PRESET = process.env.NETWORK_PRESET || "korea";
+
+// One client request per SUBMISSION_INTERVAL, each ordered as its own batch,
+// until the last event has played out and RECOVERY_WINDOW (or RECOVERY_BLOCKS) has passed
+const SUBMISSION_INTERVAL = 1000;
+const RECOVERY_WINDOW = 30000;
+const RECOVERY_BLOCKS = 10;
+const MAX_BATCHES = 500;
+
+/**
+ * Simulated time (from the first batch) and batch count the run has to reach
+ */
+function scheduleHorizon(schedule) {
+  const timed = schedule.events.filter(event => event.at !== null);
+  const blocks = schedule.events.filter(event => event.block !== null);
+  return {
+    time: timed.length > 0 ? Math.max(...timed.map(event => event.at + (event.duration || 0))) + RECOVERY_WINDOW : 0,
+    batches: blocks.length > 0 ? Math.max(...blocks.map(event => event.block)) + RECOVERY_BLOCKS : 0
+  };
+}
+
+// Longest gap between finalized batches (or the run's ends)
+function longestStall(batches, startTime, endTime) {
+  const timeline = [startTime, ...batches.filter(batch => batch.success).map(batch => batch.finishedAt), endTime];
+  return Math.max(...timeline.slice(1).map((time, i) => time - timeline[i]));
+}
+
+// Run one model through the schedule
+async function testFaultSchedule(mechanism, schedule, validatorCount) {
+  const accounts = await ethers.getSigners();
+  const network = usesFaultAction(schedule, "partition") ? NETWORK_PRESET : undefined;
+  const model = createConsensusModel(mechanism, { validatorCount, network, faultSchedule: schedule });
+  model.initValidators(accounts.slice(1, validatorCount + 1));
+
+  const horizon = scheduleHorizon(schedule);
+  const startTime = model.clock.now;
+  try {
+    for (let i = 0; i < MAX_BATCHES && (model.clock.now - startTime < horizon.time || i < horizon.batches); i++) {
+      // Requests arrive at a fixed rate; a slow batch delays the ones queued behind it
+      const submitAt = startTime + i * SUBMISSION_INTERVAL;
+      if (submitAt > model.clock.now) await model.clock.advance(submitAt - model.clock.now);
+
+      const hash = ethers.id(`${mechanism}:${schedule.name}:${i}`);
+      await model.finalizeBatch([{ hash, type: "fault-schedule-probe" }]);
+    }
+
+    const metrics = model.getMetrics();
+    return {
+      mechanism,
+      batches: metrics.batches,
+      finalizedBatches: metrics.finalizedBatches,
+      averageFinality: metrics.averageFinality,
+      longestStall: longestStall(model.batches, startTime, model.clock.now),
+      safetyHeld: metrics.faults.safetyViolations === 0,
+      faults: metrics.faults,
+      fired: metrics.faultSchedule.fired,
+      notFired: metrics.faultSchedule.notFired,
+      recovery: metrics.recovery,
+      partitions: metrics.network ? metrics.network.partitions : []
+    };
+  } finally {
+    model.close();
+  }
+}
+
+// Main function to run a fault schedule against every model that supports it
+async function runFaultScheduleTests(
+  scheduleFile = process.env.FAULT_SCHEDULE || DEFAULT_SCHEDULE,
+  consensusMechanisms = listConsensusModels(),
+  validatorCount = null
+) {
+  const schedule = loadFaultSchedule(scheduleFile);
+  const count = validatorCount || schedule.validators || DEFAULT_VALIDATOR_COUNT;
+
+  const results = {
+    testDate: new Date().toISOString(),
+    scheduleFile: path.relative(path.join(__dirname, ".."), path.resolve(scheduleFile)),
+    schedule,
+    validatorCount: count,
+    networkPreset: usesFaultAction(schedule, "partition") ? NETWORK_PRESET : null,
+    consensusMechanisms: {},
+    skipped: {}
+  };
+
+  for (const mechanism of consensusMechanisms) {
+    const gaps = faultScheduleGaps(mechanism, schedule);
+    if (gaps.length > 0) {
+      results.skipped[mechanism] = `cannot apply ${gaps.join(" and ")} events`;
+      continue;
+    }
+
+    console.log(`\n📜 ${mechanism} under fault schedule "${schedule.name}" (${count} validators)`);
+    try {
+      const result = await testFaultSchedule(mechanism, schedule, count);
+      results.consensusMechanisms[mechanism] = result;
+      console.log(`📊 ${result.finalizedBatches}/${result.batches} batches finalized, ` +
+        `longest stall ${(result.longestStall / 1000).toFixed(1)}s, ` +
+        `safety ${result.safetyHeld ? "held" : "VIOLATED"}, ` +
+        `${result.fired.length}/${schedule.events.length} events fired`);
+    } catch (error) {
+      console.error(`Error testing ${mechanism} under fault schedule ${schedule.name}:`, error);
+      results.consensusMechanisms[mechanism] = { mechanism, error: error.message };
+    }
+  }
+
+  saveTestResults("fault-schedule-results.json", results);
+
+  return results;
+}
+
+// Execute if called directly
+if (require.main === module) {
+  runFaultScheduleTests()
+    .then(results => {
+      console.log(`\n===== Fault Schedule Test Complete (${results.schedule.name}) =====`);
+      Object.values(results.consensusMechanisms).forEach(result => {
+        if (result.error) return console.log(`${result.mechanism}: error (${result.error})`);
+        console.log(`${result.mechanism}: safety ${result.safetyHeld ? "held" : "VIOLATED"}, ` +
+          `longest stall ${(result.longestStall / 1000).toFixed(1)}s` +
+          (result.notFired.length > 0 ? `, events ${result.notFired.join(", ")} never fired` : ""));
+      });
+      Object.entries(results.skipped).forEach(([mechanism, reason]) => console.log(`${mechanism}: skipped (${reason})`));
+    })
+    .catch(error => {
+      console.error("Error running fault schedule tests:", error);
+    });
+}
+
+module.exports = {
+  runFaultScheduleTests,
+  scheduleHorizon
+};
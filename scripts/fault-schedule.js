@@ -0,0 +1,255 @@
+/**
+ * Fault Schedules
+ * Deterministic adversarial scenarios, written as a JSON or YAML file and
+ * replayed on a run's simulated clock instead of sampled fault probabilities:
+ *
+ *   name: crash-equivocate-partition
+ *   events:
+ *     - { at: 30s, action: crash, validator: 2, duration: 10s }
+ *     - { block: 50, action: byzantine, validator: 3, strategy: equivocation }
+ *     - { at: 60s, action: partition, groups: "0,1|2,3", duration: 20s }
+ *
+ * `at` is simulated time since the schedule was attached (ms, or "500ms",
+ * "30s", "2m") and `block` the height the run is about to order; each event
+ * fires once. Crashes and strategy switches go through handlers the runner
+ * provides: crashes in PBFT, PoA Square (both on crash-recovery.js), Raft,
+ * Tendermint, QBFT and HotStuff, strategy switches (byzantine-strategies.js)
+ * in PBFT and PoA Square only. Partitions go through the run's NetworkModel.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { BYZANTINE_STRATEGIES } = require("./byzantine-strategies");
+
+const FAULT_ACTIONS = {
+  crash: "Validator goes down for `duration`, then rejoins and catches up",
+  byzantine: "Validator follows `strategy` from byzantine-strategies.js, for `duration` or to the end of the run",
+  partition: "Validators split into `groups` that cannot reach each other, healing after `duration`"
+};
+
+const TIME_UNITS = { ms: 1, s: 1000, m: 60000 };
+
+function parseDuration(value, where) {
+  if (typeof value === "number" && value >= 0) return value;
+  const match = typeof value === "string" && /^(\d+(?:\.\d+)?)\s*(ms|s|m)?$/.exec(value.trim());
+  if (!match) throw new Error(`${where}: invalid time "${value}" (use ms, or e.g. "500ms", "30s", "2m")`);
+  return Number(match[1]) * TIME_UNITS[match[2] || "ms"];
+}
+
+function isIndex(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Groups as [[0, 1], [2, 3]] or "0,1|2,3"
+function parseGroups(value, where) {
+  const groups = typeof value === "string"
+    ? value.split("|").map(group => group.split(",").map(index => Number(index.trim())))
+    : value;
+  if (!Array.isArray(groups) || groups.length < 2 || !groups.every(group => Array.isArray(group) && group.length > 0 && group.every(isIndex))) {
+    throw new Error(`${where}: partition groups must be two or more lists of validator indices`);
+  }
+  const nodes = groups.flat();
+  if (new Set(nodes).size !== nodes.length) {
+    throw new Error(`${where}: a validator appears in more than one partition group`);
+  }
+  return groups;
+}
+
+function normalizeEvent(raw, position, source) {
+  const where = `${source}, event ${position + 1}`;
+  if (!raw || typeof raw !== "object") throw new Error(`${where}: expected an object`);
+  if (!FAULT_ACTIONS[raw.action]) {
+    throw new Error(`${where}: unknown action "${raw.action}" (available: ${Object.keys(FAULT_ACTIONS).join(", ")})`);
+  }
+  if ((raw.at === undefined) === (raw.block === undefined)) {
+    throw new Error(`${where}: give either "at" (simulated time) or "block"`);
+  }
+  if (raw.block !== undefined && !(Number.isInteger(raw.block) && raw.block >= 1)) {
+    throw new Error(`${where}: block must be a positive integer`);
+  }
+
+  const event = {
+    action: raw.action,
+    at: raw.at !== undefined ? parseDuration(raw.at, where) : null,
+    block: raw.block ?? null,
+    duration: raw.duration !== undefined ? parseDuration(raw.duration, where) : null
+  };
+  if (raw.action !== "partition") {
+    if (!isIndex(raw.validator)) throw new Error(`${where}: ${raw.action} needs a validator index`);
+    event.validator = raw.validator;
+  }
+
+  switch (raw.action) {
+    case "crash":
+      if (!(event.duration > 0)) throw new Error(`${where}: crash needs a duration`);
+      break;
+    case "byzantine":
+      if (!BYZANTINE_STRATEGIES[raw.strategy]) {
+        throw new Error(`${where}: unknown strategy "${raw.strategy}" (available: ${Object.keys(BYZANTINE_STRATEGIES).join(", ")})`);
+      }
+      if (raw.targets !== undefined && !(Array.isArray(raw.targets) && raw.targets.every(isIndex))) {
+        throw new Error(`${where}: targets must be a list of validator indices`);
+      }
+      event.strategy = raw.strategy;
+      if (raw.targets !== undefined) event.targets = raw.targets;
+      if (raw.coalition !== undefined) event.coalition = String(raw.coalition);
+      break;
+    case "partition":
+      event.groups = parseGroups(raw.groups, where);
+      break;
+  }
+  return event;
+}
+
+/**
+ * Validate a schedule given as { name?, description?, validators?, events: [...] }
+ * (or just the list of events) and convert its times to ms. `validators` is
+ * the validator count the schedule was written for.
+ */
+function parseFaultSchedule(definition, source = "fault schedule") {
+  const { name, description, validators, events } = Array.isArray(definition) ? { events: definition } : (definition || {});
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error(`${source}: expected a non-empty "events" list`);
+  }
+  if (validators !== undefined && !(Number.isInteger(validators) && validators >= 1)) {
+    throw new Error(`${source}: validators must be a positive integer`);
+  }
+  return {
+    name: name || source,
+    description: description || null,
+    validators: validators ?? null,
+    events: events.map((event, position) => normalizeEvent(event, position, source))
+  };
+}
+
+/**
+ * Read and validate a schedule file (.json, .yaml or .yml)
+ */
+function loadFaultSchedule(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const extension = path.extname(file).toLowerCase();
+  const definition = extension === ".yaml" || extension === ".yml"
+    ? require("js-yaml").load(text)
+    : JSON.parse(text);
+  return parseFaultSchedule(definition, path.basename(file));
+}
+
+/**
+ * Schedule from the file named by FAULT_SCHEDULE, or null when unset
+ */
+function faultScheduleFromEnv(env = process.env) {
+  return env.FAULT_SCHEDULE ? loadFaultSchedule(env.FAULT_SCHEDULE) : null;
+}
+
+function usesFaultAction(schedule, action) {
+  return schedule.events.some(event => event.action === action);
+}
+
+/**
+ * A parsed schedule attached to one run
+ */
+class FaultSchedule {
+  /**
+   * @param {Object} schedule - Parsed schedule (loadFaultSchedule / parseFaultSchedule)
+   * @param {Object} options
+   * @param {EventScheduler} options.scheduler - Simulated clock; `at` counts from its time now
+   * @param {number} options.nodeCount - Validators the event indices refer to
+   * @param {NetworkModel} [options.network] - Carries partition events
+   * @param {Object} [options.handlers] - crash(index, duration) and byzantine(index, spec | null) of the runner
+   * @param {string} [options.runner] - Runner name for error messages
+   */
+  constructor(schedule, options) {
+    this.schedule = schedule;
+    this.clock = options.scheduler;
+    this.nodeCount = options.nodeCount;
+    this.network = options.network || null;
+    this.handlers = options.handlers || {};
+    this.runner = options.runner || "runner";
+    this.startedAt = this.clock.now;
+    this.events = schedule.events.map((event, index) => ({ ...event, index }));
+    this.events.forEach(event => this.check(event));
+
+    this.fired = [];
+    this.firedIndices = new Set();
+    this.assignments = new Map(); // validator index -> byzantine event in force
+    for (const event of this.events) {
+      if (event.at === null) continue;
+      this.clock.scheduleAt(this.startedAt + event.at, () => this.fire(event), `fault:${event.action}`);
+    }
+  }
+
+  check(event) {
+    const where = `${this.schedule.name}, event ${event.index + 1}`;
+    if (event.action === "partition" ? !this.network : !this.handlers[event.action]) {
+      const need = event.action === "partition" ? " without a network model" : "";
+      throw new Error(`${where}: ${this.runner} cannot apply ${event.action} events${need}`);
+    }
+    const indices = [event.validator, ...(event.targets || []), ...(event.groups || []).flat()].filter(index => index !== undefined);
+    const outside = indices.filter(index => index >= this.nodeCount);
+    if (outside.length > 0) {
+      throw new Error(`${where}: validator ${outside[0]} is out of range (${this.nodeCount} validators)`);
+    }
+  }
+
+  /**
+   * Fire the block events due by `height` (the block about to be ordered)
+   */
+  onBlock(height) {
+    for (const event of this.events) {
+      if (event.block !== null && event.block <= height) this.fire(event, height);
+    }
+  }
+
+  fire(event, height = null) {
+    if (this.firedIndices.has(event.index)) return;
+    this.firedIndices.add(event.index);
+
+    switch (event.action) {
+      case "crash":
+        this.handlers.crash(event.validator, event.duration);
+        break;
+      case "byzantine": {
+        const { strategy, targets, coalition } = event;
+        this.assignments.set(event.validator, event);
+        this.handlers.byzantine(event.validator, { strategy, targets, coalition });
+        if (event.duration !== null) {
+          this.clock.schedule(event.duration, () => {
+            // A later event for the same validator takes over from this one
+            if (this.assignments.get(event.validator) !== event) return;
+            this.assignments.delete(event.validator);
+            this.handlers.byzantine(event.validator, null);
+          }, `fault:byzantine-end:${event.validator}`);
+        }
+        break;
+      }
+      case "partition":
+        this.network.schedulePartition("scripted", {
+          nodeCount: this.nodeCount,
+          groups: event.groups,
+          start: this.clock.now,
+          duration: event.duration ?? undefined
+        });
+        break;
+    }
+    this.fired.push({ event: event.index + 1, action: event.action, time: this.clock.now - this.startedAt, block: height });
+  }
+
+  summary() {
+    return {
+      name: this.schedule.name,
+      description: this.schedule.description,
+      events: this.events.map(({ index, ...event }) => event),
+      fired: this.fired,
+      notFired: this.events.filter(event => !this.firedIndices.has(event.index)).map(event => event.index + 1)
+    };
+  }
+}
+
+module.exports = {
+  FaultSchedule,
+  FAULT_ACTIONS,
+  loadFaultSchedule,
+  parseFaultSchedule,
+  faultScheduleFromEnv,
+  usesFaultAction
+};
@@ -0,0 +1,1204 @@
+/**
+ * HotStuff Consensus Runner
+ * Implementation of chained HotStuff (linear-message BFT) for the K-ETS blockchain simulation
+ *
+ * Every view has a single leader that proposes a block extending the highest
+ * quorum certificate (QC) it knows. Replicas send their vote only to the next
+ * view's leader, which aggregates 2f+1 votes into the QC it carries in its own
+ * proposal - so a view costs O(n) messages instead of PBFT's O(n²).
+ *
+ * Phases are pipelined: each proposal's QC certifies the previous block, locks
+ * the block before it (two-chain) and commits the one before that once three
+ * consecutive views form a direct chain (three-chain commit rule).
+ *
+ * A pacemaker drives liveness: replicas that see no progress in a view time
+ * out, send NEW-VIEW with their highest QC to the next leader, and back off
+ * exponentially on consecutive failures. Byzantine validators reuse the PBFT
+ * runner's fault model, and measurements are written in the same shape as
+ * logs/pbft-measurements.json.
+ */
+
+const { ethers } = require("hardhat");
+const { parseEther } = ethers;
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+const { networkFromEnv } = require("./network-model");
+
+// Constants for simulation
+const NUM_VALIDATORS = 4; // 3f+1 where f=1
+const BLOCK_TIME = 1000; // 1 second
+
+// Message delivery times, aligned with the PBFT phase timings
+const PROPOSAL_TIME = 200; // ms
+const VOTE_TIME = 300; // ms
+const NEW_VIEW_TIME = 300; // ms
+
+// Pacemaker
+const VIEW_TIMEOUT = 2000; // ms, same base as the PBFT view-change timeout
+const MAX_VIEW_TIMEOUT = 16000; // ms, cap for exponential backoff
+const COMMIT_DEADLINE = 120000; // ms of simulated time a transaction may wait for commit
+
+// Byzantine behavior constants (same model as the PBFT runner)
+const BYZANTINE_VALIDATOR_COUNT = 1;
+const BYZANTINE_FAILURE_TYPES = [
+  'crash', // Validator stops responding
+  'malicious', // Validator sends conflicting messages
+  'delayed' // Validator responds with excessive delay
+];
+const BYZANTINE_FAILURE_PROBABILITY = 0.3; // Chance of Byzantine behavior per validator per message
+
+// Protocol message types (also used as the phase names in the measurements)
+const MESSAGE_TYPES = {
+  PROPOSAL: "proposal",
+  VOTE: "vote",
+  NEW_VIEW: "new-view"
+};
+
+const MESSAGE_SIZES = {
+  [MESSAGE_TYPES.PROPOSAL]: 1024, // carries the block and its QC
+  [MESSAGE_TYPES.VOTE]: 512,
+  [MESSAGE_TYPES.NEW_VIEW]: 768 // carries the sender's highest QC
+};
+
+// Seeded randomness (SIM_SEED / --seed) so runs can be replayed exactly
+const rng = createRandom();
+const resourceNoise = rng.fork("resource-usage");
+
+// Simulated clock - message delivery and pacemaker timers are modelled on it
+const clock = new EventScheduler(Date.now());
+
+// Log file setup
+const LOG_FILE = path.join(__dirname, "../logs/hotstuff-measurements.json");
+const LOG_DIR = path.dirname(LOG_FILE);
+
+if (!fs.existsSync(LOG_DIR)) {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+}
+
+// Measurement data structure (same shape as the PBFT measurements)
+const measurements = {
+  consensusMechanism: "HotStuff",
+  seed: rng.seed,
+  timeModel: "virtual-clock",
+  transactions: [],
+  blocks: [],
+  finalityTimes: [],
+  gasUsage: [],
+  resourceUsage: [],
+  networkMessages: [],
+  viewChanges: [],
+  byzantineEvents: [],
+  consensusPhases: [],
+  quorumCertificates: [],
+  rejectedMessages: [],
+  safetyViolations: [],
+  livenessFailures: [],
+  crashEvents: [], // Scheduled crashes (fault-schedule.js)
+  startTime: null,
+  endTime: null
+};
+
+/**
+ * Hash of a block's contents
+ */
+function computeBlockHash(block) {
+  return "0x" + crypto.createHash("sha256")
+    .update(`${block.parent}:${block.view}:${block.height}:${block.proposer}:${block.justify.blockHash}:${block.txs.join(",")}:${block.variant || ""}`)
+    .digest("hex");
+}
+
+/**
+ * HotStuff replica state
+ */
+class HotStuffValidator {
+  constructor(account, index, isByzantine = false, random = rng, scheduler = clock, failureProbability = BYZANTINE_FAILURE_PROBABILITY, failureTypes = BYZANTINE_FAILURE_TYPES) {
+    this.account = account;
+    this.clock = scheduler;
+    this.address = account.address;
+    this.index = index;
+    this.rng = random;
+    this.isByzantine = isByzantine;
+    this.byzantineType = isByzantine ? this.rng.pick(failureTypes) : null;
+    this.failureProbability = failureProbability;
+
+    this.view = 1;
+    this.lastVotedView = 0;
+    this.highQC = null;
+    this.lockedQC = null;
+    this.committed = new Map(); // height -> block hash
+    this.committedHeight = 0;
+    this.proposalsSeen = new Map(); // view -> block hash
+    this.timer = null;
+    this.consecutiveTimeouts = 0;
+
+    this.proposalsSent = 0;
+    this.votesSent = 0;
+    this.newViewsSent = 0;
+    this.messagesReceived = 0;
+    this.timeouts = 0;
+    this.failures = 0;
+    this.online = true; // False while down from a scheduled crash
+    this.lastActive = this.clock.now;
+  }
+
+  /**
+   * Pacemaker timeout for the current view, doubling per consecutive failed view
+   */
+  currentTimeout() {
+    return Math.min(VIEW_TIMEOUT * Math.pow(2, this.consecutiveTimeouts), MAX_VIEW_TIMEOUT);
+  }
+
+  /**
+   * Check if validator should exhibit Byzantine behavior for this message
+   */
+  exhibitsByzantineFailure() {
+    if (!this.isByzantine) return false;
+
+    if (this.rng.chance(this.failureProbability)) {
+      this.failures++;
+      return this.byzantineType;
+    }
+    return false;
+  }
+}
+
+/**
+ * Chained HotStuff consensus state manager
+ */
+class HotStuffConsensus {
+  constructor(validatorAccounts, random = rng, scheduler = clock, options = {}) {
+    this.rng = random;
+    this.clock = scheduler;
+    this.network = options.network || null; // NetworkModel; without one every message takes its phase time
+    this.byzantineCount = Math.min(options.byzantineCount ?? BYZANTINE_VALIDATOR_COUNT, validatorAccounts.length);
+    this.failureProbability = options.failureProbability ?? BYZANTINE_FAILURE_PROBABILITY;
+    this.failureTypes = options.byzantineTypes || BYZANTINE_FAILURE_TYPES; // Faults Byzantine validators pick from
+    this.validators = this.setupValidators(validatorAccounts);
+    this.f = Math.floor((this.validators.length - 1) / 3);
+    this.quorum = 2 * this.f + 1;
+
+    // Block store shared by all replicas (stands in for block sync)
+    const genesis = { hash: "0x" + "0".repeat(64), view: 0, height: 0, parent: null, proposer: null, txs: [], justify: null };
+    genesis.justify = { view: 0, blockHash: genesis.hash, signers: [] };
+    this.genesis = genesis;
+    this.blocks = new Map([[genesis.hash, genesis]]);
+    this.validators.forEach(v => {
+      v.highQC = genesis.justify;
+      v.lockedQC = genesis.justify;
+    });
+
+    this.mempool = new Map(); // tx hash -> submission time, until committed
+    this.committedTxs = new Map(); // tx hash -> { block, committedAt }
+    this.firstCommits = new Map(); // height -> { hash, time }
+    this.votes = new Map(); // view -> Map(blockHash -> Set(signers)) at the next leader
+    this.newViews = new Map(); // view -> Map(sender -> QC) at that view's leader
+    this.proposedViews = new Set();
+    this.viewStats = new Map();
+    this.currentView = 1;
+    this.blockHeight = 0;
+
+    // Leader holding a QC while there is nothing to propose
+    this.readyLeader = { view: 1, qc: genesis.justify };
+    this.recordConsensusState("initialization");
+  }
+
+  /**
+   * Set up validators including Byzantine ones
+   */
+  setupValidators(accounts) {
+    const byzantineIndices = new Set();
+    while (byzantineIndices.size < this.byzantineCount) {
+      byzantineIndices.add(this.rng.nextInt(accounts.length));
+    }
+
+    return accounts.map((account, index) => new HotStuffValidator(
+      account,
+      index,
+      byzantineIndices.has(index),
+      this.rng.fork(`validator-${index}`),
+      this.clock,
+      this.failureProbability,
+      this.failureTypes
+    ));
+  }
+
+  /**
+   * Round-robin leader for a view
+   */
+  leaderOf(view) {
+    return this.validators[view % this.validators.length];
+  }
+
+  /**
+   * Whether the pipeline has anything left to commit. The simulation stops
+   * proposing empty blocks once every submitted transaction is committed.
+   */
+  hasWork() {
+    return this.mempool.size > 0;
+  }
+
+  /**
+   * Submit a transaction and wait until an honest replica commits it.
+   * Returns the commit result, or a failure after COMMIT_DEADLINE.
+   */
+  async runConsensus(txHash) {
+    const submittedAt = this.clock.now;
+    this.mempool.set(txHash, submittedAt);
+    console.log(`\n--- HotStuff: transaction ${txHash.substring(0, 10)}... submitted in view ${this.currentView} ---`);
+
+    // Wake the pacemaker (timers are idle while there is no work)
+    this.validators.forEach(v => { if (v.timer === null) this.startTimer(v); });
+    if (this.readyLeader) {
+      const { view, qc } = this.readyLeader;
+      this.readyLeader = null;
+      this.propose(this.leaderOf(view), view, qc);
+    }
+
+    const committed = await this.clock.advanceUntil(() => this.committedTxs.has(txHash), submittedAt + COMMIT_DEADLINE);
+    if (!committed) {
+      console.log(`❌ Transaction ${txHash.substring(0, 10)}... not committed within ${COMMIT_DEADLINE}ms`);
+      measurements.livenessFailures.push({
+        timestamp: this.clock.now,
+        txHash,
+        view: this.currentView,
+        highestCommittedHeight: Math.max(0, ...this.firstCommits.keys()),
+        reason: "no three-chain formed before the deadline"
+      });
+      return { success: false, view: this.currentView };
+    }
+
+    const { block, committedAt } = this.committedTxs.get(txHash);
+    const result = {
+      success: true,
+      view: block.view,
+      height: block.height,
+      proposer: this.validators[block.proposer].address,
+      totalTime: committedAt - submittedAt,
+      commitView: this.currentView
+    };
+    console.log(`✅ Committed at height ${block.height} (proposed in view ${block.view}) after ${result.totalTime}ms`);
+    this.recordConsensusState("transaction-committed", result);
+    return result;
+  }
+
+  /**
+   * Leader proposes a block for `view` extending the block certified by `qc`
+   */
+  propose(leader, view, qc) {
+    if (this.proposedViews.has(view)) return;
+    if (!this.hasWork()) {
+      this.readyLeader = { view, qc };
+      return;
+    }
+    this.proposedViews.add(view);
+
+    const parent = this.blocks.get(qc.blockHash);
+    const included = this.ancestorTxs(parent);
+    const block = {
+      view,
+      height: parent.height + 1,
+      parent: parent.hash,
+      proposer: leader.index,
+      justify: qc,
+      txs: [...this.mempool.keys()].filter(tx => !included.has(tx))
+    };
+    block.hash = computeBlockHash(block);
+    this.blocks.set(block.hash, block);
+    this.getViewStats(view).proposedAt = this.clock.now;
+    this.getViewStats(view).height = block.height;
+    leader.proposalsSent++;
+
+    const behaviour = this.applyByzantineBehaviour(leader, MESSAGE_TYPES.PROPOSAL, view);
+    if (behaviour.silent) return;
+
+    let conflicting = null;
+    if (behaviour.equivocate) {
+      conflicting = { ...block, variant: `equivocation-${leader.index}`, txs: [] };
+      conflicting.hash = computeBlockHash(conflicting);
+      this.blocks.set(conflicting.hash, conflicting);
+    }
+
+    for (const replica of this.validators) {
+      const sent = conflicting && replica !== leader && leader.rng.chance(0.5) ? conflicting : block;
+      this.send(leader, replica, { type: MESSAGE_TYPES.PROPOSAL, view, sender: leader.index, block: sent },
+        PROPOSAL_TIME, behaviour.extraDelay);
+    }
+  }
+
+  /**
+   * Transactions already included between `block` and the last committed block
+   */
+  ancestorTxs(block) {
+    const txs = new Set();
+    let current = block;
+    while (current && current.height > 0) {
+      current.txs.forEach(tx => txs.add(tx));
+      current = this.blocks.get(current.parent);
+    }
+    return txs;
+  }
+
+  /**
+   * Point-to-point delivery after the phase time (or the network's link delay) plus
+   * any Byzantine extra delay; messages to oneself arrive immediately and are not counted.
+   * Crashed replicas neither send nor receive.
+   */
+  send(sender, recipient, message, delay, extraDelay = 0) {
+    if (!sender.online) return;
+    let arrival = 0;
+    if (recipient !== sender) {
+      const stats = this.getViewStats(message.view);
+      stats.messages[message.type].count++;
+      stats.messages[message.type].bytes += MESSAGE_SIZES[message.type];
+      const transit = this.network ? this.network.transmit(sender.index, recipient.index, MESSAGE_SIZES[message.type]) : delay;
+      if (transit === null) return; // Dropped by a network partition
+      arrival = transit + extraDelay;
+    }
+    this.clock.schedule(arrival, () => this.handleMessage(recipient, message),
+      `${message.type}:${sender.index}->${recipient.index}@${message.view}`);
+  }
+
+  handleMessage(replica, message) {
+    if (!replica.online) return;
+    replica.messagesReceived++;
+    replica.lastActive = this.clock.now;
+
+    if (message.type === MESSAGE_TYPES.PROPOSAL) {
+      this.onProposal(replica, message);
+    } else if (message.type === MESSAGE_TYPES.VOTE) {
+      this.onVote(replica, message);
+    } else if (message.type === MESSAGE_TYPES.NEW_VIEW) {
+      this.onNewView(replica, message);
+    }
+  }
+
+  /**
+   * Replica handling of a proposal: update QCs, apply the lock and commit
+   * rules, then vote to the next leader if the proposal is safe
+   */
+  onProposal(replica, message) {
+    const { block, view } = message;
+    if (message.sender !== this.leaderOf(view).index) {
+      this.recordRejectedMessage(replica, message, "proposal from a non-leader");
+      return;
+    }
+    const seen = replica.proposalsSeen.get(view);
+    if (seen) {
+      if (seen !== block.hash) {
+        this.recordRejectedMessage(replica, message, "conflicting proposal", seen);
+      }
+      return;
+    }
+    replica.proposalsSeen.set(view, block.hash);
+
+    if (!this.isValidQC(block.justify) || block.parent !== block.justify.blockHash ||
+        block.hash !== computeBlockHash(block)) {
+      this.recordRejectedMessage(replica, message, "invalid block or justification");
+      return;
+    }
+
+    this.updateHighQC(replica, block.justify);
+
+    // Chained rules: b2 <- b1 <- b0 along the QC chain ending at this proposal
+    const b2 = this.blocks.get(block.justify.blockHash);
+    const b1 = this.blocks.get(b2.justify.blockHash);
+    const b0 = this.blocks.get(b1.justify.blockHash);
+
+    // Two-chain: lock on b1
+    if (b1.height > this.blocks.get(replica.lockedQC.blockHash).height) {
+      replica.lockedQC = b2.justify;
+    }
+    // Three-chain with direct parents: commit b0 and its ancestors
+    if (b2.parent === b1.hash && b1.parent === b0.hash) {
+      this.commit(replica, b0);
+    }
+
+    // Late proposals still carry QCs, but only the current view gets a vote
+    if (view < replica.view) return;
+    if (view > replica.lastVotedView && this.safeNode(replica, block)) {
+      replica.lastVotedView = view;
+      this.vote(replica, block);
+    }
+
+    // Wait for the next leader's proposal; progress resets the pacemaker backoff
+    replica.view = view + 1;
+    replica.consecutiveTimeouts = 0;
+    this.currentView = Math.max(this.currentView, replica.view);
+    this.startTimer(replica);
+  }
+
+  /**
+   * safeNode: the block extends the locked block, or its QC is newer than the lock
+   */
+  safeNode(replica, block) {
+    const locked = this.blocks.get(replica.lockedQC.blockHash);
+    if (this.blocks.get(block.justify.blockHash).height > locked.height) return true;
+
+    let current = block;
+    while (current && current.height > locked.height) {
+      current = this.blocks.get(current.parent);
+    }
+    return current !== undefined && current.hash === locked.hash;
+  }
+
+  isValidQC(qc) {
+    return qc.view === 0 || (qc.signers.length >= this.quorum && this.blocks.has(qc.blockHash));
+  }
+
+  updateHighQC(replica, qc) {
+    if (this.blocks.get(qc.blockHash).height > this.blocks.get(replica.highQC.blockHash).height) {
+      replica.highQC = qc;
+    }
+  }
+
+  /**
+   * Send a vote for `block` to the next view's leader
+   */
+  vote(replica, block) {
+    const behaviour = this.applyByzantineBehaviour(replica, MESSAGE_TYPES.VOTE, block.view);
+    if (behaviour.silent) return;
+
+    let blockHash = block.hash;
+    if (behaviour.equivocate) {
+      // Vote for a block that was never proposed; the collector cannot use it
+      blockHash = "0x" + crypto.createHash("sha256").update(`${block.hash}:forged:${replica.index}`).digest("hex");
+    }
+    replica.votesSent++;
+    this.send(replica, this.leaderOf(block.view + 1), {
+      type: MESSAGE_TYPES.VOTE,
+      view: block.view,
+      sender: replica.index,
+      blockHash
+    }, VOTE_TIME, behaviour.extraDelay);
+  }
+
+  /**
+   * Next leader aggregates votes; 2f+1 for the same block form a QC
+   */
+  onVote(leader, message) {
+    if (!this.blocks.has(message.blockHash)) {
+      this.recordRejectedMessage(leader, message, "vote for an unknown block");
+      return;
+    }
+    if (!this.votes.has(message.view)) this.votes.set(message.view, new Map());
+    const byBlock = this.votes.get(message.view);
+    for (const [hash, signers] of byBlock) {
+      if (hash !== message.blockHash && signers.has(message.sender)) {
+        this.recordRejectedMessage(leader, message, "conflicting vote", hash);
+        return;
+      }
+    }
+    if (!byBlock.has(message.blockHash)) byBlock.set(message.blockHash, new Set());
+    const signers = byBlock.get(message.blockHash);
+    signers.add(message.sender);
+    if (signers.size !== this.quorum) return;
+
+    const qc = { view: message.view, blockHash: message.blockHash, signers: [...signers] };
+    const stats = this.getViewStats(message.view);
+    stats.qcAt = this.clock.now;
+    measurements.quorumCertificates.push({
+      timestamp: this.clock.now,
+      type: "generic",
+      blockHeight: this.blocks.get(qc.blockHash).height,
+      view: qc.view,
+      blockHash: qc.blockHash,
+      collector: leader.index,
+      signers: qc.signers
+    });
+
+    this.updateHighQC(leader, qc);
+    this.propose(leader, message.view + 1, leader.highQC);
+  }
+
+  /**
+   * Pacemaker timer for the replica's current view
+   */
+  startTimer(replica) {
+    if (replica.timer !== null) this.clock.cancel(replica.timer);
+    replica.timer = null;
+    if (!this.hasWork() || !replica.online) return;
+
+    const view = replica.view;
+    const duration = replica.currentTimeout();
+    replica.timer = this.clock.schedule(duration, () => {
+      replica.timer = null;
+      if (replica.view !== view || !this.hasWork()) return;
+      this.onTimeout(replica, view, duration);
+    }, `pacemaker:${replica.index}@${view}`);
+  }
+
+  /**
+   * Scheduled crash (fault-schedule.js): the replica neither sends nor receives
+   * for `downtime` ms, then restarts its pacemaker. The shared block store
+   * stands in for syncing the blocks it missed.
+   */
+  crashValidator(index, downtime) {
+    const replica = this.validators[index];
+    if (!replica.online) return;
+    replica.online = false;
+    if (replica.timer !== null) this.clock.cancel(replica.timer);
+    replica.timer = null;
+    console.log(`💥 Replica ${replica.address.substring(0, 10)}... crashed for ${downtime}ms`);
+    measurements.crashEvents.push({
+      timestamp: this.clock.now,
+      validatorIndex: index,
+      view: replica.view,
+      downtime
+    });
+
+    this.clock.schedule(downtime, () => {
+      replica.online = true;
+      console.log(`🔁 Replica ${replica.address.substring(0, 10)}... rejoined in view ${replica.view}`);
+      this.startTimer(replica);
+    }, `recover:${index}`);
+  }
+
+  /**
+   * Handlers for fault-schedule.js events (only crashes; scheduled strategies need PBFT or PoA Square)
+   */
+  faultHandlers() {
+    return { crash: (index, downtime) => this.crashValidator(index, downtime) };
+  }
+
+  /**
+   * No progress in `view`: move to the next view and hand the highest QC to its leader
+   */
+  onTimeout(replica, view, duration) {
+    replica.timeouts++;
+    replica.consecutiveTimeouts++;
+    replica.view = view + 1;
+    this.currentView = Math.max(this.currentView, replica.view);
+    this.recordViewChange(replica, view, duration);
+
+    const behaviour = this.applyByzantineBehaviour(replica, MESSAGE_TYPES.NEW_VIEW, view + 1);
+    if (!behaviour.silent) {
+      replica.newViewsSent++;
+      this.send(replica, this.leaderOf(view + 1), {
+        type: MESSAGE_TYPES.NEW_VIEW,
+        view: view + 1,
+        sender: replica.index,
+        highQC: replica.highQC
+      }, NEW_VIEW_TIME, behaviour.extraDelay);
+    }
+    this.startTimer(replica);
+  }
+
+  /**
+   * Leader of `view` proposes once 2f+1 replicas have handed over their highest QC
+   */
+  onNewView(leader, message) {
+    if (!this.isValidQC(message.highQC)) {
+      this.recordRejectedMessage(leader, message, "invalid QC in new-view");
+      return;
+    }
+    if (!this.newViews.has(message.view)) this.newViews.set(message.view, new Map());
+    const received = this.newViews.get(message.view);
+    received.set(message.sender, message.highQC);
+    this.updateHighQC(leader, message.highQC);
+
+    if (received.size === this.quorum) {
+      const stats = this.getViewStats(message.view);
+      stats.newViewAt = this.clock.now;
+      if (leader.view < message.view) leader.view = message.view;
+      if (this.readyLeader && this.readyLeader.view < message.view) this.readyLeader = null;
+      this.propose(leader, message.view, leader.highQC);
+    }
+  }
+
+  /**
+   * Commit `block` and any uncommitted ancestors at this replica
+   */
+  commit(replica, block) {
+    const chain = [];
+    let current = block;
+    while (current && current.height > replica.committedHeight) {
+      chain.unshift(current);
+      current = this.blocks.get(current.parent);
+    }
+
+    for (const committed of chain) {
+      replica.committed.set(committed.height, committed.hash);
+      replica.committedHeight = committed.height;
+      this.recordCommit(replica, committed);
+    }
+  }
+
+  /**
+   * Track the first commit of every height and check all replicas agree on it
+   */
+  recordCommit(replica, block) {
+    const first = this.firstCommits.get(block.height);
+    if (first) {
+      if (first.hash !== block.hash) {
+        console.log(`🚨 SAFETY VIOLATION at height ${block.height}: replica ${replica.index} committed a different block`);
+        measurements.safetyViolations.push({
+          timestamp: this.clock.now,
+          blockHeight: block.height,
+          validatorIndex: replica.index,
+          committed: block.hash,
+          conflictsWith: first.hash
+        });
+      }
+      return;
+    }
+    if (replica.isByzantine) return;
+
+    this.firstCommits.set(block.height, { hash: block.hash, time: this.clock.now });
+    this.blockHeight = Math.max(this.blockHeight, block.height);
+    for (const tx of block.txs) {
+      if (this.committedTxs.has(tx)) continue;
+      this.committedTxs.set(tx, { block, committedAt: this.clock.now });
+      this.mempool.delete(tx);
+    }
+
+    const stats = this.getViewStats(block.view);
+    stats.committedAt = this.clock.now;
+    this.recordBlock(block, stats);
+    recordHotStuffResourceUsage(block.height, stats.byzantine, "commit");
+  }
+
+  getViewStats(view) {
+    if (!this.viewStats.has(view)) {
+      this.viewStats.set(view, {
+        startedAt: this.clock.now,
+        height: null,
+        proposedAt: null,
+        qcAt: null,
+        newViewAt: null,
+        committedAt: null,
+        messages: {
+          [MESSAGE_TYPES.PROPOSAL]: { count: 0, bytes: 0 },
+          [MESSAGE_TYPES.VOTE]: { count: 0, bytes: 0 },
+          [MESSAGE_TYPES.NEW_VIEW]: { count: 0, bytes: 0 }
+        },
+        byzantine: 0
+      });
+    }
+    return this.viewStats.get(view);
+  }
+
+  /**
+   * Decide whether a validator misbehaves while sending this message
+   */
+  applyByzantineBehaviour(validator, phase, view) {
+    const behaviour = { silent: false, equivocate: false, extraDelay: 0 };
+    const byzantineFailure = validator.exhibitsByzantineFailure();
+    if (!byzantineFailure) return behaviour;
+
+    this.recordByzantineEvent(validator, phase, view, byzantineFailure);
+    this.getViewStats(view).byzantine++;
+
+    if (byzantineFailure === 'crash') {
+      behaviour.silent = true;
+    } else if (byzantineFailure === 'malicious') {
+      behaviour.equivocate = true;
+    } else if (byzantineFailure === 'delayed') {
+      behaviour.extraDelay = VIEW_TIMEOUT / 2;
+    }
+    return behaviour;
+  }
+
+  /**
+   * Stop the pacemaker, deliver in-flight messages and write per-view message
+   * counts and phase durations
+   */
+  finalize() {
+    this.validators.forEach(v => {
+      if (v.timer !== null) this.clock.cancel(v.timer);
+      v.timer = null;
+    });
+    this.clock.runUntilIdle();
+
+    for (const [view, stats] of [...this.viewStats].sort((a, b) => a[0] - b[0])) {
+      for (const type of Object.values(MESSAGE_TYPES)) {
+        const { count } = stats.messages[type];
+        if (count === 0) continue;
+        measurements.networkMessages.push({
+          timestamp: stats.proposedAt || stats.startedAt,
+          blockHeight: stats.height,
+          view,
+          phase: type,
+          messageCount: count,
+          messageSize: MESSAGE_SIZES[type],
+          totalBytes: count * MESSAGE_SIZES[type]
+        });
+      }
+
+      const phases = [
+        [MESSAGE_TYPES.NEW_VIEW, stats.startedAt, stats.newViewAt],
+        [MESSAGE_TYPES.VOTE, stats.proposedAt, stats.qcAt]
+      ];
+      for (const [phase, from, to] of phases) {
+        if (from === null || to === null) continue;
+        measurements.consensusPhases.push({
+          timestamp: to,
+          blockHeight: stats.height,
+          view,
+          phase,
+          duration: to - from,
+          messageCount: stats.messages[phase].count,
+          participantCount: this.validators.length,
+          byzantineCount: stats.byzantine
+        });
+      }
+    }
+  }
+
+  recordViewChange(replica, view, duration) {
+    const newView = view + 1;
+    // One entry per view, from the first replica to give up on it
+    if (measurements.viewChanges.some(vc => vc.oldView === view)) return;
+    console.log(`🔄 Pacemaker timeout in view ${view} (${duration}ms) - moving to view ${newView}, leader ${this.leaderOf(newView).index}`);
+    measurements.viewChanges.push({
+      timestamp: this.clock.now,
+      blockHeight: this.blockHeight,
+      oldView: view,
+      newView,
+      reason: "pacemaker-timeout",
+      initiator: replica.index,
+      newPrimary: this.leaderOf(newView).address,
+      duration,
+      outcome: "installed"
+    });
+  }
+
+  /**
+   * Record Byzantine event
+   */
+  recordByzantineEvent(validator, phase, view, failureType) {
+    measurements.byzantineEvents.push({
+      timestamp: this.clock.now,
+      validator: validator.address,
+      validatorIndex: validator.index,
+      blockHeight: this.blockHeight,
+      view,
+      phase,
+      failureType
+    });
+  }
+
+  recordRejectedMessage(validator, message, reason, acceptedHash = null) {
+    measurements.rejectedMessages.push({
+      timestamp: this.clock.now,
+      validatorIndex: validator.index,
+      type: message.type,
+      view: message.view,
+      sender: message.sender,
+      digest: message.block ? message.block.hash : message.blockHash || null,
+      acceptedDigest: acceptedHash,
+      reason
+    });
+  }
+
+  /**
+   * Record a committed block; messageCount covers the view that certified it
+   */
+  recordBlock(block, stats) {
+    measurements.blocks.push({
+      number: block.height,
+      view: block.view,
+      digest: block.hash,
+      primary: this.validators[block.proposer].address,
+      status: "committed",
+      transactions: block.txs,
+      committedAt: stats.committedAt,
+      finalityTime: stats.proposedAt !== null ? stats.committedAt - stats.proposedAt : null,
+      messageCount: Object.values(stats.messages).reduce((sum, m) => sum + m.count, 0),
+      rejectedMessages: measurements.rejectedMessages.filter(m => m.view === block.view).length,
+      timestamp: this.clock.now
+    });
+  }
+
+  /**
+   * Record overall consensus state
+   */
+  recordConsensusState(eventType, result = null) {
+    const validatorStates = this.validators.map(v => ({
+      address: v.address,
+      index: v.index,
+      isByzantine: v.isByzantine,
+      byzantineType: v.byzantineType,
+      view: v.view,
+      highQCView: v.highQC.view,
+      lockedQCView: v.lockedQC.view,
+      committedHeight: v.committedHeight,
+      proposalsSent: v.proposalsSent,
+      votesSent: v.votesSent,
+      newViewsSent: v.newViewsSent,
+      messagesReceived: v.messagesReceived,
+      timeouts: v.timeouts,
+      failures: v.failures
+    }));
+
+    if (!measurements.consensusState) {
+      measurements.consensusState = [];
+    }
+
+    measurements.consensusState.push({
+      timestamp: this.clock.now,
+      eventType,
+      blockHeight: this.blockHeight,
+      view: this.currentView,
+      primary: this.leaderOf(this.currentView).address,
+      f: this.f,
+      validatorStates,
+      result
+    });
+  }
+}
+
+/**
+ * Simulates the HotStuff consensus mechanism over the K-ETS workflow
+ */
+async function runHotStuffConsensus() {
+  console.log("Starting HotStuff consensus simulation with Byzantine fault tolerance...");
+  console.log(`Simulation seed: ${rng.seed} (replay with SIM_SEED=${rng.seed})`);
+  measurements.startTime = clock.now;
+  measurements.wallClockStart = Date.now();
+
+  // Deploy the contract
+  const KETSFactory = await ethers.getContractFactory("KETSBlockchain");
+  const ketsContract = await KETSFactory.deploy();
+  const contractAddress = await ketsContract.getAddress();
+  console.log(`Contract deployed at: ${contractAddress}`);
+
+  const [regulator, ...allAccounts] = await ethers.getSigners();
+  console.log(`Regulator: ${regulator.address}`);
+
+  const validatorAccounts = allAccounts.slice(0, NUM_VALIDATORS);
+  if (validatorAccounts.length < NUM_VALIDATORS) {
+    throw new Error(`Not enough accounts for HotStuff. Need ${NUM_VALIDATORS} validators but only have ${validatorAccounts.length}`);
+  }
+
+  const network = networkFromEnv(clock, rng.fork("network"));
+  const hotstuff = new HotStuffConsensus(validatorAccounts, rng, clock, { network });
+  if (network) console.log(`🌐 Network preset: ${network.preset} (${network.description})`);
+  console.log(`HotStuff validators: ${hotstuff.validators.length} (f=${hotstuff.f}, quorum ${hotstuff.quorum})`);
+  hotstuff.validators.filter(v => v.isByzantine).forEach(v => {
+    console.log(`- Byzantine: ${v.address.substring(0, 10)}... (${v.byzantineType})`);
+  });
+
+  const industries = allAccounts.slice(NUM_VALIDATORS, NUM_VALIDATORS + 3);
+
+  measurements.hotstuffConfiguration = {
+    seed: rng.seed,
+    validators: hotstuff.validators.length,
+    quorum: hotstuff.quorum,
+    byzantineValidators: BYZANTINE_VALIDATOR_COUNT,
+    byzantineTypes: BYZANTINE_FAILURE_TYPES,
+    failureProbability: BYZANTINE_FAILURE_PROBABILITY,
+    maxTolerableFailures: hotstuff.f,
+    phaseTiming: {
+      proposal: PROPOSAL_TIME,
+      vote: VOTE_TIME,
+      newView: NEW_VIEW_TIME
+    },
+    pacemaker: {
+      viewTimeout: VIEW_TIMEOUT,
+      maxViewTimeout: MAX_VIEW_TIMEOUT,
+      backoff: "exponential"
+    },
+    commitRule: "three-chain"
+  };
+
+  // Submit a transaction and wait for the pipeline to commit it
+  async function executeWithHotStuff(txPromise, txType) {
+    const tx = await txPromise;
+    const receipt = await tx.wait();
+
+    recordTransaction(receipt, txType);
+    console.log(`${txType}, Gas used: ${receipt.gasUsed.toString()}`);
+
+    const consensusResult = await hotstuff.runConsensus(tx.hash);
+    if (consensusResult.success) {
+      console.log(`Time to finality: ${consensusResult.totalTime}ms`);
+      measurements.finalityTimes.push({
+        txHash: tx.hash,
+        transactionType: txType,
+        finalityTime: consensusResult.totalTime,
+        blockHeight: consensusResult.height,
+        timestamp: clock.now
+      });
+    }
+    return consensusResult;
+  }
+
+  // Register industries
+  console.log("Registering industries...");
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithHotStuff(
+      ketsContract.connect(industries[i]).registerIndustry(`Industry-${i+1}`, i % 2 === 0),
+      "registerIndustry"
+    );
+  }
+
+  // Update GHG emissions
+  console.log("Updating GHG emissions...");
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithHotStuff(
+      ketsContract.connect(industries[i]).updateGHGEmissions(
+        industries[i].address, 0,
+        5000 + i * 1000, 2000 + i * 500, 1000 + i * 200, 3000 + i * 300, 2000 + i * 250, 1000 + i * 100
+      ),
+      "updateGHGEmissions"
+    );
+  }
+
+  // Create auction
+  console.log("Creating auction...");
+  await executeWithHotStuff(ketsContract.connect(regulator).createAuction(100, parseEther("0.01")), "createAuction");
+
+  // Place bids
+  console.log("Placing bids...");
+  for (let i = 0; i < industries.length; i++) {
+    try {
+      await executeWithHotStuff(
+        ketsContract.connect(industries[i]).placeBid(10, { value: parseEther("0.02") }),
+        "placeBid"
+      );
+    } catch (error) {
+      console.error(`Error placing bid for Industry-${i+1}:`, error.message);
+    }
+  }
+
+  // Finalize the auction
+  console.log("Finalizing auction...");
+  try {
+    await executeWithHotStuff(ketsContract.connect(regulator).finalizeAuction(), "finalizeAuction");
+  } catch (error) {
+    console.error("Error finalizing auction:", error.message);
+  }
+
+  // Stop the pacemaker before closing the measurement
+  hotstuff.finalize();
+  if (network) measurements.network = network.summary();
+
+  measurements.endTime = clock.now;
+  console.log("HotStuff consensus simulation completed");
+
+  saveMeasurements();
+
+  const avgFinality = measurements.finalityTimes.length > 0 ?
+    measurements.finalityTimes.reduce((sum, item) => sum + item.finalityTime, 0) / measurements.finalityTimes.length : 0;
+
+  return {
+    consensusMechanism: "HotStuff",
+    transactionsProcessed: measurements.transactions.length,
+    averageFinality: avgFinality,
+    totalDuration: measurements.endTime - measurements.startTime,
+    viewChanges: measurements.viewChanges.length,
+    byzantineEvents: measurements.byzantineEvents.length
+  };
+}
+
+/**
+ * Simulated resource usage per block, scaled by Byzantine activity
+ */
+function recordHotStuffResourceUsage(blockHeight, byzantineCount = 0, phase = 'all') {
+  const baseCpuUsage = 22; // percentage (one signature aggregation per view)
+  const baseMemoryUsage = 220; // MB
+  const baseNetworkBandwidth = 420; // KB/s (leader fan-out only)
+
+  const byzantineFactor = 1 + (byzantineCount * 0.2);
+  const phaseModifier = phase === 'transaction' ? 1.0 : 1.1;
+
+  const cpuUsage = baseCpuUsage * byzantineFactor * phaseModifier + (resourceNoise.next() * 10);
+  const memoryUsage = baseMemoryUsage * byzantineFactor * phaseModifier + (resourceNoise.next() * 30);
+  const networkBandwidth = baseNetworkBandwidth * byzantineFactor * phaseModifier + (resourceNoise.next() * 100);
+
+  measurements.resourceUsage.push({
+    blockHeight,
+    timestamp: clock.now,
+    byzantineCount,
+    byzantineFactor,
+    phase,
+    phaseModifier,
+    cpu: cpuUsage,
+    memory: memoryUsage,
+    network: networkBandwidth,
+    messageComplexity: "O(n)"
+  });
+}
+
+/**
+ * Record transaction metrics
+ */
+function recordTransaction(receipt, txType) {
+  const gasUsed = receipt.gasUsed.toString();
+
+  measurements.transactions.push({
+    hash: receipt.hash || receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed,
+    effectiveGasPrice: receipt.effectiveGasPrice?.toString() || "0",
+    type: txType,
+    timestamp: clock.now,
+    consensusMechanism: "HotStuff"
+  });
+
+  measurements.gasUsage.push({
+    txType,
+    gasUsed,
+    consensusMechanism: "HotStuff",
+    timestamp: clock.now
+  });
+
+  recordHotStuffResourceUsage(receipt.blockNumber || measurements.blocks.length + 1, 0, 'transaction');
+  return gasUsed;
+}
+
+/**
+ * Generate the measurement report (same sections as the PBFT report)
+ */
+function generateHotStuffReport() {
+  const totalTransactions = measurements.transactions.length;
+  const finality = measurements.finalityTimes.map(item => item.finalityTime);
+  const avgFinalityTime = finality.length > 0 ? finality.reduce((a, b) => a + b, 0) / finality.length : 0;
+
+  const resource = measurements.resourceUsage.reduce((m, usage) => {
+    m.cpu += usage.cpu;
+    m.memory += usage.memory;
+    m.network += usage.network;
+    m.count++;
+    return m;
+  }, { cpu: 0, memory: 0, network: 0, count: 0 });
+  const avg = value => resource.count > 0 ? value / resource.count : 0;
+
+  // Per-block figures count the messages of the view that certified each block,
+  // matching how PBFT attributes its phases to one block
+  const blocks = measurements.blocks;
+  const messagesPerBlock = blocks.length > 0 ? blocks.reduce((sum, b) => sum + b.messageCount, 0) / blocks.length : 0;
+  const totalMessages = measurements.networkMessages.reduce((sum, m) => sum + m.messageCount, 0);
+  const totalBytes = measurements.networkMessages.reduce((sum, m) => sum + m.totalBytes, 0);
+
+  const phaseAverage = phase => {
+    const entries = measurements.consensusPhases.filter(p => p.phase === phase);
+    return entries.length > 0 ? entries.reduce((sum, p) => sum + p.duration, 0) / entries.length : 0;
+  };
+
+  const validators = measurements.hotstuffConfiguration?.validators || NUM_VALIDATORS;
+
+  return {
+    consensusMechanism: "HotStuff",
+    configuration: measurements.hotstuffConfiguration,
+    summary: {
+      totalTransactions,
+      successfulConsensusCount: finality.length,
+      consensusSuccessRate: totalTransactions > 0 ? (finality.length / totalTransactions) * 100 : 0,
+      byzantineEventCount: measurements.byzantineEvents.length,
+      viewChangeCount: measurements.viewChanges.length,
+      committedBlocks: blocks.length,
+      emptyBlocks: blocks.filter(b => b.transactions.length === 0).length
+    },
+    performance: {
+      finalityTimes: {
+        average: avgFinalityTime,
+        min: finality.length > 0 ? Math.min(...finality) : 0,
+        max: finality.length > 0 ? Math.max(...finality) : 0,
+        guaranteedFinality: "Once a three-chain of QCs forms on top of the block"
+      },
+      phaseBreakdown: {
+        voteCollection: phaseAverage(MESSAGE_TYPES.VOTE),
+        newView: phaseAverage(MESSAGE_TYPES.NEW_VIEW),
+        viewChange: measurements.viewChanges.length > 0 ?
+          measurements.viewChanges.reduce((sum, vc) => sum + vc.duration, 0) / measurements.viewChanges.length : 0
+      },
+      throughput: {
+        transactionsPerSecond: measurements.endTime && measurements.startTime ?
+          (totalTransactions / ((measurements.endTime - measurements.startTime) / 1000)) : 0,
+        potentialTps: avgFinalityTime > 0 ? 1000 / avgFinalityTime : 0
+      }
+    },
+    resourceUsage: {
+      averageCpu: avg(resource.cpu),
+      averageMemory: avg(resource.memory),
+      averageNetwork: avg(resource.network)
+    },
+    networkOverhead: {
+      messagesPerConsensus: messagesPerBlock,
+      bytesPerConsensus: blocks.length > 0 ? totalBytes / blocks.length : 0,
+      messagesPerTransaction: totalTransactions > 0 ? totalMessages / totalTransactions : 0,
+      messageComplexity: "O(n)",
+      scaleFactors: {
+        byValidatorCount: "Linear growth - votes go only to the next leader",
+        byTransactionVolume: "Pipelined - each view certifies one block and advances the three previous ones"
+      }
+    },
+    faultTolerance: {
+      maximumByzantineNodes: Math.floor((validators - 1) / 3),
+      actualByzantineNodes: BYZANTINE_VALIDATOR_COUNT,
+      viewChanges: measurements.viewChanges.length,
+      livenessFailures: measurements.livenessFailures.length,
+      quorumCertificates: measurements.quorumCertificates.length,
+      rejectedConflictingMessages: measurements.rejectedMessages.length,
+      safetyViolations: measurements.safetyViolations.length
+    },
+    comparisonMetrics: {
+      blockTime: BLOCK_TIME,
+      finalityTime: avgFinalityTime,
+      messageComplexity: "O(n)",
+      resourceUsage: {
+        cpu: avg(resource.cpu),
+        memory: avg(resource.memory),
+        network: avg(resource.network)
+      },
+      bytesSent: blocks.length > 0 ? totalBytes / blocks.length : 0,
+      faultTolerance: "f < n/3 Byzantine",
+      centralizedElements: "Rotating leader collects every vote",
+      scalabilityLimitations: "Three views of latency before commit"
+    }
+  };
+}
+
+/**
+ * Saves measurement data and the report
+ */
+function saveMeasurements() {
+  try {
+    measurements.endTime = clock.now;
+    measurements.totalDuration = measurements.endTime - measurements.startTime;
+    measurements.wallClockDuration = Date.now() - measurements.wallClockStart;
+
+    const report = generateHotStuffReport();
+    measurements.report = report;
+
+    fs.writeFileSync(LOG_FILE, JSON.stringify(measurements, null, 2), 'utf8');
+    console.log(`HotStuff measurements saved to ${LOG_FILE}`);
+
+    const reportFile = path.join(__dirname, "../reports/hotstuff-consensus-report.json");
+    if (!fs.existsSync(path.dirname(reportFile))) {
+      fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+    }
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`HotStuff detailed report saved to ${reportFile}`);
+
+    return { logFile: LOG_FILE, reportFile };
+  } catch (error) {
+    console.error("Error saving measurements:", error);
+    return null;
+  }
+}
+
+// Run the simulation when called directly
+if (require.main === module) {
+  runHotStuffConsensus()
+    .then(summary => {
+      console.log("\nHotStuff Simulation Summary:");
+      console.log(JSON.stringify(summary, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("HotStuff simulation failed:", error);
+      process.exit(1);
+    });
+} else {
+  module.exports = {
+    runHotStuffConsensus,
+    HotStuffConsensus,
+    measurements,
+    BLOCK_TIME
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Network Latency Test for Consensus Mechanisms
+ * Runs the standard transaction sequence through each consensus model under
+ * several network conditions (see network-model.js) and compares finality
+ * and throughput as latency, jitter and bandwidth get worse
+ */
+const { testConsensusModel } = require("./validator-scaling-test");
+const { saveTestResults } = require("./test-utils");
+const { isNetworkAwareModel, listConsensusModels } = require("./consensus-models");
+const { NETWORK_PRESETS } = require("./network-model");
+
+// Network presets to compare, from best to worst conditions
+const DEFAULT_LATENCY_CONDITIONS = ["lan", "korea", "korea-overseas", "congested"];
+
+// Validators per model; enough for the presets to place nodes in every region
+const DEFAULT_VALIDATOR_COUNT = 7;
+
+// Main function to run network latency tests
+async function runNetworkLatencyTests(
+  consensusMechanisms = listConsensusModels(),
+  latencyConditions = DEFAULT_LATENCY_CONDITIONS,
+  validatorCount = DEFAULT_VALIDATOR_COUNT
+) {
+  const unknownConditions = latencyConditions.filter(condition => !NETWORK_PRESETS[condition]);
+  if (unknownConditions.length > 0) {
+    throw new Error(`Unknown network presets: ${unknownConditions.join(", ")} (available: ${Object.keys(NETWORK_PRESETS).join(", ")})`);
+  }
+
+  const results = {
+    testDate: new Date().toISOString(),
+    validatorCount,
+    latencyConditions: Object.fromEntries(latencyConditions.map(condition => [condition, NETWORK_PRESETS[condition].description])),
+    consensusMechanisms: {},
+    comparison: {
+      finality: {},
+      throughput: {},
+      networkDelay: {}
+    }
+  };
+
+  for (const mechanism of consensusMechanisms) {
+    console.log(`\n===== Testing ${mechanism} =====`);
+
+    const mechanismResults = {
+      name: mechanism,
+      latencyMetrics: []
+    };
+
+    // Models that do not exchange messages through the network model would
+    // report the same numbers under every condition
+    if (!isNetworkAwareModel(mechanism)) {
+      console.log(`⏭️ ${mechanism} does not use the network model, skipping`);
+      mechanismResults.skipped = "Model does not exchange messages through the network model";
+      results.consensusMechanisms[mechanism] = mechanismResults;
+      continue;
+    }
+
+    for (const condition of latencyConditions) {
+      console.log(`\n🌐 ${mechanism} on "${condition}": ${NETWORK_PRESETS[condition].description}`);
+      try {
+        const metrics = await testConsensusModel(mechanism, validatorCount, { network: condition });
+        metrics.networkCondition = condition;
+        mechanismResults.latencyMetrics.push(metrics);
+
+        if (!results.comparison.finality[condition]) {
+          results.comparison.finality[condition] = {};
+          results.comparison.throughput[condition] = {};
+          results.comparison.networkDelay[condition] = {};
+        }
+
+        results.comparison.finality[condition][mechanism] = metrics.consensus.averageFinality;
+        results.comparison.throughput[condition][mechanism] = metrics.throughput;
+        results.comparison.networkDelay[condition][mechanism] = metrics.consensus.network.averageDelay;
+
+        console.log(`📊 Average finality: ${metrics.consensus.averageFinality.toFixed(2)}ms, ` +
+          `average message delay: ${metrics.consensus.network.averageDelay.toFixed(2)}ms`);
+      } catch (error) {
+        console.error(`Error testing ${mechanism} on ${condition}:`, error);
+        mechanismResults.latencyMetrics.push({
+          networkCondition: condition,
+          error: error.message
+        });
+      }
+    }
+
+    results.consensusMechanisms[mechanism] = mechanismResults;
+  }
+
+  // Save results
+  saveTestResults("network-latency-results.json", results);
+
+  return results;
+}
+
+// Execute if called directly
+if (require.main === module) {
+  runNetworkLatencyTests()
+    .then(results => {
+      console.log("\n===== Network Latency Test Complete =====");
+      console.log(`Tested ${Object.keys(results.consensusMechanisms).length} consensus mechanisms`);
+    })
+    .catch(error => {
+      console.error("Error running network latency tests:", error);
+    });
+}
+
+module.exports = {
+  runNetworkLatencyTests,
+  DEFAULT_LATENCY_CONDITIONS
+};
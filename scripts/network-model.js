@@ -0,0 +1,845 @@
+/**
+ * Simulated Network Model
+ * Per-link message delivery for the consensus runners: every message pays
+ * queueing behind earlier messages on the same link, serialization delay at the
+ * link's bandwidth, one-way propagation latency with jitter drawn from the
+ * link's distribution, and processing time at the receiver.
+ *
+ * Nodes are placed in geographic regions (Seoul, Busan, overseas verifiers) by
+ * a preset; the link profile comes from the pair of regions. Runners that get a
+ * network deliver messages after `network.transmit(from, to, bytes)` ms on the
+ * simulated clock instead of their fixed phase times, so latency conditions
+ * drive finality.
+ *
+ * Partitions split the nodes into groups for a while: `transmit` returns null
+ * for a message between groups and the runner drops it, while `transmitReliable`
+ * (for gossip protocols that keep re-sending until peers have a message) holds
+ * it until the link is back. A scripted scenario
+ * (PARTITION_SCENARIOS) picks the groups when it starts and heals at its end;
+ * flapping scenarios cut and restore the links every `flapInterval` ms.
+ *
+ * Without a topology every pair of nodes is directly connected and a broadcast
+ * is one message per recipient. With one (TOPOLOGIES), nodes only talk to their
+ * overlay peers: `broadcast` gossips a message hop by hop, each node pushing its
+ * first copy to `fanout` peers and announcing it lazily to the rest, and later
+ * copies are suppressed as duplicates. Point-to-point messages are relayed along
+ * the shortest overlay path.
+ */
+
+const { createRandom } = require("./seeded-random");
+
+// One-way link profiles between regions (keys are the two regions in sorted order):
+// mean latency and jitter in ms, bandwidth in Mbps
+const REGION_LINKS = {
+  "seoul-seoul": { latency: 1, jitter: 0.3, bandwidth: 1000 },
+  "busan-busan": { latency: 1, jitter: 0.3, bandwidth: 1000 },
+  "busan-seoul": { latency: 6, jitter: 1.5, bandwidth: 500 },
+  "overseas-overseas": { latency: 40, jitter: 10, bandwidth: 200 },
+  "overseas-seoul": { latency: 65, jitter: 15, bandwidth: 100 },
+  "busan-overseas": { latency: 70, jitter: 15, bandwidth: 100 }
+};
+
+const REGIONS = ["seoul", "busan", "overseas"];
+
+// Network conditions: region weights for node placement, jitter distribution,
+// scaling applied to every link, and per-message processing time at the receiver
+const NETWORK_PRESETS = {
+  lan: {
+    description: "All validators in one Seoul data centre",
+    regions: { seoul: 1 },
+    distribution: "normal",
+    latencyFactor: 1,
+    bandwidthFactor: 1,
+    processingTime: 1
+  },
+  korea: {
+    description: "Validators split between Seoul and Busan",
+    regions: { seoul: 3, busan: 2 },
+    distribution: "normal",
+    latencyFactor: 1,
+    bandwidthFactor: 1,
+    processingTime: 1
+  },
+  "korea-overseas": {
+    description: "Domestic validators plus overseas verifiers",
+    regions: { seoul: 2, busan: 1, overseas: 1 },
+    distribution: "normal",
+    latencyFactor: 1,
+    bandwidthFactor: 1,
+    processingTime: 1
+  },
+  congested: {
+    description: "Domestic and overseas validators on congested links with heavy-tailed jitter",
+    regions: { seoul: 2, busan: 1, overseas: 1 },
+    distribution: "exponential",
+    latencyFactor: 3,
+    bandwidthFactor: 0.05,
+    processingTime: 5
+  }
+};
+
+const DEFAULT_PRESET = "korea";
+
+// Partition timing defaults (ms of simulated time)
+const PARTITION_START = 5000; // After the partition is scheduled
+const PARTITION_DURATION = 20000; // Until the partition heals
+const FLAP_INTERVAL = 3000; // Links alternate between cut and restored
+
+// Partition scenarios: node groups for `nodeCount` nodes, picked when the
+// partition starts (`primary` is the current primary/leader index, or null)
+const PARTITION_SCENARIOS = {
+  "split-brain": {
+    description: "Validators split into two halves that cannot reach each other",
+    groups: (nodeCount) => splitAt(nodeCount, Math.ceil(nodeCount / 2))
+  },
+  "isolate-primary": {
+    description: "The current primary/leader is cut off from every other validator",
+    groups: (nodeCount, primary) => isolate(nodeCount, [primary ?? 0])
+  },
+  "minority-isolation": {
+    description: "The largest minority the BFT protocols tolerate (f nodes) is cut off",
+    groups: (nodeCount) => isolate(nodeCount, range(nodeCount - Math.max(1, Math.floor((nodeCount - 1) / 3)), nodeCount))
+  },
+  flapping: {
+    description: "The primary/leader's links go down and come back repeatedly",
+    groups: (nodeCount, primary) => isolate(nodeCount, [primary ?? 0]),
+    flapping: true
+  }
+};
+
+// Gossip overlay defaults
+const DEFAULT_DEGREE = 4; // Peers per node in k-regular and small-world overlays
+const REWIRE_PROBABILITY = 0.2; // Small-world: chance a ring edge is rewired to a random node
+const SWAPS_PER_EDGE = 10; // k-regular: edge swaps tried per edge to randomize the lattice
+// A peer that was only told about a message (not pushed it) requests it one
+// heartbeat later if it still has not got it; the announcements themselves are not counted
+const GOSSIP_HEARTBEAT = 1000;
+const REGULATOR = "regulator"; // Relay node of the hub-and-spoke overlay
+const REGULATOR_REGION = "seoul";
+
+// Peer topologies: `build` returns the adjacency (node -> Set of peers) for nodes
+// 0..nodeCount-1; `attach` links a node that joins later
+const TOPOLOGIES = {
+  "full-mesh": {
+    description: "Every node is connected to every other node",
+    build: (nodeCount) => ringAdjacency(nodeCount, nodeCount - 1),
+    attach: (adjacency, node) => [...adjacency.keys()]
+  },
+  "k-regular": {
+    description: "Every node is connected to `degree` random peers",
+    build: (nodeCount, options, random) => randomRegular(nodeCount, Math.min(options.degree, nodeCount - 1), random),
+    attach: (adjacency, node, options, random) => sample([...adjacency.keys()], options.degree, random)
+  },
+  "small-world": {
+    description: "Ring lattice of `degree` neighbours with some edges rewired to random nodes",
+    build: (nodeCount, options, random) => smallWorld(nodeCount, Math.min(options.degree, nodeCount - 1), options.rewireProbability, random),
+    attach: (adjacency, node, options, random) => sample([...adjacency.keys()], options.degree, random)
+  },
+  "hub-and-spoke": {
+    description: "Validators only connect to a relay run by the regulator",
+    build: (nodeCount) => {
+      const adjacency = new Map([[REGULATOR, new Set()]]);
+      for (const node of range(0, nodeCount)) connect(adjacency, node, REGULATOR);
+      return adjacency;
+    },
+    attach: () => [REGULATOR]
+  }
+};
+
+function range(from, to) {
+  return Array.from({ length: Math.max(0, to - from) }, (_, i) => from + i);
+}
+
+function splitAt(nodeCount, size) {
+  return [range(0, size), range(size, nodeCount)];
+}
+
+function isolate(nodeCount, nodes) {
+  return [nodes, range(0, nodeCount).filter(node => !nodes.includes(node))];
+}
+
+function connect(adjacency, a, b) {
+  if (a === b) return;
+  if (!adjacency.has(a)) adjacency.set(a, new Set());
+  if (!adjacency.has(b)) adjacency.set(b, new Set());
+  adjacency.get(a).add(b);
+  adjacency.get(b).add(a);
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = random.nextInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function sample(items, count, random) {
+  return shuffle(items, random).slice(0, count);
+}
+
+/**
+ * Each node linked to its `degree` nearest ring neighbours (half on each side)
+ */
+function ringAdjacency(nodeCount, degree) {
+  const adjacency = new Map(range(0, nodeCount).map(node => [node, new Set()]));
+  for (let node = 0; node < nodeCount; node++) {
+    for (let step = 1; step <= Math.ceil(degree / 2); step++) {
+      connect(adjacency, node, (node + step) % nodeCount);
+    }
+  }
+  return adjacency;
+}
+
+function isConnected(adjacency) {
+  const [first] = adjacency.keys();
+  const seen = new Set([first]);
+  const pending = [first];
+  while (pending.length > 0) {
+    for (const peer of adjacency.get(pending.pop())) {
+      if (!seen.has(peer)) {
+        seen.add(peer);
+        pending.push(peer);
+      }
+    }
+  }
+  return seen.size === adjacency.size;
+}
+
+/**
+ * Ring lattice in which every node has `degree` peers: the `degree / 2` nearest
+ * on each side, plus the node across the ring when `degree` is odd (one node
+ * gets two of those when nodeCount * degree is odd)
+ */
+function regularLattice(nodeCount, degree) {
+  const adjacency = new Map(range(0, nodeCount).map(node => [node, new Set()]));
+  for (let node = 0; node < nodeCount; node++) {
+    for (let step = 1; step <= Math.floor(degree / 2); step++) {
+      connect(adjacency, node, (node + step) % nodeCount);
+    }
+  }
+  if (degree % 2 === 1) {
+    const across = Math.floor(nodeCount / 2);
+    for (let node = 0; node < nodeCount - across; node++) connect(adjacency, node, node + across);
+  }
+  return adjacency;
+}
+
+/**
+ * Connected random graph in which every node has `degree` peers (one node gets an
+ * extra one when nodeCount * degree is odd): a regular ring lattice shuffled by
+ * degree-preserving edge swaps, each undone if it would disconnect the graph
+ */
+function randomRegular(nodeCount, degree, random) {
+  if (degree >= nodeCount - 1) return ringAdjacency(nodeCount, nodeCount - 1);
+  const adjacency = regularLattice(nodeCount, degree);
+  const edges = [];
+  for (const [node, peers] of adjacency) {
+    for (const peer of peers) if (node < peer) edges.push([node, peer]);
+  }
+
+  const unlink = (a, b) => {
+    adjacency.get(a).delete(b);
+    adjacency.get(b).delete(a);
+  };
+  for (let swap = 0; swap < edges.length * SWAPS_PER_EDGE; swap++) {
+    const i = random.nextInt(edges.length);
+    const j = random.nextInt(edges.length);
+    // (a, b) and (c, d) become (a, d) and (c, b)
+    const [a, b] = edges[i];
+    const [c, d] = random.chance(0.5) ? edges[j] : [edges[j][1], edges[j][0]];
+    if (new Set([a, b, c, d]).size < 4 || adjacency.get(a).has(d) || adjacency.get(c).has(b)) continue;
+
+    unlink(a, b);
+    unlink(c, d);
+    connect(adjacency, a, d);
+    connect(adjacency, c, b);
+    if (isConnected(adjacency)) {
+      edges[i] = [a, d];
+      edges[j] = [c, b];
+    } else {
+      unlink(a, d);
+      unlink(c, b);
+      connect(adjacency, a, b);
+      connect(adjacency, c, d);
+    }
+  }
+  return adjacency;
+}
+
+/**
+ * Watts-Strogatz overlay: a ring lattice whose edges are each rewired to a random
+ * node with `rewireProbability`, keeping the graph connected
+ */
+function smallWorld(nodeCount, degree, rewireProbability, random) {
+  const adjacency = ringAdjacency(nodeCount, degree);
+  for (let node = 0; node < nodeCount; node++) {
+    for (let step = 1; step <= Math.ceil(degree / 2); step++) {
+      const neighbour = (node + step) % nodeCount;
+      if (!adjacency.get(node).has(neighbour) || !random.chance(rewireProbability)) continue;
+
+      const candidates = range(0, nodeCount).filter(other => other !== node && !adjacency.get(node).has(other));
+      if (candidates.length === 0) continue;
+      const target = random.pick(candidates);
+      adjacency.get(node).delete(neighbour);
+      adjacency.get(neighbour).delete(node);
+      connect(adjacency, node, target);
+      if (!isConnected(adjacency)) {
+        adjacency.get(node).delete(target);
+        adjacency.get(target).delete(node);
+        connect(adjacency, node, neighbour);
+      }
+    }
+  }
+  return adjacency;
+}
+
+function linkKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+class NetworkModel {
+  /**
+   * @param {Object} options
+   * @param {string} [options.preset] - Name in NETWORK_PRESETS (default "korea")
+   * @param {string[]} [options.regions] - Explicit region per node index, overriding the preset placement
+   * @param {Object} [options.links] - Link profiles overriding REGION_LINKS entries
+   * @param {string} [options.distribution] - Jitter distribution: "normal", "uniform" or "exponential"
+   * @param {Object} [options.random] - SeededRandom instance
+   * @param {EventScheduler} options.scheduler - Simulated clock the messages are delivered on
+   * @param {string} [options.topology] - Name in TOPOLOGIES; omitted means direct links between all nodes
+   * @param {number} [options.degree] - Peers per node for k-regular and small-world overlays
+   * @param {number} [options.fanout] - Peers a node pushes a broadcast to (default: all its peers)
+   * @param {number} [options.rewireProbability] - Small-world rewiring probability
+   * @param {number} [options.nodeCount] - Nodes the overlay is built for (default: those in the first message)
+   */
+  constructor(options = {}) {
+    const presetName = options.preset || DEFAULT_PRESET;
+    const preset = NETWORK_PRESETS[presetName];
+    if (!preset) {
+      throw new Error(`Unknown network preset: ${presetName} (available: ${Object.keys(NETWORK_PRESETS).join(", ")})`);
+    }
+    if (!options.scheduler) {
+      throw new Error("NetworkModel needs the simulated clock (options.scheduler)");
+    }
+
+    this.preset = presetName;
+    this.description = preset.description;
+    this.clock = options.scheduler;
+    this.random = options.random || createRandom();
+    this.distribution = options.distribution || preset.distribution;
+    this.latencyFactor = options.latencyFactor ?? preset.latencyFactor;
+    this.bandwidthFactor = options.bandwidthFactor ?? preset.bandwidthFactor;
+    this.processingTime = options.processingTime ?? preset.processingTime;
+    this.regionWeights = preset.regions;
+    this.links = { ...REGION_LINKS, ...(options.links || {}) };
+
+    this.regions = options.regions ? [...options.regions] : [];
+    this.placementCredit = Object.fromEntries(Object.keys(this.regionWeights).map(region => [region, 0]));
+    this.linkBusyUntil = new Map(); // "from->to" -> time the link finishes its queued messages
+    this.stats = { messages: 0, bytes: 0, totalDelay: 0, maxDelay: 0, totalQueueing: 0 };
+    this.pairStats = new Map(); // region pair -> { messages, bytes, totalDelay, maxDelay }
+    this.partitions = []; // scheduled partitions, see schedulePartition()
+    this.activePartition = null;
+
+    if (options.topology && !TOPOLOGIES[options.topology]) {
+      throw new Error(`Unknown topology: ${options.topology} (available: ${Object.keys(TOPOLOGIES).join(", ")})`);
+    }
+    // A fan-out alone gossips over a full mesh
+    this.topology = options.topology || (options.fanout ? "full-mesh" : null);
+    this.topologyOptions = {
+      degree: options.degree ?? DEFAULT_DEGREE,
+      rewireProbability: options.rewireProbability ?? REWIRE_PROBABILITY
+    };
+    this.fanout = options.fanout ?? null;
+    this.nodeCount = options.nodeCount ?? null;
+    this.overlay = null; // node -> Set of peers, built on first use
+    this.overlayRandom = this.random.fork("topology");
+    this.gossipRandom = this.random.fork("gossip");
+    this.gossip = {
+      sends: 0, // Broadcasts and point-to-point messages that reached someone
+      broadcasts: 0,
+      deliveries: 0, // Messages that reached their addressee (first copies only)
+      duplicates: 0,
+      relayed: 0, // Copies forwarded by a node other than the sender
+      pulled: 0, // Copies requested after a lazy announcement
+      undelivered: 0,
+      totalPropagation: 0,
+      maxPropagation: 0
+    };
+  }
+
+  /**
+   * Region of a node. Nodes without an explicit region are placed in index order by
+   * smooth weighted round-robin over the preset's region weights.
+   */
+  regionOf(node) {
+    if (node === REGULATOR) return REGULATOR_REGION;
+    while (this.regions.length <= node) {
+      const totalWeight = Object.values(this.regionWeights).reduce((sum, weight) => sum + weight, 0);
+      let chosen = null;
+      for (const [region, weight] of Object.entries(this.regionWeights)) {
+        this.placementCredit[region] += weight;
+        if (chosen === null || this.placementCredit[region] > this.placementCredit[chosen]) chosen = region;
+      }
+      this.placementCredit[chosen] -= totalWeight;
+      this.regions.push(chosen);
+    }
+    return this.regions[node];
+  }
+
+  /**
+   * Link profile between two nodes with the preset's scaling applied
+   */
+  linkProfile(from, to) {
+    const key = linkKey(this.regionOf(from), this.regionOf(to));
+    const link = this.links[key];
+    if (!link) {
+      throw new Error(`No link profile for regions ${key}`);
+    }
+    return {
+      key,
+      latency: link.latency * this.latencyFactor,
+      jitter: link.jitter * this.latencyFactor,
+      bandwidth: link.bandwidth * this.bandwidthFactor
+    };
+  }
+
+  /**
+   * One-way propagation latency sample for a link
+   */
+  sampleLatency(profile) {
+    const { latency, jitter } = profile;
+    switch (this.distribution) {
+      case "uniform":
+        return latency - jitter + this.random.next() * 2 * jitter;
+      case "exponential":
+        return latency - Math.log(1 - this.random.next()) * jitter;
+      case "normal": {
+        // Box-Muller, never below half the mean latency
+        const u = 1 - this.random.next();
+        const v = this.random.next();
+        const gaussian = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        return Math.max(latency / 2, latency + gaussian * jitter);
+      }
+      default:
+        throw new Error(`Unknown latency distribution: ${this.distribution}`);
+    }
+  }
+
+  /**
+   * Send `bytes` from node `from` to node `to` now. Returns the delivery delay in ms,
+   * or null if a partition drops the message, and occupies each link on the way for
+   * the message's serialization time.
+   */
+  transmit(from, to, bytes) {
+    return this.recordPropagation(this.deliver(from, to, bytes, false));
+  }
+
+  /**
+   * Like transmit(), but a message across a cut link is delivered once the link
+   * comes back instead of being dropped
+   */
+  transmitReliable(from, to, bytes) {
+    return this.recordPropagation(this.deliver(from, to, bytes, true));
+  }
+
+  /**
+   * Delay of one point-to-point message: direct when the nodes are overlay peers
+   * (or there is no overlay), otherwise relayed
+   */
+  deliver(from, to, bytes, reliable) {
+    if (from === to) return 0;
+    if (this.topology && !this.peersOf(from, [to]).has(to)) return this.relay(from, to, bytes, reliable);
+    const delay = this.hopDelay(from, to, bytes, 0, reliable);
+    if (delay !== null) this.gossip.deliveries++;
+    return delay;
+  }
+
+  /**
+   * Send one message from `from` to every node in `recipients`. Returns the delay
+   * until each recipient has it (same order as `recipients`), null where it never
+   * arrives. Without a topology each recipient gets its own copy directly; otherwise
+   * the message is gossiped over the overlay.
+   * @param {boolean} [options.reliable] - Hold messages across a partition (transmitReliable) instead of dropping them
+   */
+  broadcast(from, recipients, bytes, options = {}) {
+    this.gossip.broadcasts++;
+    let delays;
+    if (!this.topology) {
+      delays = recipients.map(to => this.deliver(from, to, bytes, options.reliable));
+    } else {
+      const arrivals = this.disseminate(from, recipients, bytes, options.reliable);
+      delays = recipients.map(to => arrivals.get(to) ?? null);
+    }
+
+    const reached = delays.filter((delay, i) => delay !== null && recipients[i] !== from);
+    this.gossip.undelivered += delays.filter(delay => delay === null).length;
+    this.recordPropagation(reached.length > 0 ? Math.max(...reached) : null);
+    return delays;
+  }
+
+  /**
+   * Track how long sends take to reach their last recipient
+   */
+  recordPropagation(delay) {
+    if (delay !== null && delay > 0) {
+      this.gossip.sends++;
+      this.gossip.totalPropagation += delay;
+      this.gossip.maxPropagation = Math.max(this.gossip.maxPropagation, delay);
+    }
+    return delay;
+  }
+
+  /**
+   * Overlay peers of a node, building the overlay on first use (sized for
+   * `nodeCount`, or the nodes in the first message) and attaching later nodes
+   * with the topology's attach rule
+   */
+  peersOf(node, others = []) {
+    const nodes = [node, ...others];
+    const definition = TOPOLOGIES[this.topology];
+    if (!this.overlay) {
+      const numeric = nodes.filter(n => n !== REGULATOR);
+      const nodeCount = this.nodeCount ?? Math.max(...numeric) + 1;
+      this.overlay = definition.build(nodeCount, this.topologyOptions, this.overlayRandom);
+    }
+    for (const n of nodes) {
+      if (this.overlay.has(n)) continue;
+      const peers = definition.attach(this.overlay, n, this.topologyOptions, this.overlayRandom);
+      this.overlay.set(n, new Set());
+      for (const peer of peers) connect(this.overlay, n, peer);
+    }
+    return this.overlay.get(node);
+  }
+
+  /**
+   * Delay of one overlay hop sent `at` ms from now, or null if a partition drops it
+   */
+  hopDelay(from, to, bytes, at, reliable) {
+    let held = 0;
+    if (this.isCut(from, to)) {
+      if (!reliable) {
+        this.activePartition.droppedMessages++;
+        this.activePartition.droppedBytes += bytes;
+        return null;
+      }
+      this.activePartition.heldMessages++;
+      held = Math.max(0, this.cutEndsAt() - this.clock.now - at);
+    }
+    return at + held + this.linkDelay(from, to, bytes, this.clock.now + at + held);
+  }
+
+  /**
+   * Gossip a message from `origin` over the overlay and return when each node first
+   * has it (ms from now). Every node forwards only its first copy: it pushes it to
+   * `fanout` random peers and announces it to the others, who pull it one heartbeat
+   * later if nothing reached them meanwhile. Later copies count as duplicates.
+   */
+  disseminate(origin, recipients, bytes, reliable) {
+    this.peersOf(origin, recipients);
+    const wanted = new Set(recipients.filter(node => node !== origin));
+    const arrivals = new Map([[origin, 0]]);
+    const pending = [];
+    const forward = (node, at, source) => {
+      const peers = [...this.overlay.get(node)].filter(peer => peer !== source);
+      const pushed = this.fanout === null ? peers : sample(peers, this.fanout, this.gossipRandom);
+      for (const peer of peers) {
+        if (pushed.includes(peer)) {
+          const arrival = this.hopDelay(node, peer, bytes, at, reliable);
+          if (arrival !== null) pending.push({ node: peer, at: arrival, from: node });
+        } else {
+          pending.push({ node: peer, at: at + GOSSIP_HEARTBEAT, from: node, pull: true });
+        }
+      }
+    };
+
+    forward(origin, 0, null);
+    while (pending.length > 0) {
+      const next = pending.reduce((earliest, event, i) => event.at < pending[earliest].at ? i : earliest, 0);
+      const event = pending.splice(next, 1)[0];
+      if (event.pull) {
+        // Only peers still missing the message ask for it
+        if (arrivals.has(event.node)) continue;
+        const arrival = this.hopDelay(event.from, event.node, bytes, event.at, reliable);
+        if (arrival !== null) pending.push({ node: event.node, at: arrival, from: event.from, pulled: true });
+        continue;
+      }
+      if (arrivals.has(event.node)) {
+        this.gossip.duplicates++;
+        continue;
+      }
+      arrivals.set(event.node, event.at);
+      if (event.from !== origin) this.gossip.relayed++;
+      if (event.pulled) this.gossip.pulled++;
+      if (wanted.has(event.node)) this.gossip.deliveries++;
+      forward(event.node, event.at, event.from);
+    }
+    return arrivals;
+  }
+
+  /**
+   * Point-to-point message to a node that is not an overlay peer, forwarded hop by
+   * hop along the shortest overlay path
+   */
+  relay(from, to, bytes, reliable) {
+    const path = this.shortestPath(from, to);
+    if (!path) {
+      this.gossip.undelivered++;
+      return null;
+    }
+    let at = 0;
+    for (let i = 1; i < path.length; i++) {
+      at = this.hopDelay(path[i - 1], path[i], bytes, at, reliable);
+      if (at === null) return null;
+      if (i > 1) this.gossip.relayed++;
+    }
+    this.gossip.deliveries++;
+    return at;
+  }
+
+  shortestPath(from, to) {
+    this.peersOf(from, [to]);
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (node === to) break;
+      for (const peer of this.overlay.get(node)) {
+        if (previous.has(peer)) continue;
+        previous.set(peer, node);
+        queue.push(peer);
+      }
+    }
+    if (!previous.has(to)) return null;
+    const path = [];
+    for (let node = to; node !== null; node = previous.get(node)) path.unshift(node);
+    return path;
+  }
+
+  /**
+   * When the active partition's current cut ends: the next flap or the heal
+   */
+  cutEndsAt() {
+    const { start, healAt, flapInterval } = this.activePartition;
+    if (!flapInterval) return healAt;
+    const nextFlap = start + (Math.floor((this.clock.now - start) / flapInterval) + 1) * flapInterval;
+    return Math.min(nextFlap, healAt);
+  }
+
+  /**
+   * Queueing, serialization, propagation and processing delay of one message
+   */
+  linkDelay(from, to, bytes, sendAt = this.clock.now) {
+    const profile = this.linkProfile(from, to);
+    const serialization = (bytes * 8) / (profile.bandwidth * 1000); // Mbps -> bits per ms
+    const link = `${from}->${to}`;
+    const start = Math.max(sendAt, this.linkBusyUntil.get(link) || 0);
+    this.linkBusyUntil.set(link, start + serialization);
+
+    const queueing = start - sendAt;
+    const delay = queueing + serialization + this.sampleLatency(profile) + this.processingTime;
+    this.record(profile.key, bytes, delay, queueing);
+    return delay;
+  }
+
+  /**
+   * Transmit and schedule delivery on the simulated clock; null if the message was dropped
+   */
+  send(from, to, bytes, deliver, label = null) {
+    const delay = this.transmit(from, to, bytes);
+    return delay === null ? null : this.clock.schedule(delay, deliver, label);
+  }
+
+  /**
+   * Whether a partition currently separates two nodes
+   */
+  isCut(from, to) {
+    const partition = this.activePartition;
+    if (!partition || !partition.cut) return false;
+    return this.groupOf(from) !== this.groupOf(to);
+  }
+
+  /**
+   * Group of a node under the active partition; nodes outside the scenario's groups
+   * (e.g. observers) stay with the largest group
+   */
+  groupOf(node) {
+    return this.activePartition.groupOf.get(node) ?? this.activePartition.largestGroup;
+  }
+
+  /**
+   * Split `nodes` into the groups that can currently reach each other
+   */
+  components(nodes) {
+    const groups = new Map();
+    for (const node of nodes) {
+      const group = this.activePartition && this.activePartition.cut ? this.groupOf(node) : 0;
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(node);
+    }
+    return [...groups.values()];
+  }
+
+  /**
+   * Schedule a partition scenario from PARTITION_SCENARIOS.
+   * @param {string} scenario - Scenario name
+   * @param {Object} options
+   * @param {number} options.nodeCount - Nodes to split (indices 0..nodeCount-1)
+   * @param {Function} [options.primary] - Returns the current primary/leader index when the partition starts
+   * @param {number} [options.start] - Simulated time the partition starts (default PARTITION_START from now)
+   * @param {number} [options.duration] - ms until the partition heals
+   * @param {number} [options.flapInterval] - ms between link flaps for flapping scenarios
+   * @param {number[][]} [options.groups] - Fixed node groups instead of the scenario's (`scenario` is then only a label)
+   */
+  schedulePartition(scenario, options) {
+    const definition = options.groups
+      ? { description: `Scripted partition ${options.groups.map(group => `{${group.join(",")}}`).join("|")}`, groups: () => options.groups }
+      : PARTITION_SCENARIOS[scenario];
+    if (!definition) {
+      throw new Error(`Unknown partition scenario: ${scenario} (available: ${Object.keys(PARTITION_SCENARIOS).join(", ")})`);
+    }
+
+    const start = options.start ?? this.clock.now + PARTITION_START;
+    const partition = {
+      scenario,
+      description: definition.description,
+      start,
+      healAt: start + (options.duration ?? PARTITION_DURATION),
+      flapInterval: definition.flapping ? (options.flapInterval ?? FLAP_INTERVAL) : null,
+      groups: null,
+      groupOf: new Map(),
+      largestGroup: 0,
+      cut: false,
+      transitions: [],
+      droppedMessages: 0,
+      droppedBytes: 0,
+      heldMessages: 0
+    };
+    this.partitions.push(partition);
+
+    this.clock.scheduleAt(start, () => {
+      const primary = options.primary ? options.primary() : null;
+      partition.groups = definition.groups(options.nodeCount, primary);
+      partition.groups.forEach((group, index) => group.forEach(node => partition.groupOf.set(node, index)));
+      partition.largestGroup = partition.groups.reduce((largest, group, index) =>
+        group.length > partition.groups[largest].length ? index : largest, 0);
+      this.activePartition = partition;
+      this.setCut(partition, true);
+
+      if (partition.flapInterval) {
+        for (let at = start + partition.flapInterval; at < partition.healAt; at += partition.flapInterval) {
+          this.clock.scheduleAt(at, () => this.setCut(partition, !partition.cut), `partition-flap:${scenario}`);
+        }
+      }
+    }, `partition-start:${scenario}`);
+
+    this.clock.scheduleAt(partition.healAt, () => {
+      this.setCut(partition, false);
+      if (this.activePartition === partition) this.activePartition = null;
+    }, `partition-heal:${scenario}`);
+
+    return partition;
+  }
+
+  setCut(partition, cut) {
+    if (partition.cut === cut) return;
+    partition.cut = cut;
+    partition.transitions.push({ time: this.clock.now, state: cut ? "cut" : "healed" });
+  }
+
+  record(pair, bytes, delay, queueing) {
+    this.stats.messages++;
+    this.stats.bytes += bytes;
+    this.stats.totalDelay += delay;
+    this.stats.totalQueueing += queueing;
+    this.stats.maxDelay = Math.max(this.stats.maxDelay, delay);
+
+    if (!this.pairStats.has(pair)) {
+      this.pairStats.set(pair, { messages: 0, bytes: 0, totalDelay: 0, maxDelay: 0 });
+    }
+    const stats = this.pairStats.get(pair);
+    stats.messages++;
+    stats.bytes += bytes;
+    stats.totalDelay += delay;
+    stats.maxDelay = Math.max(stats.maxDelay, delay);
+  }
+
+  /**
+   * Gossip cost: every transmitted copy beyond one per delivered message is
+   * overhead (relay hops and suppressed duplicates)
+   */
+  gossipSummary() {
+    const { sends, broadcasts, deliveries, duplicates, relayed, pulled, undelivered, totalPropagation, maxPropagation } = this.gossip;
+    const redundantMessages = Math.max(0, this.stats.messages - deliveries);
+    const degrees = this.overlay ? [...this.overlay.values()].map(peers => peers.size) : [];
+    return {
+      topology: this.topology || "direct",
+      fanout: this.fanout,
+      averagePeers: degrees.length > 0 ? degrees.reduce((sum, degree) => sum + degree, 0) / degrees.length : null,
+      broadcasts,
+      deliveries,
+      duplicates,
+      relayed,
+      pulled,
+      undelivered,
+      redundantMessages,
+      overhead: deliveries > 0 ? redundantMessages / deliveries : 0,
+      // Time until a send reached its last recipient
+      averagePropagation: sends > 0 ? totalPropagation / sends : 0,
+      maxPropagation
+    };
+  }
+
+  summary() {
+    const { messages, bytes, totalDelay, maxDelay, totalQueueing } = this.stats;
+    return {
+      preset: this.preset,
+      description: this.description,
+      distribution: this.distribution,
+      processingTime: this.processingTime,
+      nodeRegions: [...this.regions],
+      messages,
+      bytes,
+      averageDelay: messages > 0 ? totalDelay / messages : 0,
+      maxDelay,
+      averageQueueing: messages > 0 ? totalQueueing / messages : 0,
+      partitions: this.partitions.map(({ groupOf, ...partition }) => partition),
+      gossip: this.gossipSummary(),
+      links: Object.fromEntries([...this.pairStats].map(([pair, stats]) => [pair, {
+        messages: stats.messages,
+        bytes: stats.bytes,
+        averageDelay: stats.totalDelay / stats.messages,
+        maxDelay: stats.maxDelay
+      }]))
+    };
+  }
+}
+
+/**
+ * Network for a runner from NETWORK_PRESET (and optionally NETWORK_TOPOLOGY,
+ * GOSSIP_DEGREE and GOSSIP_FANOUT), or null to keep the runner's fixed phase times
+ */
+function networkFromEnv(scheduler, random, env = process.env) {
+  if (!env.NETWORK_PRESET) return null;
+  return new NetworkModel({
+    preset: env.NETWORK_PRESET,
+    scheduler,
+    random,
+    topology: env.NETWORK_TOPOLOGY,
+    degree: env.GOSSIP_DEGREE ? Number(env.GOSSIP_DEGREE) : undefined,
+    fanout: env.GOSSIP_FANOUT ? Number(env.GOSSIP_FANOUT) : undefined
+  });
+}
+
+module.exports = {
+  NetworkModel,
+  networkFromEnv,
+  NETWORK_PRESETS,
+  PARTITION_SCENARIOS,
+  TOPOLOGIES,
+  isConnected,
+  REGION_LINKS,
+  REGIONS
+};
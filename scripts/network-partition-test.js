@@ -0,0 +1,208 @@
+/**
+ * Network Partition Test for Consensus Mechanisms
+ * Drives a steady stream of batches through each consensus model while a
+ * scripted partition (see PARTITION_SCENARIOS in network-model.js) splits the
+ * validators and later heals. Reports per model and scenario whether safety
+ * held, how long liveness was lost, and how many view changes, elections and
+ * forks the partition caused.
+ */
+const { ethers } = require("hardhat");
+const { saveTestResults } = require("./test-utils");
+const { createConsensusModel, isNetworkAwareModel, listConsensusModels } = require("./consensus-models");
+const { PARTITION_SCENARIOS } = require("./network-model");
+
+const DEFAULT_SCENARIOS = Object.keys(PARTITION_SCENARIOS);
+const DEFAULT_VALIDATOR_COUNT = 7;
+const NETWORK_PRESET = "korea";
+
+// Simulated timeline (ms) for a model with 1s blocks: batches run for PARTITION_START
+// before the partition, through it, and for RECOVERY_WINDOW after it heals. Slower
+// models stretch it by their block interval so each sees the same number of slots.
+const BASE_BLOCK_INTERVAL = 1000;
+const PARTITION_START = 10000;
+const PARTITION_DURATION = Number(process.env.PARTITION_HEAL_TIME) || 20000;
+const FLAP_INTERVAL = 3000;
+const RECOVERY_WINDOW = 30000;
+
+// One client request per SUBMISSION_INTERVAL, each ordered as its own batch
+const SUBMISSION_INTERVAL = 1000;
+const MAX_BATCHES = 500;
+
+/**
+ * Liveness over the run: the longest stretch without a finalized batch once the
+ * partition started, less the usual gap between finalizations before it
+ */
+function analyseLiveness(batches, partition, endTime) {
+  const finalized = batches.filter(batch => batch.success).map(batch => batch.finishedAt);
+  const before = finalized.filter(time => time < partition.start);
+  const gaps = before.slice(1).map((time, i) => time - before[i]);
+  const normalGap = gaps.length > 0 ? gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : SUBMISSION_INTERVAL;
+
+  const after = finalized.filter(time => time >= partition.start);
+  const timeline = [partition.start, ...after, endTime];
+  const longestStall = Math.max(...timeline.slice(1).map((time, i) => time - timeline[i]));
+  const recoveredAt = after.find(time => time >= partition.healAt) ?? null;
+
+  return {
+    normalGap,
+    longestStall,
+    livenessLost: Math.max(0, longestStall - normalGap),
+    finalizedDuringPartition: after.filter(time => time < partition.healAt).length,
+    recovered: recoveredAt !== null,
+    recoveryTime: recoveredAt !== null ? recoveredAt - partition.healAt : null
+  };
+}
+
+// Run one model through one partition scenario
+async function testPartitionScenario(mechanism, scenario, validatorCount) {
+  const accounts = await ethers.getSigners();
+  // The partition is the only scripted fault: Casper FFG's stake outage would overlap it
+  const model = createConsensusModel(mechanism, { validatorCount, network: NETWORK_PRESET, outage: false });
+  model.initValidators(accounts.slice(1, validatorCount + 1));
+
+  const timeScale = Math.max(1, model.blockInterval / BASE_BLOCK_INTERVAL);
+  const startTime = model.clock.now;
+  const partition = model.network.schedulePartition(scenario, {
+    nodeCount: validatorCount,
+    primary: () => model.primaryIndex(),
+    start: startTime + PARTITION_START * timeScale,
+    duration: PARTITION_DURATION * timeScale,
+    flapInterval: FLAP_INTERVAL * timeScale
+  });
+  const endTime = partition.healAt + RECOVERY_WINDOW * timeScale;
+
+  try {
+    for (let i = 0; i < MAX_BATCHES && model.clock.now < endTime; i++) {
+      // Requests arrive at a fixed rate; a slow batch delays the ones queued behind it
+      const submitAt = startTime + i * SUBMISSION_INTERVAL;
+      if (submitAt > model.clock.now) await model.clock.advance(submitAt - model.clock.now);
+
+      const hash = ethers.id(`${mechanism}:${scenario}:${i}`);
+      const result = await model.finalizeBatch([{ hash, type: "partition-probe" }]);
+      if (!result.success) {
+        console.log(`⚠️ ${mechanism} batch ${result.batch} not finalized at ${result.finishedAt - startTime}ms`);
+      }
+    }
+
+    // A run whose clock never reached the partition measured the model, not the partition
+    if (partition.transitions.length === 0 || partition.transitions[0].state !== "cut") {
+      throw new Error(`${mechanism} run ended at ${model.clock.now - startTime}ms, before the "${scenario}" partition ` +
+        `was due at ${partition.start - startTime}ms`);
+    }
+
+    const metrics = model.getMetrics();
+    const liveness = analyseLiveness(model.batches, partition, model.clock.now);
+    return {
+      mechanism,
+      scenario,
+      validatorCount,
+      partition: {
+        groups: partition.groups,
+        start: partition.start - startTime,
+        cutAt: partition.transitions[0].time - startTime,
+        healAt: partition.healAt - startTime,
+        transitions: partition.transitions.length,
+        droppedMessages: partition.droppedMessages
+      },
+      safetyHeld: metrics.faults.safetyViolations === 0,
+      ...liveness,
+      ...metrics.faults,
+      batches: metrics.batches,
+      finalizedBatches: metrics.finalizedBatches,
+      averageFinality: metrics.averageFinality
+    };
+  } finally {
+    model.close();
+  }
+}
+
+// Main function to run network partition tests
+async function runNetworkPartitionTests(
+  consensusMechanisms = listConsensusModels(),
+  scenarios = DEFAULT_SCENARIOS,
+  validatorCount = DEFAULT_VALIDATOR_COUNT
+) {
+  const unknownScenarios = scenarios.filter(scenario => !PARTITION_SCENARIOS[scenario]);
+  if (unknownScenarios.length > 0) {
+    throw new Error(`Unknown partition scenarios: ${unknownScenarios.join(", ")} (available: ${DEFAULT_SCENARIOS.join(", ")})`);
+  }
+
+  const results = {
+    testDate: new Date().toISOString(),
+    validatorCount,
+    networkPreset: NETWORK_PRESET,
+    partitionDuration: PARTITION_DURATION,
+    scenarios: Object.fromEntries(scenarios.map(scenario => [scenario, PARTITION_SCENARIOS[scenario].description])),
+    consensusMechanisms: {},
+    comparison: {
+      safetyHeld: {},
+      livenessLost: {},
+      recoveryTime: {}
+    }
+  };
+
+  for (const mechanism of consensusMechanisms) {
+    console.log(`\n===== Testing ${mechanism} =====`);
+
+    const mechanismResults = {
+      name: mechanism,
+      partitionMetrics: []
+    };
+
+    if (!isNetworkAwareModel(mechanism)) {
+      console.log(`⏭️ ${mechanism} does not use the network model, skipping`);
+      mechanismResults.skipped = "Model does not exchange messages through the network model";
+      results.consensusMechanisms[mechanism] = mechanismResults;
+      continue;
+    }
+
+    for (const scenario of scenarios) {
+      console.log(`\n🔌 ${mechanism} under "${scenario}": ${PARTITION_SCENARIOS[scenario].description}`);
+      try {
+        const metrics = await testPartitionScenario(mechanism, scenario, validatorCount);
+        mechanismResults.partitionMetrics.push(metrics);
+
+        if (!results.comparison.safetyHeld[scenario]) {
+          results.comparison.safetyHeld[scenario] = {};
+          results.comparison.livenessLost[scenario] = {};
+          results.comparison.recoveryTime[scenario] = {};
+        }
+        results.comparison.safetyHeld[scenario][mechanism] = metrics.safetyHeld;
+        results.comparison.livenessLost[scenario][mechanism] = metrics.livenessLost;
+        results.comparison.recoveryTime[scenario][mechanism] = metrics.recoveryTime;
+
+        console.log(`📊 Safety ${metrics.safetyHeld ? "held" : "VIOLATED"}, liveness lost for ${metrics.livenessLost.toFixed(0)}ms, ` +
+          `${metrics.viewChanges} view changes, ${metrics.elections} elections, ${metrics.forks} forks`);
+      } catch (error) {
+        console.error(`Error testing ${mechanism} under ${scenario}:`, error);
+        mechanismResults.partitionMetrics.push({
+          scenario,
+          error: error.message
+        });
+      }
+    }
+
+    results.consensusMechanisms[mechanism] = mechanismResults;
+  }
+
+  saveTestResults("network-partition-results.json", results);
+
+  return results;
+}
+
+// Execute if called directly
+if (require.main === module) {
+  runNetworkPartitionTests()
+    .then(results => {
+      console.log("\n===== Network Partition Test Complete =====");
+      console.log(`Tested ${Object.keys(results.consensusMechanisms).length} consensus mechanisms`);
+    })
+    .catch(error => {
+      console.error("Error running network partition tests:", error);
+    });
+}
+
+module.exports = {
+  runNetworkPartitionTests,
+  testPartitionScenario
+};
@@ -8,12 +8,43 @@
  * 3. Commit: Validators commit to adding the block
  * 
  * This provides immediate finality once the commit phase is complete.
+ * 
+ * Each phase is modelled as individual PRE-PREPARE/PREPARE/COMMIT messages
+ * carrying (view, sequence, digest). Replicas keep a message log per sequence
+ * number and only form prepared/committed quorum certificates from messages
+ * with matching digests, so an equivocating validator cannot contribute.
+ * 
+ * Every CHECKPOINT_INTERVAL executed sequence numbers replicas exchange
+ * CHECKPOINT messages; 2f+1 matching ones make a stable checkpoint, which
+ * advances the low watermark and lets the replica prune its message log.
+ * 
+ * Phase timings run on a simulated clock (see event-scheduler.js), so durations
+ * and timestamps in the measurements are modelled rather than wall-clock.
+ * 
+ * Validators can also be given a strategy from byzantine-strategies.js
+ * (BYZANTINE_STRATEGIES=index:strategy,...), which they follow on every
+ * message instead of failing at random.
+ * 
+ * With a crash-recovery model (see crash-recovery.js, CRASH_PROBABILITY=p)
+ * replicas go down for a sampled time, then rejoin by fetching a peer's stable
+ * checkpoint and the committed requests above it before they vote again.
+ * 
+ * A fault schedule (see fault-schedule.js, FAULT_SCHEDULE=file) crashes
+ * replicas, switches their strategies and partitions the network at set times
+ * or sequence numbers.
  */
 
 const { ethers } = require("hardhat");
 const { parseEther } = ethers;
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+const { networkFromEnv } = require("./network-model");
+const { createStrategies, strategiesFromEnv, forgeTransition, isValidTransition } = require("./byzantine-strategies");
+const { CrashRecoveryModel, crashRecoveryFromEnv } = require("./crash-recovery");
+const { FaultSchedule, faultScheduleFromEnv, usesFaultAction } = require("./fault-schedule");
 
 // Constants for simulation
 const NUM_VALIDATORS = 4; // f = 1, total validators = 3f + 1 = 4
@@ -24,7 +55,8 @@ const NUM_TRANSACTIONS = 10; // Number of transactions to simulate
 const PRE_PREPARE_PHASE_TIME = 200; // ms
 const PREPARE_PHASE_TIME = 300; // ms
 const COMMIT_PHASE_TIME = 300; // ms
-const VIEW_CHANGE_TIMEOUT = 2000; // ms
+const VIEW_CHANGE_TIMEOUT = 2000; // ms, doubles for each cascaded view change
+const VIEW_CHANGE_MESSAGE_TIME = 300; // ms, VIEW-CHANGE and NEW-VIEW delivery
 const VIEW_CHANGE_PROBABILITY = 0.5; // 50% chance of view change
 
 // Byzantine behavior constants
@@ -36,6 +68,40 @@ const BYZANTINE_FAILURE_TYPES = [
 ];
 const BYZANTINE_FAILURE_PROBABILITY = 0.3; // 30% chance of Byzantine behavior per validator per phase
 
+// Checkpointing (override the interval with PBFT_CHECKPOINT_INTERVAL)
+const CHECKPOINT_INTERVAL = Number(process.env.PBFT_CHECKPOINT_INTERVAL) || 4; // sequence numbers between checkpoints
+const WATERMARK_WINDOW_FACTOR = 2; // high watermark = low watermark + 2 * interval
+const CHECKPOINT_MESSAGE_TIME = 300; // ms
+
+// Protocol message types (also used as the phase names in the measurements)
+const MESSAGE_TYPES = {
+  PRE_PREPARE: "pre-prepare",
+  PREPARE: "prepare",
+  COMMIT: "commit",
+  CHECKPOINT: "checkpoint",
+  VIEW_CHANGE: "view-change",
+  NEW_VIEW: "new-view"
+};
+const MESSAGE_SIZES = {
+  "pre-prepare": 1024, // bytes, carries the request
+  prepare: 512,
+  commit: 512,
+  checkpoint: 256,
+  "view-change": 1024, // carries checkpoint proof and prepared certificates
+  "new-view": 2048
+};
+
+// Digests for the initial state and for sequence numbers resolved as no-ops
+const GENESIS_STATE_DIGEST = "0x" + "0".repeat(64);
+const NULL_REQUEST_DIGEST = "null-request";
+
+// Seeded randomness (SIM_SEED / --seed) so runs can be replayed exactly
+const rng = createRandom();
+const resourceNoise = rng.fork("resource-usage");
+
+// Simulated clock - phase timings are modelled on it instead of slept
+const clock = new EventScheduler(Date.now());
+
 // Log file setup
 const LOG_FILE = path.join(__dirname, "../logs/pbft-measurements.json");
 const LOG_DIR = path.dirname(LOG_FILE);
@@ -48,6 +114,8 @@ if (!fs.existsSync(LOG_DIR)) {
 // Measurement data structure
 const measurements = {
   consensusMechanism: "PBFT",
+  seed: rng.seed,
+  timeModel: "virtual-clock",
   transactions: [],
   blocks: [],
   finalityTimes: [],
@@ -57,21 +125,70 @@ const measurements = {
   viewChanges: [],
   byzantineEvents: [],
   consensusPhases: [],
+  quorumCertificates: [],
+  rejectedMessages: [],
+  invalidProposals: [],
+  safetyViolations: [],
+  checkpoints: [],
+  livenessFailures: [],
   startTime: null,
   endTime: null
 };
 
+/**
+ * Digest of a client request (the value replicas vote on), covering the
+ * K-ETS state transition when the request carries one
+ */
+function computeDigest(request) {
+  const transition = request.transition ? `:${request.transition.type}` : "";
+  return "0x" + crypto.createHash("sha256")
+    .update(`${request.txHash}:${request.blockNumber}${transition}`)
+    .digest("hex");
+}
+
+/**
+ * Conflicting digest sent by an equivocating validator
+ */
+function forgeDigest(digest, senderIndex) {
+  return "0x" + crypto.createHash("sha256")
+    .update(`${digest}:forged:${senderIndex}`)
+    .digest("hex");
+}
+
+/**
+ * Digest of the replica state after executing a request on top of `previousState`
+ */
+function computeStateDigest(previousState, requestDigest) {
+  return "0x" + crypto.createHash("sha256")
+    .update(`${previousState}:${requestDigest}`)
+    .digest("hex");
+}
+
+/**
+ * Build a protocol message
+ */
+function createMessage(type, { view, sequence, digest, sender, request = null }) {
+  const message = { type, view, sequence, digest, sender };
+  if (request) message.request = request;
+  return message;
+}
+
 /**
  * PBFT validator state management
  */
 class PBFTValidator {
-  constructor(account, index, isByzantine = false) {
+  constructor(account, index, isByzantine = false, random = rng, scheduler = clock, failureProbability = BYZANTINE_FAILURE_PROBABILITY, strategy = null, failureTypes = BYZANTINE_FAILURE_TYPES) {
     this.account = account;
+    this.clock = scheduler;
     this.address = account.address;
     this.index = index;
-    this.isByzantine = isByzantine;
-    this.byzantineType = isByzantine ? 
-      BYZANTINE_FAILURE_TYPES[Math.floor(Math.random() * BYZANTINE_FAILURE_TYPES.length)] : null;
+    this.rng = random;
+    this.strategy = strategy; // ByzantineStrategy followed on every message, or null
+    this.failureType = !strategy && isByzantine ? this.rng.pick(failureTypes) : null; // Random Byzantine fault, if picked
+    this.isByzantine = this.failureType !== null || strategy !== null;
+    this.byzantineType = strategy ? strategy.name : this.failureType;
+    this.online = true; // False from a crash until the replica has caught up again
+    this.failureProbability = failureProbability;
     this.preparesSent = 0;
     this.preparesReceived = 0;
     this.commitsSent = 0;
@@ -80,7 +197,51 @@ class PBFTValidator {
     this.viewChangesSent = 0;
     this.viewChangesReceived = 0;
     this.failures = 0;
-    this.lastActive = Date.now();
+    this.messagesLogged = 0;
+    this.lastActive = this.clock.now;
+    
+    // Message log keyed by sequence number, and the digest committed at each
+    this.messageLog = new Map();
+    this.committed = new Map();
+    
+    // Execution and checkpoint state
+    this.lastExecuted = 0;
+    this.stateDigest = GENESIS_STATE_DIGEST;
+    this.stateHistory = new Map([[0, GENESIS_STATE_DIGEST]]); // sequence -> state digest
+    this.checkpoints = new Map(); // sequence -> Map(sender index -> CHECKPOINT)
+    this.stableCheckpoint = null;
+    this.lowWatermark = 0;
+    this.checkpointsSent = 0;
+    
+    // Installed view, and the view being changed to (messages are refused meanwhile)
+    this.view = 0;
+    this.pendingView = null;
+  }
+  
+  /**
+   * Get (or create) the message log entry for a sequence number
+   */
+  getLogEntry(sequence) {
+    if (!this.messageLog.has(sequence)) {
+      this.messageLog.set(sequence, {
+        sequence,
+        prePrepare: null,
+        prepares: new Map(), // sender index -> PREPARE
+        commits: new Map(), // sender index -> COMMIT
+        preparedCertificate: null,
+        commitCertificate: null,
+        committedDigest: null
+      });
+    }
+    return this.messageLog.get(sequence);
+  }
+  
+  /**
+   * Record a message accepted into the log
+   */
+  recordMessage() {
+    this.messagesLogged++;
+    this.lastActive = this.clock.now;
   }
   
   /**
@@ -90,7 +251,7 @@ class PBFTValidator {
     if (!this.isByzantine) return false;
     
     // Random chance of Byzantine behavior for this phase
-    const failsNow = Math.random() < BYZANTINE_FAILURE_PROBABILITY;
+    const failsNow = this.rng.chance(this.failureProbability);
     
     if (failsNow) {
       this.failures++;
@@ -100,6 +261,16 @@ class PBFTValidator {
     return false;
   }
   
+  /**
+   * Follow another strategy from here on (null to stop); a randomly picked
+   * Byzantine fault stays in place underneath
+   */
+  follow(strategy) {
+    this.strategy = strategy;
+    this.isByzantine = this.failureType !== null || strategy !== null;
+    this.byzantineType = strategy ? strategy.name : this.failureType;
+  }
+  
   /**
    * Record participation in the prepare phase
    */
@@ -109,7 +280,7 @@ class PBFTValidator {
     } else {
       this.preparesSent++;
     }
-    this.lastActive = Date.now();
+    this.lastActive = this.clock.now;
   }
   
   /**
@@ -121,7 +292,7 @@ class PBFTValidator {
     } else {
       this.commitsSent++;
     }
-    this.lastActive = Date.now();
+    this.lastActive = this.clock.now;
   }
   
   /**
@@ -129,7 +300,7 @@ class PBFTValidator {
    */
   recordProposal() {
     this.blocksProposed++;
-    this.lastActive = Date.now();
+    this.lastActive = this.clock.now;
   }
   
   /**
@@ -141,7 +312,7 @@ class PBFTValidator {
     } else {
       this.viewChangesSent++;
     }
-    this.lastActive = Date.now();
+    this.lastActive = this.clock.now;
   }
 }
 
@@ -149,7 +320,19 @@ class PBFTValidator {
  * PBFT consensus state manager
  */
 class PBFTConsensus {
-  constructor(validatorAccounts) {
+  constructor(validatorAccounts, random = rng, scheduler = clock, options = {}) {
+    this.rng = random;
+    this.clock = scheduler;
+    this.checkpointInterval = options.checkpointInterval || CHECKPOINT_INTERVAL;
+    this.watermarkWindow = options.watermarkWindow || WATERMARK_WINDOW_FACTOR * this.checkpointInterval;
+    this.network = options.network || null; // NetworkModel; without one every message takes its phase time
+    this.recovery = options.crashRecovery || null; // CrashRecoveryModel; without one replicas never go down
+    // Validators given a strategy replace the randomly chosen Byzantine validator
+    this.strategySpecs = options.strategies || null;
+    this.byzantineCount = Math.min(options.byzantineCount ?? (this.strategySpecs ? 0 : BYZANTINE_VALIDATOR_COUNT), validatorAccounts.length);
+    this.failureProbability = options.failureProbability ?? BYZANTINE_FAILURE_PROBABILITY;
+    this.failureTypes = options.byzantineTypes || BYZANTINE_FAILURE_TYPES; // Faults Byzantine validators pick from
+    
     // Set up validators (including Byzantine validators)
     this.validators = this.setupValidators(validatorAccounts);
     this.currentView = 0;
@@ -157,6 +340,10 @@ class PBFTConsensus {
     this.blockHeight = 0;
     this.viewChangeInProgress = false;
     this.lastViewChangeTime = 0;
+    this.rounds = new Map(); // sequence -> round tracking state
+    this.nullSequences = new Set(); // sequence numbers resolved as no-ops after liveness was lost
+    this.viewChangeAttempt = null;
+    this.faultSchedule = null; // FaultSchedule whose block events fire as each sequence starts
     
     // Record initial setup
     this.recordConsensusState("initialization");
@@ -168,14 +355,16 @@ class PBFTConsensus {
   setupValidators(accounts) {
     // Randomly select Byzantine validators (up to the allowed threshold)
     const byzantineIndices = new Set();
-    while (byzantineIndices.size < BYZANTINE_VALIDATOR_COUNT) {
-      const randomIndex = Math.floor(Math.random() * accounts.length);
+    while (byzantineIndices.size < this.byzantineCount) {
+      const randomIndex = this.rng.nextInt(accounts.length);
       byzantineIndices.add(randomIndex);
     }
+    const strategies = createStrategies(this.strategySpecs, accounts.length, this.rng.fork("strategies"));
     
     return accounts.map((account, index) => {
       const isByzantine = byzantineIndices.has(index);
-      return new PBFTValidator(account, index, isByzantine);
+      return new PBFTValidator(account, index, isByzantine, this.rng.fork(`validator-${index}`), this.clock,
+        this.failureProbability, strategies.get(index) || null, this.failureTypes);
     });
   }
   
@@ -183,72 +372,111 @@ class PBFTConsensus {
    * Get current primary validator for this view
    */
   getPrimary() {
-    const primaryIndex = this.currentView % this.validators.length;
-    return this.validators[primaryIndex];
+    return this.primaryFor(this.currentView);
   }
   
   /**
-   * Run the three-phase PBFT consensus for a transaction
+   * Run the three-phase PBFT consensus for a transaction.
+   * The primary multicasts a PRE-PREPARE; every replica then exchanges PREPARE
+   * and COMMIT messages through the simulated clock until 2f+1 replicas hold a
+   * commit certificate for the same digest. If the view-change timer expires
+   * first, replicas move to a new view whose primary re-proposes the request.
    */
   async runConsensus(txHash, receipt) {
     this.blockHeight++;
+    const sequence = this.blockHeight;
+    const primary = this.getPrimary();
+    const requestTime = this.clock.now;
     console.log(`\n--- PBFT Consensus for Block ${this.blockHeight} ---`);
-    console.log(`View ${this.currentView}, Primary: ${this.getPrimary().address.substring(0, 10)}...`);
-    
-    // Transaction data for consensus
-    const txData = {
-      hash: txHash,
-      receipt,
-      timestamp: Date.now(),
-      consensusStartTime: Date.now()
+    console.log(`View ${this.currentView}, Sequence ${sequence}, Primary: ${primary.address.substring(0, 10)}...`);
+    if (this.faultSchedule) this.faultSchedule.onBlock(sequence);
+    this.sampleCrashes();
+    
+    // Client request and its digest
+    const request = {
+      txHash,
+      blockNumber: receipt.blockNumber,
+      sequence,
+      timestamp: requestTime
     };
+    const digest = computeDigest(request);
+    let round = this.startRound(sequence, digest);
+    
+    // The primary can only assign sequence numbers inside its watermark window
+    if (this.withinWatermarks(primary, sequence)) {
+      // Phase 1: Pre-prepare - the primary assigns the sequence number
+      console.log("Phase 1: Pre-prepare - Primary proposes block...");
+      this.sendPrePrepare(primary, round, request);
+    } else {
+      console.log(`⚠️ Sequence ${sequence} is above the primary's high watermark ${primary.lowWatermark + this.watermarkWindow}`);
+    }
     
-    // Measure total time across all phases
-    const phaseTimings = {};
-    let consensusResult = null;
+    // Phases 2 and 3 are driven by message delivery on the simulated clock
+    let committed = await this.awaitCommit(round);
+    let failureReason = null;
+    let viewChanges = 0;
     
-    try {
-      // Phase 1: Pre-prepare
-      phaseTimings.prePrepare = await this.runPrePreparePhase(txData);
+    // On timeout move to a new view; its primary re-proposes the request
+    while (!committed) {
+      failureReason = this.describeRoundFailure(round);
+      console.error(`PBFT round stalled in view ${round.view}: ${failureReason}`);
+      this.recordRoundPhases(round);
       
-      // Phase 2: Prepare
-      phaseTimings.prepare = await this.runPreparePhase(txData);
+      if (viewChanges >= this.validators.length) {
+        failureReason = `No view committed the request after ${viewChanges} view changes`;
+        break;
+      }
       
-      // Phase 3: Commit
-      phaseTimings.commit = await this.runCommitPhase(txData);
+      const viewChange = await this.initiateViewChange(failureReason, request);
+      viewChanges++;
+      if (!viewChange.installed) {
+        failureReason = `Liveness lost: ${viewChange.reason}`;
+        break;
+      }
       
-      // Consensus successful
-      const totalTime = phaseTimings.prePrepare + phaseTimings.prepare + phaseTimings.commit;
-      console.log(`PBFT consensus successful! Total time: ${totalTime}ms`);
+      round = this.rounds.get(request.sequence);
+      committed = await this.awaitCommit(round);
+    }
+    
+    let consensusResult = null;
+    
+    if (committed) {
+      if (this.recovery) this.recovery.recordFinalized();
+      const phaseTimings = this.recordRoundPhases(round);
+      const totalTime = this.clock.now - requestTime;
+      console.log(`PBFT consensus successful! Digest ${digest.substring(0, 10)}... committed by ${round.reached.committed.length}/${this.validators.length} replicas in ${totalTime}ms`);
       
       consensusResult = {
         success: true,
         blockHeight: this.blockHeight,
+        sequence: round.sequence,
+        digest,
         view: this.currentView,
         primary: this.getPrimary().address,
+        viewChanges,
         phaseTimings,
         totalTime,
-        txHash: txData.hash,
-        timestamp: Date.now()
+        txHash,
+        timestamp: this.clock.now
       };
-      
-    } catch (error) {
-      console.error(`PBFT consensus failed: ${error.message}`);
-      
-      // Handle view change if consensus failed
-      if (!this.viewChangeInProgress) {
-        await this.initiateViewChange(error.message);
-      }
+    } else {
+      console.error(`PBFT consensus failed: ${failureReason}`);
+      this.abandonSequence(round.sequence);
       
       consensusResult = {
         success: false,
         blockHeight: this.blockHeight,
+        sequence: round.sequence,
+        digest,
         view: this.currentView,
-        error: error.message,
-        timestamp: Date.now()
+        viewChanges,
+        error: failureReason,
+        timestamp: this.clock.now
       };
     }
     
+    this.recordBlock(round, consensusResult);
+    
     // Record full consensus details
     this.recordConsensusState("consensus_complete", consensusResult);
     
@@ -256,251 +484,1151 @@ class PBFTConsensus {
   }
   
   /**
-   * Run pre-prepare phase of PBFT
+   * Let messages flow until 2f+1 replicas commit the round or its view-change timer expires
+   */
+  async awaitCommit(round) {
+    const quorum = this.quorumSize();
+    return this.clock.advanceUntil(
+      () => round.reached.committed.length >= quorum,
+      round.startTime + VIEW_CHANGE_TIMEOUT
+    );
+  }
+  
+  /**
+   * Quorum size for prepared/committed certificates (2f + 1)
+   */
+  quorumSize() {
+    return 2 * this.f + 1;
+  }
+  
+  /**
+   * Create the tracking state for one sequence number
+   */
+  startRound(sequence, digest, view = this.currentView) {
+    const round = {
+      sequence,
+      view,
+      digest,
+      startTime: this.clock.now,
+      // Replicas in the order they reached each stage, with the time they did
+      reached: { prePrepared: [], prepared: [], committed: [] },
+      messages: {
+        "pre-prepare": { count: 0, bytes: 0 },
+        prepare: { count: 0, bytes: 0 },
+        commit: { count: 0, bytes: 0 }
+      },
+      senders: { "pre-prepare": new Set(), prepare: new Set(), commit: new Set() },
+      byzantine: { "pre-prepare": 0, prepare: 0, commit: 0 },
+      rejectedMessages: 0
+    };
+    this.rounds.set(sequence, round);
+    return round;
+  }
+  
+  /**
+   * Whether a sequence number lies in the replica's window (h, H]
+   */
+  withinWatermarks(replica, sequence) {
+    return sequence > replica.lowWatermark && sequence <= replica.lowWatermark + this.watermarkWindow;
+  }
+  
+  /**
+   * Mark that a replica reached a protocol stage for a round (once per replica)
    */
-  async runPrePreparePhase(txData) {
-    console.log("Phase 1: Pre-prepare - Primary proposes block...");
-    const phaseStartTime = Date.now();
+  markReached(round, stage, replica) {
+    if (round.reached[stage].some(entry => entry.index === replica.index)) return;
+    round.reached[stage].push({ index: replica.index, time: this.clock.now });
+  }
+  
+  /**
+   * Primary multicasts PRE-PREPARE(view, sequence, digest) to the backups
+   */
+  sendPrePrepare(primary, round, request) {
+    if (!primary.online) {
+      console.log(`💤 Primary ${primary.address.substring(0, 10)}... is down and sends no pre-prepare`);
+      return;
+    }
+    const behaviour = this.applyByzantineBehaviour(primary, "pre-prepare", round);
     
-    // Primary validator proposes the block
-    const primary = this.getPrimary();
-    console.log(`Primary ${primary.address.substring(0, 10)}... proposing block ${this.blockHeight}`);
+    let proposal = request;
+    if (behaviour.invalidTransition) {
+      proposal = { ...request, transition: forgeTransition(primary.rng) };
+      console.log(`⚠️ Primary proposes an invalid K-ETS state transition (${proposal.transition.type})`);
+    }
+    const message = createMessage(MESSAGE_TYPES.PRE_PREPARE, {
+      view: round.view,
+      sequence: round.sequence,
+      digest: proposal === request ? round.digest : computeDigest(proposal),
+      sender: primary.index,
+      request: proposal
+    });
     
-    // Check for Byzantine behavior in primary
-    const byzantineFailure = primary.exhibitsByzantineFailure();
-    if (byzantineFailure) {
-      this.recordByzantineEvent(primary, "pre-prepare", byzantineFailure);
-      
-      if (byzantineFailure === 'crash') {
-        throw new Error("Primary crashed during pre-prepare phase");
-      } else if (byzantineFailure === 'malicious') {
-        console.log(`⚠️ Primary is exhibiting malicious behavior, may propose conflicting blocks`);
-        // Continue but with some probability of failure in later phases
-      } else if (byzantineFailure === 'delayed') {
-        // Simulate delay
-        console.log(`⚠️ Primary response delayed during pre-prepare phase`);
-        await sleep(VIEW_CHANGE_TIMEOUT / 2);
-      }
+    if (behaviour.silent) {
+      console.log(`⚠️ Primary ${primary.address.substring(0, 10)}... crashed during pre-prepare phase`);
+      return;
+    }
+    if (behaviour.equivocate || behaviour.digestFor) {
+      console.log(`⚠️ Primary is equivocating - sending conflicting pre-prepare digests`);
+    }
+    if (behaviour.extraDelay > 0) {
+      console.log(`⚠️ Primary response delayed during pre-prepare phase`);
     }
     
-    // Primary successfully proposes the block
+    // The primary logs its own proposal
     primary.recordProposal();
+    primary.getLogEntry(round.sequence).prePrepare = message;
+    this.markReached(round, "prePrepared", primary);
+    round.senders["pre-prepare"].add(primary.index);
     
-    // Broadcast pre-prepare message to all validators
-    const messagesSent = this.validators.length;
-    this.recordNetworkMessages("pre-prepare", messagesSent, 1024);
+    const backups = this.validators.filter(v => v !== primary);
+    this.multicast(primary, message, backups, PRE_PREPARE_PHASE_TIME, behaviour, round);
+  }
+  
+  /**
+   * A replica multicasts a PREPARE or COMMIT vote for the digest it accepted
+   */
+  sendVote(replica, type, entry, round) {
+    const phase = type === MESSAGE_TYPES.PREPARE ? "prepare" : "commit";
+    const delay = type === MESSAGE_TYPES.PREPARE ? PREPARE_PHASE_TIME : COMMIT_PHASE_TIME;
+    
+    const behaviour = this.applyByzantineBehaviour(replica, phase, round);
+    if (behaviour.silent) {
+      console.log(`⚠️ Validator ${replica.address.substring(0, 10)}... crashed during ${phase} phase`);
+      return;
+    }
     
-    // Wait for pre-prepare phase time
-    await sleep(PRE_PREPARE_PHASE_TIME);
+    const message = createMessage(type, {
+      view: entry.prePrepare.view,
+      sequence: entry.prePrepare.sequence,
+      digest: entry.prePrepare.digest,
+      sender: replica.index
+    });
     
-    // Calculate phase timing
-    const phaseDuration = Date.now() - phaseStartTime;
-    console.log(`Pre-prepare phase completed in ${phaseDuration}ms`);
+    // Replicas log their own votes immediately
+    this.logVote(replica, entry, message);
+    round.senders[phase].add(replica.index);
     
-    // Record phase completion
-    this.recordPhaseCompletion("pre-prepare", phaseDuration, messagesSent);
+    const peers = this.validators.filter(v => v !== replica);
+    this.multicast(replica, message, peers, delay, behaviour, round);
+  }
+  
+  /**
+   * Deliver a message to each recipient through the simulated clock, after the
+   * phase time or the network's link delay. An equivocating sender gives some
+   * recipients a conflicting digest; a selectively silent one skips its targets.
+   */
+  multicast(sender, message, recipients, delay, behaviour, round) {
+    const phase = message.type;
+    const size = MESSAGE_SIZES[phase];
+    if (behaviour.silentTo) {
+      recipients = recipients.filter(recipient => !behaviour.silentTo.has(recipient.index));
+    }
+    const transits = this.network ? this.network.broadcast(sender.index, recipients.map(r => r.index), size) : null;
+    
+    recipients.forEach((recipient, i) => {
+      let delivered = message;
+      if (behaviour.digestFor) {
+        delivered = { ...message, digest: behaviour.digestFor(recipient, message.digest) };
+      } else if (behaviour.equivocate && sender.rng.chance(0.5)) {
+        delivered = { ...message, digest: forgeDigest(message.digest, sender.index) };
+      }
+      
+      if (round) {
+        round.messages[phase].count++;
+        round.messages[phase].bytes += size;
+      }
+      
+      const transit = transits ? transits[i] : delay;
+      if (transit === null) return; // Dropped by a network partition
+      this.clock.schedule(transit + behaviour.extraDelay, () => {
+        this.handleMessage(recipient, delivered);
+      }, `${phase}:${sender.index}->${recipient.index}`);
+    });
+  }
+  
+  /**
+   * Decide whether a validator misbehaves while sending in this phase
+   */
+  applyByzantineBehaviour(validator, phase, round) {
+    const behaviour = { silent: false, equivocate: false, extraDelay: 0 };
+    if (validator.strategy) return this.applyStrategy(validator, phase, round, behaviour);
+    const byzantineFailure = validator.exhibitsByzantineFailure();
+    if (!byzantineFailure) return behaviour;
+    
+    this.recordByzantineEvent(validator, phase, byzantineFailure);
+    if (round) round.byzantine[phase]++;
+    
+    if (byzantineFailure === 'crash') {
+      behaviour.silent = true;
+    } else if (byzantineFailure === 'malicious') {
+      behaviour.equivocate = true;
+    } else if (byzantineFailure === 'delayed') {
+      behaviour.extraDelay = VIEW_CHANGE_TIMEOUT / 2;
+    }
+    return behaviour;
+  }
+  
+  /**
+   * Behaviour of a validator following a strategy from byzantine-strategies.js.
+   * Equivocation and collusion split the round's digest between recipients
+   * (a coalition agrees on one forged digest per view and sequence); outside
+   * the round phases an equivocator forges certificates as 'malicious' does.
+   */
+  applyStrategy(validator, phase, round, behaviour) {
+    const strategy = validator.strategy;
+    let action = null;
+    
+    switch (strategy.name) {
+      case "equivocation":
+        if (round || phase === MESSAGE_TYPES.CHECKPOINT) {
+          behaviour.digestFor = (recipient, digest) =>
+            strategy.receivesConflicting(recipient.index) ? forgeDigest(digest, validator.index) : digest;
+        } else {
+          behaviour.equivocate = true;
+        }
+        action = "equivocate";
+        break;
+      case "selective-silence":
+        behaviour.silentTo = strategy.targets;
+        action = "silent-to-targets";
+        break;
+      case "withhold-votes":
+        if (round) {
+          behaviour.extraDelay = Math.max(0, round.startTime + VIEW_CHANGE_TIMEOUT - this.clock.now);
+          action = "withhold";
+        }
+        break;
+      case "invalid-transition":
+        if (phase === MESSAGE_TYPES.PRE_PREPARE) {
+          behaviour.invalidTransition = true;
+          action = "invalid-transition";
+        }
+        break;
+      case "collusion": {
+        if (!round) break;
+        const { coalition } = strategy;
+        const key = `${round.view}:${round.sequence}`;
+        const plan = phase === MESSAGE_TYPES.PRE_PREPARE
+          ? coalition.propose(key, round.digest, forgeDigest(round.digest, coalition.label))
+          : coalition.planFor(key);
+        if (plan) {
+          behaviour.digestFor = recipient => coalition.victims.has(recipient.index) ? plan.conflicting : plan.value;
+          action = "collude";
+        }
+        break;
+      }
+    }
     
-    return phaseDuration;
+    if (action) {
+      validator.failures++;
+      this.recordByzantineEvent(validator, phase, action);
+      if (round) round.byzantine[phase]++;
+    }
+    return behaviour;
   }
   
   /**
-   * Run prepare phase of PBFT
+   * Replica-side message handling: log the message and advance the protocol
    */
-  async runPreparePhase(txData) {
-    console.log("Phase 2: Prepare - Validators confirm receipt of proposal...");
-    const phaseStartTime = Date.now();
+  handleMessage(replica, message) {
+    // A replica that is down or still catching up loses whatever reaches it
+    if (!replica.online) return;
+    
+    switch (message.type) {
+      case MESSAGE_TYPES.CHECKPOINT:
+        this.handleCheckpoint(replica, message);
+        return;
+      case MESSAGE_TYPES.VIEW_CHANGE:
+        this.handleViewChange(replica, message);
+        return;
+      case MESSAGE_TYPES.NEW_VIEW:
+        this.handleNewView(replica, message);
+        return;
+    }
     
-    // Each validator broadcasts prepare message to all other validators
-    let prepareCount = 0;
-    let byzantineCount = 0;
+    const round = this.rounds.get(message.sequence);
     
-    // Track validators who participated in prepare phase
-    for (const validator of this.validators) {
-      // Skip primary, it already did its part
-      if (validator === this.getPrimary()) continue;
-      
-      // Check for Byzantine behavior
-      const byzantineFailure = validator.exhibitsByzantineFailure();
-      if (byzantineFailure) {
-        this.recordByzantineEvent(validator, "prepare", byzantineFailure);
-        byzantineCount++;
+    // Only messages for the replica's installed view count; none while it changes views
+    if (message.view !== replica.view || replica.pendingView !== null) {
+      if (round) round.rejectedMessages++;
+      return;
+    }
+    
+    // Sequence numbers outside the watermark window are ignored
+    if (!this.withinWatermarks(replica, message.sequence)) {
+      if (round) round.rejectedMessages++;
+      return;
+    }
+    
+    const entry = replica.getLogEntry(message.sequence);
+    
+    switch (message.type) {
+      case MESSAGE_TYPES.PRE_PREPARE: {
+        replica.recordMessage();
         
-        if (byzantineFailure === 'crash') {
-          console.log(`⚠️ Validator ${validator.address.substring(0, 10)}... crashed during prepare phase`);
-          continue; // Skip this validator
-        } else if (byzantineFailure === 'malicious') {
-          console.log(`⚠️ Validator ${validator.address.substring(0, 10)}... sent conflicting prepare messages`);
-          // Validator will send conflicting messages, counting it but this may cause issues
-        } else if (byzantineFailure === 'delayed') {
-          console.log(`⚠️ Validator ${validator.address.substring(0, 10)}... delayed during prepare phase`);
-          // Continue but will be slow
+        // Only the primary of the view may assign sequence numbers
+        if (message.sender !== this.primaryFor(message.view).index) {
+          round.rejectedMessages++;
+          return;
         }
+        
+        // Replicas re-execute the request and refuse an invalid K-ETS state transition
+        const transition = message.request ? message.request.transition : null;
+        if (!isValidTransition(transition) && !(replica.strategy && replica.strategy.acceptsInvalid())) {
+          round.rejectedMessages++;
+          this.recordInvalidProposal(replica, message);
+          return;
+        }
+        
+        // A second pre-prepare for the same view/sequence with another digest is rejected
+        const accepted = entry.prePrepare && entry.prePrepare.view === message.view ? entry.prePrepare : null;
+        if (accepted && accepted.digest !== message.digest) {
+          round.rejectedMessages++;
+          this.recordConflictingMessage(replica, message, accepted.digest);
+          return;
+        }
+        if (accepted) return;
+        
+        entry.prePrepare = message;
+        this.markReached(round, "prePrepared", replica);
+        this.sendVote(replica, MESSAGE_TYPES.PREPARE, entry, round);
+        this.checkPrepared(replica, entry, round);
+        break;
       }
       
-      // Validator sends prepare message
-      validator.recordPrepare(false);
-      prepareCount++;
-      
-      // Log prepare messages
-      console.log(`Validator ${validator.address.substring(0, 10)}... sent prepare message`);
+      case MESSAGE_TYPES.PREPARE:
+        replica.recordPrepare(true);
+        this.logVote(replica, entry, message);
+        this.checkPrepared(replica, entry, round);
+        break;
+        
+      case MESSAGE_TYPES.COMMIT:
+        replica.recordCommit(true);
+        this.logVote(replica, entry, message);
+        this.checkCommitted(replica, entry, round);
+        break;
+    }
+  }
+  
+  /**
+   * Store a vote in the replica's log, keyed by sender so duplicates do not count twice
+   */
+  logVote(replica, entry, message) {
+    const votes = message.type === MESSAGE_TYPES.PREPARE ? entry.prepares : entry.commits;
+    if (!votes.has(message.sender)) {
+      votes.set(message.sender, message);
+    }
+    if (message.sender === replica.index) {
+      if (message.type === MESSAGE_TYPES.PREPARE) replica.recordPrepare(false);
+      else replica.recordCommit(false);
     }
+    replica.recordMessage();
+  }
+  
+  /**
+   * prepared(m, v, n, i): pre-prepare plus 2f PREPAREs from distinct backups
+   * with a matching view and digest
+   */
+  checkPrepared(replica, entry, round) {
+    if (!entry.prePrepare) return;
+    const { view, digest } = entry.prePrepare;
+    if (entry.preparedCertificate && entry.preparedCertificate.view === view) return;
+    
+    const primaryIndex = entry.prePrepare.sender;
+    const matching = [...entry.prepares.values()].filter(m =>
+      m.view === view && m.digest === digest && m.sender !== primaryIndex
+    );
     
-    // Wait for prepare phase time
-    await sleep(PREPARE_PHASE_TIME);
+    if (matching.length < 2 * this.f) return;
     
-    // Check if we have sufficient prepare messages (2f + 1 including primary)
-    const requiredPrepares = 2 * this.f + 1;
-    console.log(`Received ${prepareCount} prepare messages (${byzantineCount} Byzantine), need ${requiredPrepares}`);
+    entry.preparedCertificate = this.createCertificate("prepared", replica, entry.prePrepare, matching);
+    this.markReached(round, "prepared", replica);
+    this.sendVote(replica, MESSAGE_TYPES.COMMIT, entry, round);
+    this.checkCommitted(replica, entry, round);
+  }
+  
+  /**
+   * committed-local(m, v, n, i): prepared plus 2f+1 matching COMMITs
+   */
+  checkCommitted(replica, entry, round) {
+    if (!entry.prePrepare) return;
+    const { view, digest } = entry.prePrepare;
+    if (!entry.preparedCertificate || entry.preparedCertificate.view !== view) return;
+    if (entry.commitCertificate && entry.commitCertificate.view === view) return;
+    
+    const matching = [...entry.commits.values()].filter(m => m.view === view && m.digest === digest);
+    
+    if (matching.length < this.quorumSize()) return;
+    
+    entry.commitCertificate = this.createCertificate("committed", replica, entry.prePrepare, matching);
+    entry.committedDigest = digest;
+    replica.committed.set(entry.sequence, digest);
+    this.markReached(round, "committed", replica);
+    this.checkSafety(entry.sequence);
+    this.executeCommitted(replica);
+  }
+  
+  /**
+   * Execute committed sequence numbers in order. Every checkpointInterval-th
+   * execution produces a CHECKPOINT of the resulting state.
+   */
+  executeCommitted(replica) {
+    for (;;) {
+      const next = replica.lastExecuted + 1;
+      let requestDigest;
+      if (replica.committed.has(next)) {
+        requestDigest = replica.committed.get(next);
+      } else if (this.nullSequences.has(next)) {
+        requestDigest = NULL_REQUEST_DIGEST;
+      } else {
+        break;
+      }
+      
+      replica.lastExecuted = next;
+      replica.stateDigest = computeStateDigest(replica.stateDigest, requestDigest);
+      replica.stateHistory.set(next, replica.stateDigest);
+      
+      if (next % this.checkpointInterval === 0) {
+        this.sendCheckpoint(replica, next);
+      }
+    }
+  }
+  
+  /**
+   * Resolve a sequence number that never committed (liveness was lost) as a null
+   * request. Replicas that committed it locally without a quorum roll back their
+   * tentative execution so that every replica checkpoints the same state.
+   */
+  abandonSequence(sequence) {
+    this.nullSequences.add(sequence);
     
-    if (prepareCount < requiredPrepares) {
-      throw new Error(`Insufficient prepare messages: ${prepareCount}/${requiredPrepares}`);
+    for (const replica of this.validators) {
+      if (replica.committed.delete(sequence) && replica.lastExecuted >= sequence) {
+        replica.lastExecuted = sequence - 1;
+        replica.stateDigest = replica.stateHistory.get(sequence - 1);
+      }
+      this.executeCommitted(replica);
+    }
+  }
+  
+  /**
+   * Multicast CHECKPOINT(sequence, state digest) after executing a checkpoint sequence
+   */
+  sendCheckpoint(replica, sequence) {
+    const behaviour = this.applyByzantineBehaviour(replica, "checkpoint", null);
+    if (behaviour.silent) {
+      console.log(`⚠️ Validator ${replica.address.substring(0, 10)}... crashed before sending checkpoint ${sequence}`);
+      return;
     }
     
-    // Calculate message count - each validator sends prepare to all others
-    const messagesSent = prepareCount * this.validators.length;
-    this.recordNetworkMessages("prepare", messagesSent, 512);
+    const message = createMessage(MESSAGE_TYPES.CHECKPOINT, {
+      view: this.currentView,
+      sequence,
+      digest: replica.stateDigest,
+      sender: replica.index
+    });
     
-    // Calculate phase timing
-    const phaseDuration = Date.now() - phaseStartTime;
-    console.log(`Prepare phase completed in ${phaseDuration}ms`);
+    replica.checkpointsSent++;
+    this.recordCheckpointEvent("checkpoint_sent", replica, sequence, { stateDigest: message.digest });
+    this.logCheckpoint(replica, message);
+    
+    const peers = this.validators.filter(v => v !== replica);
+    this.multicast(replica, message, peers, CHECKPOINT_MESSAGE_TIME, behaviour, null);
+    this.recordNetworkMessages("checkpoint", peers.length, MESSAGE_SIZES.checkpoint);
+  }
+  
+  /**
+   * Replica-side CHECKPOINT handling (checkpoints are not tied to a view)
+   */
+  handleCheckpoint(replica, message) {
+    replica.recordMessage();
+    this.logCheckpoint(replica, message);
+  }
+  
+  /**
+   * Store a CHECKPOINT and stabilise it once 2f+1 replicas report the same state.
+   * A newer checkpoint from the same sender replaces the older one (e.g. after a rollback).
+   */
+  logCheckpoint(replica, message) {
+    // Checkpoints at or below the stable checkpoint are already garbage
+    if (message.sequence <= replica.lowWatermark) return;
     
-    // Record phase completion
-    this.recordPhaseCompletion("prepare", phaseDuration, messagesSent, prepareCount, byzantineCount);
+    if (!replica.checkpoints.has(message.sequence)) {
+      replica.checkpoints.set(message.sequence, new Map());
+    }
+    const votes = replica.checkpoints.get(message.sequence);
+    votes.set(message.sender, message);
     
-    return phaseDuration;
+    const matching = [...votes.values()].filter(m => m.digest === message.digest);
+    if (matching.length >= this.quorumSize()) {
+      this.stabiliseCheckpoint(replica, message, matching);
+    }
   }
   
   /**
-   * Run commit phase of PBFT
+   * Make a checkpoint stable: advance the watermarks, catch up a lagging replica
+   * from the certified state and garbage-collect the message log below it
    */
-  async runCommitPhase(txData) {
-    console.log("Phase 3: Commit - Validators commit to the block...");
-    const phaseStartTime = Date.now();
+  stabiliseCheckpoint(replica, checkpoint, votes) {
+    const { sequence, digest } = checkpoint;
+    const certificate = this.createCertificate("stable-checkpoint", replica, checkpoint, votes);
+    
+    // A replica that has not executed up to the checkpoint fetches the certified state
+    let sequencesTransferred = 0;
+    if (replica.lastExecuted < sequence) {
+      sequencesTransferred = sequence - replica.lastExecuted;
+      console.log(`Validator ${replica.address.substring(0, 10)}... lagging at sequence ${replica.lastExecuted}, adopting stable checkpoint ${sequence}`);
+      replica.lastExecuted = sequence;
+      replica.stateDigest = digest;
+      replica.stateHistory.set(sequence, digest);
+      this.recordCheckpointEvent("state_transfer", replica, sequence, { stateDigest: digest, sequencesTransferred });
+    }
+    
+    const logSizeBefore = replica.messageLog.size;
+    for (const logged of replica.messageLog.keys()) {
+      if (logged <= sequence) replica.messageLog.delete(logged);
+    }
+    for (const logged of replica.checkpoints.keys()) {
+      if (logged < sequence) replica.checkpoints.delete(logged);
+    }
+    for (const logged of replica.stateHistory.keys()) {
+      if (logged < sequence) replica.stateHistory.delete(logged);
+    }
     
-    // Each validator broadcasts commit message to all other validators
-    let commitCount = 0;
-    let byzantineCount = 0;
+    replica.stableCheckpoint = certificate;
+    replica.lowWatermark = sequence;
     
-    // Track validators who participated in commit phase
+    this.recordCheckpointEvent("stable", replica, sequence, {
+      stateDigest: digest,
+      signers: certificate.signers,
+      prunedLogEntries: logSizeBefore - replica.messageLog.size,
+      messageLogSize: replica.messageLog.size
+    });
+    
+    // Continue executing anything committed above the checkpoint
+    if (sequencesTransferred > 0) {
+      this.executeCommitted(replica);
+    }
+  }
+  
+  /**
+   * Build a quorum certificate from votes that all carry the same digest
+   */
+  createCertificate(type, replica, prePrepare, votes) {
+    const certificate = {
+      type,
+      view: prePrepare.view,
+      sequence: prePrepare.sequence,
+      digest: prePrepare.digest,
+      replica: replica.index,
+      signers: votes.map(m => m.sender).sort((a, b) => a - b),
+      timestamp: this.clock.now
+    };
+    measurements.quorumCertificates.push(certificate);
+    return certificate;
+  }
+  
+  /**
+   * Safety: no two non-Byzantine replicas may commit different digests at the same sequence
+   */
+  checkSafety(sequence) {
+    const digests = new Map();
     for (const validator of this.validators) {
-      // Check for Byzantine behavior
-      const byzantineFailure = validator.exhibitsByzantineFailure();
-      if (byzantineFailure) {
-        this.recordByzantineEvent(validator, "commit", byzantineFailure);
-        byzantineCount++;
-        
-        if (byzantineFailure === 'crash') {
-          console.log(`⚠️ Validator ${validator.address.substring(0, 10)}... crashed during commit phase`);
-          continue; // Skip this validator
-        } else if (byzantineFailure === 'malicious') {
-          console.log(`⚠️ Validator ${validator.address.substring(0, 10)}... sent conflicting commit messages`);
-          // Validator will send conflicting messages, counting it but this may cause issues
-        } else if (byzantineFailure === 'delayed') {
-          console.log(`⚠️ Validator ${validator.address.substring(0, 10)}... delayed during commit phase`);
-          // Continue but will be slow
-        }
-      }
-      
-      // Validator sends commit message
-      validator.recordCommit(false);
-      commitCount++;
-      
-      // Log commit messages
-      console.log(`Validator ${validator.address.substring(0, 10)}... sent commit message`);
+      if (validator.isByzantine || !validator.committed.has(sequence)) continue;
+      digests.set(validator.index, validator.committed.get(sequence));
     }
     
-    // Wait for commit phase time
-    await sleep(COMMIT_PHASE_TIME);
-    
-    // Check if we have sufficient commit messages (2f + 1)
-    const requiredCommits = 2 * this.f + 1;
-    console.log(`Received ${commitCount} commit messages (${byzantineCount} Byzantine), need ${requiredCommits}`);
+    if (new Set(digests.values()).size <= 1) return;
+    if (measurements.safetyViolations.some(v => v.sequence === sequence)) return;
     
-    if (commitCount < requiredCommits) {
-      throw new Error(`Insufficient commit messages: ${commitCount}/${requiredCommits}`);
+    console.error(`🚨 Safety violation: honest replicas committed different digests at sequence ${sequence}`);
+    measurements.safetyViolations.push({
+      timestamp: this.clock.now,
+      sequence,
+      view: this.currentView,
+      committedDigests: Object.fromEntries(digests)
+    });
+  }
+  
+  /**
+   * Explain why a round timed out, based on how far it got
+   */
+  describeRoundFailure(round) {
+    const quorum = this.quorumSize();
+    if (round.reached.prePrepared.length <= 1) {
+      return "Primary failed to deliver a valid pre-prepare before the view-change timeout";
+    }
+    if (round.reached.prepared.length < quorum) {
+      return `Insufficient matching prepare certificates: ${round.reached.prepared.length}/${quorum}`;
     }
+    return `Insufficient matching commit certificates: ${round.reached.committed.length}/${quorum}`;
+  }
+  
+  /**
+   * Record per-phase timing and message counts for a round.
+   * A phase ends when the (2f+1)-th replica reaches its stage.
+   */
+  recordRoundPhases(round) {
+    const quorum = this.quorumSize();
+    const stageEnd = stage => {
+      const entry = round.reached[stage][quorum - 1];
+      return entry ? entry.time : null;
+    };
     
-    // Calculate message count - each validator sends commit to all others
-    const messagesSent = commitCount * this.validators.length;
-    this.recordNetworkMessages("commit", messagesSent, 512);
+    const prePrepareEnd = stageEnd("prePrepared");
+    const preparedEnd = stageEnd("prepared");
+    const committedEnd = stageEnd("committed");
     
-    // Calculate phase timing
-    const phaseDuration = Date.now() - phaseStartTime;
-    console.log(`Commit phase completed in ${phaseDuration}ms`);
+    const phaseTimings = {
+      prePrepare: prePrepareEnd !== null ? prePrepareEnd - round.startTime : null,
+      prepare: preparedEnd !== null && prePrepareEnd !== null ? preparedEnd - prePrepareEnd : null,
+      commit: committedEnd !== null && preparedEnd !== null ? committedEnd - preparedEnd : null
+    };
     
-    // Record phase completion
-    this.recordPhaseCompletion("commit", phaseDuration, messagesSent, commitCount, byzantineCount);
+    const phases = [
+      ["pre-prepare", "prePrepare", "prePrepared"],
+      ["prepare", "prepare", "prepared"],
+      ["commit", "commit", "committed"]
+    ];
     
-    return phaseDuration;
+    for (const [phase, timingKey, stage] of phases) {
+      const stats = round.messages[phase];
+      if (stats.count > 0) {
+        this.recordNetworkMessages(phase, stats.count, MESSAGE_SIZES[phase]);
+      }
+      if (phaseTimings[timingKey] !== null) {
+        console.log(`${phase} phase: ${round.reached[stage].length} replicas reached ${stage} after ${phaseTimings[timingKey]}ms`);
+        this.recordPhaseCompletion(phase, phaseTimings[timingKey], stats.count,
+          round.senders[phase].size, round.byzantine[phase]);
+      }
+    }
+    
+    return phaseTimings;
   }
   
   /**
-   * Initiate a view change due to consensus failure
+   * Move the replicas to a new view after a round timed out.
+   * Replicas multicast VIEW-CHANGE messages carrying their stable checkpoint and
+   * prepared certificates; the new primary answers 2f+1 of them with a NEW-VIEW
+   * that re-proposes every prepared request plus the in-flight one. If the new
+   * primary is faulty the attempt times out and the next view is tried, with the
+   * timeout doubling each time. Returns { installed, view, reason }.
    */
-  async initiateViewChange(reason) {
-    if (this.viewChangeInProgress) return;
+  async initiateViewChange(reason, request = null) {
+    if (this.viewChangeInProgress) {
+      return { installed: false, view: this.currentView, reason: "View change already in progress" };
+    }
     
     this.viewChangeInProgress = true;
-    const viewChangeStartTime = Date.now();
+    const viewChangeStartTime = this.clock.now;
+    const oldView = this.currentView;
     console.log(`\n--- Initiating View Change: ${reason} ---`);
     console.log(`Current view: ${this.currentView}, Primary: ${this.getPrimary().address.substring(0, 10)}...`);
     
-    // Increment the view number
-    const oldView = this.currentView;
-    this.currentView++;
+    let attempt = null;
+    let installed = false;
     
-    // Send view change messages
-    let viewChangeMsgCount = 0;
+    // Cascade through views until one is installed or every primary has been tried
+    for (let cascade = 0; cascade < this.validators.length && !installed; cascade++) {
+      const targetView = oldView + cascade + 1;
+      const timeout = VIEW_CHANGE_TIMEOUT * 2 ** cascade;
+      attempt = this.startViewChangeAttempt(targetView, request);
+      
+      installed = await this.clock.advanceUntil(
+        () => attempt.accepted.size >= this.quorumSize(),
+        attempt.startTime + timeout
+      );
+      
+      const outcome = installed ? "installed" : this.describeViewChangeFailure(attempt);
+      this.recordViewChangeAttempt(attempt, oldView, reason, cascade, outcome);
+      
+      if (installed) {
+        console.log(`View ${targetView} installed in ${this.clock.now - attempt.startTime}ms`);
+      } else {
+        console.error(`View change to ${targetView} timed out after ${timeout}ms: ${outcome}`);
+      }
+    }
     
-    // Each validator sends a view change message
+    const viewChangeDuration = this.clock.now - viewChangeStartTime;
+    this.currentView = attempt.targetView;
+    
+    if (installed) {
+      this.blockHeight = Math.max(this.blockHeight, attempt.maxSequence);
+      console.log(`View change complete in ${viewChangeDuration}ms`);
+      console.log(`New view: ${this.currentView}, New Primary: ${this.getPrimary().address.substring(0, 10)}...`);
+    } else {
+      // Liveness is lost; move every replica to the last attempted view so the
+      // simulation can carry on with later requests once primaries recover
+      console.error(`🚨 Liveness lost: no view between ${oldView + 1} and ${attempt.targetView} could be installed`);
+      measurements.livenessFailures.push({
+        timestamp: this.clock.now,
+        blockHeight: this.blockHeight,
+        fromView: oldView,
+        lastAttemptedView: attempt.targetView,
+        reason,
+        outage: viewChangeDuration
+      });
+      for (const validator of this.validators) {
+        validator.view = attempt.targetView;
+        validator.pendingView = null;
+      }
+    }
+    
+    this.viewChangeInProgress = false;
+    this.viewChangeAttempt = null;
+    this.lastViewChangeTime = this.clock.now;
+    
+    // Record consensus state after view change
+    this.recordConsensusState("view_change");
+    
+    return {
+      installed,
+      view: this.currentView,
+      reason: installed ? null : `no view between ${oldView + 1} and ${attempt.targetView} could be installed`
+    };
+  }
+  
+  /**
+   * Primary of a given view
+   */
+  primaryFor(view) {
+    return this.validators[view % this.validators.length];
+  }
+  
+  /**
+   * Start one view-change attempt: every replica stops accepting messages for its
+   * current view and multicasts VIEW-CHANGE(targetView)
+   */
+  startViewChangeAttempt(targetView, request) {
+    const attempt = {
+      targetView,
+      newPrimary: this.primaryFor(targetView),
+      request,
+      startTime: this.clock.now,
+      viewChanges: new Map(), // sender index -> VIEW-CHANGE collected by the new primary
+      invalidViewChanges: 0,
+      newView: null,
+      accepted: new Set(), // replicas that installed the new view
+      rejectedNewView: 0,
+      maxSequence: 0,
+      messageCount: 0
+    };
+    this.viewChangeAttempt = attempt;
+    
+    console.log(`Requesting view ${targetView}, new primary: ${attempt.newPrimary.address.substring(0, 10)}...`);
     for (const validator of this.validators) {
-      // Some validators might be Byzantine and not participate
-      const byzantineFailure = validator.exhibitsByzantineFailure();
-      if (byzantineFailure === 'crash') {
-        console.log(`Validator ${validator.address.substring(0, 10)}... crashed during view change`);
-        continue;
+      this.sendViewChange(validator, attempt);
+    }
+    return attempt;
+  }
+  
+  /**
+   * VIEW-CHANGE(v+1, n, C, P, i): stable checkpoint n with its proof C and
+   * the prepared certificates P above it
+   */
+  sendViewChange(replica, attempt) {
+    if (!replica.online) return;
+    replica.pendingView = attempt.targetView;
+    
+    const behaviour = this.applyByzantineBehaviour(replica, "view-change", null);
+    if (behaviour.silent) {
+      console.log(`Validator ${replica.address.substring(0, 10)}... crashed during view change`);
+      return;
+    }
+    
+    const prepared = this.collectPreparedCertificates(replica);
+    if (behaviour.equivocate && attempt.request) {
+      // Claim a prepared certificate for a conflicting request without a quorum behind it
+      prepared.push({
+        type: "prepared",
+        view: this.currentView,
+        sequence: attempt.request.sequence,
+        digest: forgeDigest(computeDigest(attempt.request), replica.index),
+        replica: replica.index,
+        signers: [replica.index]
+      });
+    }
+    
+    const message = {
+      type: MESSAGE_TYPES.VIEW_CHANGE,
+      view: attempt.targetView,
+      sequence: replica.lowWatermark,
+      checkpoint: replica.stableCheckpoint,
+      prepared,
+      sender: replica.index
+    };
+    
+    replica.recordViewChange(false);
+    console.log(`Validator ${replica.address.substring(0, 10)}... sent view change message (${prepared.length} prepared certificates)`);
+    
+    if (replica === attempt.newPrimary) {
+      this.collectViewChange(replica, message);
+    }
+    
+    const peers = this.validators.filter(v => v !== replica);
+    attempt.messageCount += peers.length;
+    this.multicast(replica, message, peers, VIEW_CHANGE_MESSAGE_TIME, { ...behaviour, equivocate: false }, null);
+  }
+  
+  /**
+   * Prepared certificates a replica holds above its stable checkpoint
+   */
+  collectPreparedCertificates(replica) {
+    const prepared = [];
+    for (const entry of replica.messageLog.values()) {
+      if (entry.preparedCertificate && entry.sequence > replica.lowWatermark) {
+        prepared.push(entry.preparedCertificate);
       }
-      
-      validator.recordViewChange(false);
-      viewChangeMsgCount++;
-      console.log(`Validator ${validator.address.substring(0, 10)}... sent view change message`);
+    }
+    return prepared;
+  }
+  
+  /**
+   * Replica-side VIEW-CHANGE handling; only the new primary collects them
+   */
+  handleViewChange(replica, message) {
+    replica.recordViewChange(true);
+    const attempt = this.viewChangeAttempt;
+    if (!attempt || message.view !== attempt.targetView || replica !== attempt.newPrimary) return;
+    this.collectViewChange(replica, message);
+  }
+  
+  /**
+   * Validate a VIEW-CHANGE and send NEW-VIEW once 2f+1 valid ones are collected
+   */
+  collectViewChange(primary, message) {
+    const attempt = this.viewChangeAttempt;
+    
+    if (!this.isValidViewChange(message)) {
+      attempt.invalidViewChanges++;
+      this.recordConflictingMessage(primary, message, null);
+      return;
+    }
+    
+    attempt.viewChanges.set(message.sender, message);
+    if (attempt.viewChanges.size >= this.quorumSize() && !attempt.newView) {
+      this.sendNewView(primary, attempt);
+    }
+  }
+  
+  /**
+   * A VIEW-CHANGE is valid if its checkpoint proof and every prepared certificate
+   * carry enough distinct signers
+   */
+  isValidViewChange(message) {
+    if (message.checkpoint && message.checkpoint.signers.length < this.quorumSize()) {
+      return false;
+    }
+    return message.prepared.every(certificate =>
+      certificate.view < message.view &&
+      certificate.sequence > message.sequence &&
+      new Set(certificate.signers).size >= 2 * this.f
+    );
+  }
+  
+  /**
+   * Compute the pre-prepares a NEW-VIEW must contain from 2f+1 VIEW-CHANGE messages:
+   * every sequence between the latest stable checkpoint (min-s) and the highest
+   * prepared sequence (max-s) gets the digest from its highest-view prepared
+   * certificate, or a null request; the in-flight request follows if it was not prepared.
+   */
+  computeReproposals(viewChanges, view, request) {
+    const minSequence = Math.max(...viewChanges.map(message => message.sequence));
+    const best = new Map(); // sequence -> prepared certificate from the highest view
+    for (const message of viewChanges) {
+      for (const certificate of message.prepared) {
+        if (certificate.sequence <= minSequence) continue;
+        const current = best.get(certificate.sequence);
+        if (!current || certificate.view > current.view) {
+          best.set(certificate.sequence, certificate);
+        }
+      }
+    }
+    
+    let maxSequence = Math.max(minSequence, ...best.keys());
+    const primaryIndex = this.primaryFor(view).index;
+    const prePrepares = [];
+    
+    const requestDigest = request ? computeDigest(request) : null;
+    let requestSequence = null;
+    
+    for (let sequence = minSequence + 1; sequence <= maxSequence; sequence++) {
+      const certificate = best.get(sequence);
+      const digest = certificate ? certificate.digest : NULL_REQUEST_DIGEST;
+      if (digest === requestDigest) requestSequence = sequence;
+      prePrepares.push(createMessage(MESSAGE_TYPES.PRE_PREPARE, { view, sequence, digest, sender: primaryIndex }));
+    }
+    
+    if (request && requestSequence === null) {
+      // Gaps below the in-flight request's sequence become null requests
+      const target = Math.max(request.sequence, maxSequence + 1);
+      for (let sequence = maxSequence + 1; sequence < target; sequence++) {
+        prePrepares.push(createMessage(MESSAGE_TYPES.PRE_PREPARE, {
+          view, sequence, digest: NULL_REQUEST_DIGEST, sender: primaryIndex
+        }));
+      }
+      requestSequence = target;
+      maxSequence = target;
+      prePrepares.push(createMessage(MESSAGE_TYPES.PRE_PREPARE, {
+        view, sequence: target, digest: requestDigest, sender: primaryIndex, request
+      }));
+    }
+    
+    return { minSequence, maxSequence, prePrepares, requestSequence };
+  }
+  
+  /**
+   * New primary multicasts NEW-VIEW(v+1, V, O) and installs the view itself
+   */
+  sendNewView(primary, attempt) {
+    const behaviour = this.applyByzantineBehaviour(primary, "new-view", null);
+    attempt.newView = "pending";
+    if (behaviour.silent) {
+      console.log(`⚠️ New primary ${primary.address.substring(0, 10)}... crashed before sending NEW-VIEW`);
+      return;
     }
     
-    // Wait for view change timeout
-    await sleep(VIEW_CHANGE_TIMEOUT);
+    const viewChanges = [...attempt.viewChanges.values()];
+    const reproposals = this.computeReproposals(viewChanges, attempt.targetView, attempt.request);
     
-    // Check if we have enough view change messages (2f + 1)
-    const requiredViewChanges = 2 * this.f + 1;
-    if (viewChangeMsgCount < requiredViewChanges) {
-      console.error(`Insufficient view change messages: ${viewChangeMsgCount}/${requiredViewChanges}`);
-      // Still proceed with view change for simulation purposes
+    let prePrepares = reproposals.prePrepares;
+    if (behaviour.equivocate) {
+      console.log(`⚠️ New primary is equivocating - NEW-VIEW re-proposes conflicting digests`);
+      prePrepares = prePrepares.map(message => ({ ...message, digest: forgeDigest(message.digest, primary.index) }));
     }
     
-    // View change complete
-    const newPrimary = this.getPrimary();
-    const viewChangeDuration = Date.now() - viewChangeStartTime;
+    const message = {
+      type: MESSAGE_TYPES.NEW_VIEW,
+      view: attempt.targetView,
+      viewChanges,
+      prePrepares,
+      request: attempt.request ? { ...attempt.request } : null,
+      sender: primary.index
+    };
+    attempt.newView = message;
+    attempt.maxSequence = reproposals.maxSequence;
+    if (attempt.request) attempt.request.sequence = reproposals.requestSequence;
+    
+    console.log(`New primary re-proposes ${prePrepares.length} request(s) for sequences ${reproposals.minSequence + 1}-${reproposals.maxSequence}`);
+    this.installNewView(primary, message);
     
-    console.log(`View change complete in ${viewChangeDuration}ms`);
-    console.log(`New view: ${this.currentView}, New Primary: ${newPrimary.address.substring(0, 10)}...`);
+    const backups = this.validators.filter(v => v !== primary);
+    attempt.messageCount += backups.length;
+    this.multicast(primary, message, backups, VIEW_CHANGE_MESSAGE_TIME, { ...behaviour, equivocate: false }, null);
+  }
+  
+  /**
+   * Backups accept a NEW-VIEW only if its pre-prepares match what the included
+   * VIEW-CHANGE messages justify
+   */
+  handleNewView(replica, message) {
+    if (message.view !== replica.pendingView) return;
+    
+    const expected = this.computeReproposals(message.viewChanges, message.view, message.request);
+    const justified = message.viewChanges.length >= this.quorumSize() &&
+      message.sender === this.primaryFor(message.view).index &&
+      expected.prePrepares.length === message.prePrepares.length &&
+      expected.prePrepares.every((prePrepare, i) =>
+        prePrepare.sequence === message.prePrepares[i].sequence &&
+        prePrepare.digest === message.prePrepares[i].digest
+      );
+    
+    if (!justified) {
+      const attempt = this.viewChangeAttempt;
+      if (attempt && attempt.targetView === message.view) attempt.rejectedNewView++;
+      this.recordConflictingMessage(replica, message, null);
+      return;
+    }
+    
+    this.installNewView(replica, message);
+  }
+  
+  /**
+   * Enter the new view and process the re-proposed pre-prepares
+   */
+  installNewView(replica, message) {
+    const attempt = this.viewChangeAttempt;
+    replica.view = message.view;
+    replica.pendingView = null;
+    if (attempt && attempt.targetView === message.view) attempt.accepted.add(replica.index);
+    
+    for (const prePrepare of message.prePrepares) {
+      if (!this.withinWatermarks(replica, prePrepare.sequence)) continue;
+      
+      const round = this.rounds.get(prePrepare.sequence);
+      if (!round || round.view !== message.view) {
+        this.startRound(prePrepare.sequence, prePrepare.digest, message.view);
+      }
+      
+      // Votes from earlier views no longer count towards certificates
+      const entry = replica.getLogEntry(prePrepare.sequence);
+      entry.prepares.clear();
+      entry.commits.clear();
+      entry.prePrepare = null;
+      
+      if (replica.index === prePrepare.sender) {
+        entry.prePrepare = prePrepare;
+        this.markReached(this.rounds.get(prePrepare.sequence), "prePrepared", replica);
+      } else {
+        this.handleMessage(replica, prePrepare);
+      }
+    }
+  }
+  
+  /**
+   * Crash replicas at the start of a sequence (crash-recovery model only)
+   */
+  sampleCrashes() {
+    if (!this.recovery) return;
+    for (const replica of this.validators) {
+      const downtime = this.recovery.maybeCrash(replica.index, () => this.resync(replica));
+      if (downtime !== null) this.takeDown(replica, downtime);
+    }
+  }
+  
+  /**
+   * Crash a replica for a fixed time (fault schedules); one already down stays as it is
+   */
+  crashReplica(index, downtime) {
+    const replica = this.validators[index];
+    if (this.recovery.crash(index, downtime, () => this.resync(replica)) !== null) this.takeDown(replica, downtime);
+  }
+  
+  takeDown(replica, downtime) {
+    replica.online = false;
+    console.log(`💥 Validator ${replica.address.substring(0, 10)}... crashed at sequence ${replica.lastExecuted}, down for ${downtime}ms`);
+  }
+  
+  /**
+   * Give a validator a strategy mid-run ({ strategy, targets?, coalition? }, or
+   * null to make it honest again). Every strategy is rebuilt so coalitions and
+   * equivocation targets account for the new assignment.
+   */
+  assignStrategy(index, spec) {
+    const specs = { ...this.strategySpecs };
+    if (spec) specs[index] = spec;
+    else delete specs[index];
+    this.strategySpecs = Object.keys(specs).length > 0 ? specs : null;
+    const strategies = createStrategies(this.strategySpecs, this.validators.length, this.rng.fork("strategies"));
+    this.validators.forEach(validator => validator.follow(strategies.get(validator.index) || null));
+    const validator = this.validators[index];
+    console.log(validator.strategy
+      ? `😈 Validator ${validator.address.substring(0, 10)}... now follows ${validator.strategy.describe()}`
+      : `🙂 Validator ${validator.address.substring(0, 10)}... stops following its strategy`);
+  }
+  
+  /**
+   * Handlers for fault-schedule.js events (crashes need the crash-recovery model)
+   */
+  faultHandlers() {
+    const handlers = { byzantine: (index, spec) => this.assignStrategy(index, spec) };
+    if (this.recovery) handlers.crash = (index, downtime) => this.crashReplica(index, downtime);
+    return handlers;
+  }
+  
+  /**
+   * Catch a rejoining replica up from the most advanced replica that is up: the
+   * peer's stable checkpoint if the replica fell behind it (state transfer, the
+   * log below it is gone), then the requests executed above it (block sync)
+   */
+  resync(replica) {
+    console.log(`🔄 Validator ${replica.address.substring(0, 10)}... rejoined at sequence ${replica.lastExecuted}, catching up`);
+    let reached = null;
+    this.recovery.catchUp(replica.index, () => {
+      // Stop once a transfer brings nothing new
+      if (replica.lastExecuted === reached) return null;
+      reached = replica.lastExecuted;
+      
+      const peers = this.validators.filter(v => v !== replica && v.online);
+      if (peers.length === 0) return { source: null };
+      const [source] = peers.sort((a, b) => Number(a.isByzantine) - Number(b.isByzantine) || b.lastExecuted - a.lastExecuted);
+      const checkpoint = source.stableCheckpoint && source.stableCheckpoint.sequence > replica.lastExecuted
+        ? source.stableCheckpoint : null;
+      const from = checkpoint ? checkpoint.sequence : replica.lastExecuted;
+      return {
+        source: source.index,
+        snapshot: checkpoint !== null,
+        blocks: Math.max(0, source.lastExecuted - from),
+        checkpoint,
+        upTo: source.lastExecuted
+      };
+    }, transfer => this.installTransferredState(replica, transfer), () => {
+      replica.online = true;
+      replica.view = this.currentView;
+      replica.pendingView = this.viewChangeInProgress && this.viewChangeAttempt ? this.viewChangeAttempt.targetView : null;
+      console.log(`✅ Validator ${replica.address.substring(0, 10)}... caught up at sequence ${replica.lastExecuted}`);
+    });
+  }
+  
+  /**
+   * Install a transfer on a rejoining replica: adopt the checkpoint state and
+   * prune the log below it, then execute the synced requests
+   */
+  installTransferredState(replica, transfer) {
+    const source = this.validators[transfer.source];
+    const { checkpoint } = transfer;
+    if (checkpoint && replica.lastExecuted < checkpoint.sequence) {
+      const sequencesTransferred = checkpoint.sequence - replica.lastExecuted;
+      replica.lastExecuted = checkpoint.sequence;
+      replica.stateDigest = checkpoint.digest;
+      replica.stateHistory.set(checkpoint.sequence, checkpoint.digest);
+      replica.stableCheckpoint = checkpoint;
+      replica.lowWatermark = checkpoint.sequence;
+      for (const logged of replica.messageLog.keys()) {
+        if (logged <= checkpoint.sequence) replica.messageLog.delete(logged);
+      }
+      for (const logged of replica.checkpoints.keys()) {
+        if (logged <= checkpoint.sequence) replica.checkpoints.delete(logged);
+      }
+      this.recordCheckpointEvent("state_transfer", replica, checkpoint.sequence, {
+        stateDigest: checkpoint.digest, sequencesTransferred, source: source.index
+      });
+    }
+    
+    for (const [sequence, digest] of source.committed) {
+      if (sequence > replica.lastExecuted && sequence <= transfer.upTo) replica.committed.set(sequence, digest);
+    }
+    this.executeCommitted(replica);
+    this.recordNetworkMessages("state-transfer", 1, transfer.bytes);
+  }
+  
+  /**
+   * Explain why a view-change attempt did not install the new view
+   */
+  describeViewChangeFailure(attempt) {
+    if (attempt.viewChanges.size < this.quorumSize()) {
+      return `Insufficient view change messages: ${attempt.viewChanges.size}/${this.quorumSize()}`;
+    }
+    if (attempt.newView === "pending") {
+      return "New primary did not send NEW-VIEW";
+    }
+    if (attempt.rejectedNewView > 0) {
+      return `NEW-VIEW rejected by ${attempt.rejectedNewView} replicas`;
+    }
+    return `NEW-VIEW accepted by only ${attempt.accepted.size}/${this.quorumSize()} replicas`;
+  }
+  
+  /**
+   * Record one view-change attempt (cascaded attempts share the same oldView)
+   */
+  recordViewChangeAttempt(attempt, oldView, reason, cascade, outcome) {
+    const duration = this.clock.now - attempt.startTime;
+    this.recordNetworkMessages("view-change", attempt.messageCount, MESSAGE_SIZES["view-change"]);
     
-    // Record view change
     measurements.viewChanges.push({
-      timestamp: Date.now(),
+      timestamp: this.clock.now,
       oldView,
-      newView: this.currentView,
+      newView: attempt.targetView,
       reason,
-      duration: viewChangeDuration,
-      messageCount: viewChangeMsgCount * this.validators.length, // Each validator sends to all
-      newPrimary: newPrimary.address
+      cascade,
+      outcome,
+      duration,
+      messageCount: attempt.messageCount,
+      viewChangeMessages: attempt.viewChanges.size,
+      invalidViewChanges: attempt.invalidViewChanges,
+      reproposed: attempt.newView && attempt.newView !== "pending" ? attempt.newView.prePrepares.length : 0,
+      newPrimary: attempt.newPrimary.address
     });
-    
-    this.viewChangeInProgress = false;
-    this.lastViewChangeTime = Date.now();
-    
-    // Record consensus state after view change
-    this.recordConsensusState("view_change");
-    
-    return this.currentView;
   }
   
   /**
@@ -508,7 +1636,7 @@ class PBFTConsensus {
    */
   recordByzantineEvent(validator, phase, failureType) {
     measurements.byzantineEvents.push({
-      timestamp: Date.now(),
+      timestamp: this.clock.now,
       validator: validator.address,
       validatorIndex: validator.index,
       blockHeight: this.blockHeight,
@@ -518,12 +1646,80 @@ class PBFTConsensus {
     });
   }
   
+  /**
+   * Record a checkpoint event with the replica's resulting watermarks
+   */
+  recordCheckpointEvent(event, replica, sequence, details = {}) {
+    measurements.checkpoints.push({
+      timestamp: this.clock.now,
+      event,
+      validatorIndex: replica.index,
+      sequence,
+      lowWatermark: replica.lowWatermark,
+      highWatermark: replica.lowWatermark + this.watermarkWindow,
+      ...details
+    });
+  }
+  
+  /**
+   * Record a message rejected because it conflicts with the replica's log or is not justified
+   */
+  recordConflictingMessage(replica, message, acceptedDigest) {
+    const target = message.type === MESSAGE_TYPES.VIEW_CHANGE || message.type === MESSAGE_TYPES.NEW_VIEW ?
+      `view ${message.view}` : `sequence ${message.sequence}`;
+    console.log(`⚠️ Validator ${replica.address.substring(0, 10)}... rejected ${acceptedDigest ? "conflicting" : "unjustified"} ${message.type} for ${target}`);
+    measurements.rejectedMessages.push({
+      timestamp: this.clock.now,
+      validatorIndex: replica.index,
+      type: message.type,
+      view: message.view,
+      sequence: message.sequence,
+      sender: message.sender,
+      digest: message.digest,
+      acceptedDigest
+    });
+  }
+  
+  /**
+   * Record a pre-prepare refused because its request is an invalid state transition
+   */
+  recordInvalidProposal(replica, message) {
+    const { transition } = message.request;
+    console.log(`⚠️ Validator ${replica.address.substring(0, 10)}... rejected invalid transition (${transition.type}) for sequence ${message.sequence}`);
+    measurements.invalidProposals.push({
+      timestamp: this.clock.now,
+      validatorIndex: replica.index,
+      view: message.view,
+      sequence: message.sequence,
+      sender: message.sender,
+      transition: transition.type
+    });
+  }
+  
+  /**
+   * Record the outcome of a sequence number
+   */
+  recordBlock(round, result) {
+    measurements.blocks.push({
+      number: round.sequence,
+      view: round.view,
+      digest: round.digest,
+      primary: result.primary || this.validators[round.view % this.validators.length].address,
+      status: result.success ? "committed" : "failed",
+      committedBy: round.reached.committed.map(entry => entry.index),
+      finalityTime: result.success ? result.totalTime : null,
+      messageCount: Object.values(round.messages).reduce((sum, stats) => sum + stats.count, 0),
+      rejectedMessages: round.rejectedMessages,
+      timestamp: this.clock.now
+    });
+  }
+  
   /**
    * Record network message statistics
    */
   recordNetworkMessages(phase, messageCount, messageSize) {
     measurements.networkMessages.push({
-      timestamp: Date.now(),
+      timestamp: this.clock.now,
       blockHeight: this.blockHeight,
       view: this.currentView,
       phase,
@@ -538,7 +1734,7 @@ class PBFTConsensus {
    */
   recordPhaseCompletion(phase, duration, messageCount, participantCount = null, byzantineCount = 0) {
     measurements.consensusPhases.push({
-      timestamp: Date.now(),
+      timestamp: this.clock.now,
       blockHeight: this.blockHeight,
       view: this.currentView,
       phase,
@@ -563,11 +1759,17 @@ class PBFTConsensus {
       commitsSent: v.commitsSent,
       commitsReceived: v.commitsReceived,
       blocksProposed: v.blocksProposed,
+      messagesLogged: v.messagesLogged,
+      messageLogSize: v.messageLog.size,
+      committedSequences: v.committed.size,
+      lastExecuted: v.lastExecuted,
+      lowWatermark: v.lowWatermark,
+      stableCheckpoint: v.stableCheckpoint?.sequence || 0,
       failures: v.failures
     }));
     
     const consensusState = {
-      timestamp: Date.now(),
+      timestamp: this.clock.now,
       eventType,
       blockHeight: this.blockHeight,
       view: this.currentView,
@@ -592,7 +1794,9 @@ class PBFTConsensus {
  */
 async function runPBFTConsensus() {
   console.log("Starting PBFT consensus simulation with Byzantine fault tolerance...");
-  measurements.startTime = Date.now();
+  console.log(`Simulation seed: ${rng.seed} (replay with SIM_SEED=${rng.seed})`);
+  measurements.startTime = clock.now;
+  measurements.wallClockStart = Date.now();
 
   // Deploy the contract
   const KETSFactory = await ethers.getContractFactory("KETSBlockchain");
@@ -612,16 +1816,32 @@ async function runPBFTConsensus() {
   console.log(`PBFT validators: ${validatorAccounts.length}`);
   
   // Initialize PBFT consensus with Byzantine fault tolerance
-  const pbftConsensus = new PBFTConsensus(validatorAccounts);
+  const network = networkFromEnv(clock, rng.fork("network"));
+  const strategies = strategiesFromEnv();
+  const schedule = faultScheduleFromEnv();
+  // Scheduled crashes need the recovery model even without random ones
+  const crashRecovery = crashRecoveryFromEnv(clock, rng.fork("crash-recovery"), network) ||
+    (schedule && usesFaultAction(schedule, "crash")
+      ? new CrashRecoveryModel({ scheduler: clock, random: rng.fork("crash-recovery"), network, crashProbability: 0 })
+      : null);
+  const pbftConsensus = new PBFTConsensus(validatorAccounts, rng, clock, { network, strategies, crashRecovery });
+  if (schedule) {
+    pbftConsensus.faultSchedule = new FaultSchedule(schedule, {
+      scheduler: clock, nodeCount: validatorAccounts.length, network, handlers: pbftConsensus.faultHandlers(), runner: "PBFT"
+    });
+  }
+  if (network) console.log(`🌐 Network preset: ${network.preset} (${network.description})`);
+  if (crashRecovery && crashRecovery.crashProbability > 0) console.log(`💥 Crash-recovery: ${crashRecovery.crashProbability} per validator per block, down ${crashRecovery.minDowntime}-${crashRecovery.maxDowntime}ms`);
+  if (schedule) console.log(`📜 Fault schedule: ${schedule.name} (${schedule.events.length} events)`);
   console.log(`Maximum tolerable Byzantine failures (f): ${pbftConsensus.f}`);
-  console.log(`Byzantine validators: ${BYZANTINE_VALIDATOR_COUNT}`);
   
   // Log Byzantine validators if any
   const byzantineValidators = pbftConsensus.validators.filter(v => v.isByzantine);
+  console.log(`Byzantine validators: ${byzantineValidators.length}`);
   if (byzantineValidators.length > 0) {
     console.log("Byzantine validators:");
     byzantineValidators.forEach(v => {
-      console.log(`- ${v.address.substring(0, 10)}... (${v.byzantineType})`);
+      console.log(`- ${v.address.substring(0, 10)}... (${v.strategy ? v.strategy.describe() : v.byzantineType})`);
     });
   }
   
@@ -631,9 +1851,11 @@ async function runPBFTConsensus() {
   
   // Record PBFT configuration
   measurements.pbftConfiguration = {
+    seed: rng.seed,
     validators: NUM_VALIDATORS,
-    byzantineValidators: BYZANTINE_VALIDATOR_COUNT,
+    byzantineValidators: byzantineValidators.length,
     byzantineTypes: BYZANTINE_FAILURE_TYPES,
+    strategies: byzantineValidators.filter(v => v.strategy).map(v => ({ index: v.index, strategy: v.strategy.describe() })),
     failureProbability: BYZANTINE_FAILURE_PROBABILITY,
     maxTolerableFailures: pbftConsensus.f,
     phaseTiming: {
@@ -641,7 +1863,9 @@ async function runPBFTConsensus() {
       prepare: PREPARE_PHASE_TIME,
       commit: COMMIT_PHASE_TIME,
       viewChange: VIEW_CHANGE_TIMEOUT
-    }
+    },
+    checkpointInterval: pbftConsensus.checkpointInterval,
+    watermarkWindow: pbftConsensus.watermarkWindow
   };
 
   // Register industries
@@ -666,7 +1890,7 @@ async function runPBFTConsensus() {
         txHash: tx.hash,
         transactionType: "registerIndustry",
         finalityTime: consensusResult.totalTime,
-        timestamp: Date.now()
+        timestamp: clock.now
       });
     }
   }
@@ -704,7 +1928,7 @@ async function runPBFTConsensus() {
         txHash: tx.hash,
         transactionType: "updateGHGEmissions",
         finalityTime: consensusResult.totalTime,
-        timestamp: Date.now()
+        timestamp: clock.now
       });
     }
   }
@@ -727,7 +1951,7 @@ async function runPBFTConsensus() {
       txHash: createAuctionTx.hash,
       transactionType: "createAuction",
       finalityTime: auctionConsensusResult.totalTime,
-      timestamp: Date.now()
+      timestamp: clock.now
     });
   }
 
@@ -753,7 +1977,7 @@ async function runPBFTConsensus() {
           txHash: tx.hash,
           transactionType: "placeBid",
           finalityTime: consensusResult.totalTime,
-          timestamp: Date.now()
+          timestamp: clock.now
         });
       }
     } catch (error) {
@@ -780,15 +2004,21 @@ async function runPBFTConsensus() {
         txHash: finalizeTx.hash,
         transactionType: "finalizeAuction",
         finalityTime: consensusResult.totalTime,
-        timestamp: Date.now()
+        timestamp: clock.now
       });
     }
   } catch (error) {
     console.error("Error finalizing auction:", error.message);
   }
 
+  // Deliver in-flight votes and checkpoints before closing the measurement
+  clock.runUntilIdle();
+  if (network) measurements.network = network.summary();
+  if (crashRecovery) measurements.crashRecovery = crashRecovery.summary();
+  if (pbftConsensus.faultSchedule) measurements.faultSchedule = pbftConsensus.faultSchedule.summary();
+  
   // Record end time
-  measurements.endTime = Date.now();
+  measurements.endTime = clock.now;
   console.log("PBFT consensus simulation completed");
   
   // Calculate averages directly without separate functions
@@ -799,7 +2029,7 @@ async function runPBFTConsensus() {
     measurements.finalityTimes.reduce((sum, block) => sum + block.finalityTime, 0) / measurements.finalityTimes.length : 0;
   
   // Record end time
-  measurements.endTime = Date.now();
+  measurements.endTime = clock.now;
   const totalDuration = measurements.endTime - measurements.startTime;
   
   // Save all measurements
@@ -853,14 +2083,14 @@ function recordPBFTResourceUsage(blockHeight, byzantineCount = 0, phase = 'all')
   }
   
   // Adjusted for Byzantine failures and phase
-  const cpuUsage = baseCpuUsage * byzantineFactor * phaseModifier + (Math.random() * 10);
-  const memoryUsage = baseMemoryUsage * byzantineFactor * phaseModifier + (Math.random() * 30);
-  const networkBandwidth = baseNetworkBandwidth * byzantineFactor * phaseModifier + (Math.random() * 100);
+  const cpuUsage = baseCpuUsage * byzantineFactor * phaseModifier + (resourceNoise.next() * 10);
+  const memoryUsage = baseMemoryUsage * byzantineFactor * phaseModifier + (resourceNoise.next() * 30);
+  const networkBandwidth = baseNetworkBandwidth * byzantineFactor * phaseModifier + (resourceNoise.next() * 100);
   
   // Record resource usage with Byzantine tracking
   measurements.resourceUsage.push({
     blockHeight,
-    timestamp: Date.now(),
+    timestamp: clock.now,
     byzantineCount,
     byzantineFactor,
     phase,
@@ -894,7 +2124,7 @@ function recordTransaction(receipt, txType) {
     gasUsed,
     effectiveGasPrice,
     type: txType,
-    timestamp: Date.now(),
+    timestamp: clock.now,
     consensusMechanism: "PBFT"
   });
   
@@ -903,7 +2133,7 @@ function recordTransaction(receipt, txType) {
     txType,
     gasUsed,
     consensusMechanism: "PBFT",
-    timestamp: Date.now(),
+    timestamp: clock.now,
     notes: "PBFT consensus gas usage (same as other mechanisms, gas is EVM-determined)"
   });
   
@@ -980,6 +2210,9 @@ function generatePBFTReport() {
       phaseTimings[phase].total / phaseTimings[phase].count : 0;
   });
   
+  // Checkpoint and garbage-collection metrics
+  const stableCheckpoints = measurements.checkpoints.filter(event => event.event === "stable");
+  
   // Generate comprehensive report
   const pbftReport = {
     consensusMechanism: "PBFT",
@@ -1031,12 +2264,26 @@ function generatePBFTReport() {
     },
     faultTolerance: {
       maximumByzantineNodes: measurements.pbftConfiguration?.maxTolerableFailures || Math.floor((NUM_VALIDATORS - 1) / 3),
-      actualByzantineNodes: BYZANTINE_VALIDATOR_COUNT,
+      actualByzantineNodes: measurements.pbftConfiguration?.byzantineValidators ?? BYZANTINE_VALIDATOR_COUNT,
+      strategies: measurements.pbftConfiguration?.strategies || [],
+      invalidProposalsRejected: measurements.invalidProposals.length,
       viewChanges: viewChangeCount,
+      cascadedViewChanges: measurements.viewChanges.filter(vc => vc.cascade > 0).length,
+      livenessFailures: measurements.livenessFailures.length,
+      quorumCertificates: measurements.quorumCertificates.length,
+      rejectedConflictingMessages: measurements.rejectedMessages.length,
+      safetyViolations: measurements.safetyViolations.length,
       systemStability: viewChangeCount > 0 ? 
         "System recovered through view changes when necessary" : 
         "System remained stable with primary validators"
     },
+    checkpointing: {
+      interval: measurements.pbftConfiguration?.checkpointInterval || CHECKPOINT_INTERVAL,
+      watermarkWindow: measurements.pbftConfiguration?.watermarkWindow || WATERMARK_WINDOW_FACTOR * CHECKPOINT_INTERVAL,
+      stableCheckpoints: new Set(stableCheckpoints.map(event => event.sequence)).size,
+      stateTransfers: measurements.checkpoints.filter(event => event.event === "state_transfer").length,
+      prunedLogEntries: stableCheckpoints.reduce((sum, event) => sum + event.prunedLogEntries, 0)
+    },
     comparisonMetrics: {
       // Metrics specifically formatted for comparison with other consensus mechanisms
       blockTime: BLOCK_TIME,
@@ -1057,21 +2304,15 @@ function generatePBFTReport() {
   return pbftReport;
 }
 
-/**
- * Utility to simulate async waiting
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Saves measurement data to file with additional PBFT report
  */
 function saveMeasurements() {
   try {
     // Record end time before saving
-    measurements.endTime = Date.now();
+    measurements.endTime = clock.now;
     measurements.totalDuration = measurements.endTime - measurements.startTime;
+    measurements.wallClockDuration = Date.now() - measurements.wallClockStart;
     
     // Generate detailed PBFT report
     const pbftReport = generatePBFTReport();
@@ -1112,7 +2353,7 @@ function saveMeasurements() {
  */
 async function completePBFTSimulation() {
   // Record end time
-  measurements.endTime = Date.now();
+  measurements.endTime = clock.now;
   
   // Save all measurements
   const files = saveMeasurements();
@@ -1138,6 +2379,7 @@ async function completePBFTSimulation() {
   // Format the summary
   return {
     consensusMechanism: "PBFT",
+    seed: rng.seed,
     transactionsProcessed: measurements.transactions.length,
     successfulConsensusCount: measurements.finalityTimes.length,
     byzantineEvents: measurements.byzantineEvents.length,
@@ -1175,6 +2417,9 @@ if (require.main === module) {
   // Export for use in comprehensive comparison
   module.exports = {
     runPBFTConsensus,
-    completePBFTSimulation
+    completePBFTSimulation,
+    PBFTConsensus,
+    measurements,
+    BLOCK_TIME
   };
 }
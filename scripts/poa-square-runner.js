@@ -2,6 +2,21 @@
  * PoA Square Consensus Runner
  * Implementation of PoA Square (Quorum) consensus for the K-ETS blockchain simulation
  * Connects to the external PureChain network (PoA Square implementation)
+ * Block slots run on a simulated clock (see event-scheduler.js)
+ * Validators can follow a strategy from byzantine-strategies.js
+ * (BYZANTINE_STRATEGIES=index:strategy,...) when proposing and voting
+ * With a crash-recovery model (see crash-recovery.js, CRASH_PROBABILITY=p)
+ * validators go down for a sampled time and sync the blocks they missed on rejoining
+ * A fault schedule (see fault-schedule.js, FAULT_SCHEDULE=file) crashes
+ * validators, switches their strategies and partitions the network at set times or blocks
+ * Reliability scores, the active/standby sets and replacements are recorded in
+ * the on-chain validator registry (see validator-registry-admin.js), so
+ * governance gas is measured alongside the K-ETS transactions
+ * Reliability is scored by a policy from reliability-policies.js
+ * (RELIABILITY_POLICY=linear|ewma|window|beta|latency), which also sets the
+ * replacement threshold, hysteresis and patience
+ * Standby validators answer a liveness probe at each status check, so a
+ * replaced validator's score recovers while it is benched and it can be promoted again
  */
 
 const hre = require("hardhat");
@@ -9,6 +24,14 @@ const { ethers } = require("hardhat");
 const { parseEther } = ethers;
 const fs = require("fs");
 const path = require("path");
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+const { networkFromEnv } = require("./network-model");
+const { createStrategies, strategiesFromEnv, forgeTransition } = require("./byzantine-strategies");
+const { CrashRecoveryModel, crashRecoveryFromEnv } = require("./crash-recovery");
+const { FaultSchedule, faultScheduleFromEnv, usesFaultAction } = require("./fault-schedule");
+const { ValidatorRegistry } = require("./validator-registry-admin");
+const { createReliabilityPolicy, reliabilityPolicyFromEnv } = require("./reliability-policies");
 
 // Constants for simulation
 const NUM_VALIDATORS_LOCAL = 4; // Active validators in local environment
@@ -22,14 +45,23 @@ const NUM_STANDBY_VALIDATORS_PURECHAIN = 0; // No standby validators for PureCha
 let NUM_VALIDATORS;
 let NUM_STANDBY_VALIDATORS;
 const BLOCK_TIME = 4000; // 4 seconds
-const REQUIRED_CONFIRMATIONS = 1; // PoA Square has immediate finality
+const REQUIRED_CONFIRMATIONS = 1; // Validators besides the proposer that must confirm in every round
 const NUM_TRANSACTIONS = 10; // Number of transactions to simulate
 const SQUARE_VOTING_ROUNDS = 2; // Number of voting rounds in the square protocol
+const VOTING_ROUND_TIME = 200; // ms per voting round (without a network model)
+const MESSAGE_SIZE = 1024; // Bytes per proposal, reliability and vote message
+// Share of the active set's reliability weight each round must reach (override with POA_SQUARE_VOTE_THRESHOLD)
+const WEIGHTED_VOTE_THRESHOLD = Number(process.env.POA_SQUARE_VOTE_THRESHOLD) || 2 / 3;
 
 // PoA Square specific constants
-const RELIABILITY_THRESHOLD = 0.75; // 75% minimum reliability score
 const FAILURE_PROBABILITY = 0.1; // 10% chance of validator failure
-const RELIABILITY_DECAY = 0.05; // 5% reliability decay per failure
+
+// Seeded randomness (SIM_SEED / --seed) so runs can be replayed exactly
+const rng = createRandom();
+const resourceNoise = rng.fork("resource-usage");
+
+// Simulated clock - block slots are modelled on it instead of wall-clock time
+const clock = new EventScheduler(Date.now());
 
 // Log file setup
 const LOG_FILE = path.join(__dirname, "../logs/poa-square-measurements.json");
@@ -43,6 +75,8 @@ if (!fs.existsSync(LOG_DIR)) {
 // Measurement data structure
 const measurements = {
   consensusMechanism: "PoA-Square",
+  seed: rng.seed,
+  timeModel: "virtual-clock",
   transactions: [],
   blocks: [],
   finalityTimes: [],
@@ -52,6 +86,10 @@ const measurements = {
   validators: [],
   validatorReplacements: [],
   reliabilityScores: [],
+  registryTransactions: [],
+  votingRounds: [],
+  byzantineEvents: [],
+  safetyViolations: [],
   startTime: null,
   endTime: null
 };
@@ -61,12 +99,19 @@ class ValidatorState {
   /**
    * Validator state tracking
    */
-  constructor(address, index, activeValidatorCount) {
+  constructor(address, index, activeValidatorCount, random = rng, faulty = false, strategy = null, score = createReliabilityPolicy().createScore()) {
     this.address = address;
     this.index = index;
+    this.rng = random;
     this.isActive = index < activeValidatorCount; // First N validators are active
     this.isStandby = !this.isActive;
-    this.reliability = 1.0; // Start with perfect reliability
+    this.faulty = faulty; // Fails every proposal and vote
+    this.strategy = strategy; // ByzantineStrategy followed when proposing and voting, or null
+    this.online = true; // False from a crash until the validator has synced the blocks it missed
+    this.syncedHeight = 0; // Finalized blocks the validator held when it went down
+    this.score = score; // Reliability tracker from the manager's scoring policy
+    this.reliability = score.value;
+    this.checksBelowThreshold = 0; // Status checks in a row the validator scored below the replacement threshold
     this.blocksProposed = 0;
     this.blocksValidated = 0;
     this.failures = 0;
@@ -77,33 +122,50 @@ class ValidatorState {
   simulateFailure() {
     // More likely to fail if reliability is already low
     const failureProbability = FAILURE_PROBABILITY * (2 - this.reliability);
-    const fails = Math.random() < failureProbability;
+    const fails = this.rng.chance(failureProbability) || this.faulty;
     
     if (fails) {
-      this.failures++;
-      this.reliability = Math.max(0, this.reliability - RELIABILITY_DECAY);
+      this.recordFailure();
       return true;
     }
     return false;
   }
   
-  // Record successful block validation
-  recordSuccess() {
+  // Record a missed, withheld or provably bad proposal or vote
+  recordFailure() {
+    this.failures++;
+    this.reliability = this.score.record({ success: false });
+  }
+  
+  // Record successful block validation; `latency` is how long the vote took to reach the active set
+  recordSuccess(latency = null) {
     this.blocksValidated++;
-    // Small reliability recovery for successful participation
-    this.reliability = Math.min(1.0, this.reliability + (RELIABILITY_DECAY / 2));
+    this.reliability = this.score.record({ success: true, kind: 'vote', latency });
   }
   
   // Record successful block proposal
   recordProposal() {
     this.blocksProposed++;
-    // Greater reliability improvement for successful proposal
-    this.reliability = Math.min(1.0, this.reliability + RELIABILITY_DECAY);
+    this.reliability = this.score.record({ success: true, kind: 'proposal' });
   }
   
-  // Check if validator needs replacement
-  needsReplacement() {
-    return this.isActive && this.reliability < RELIABILITY_THRESHOLD;
+  // Answer the liveness probe standby validators get at each status check: one
+  // that is up and not set to fail answers, so a benched validator's score can
+  // recover, while one that is down or faulty keeps losing score
+  answerProbe() {
+    if (!this.online || this.faulty) this.recordFailure();
+    else this.reliability = this.score.record({ success: true, kind: 'vote' });
+  }
+  
+  // Check if validator needs replacement: below the policy's threshold for `patience` checks in a row
+  needsReplacement(policy) {
+    this.checksBelowThreshold = this.reliability < policy.threshold ? this.checksBelowThreshold + 1 : 0;
+    return this.isActive && this.checksBelowThreshold >= policy.patience;
+  }
+  
+  // Whether the validator follows no Byzantine strategy and is not set to fail every time
+  isHonest() {
+    return !this.faulty && this.strategy === null;
   }
 };
 
@@ -112,9 +174,22 @@ class ValidatorManager {
   /**
    * Validator management for PoA Square
    */
-  constructor(validatorAccounts) {
+  constructor(validatorAccounts, random = rng, activeValidatorCount = NUM_VALIDATORS, scheduler = clock, faultyIndices = [], strategies = null, recovery = null, policy = createReliabilityPolicy()) {
+    this.clock = scheduler;
+    this.policy = policy; // ReliabilityPolicy scoring validators and deciding replacements
+    this.replacements = []; // Replacements this manager made
+    this.recovery = recovery; // CrashRecoveryModel; without one validators never go down
+    this.height = 0; // Finalized blocks
+    this.slots = 0; // Block slots run, finalized or not; numbers the blocks
+    this.faultSchedule = null; // FaultSchedule whose block events fire as each slot starts
+    this.strategySpecs = strategies;
+    this.strategyRandom = random.fork("strategies");
+    const byzantineStrategies = createStrategies(strategies, validatorAccounts.length, this.strategyRandom);
     this.validators = validatorAccounts.map((account, index) => {
-      return new ValidatorState(account.address, index, NUM_VALIDATORS);
+      return new ValidatorState(
+        account.address, index, activeValidatorCount, random.fork(`validator-${index}`), faultyIndices.includes(index),
+        byzantineStrategies.get(index) || null, policy.createScore()
+      );
     });
     
     this.activeValidators = this.validators.filter(v => v.isActive);
@@ -134,6 +209,11 @@ class ValidatorManager {
     return this.validators.filter(v => v.isStandby);
   }
   
+  // Number of the block the next slot proposes
+  nextBlockNumber() {
+    return this.slots + 1;
+  }
+
   // Select primary validator for a block
   selectPrimary(blockNumber) {
     const activeValidators = this.getActiveValidators();
@@ -141,15 +221,93 @@ class ValidatorManager {
     return activeValidators[primaryIndex];
   }
   
+  // Crash validators at the start of a block slot (crash-recovery model only)
+  sampleCrashes() {
+    if (!this.recovery) return;
+    for (const validator of this.validators) {
+      const downtime = this.recovery.maybeCrash(validator.index, () => this.resync(validator));
+      if (downtime !== null) this.takeDown(validator, downtime);
+    }
+  }
+  
+  // Crash a validator for a fixed time (fault schedules); one already down stays as it is
+  crashValidator(index, downtime) {
+    const validator = this.validators[index];
+    if (this.recovery.crash(index, downtime, () => this.resync(validator)) !== null) this.takeDown(validator, downtime);
+  }
+  
+  takeDown(validator, downtime) {
+    validator.online = false;
+    validator.syncedHeight = this.height;
+    console.log(`💥 Validator ${validator.address.substring(0, 10)}... crashed at height ${this.height}, down for ${downtime}ms`);
+  }
+  
+  // Give a validator a strategy mid-run, or null to make it honest again;
+  // all strategies are rebuilt so coalitions take in the new assignment
+  assignStrategy(index, spec) {
+    const specs = { ...this.strategySpecs };
+    if (spec) specs[index] = spec;
+    else delete specs[index];
+    this.strategySpecs = Object.keys(specs).length > 0 ? specs : null;
+    const strategies = createStrategies(this.strategySpecs, this.validators.length, this.strategyRandom);
+    this.validators.forEach(validator => { validator.strategy = strategies.get(validator.index) || null; });
+    const validator = this.validators[index];
+    console.log(validator.strategy
+      ? `😈 Validator ${validator.address.substring(0, 10)}... now follows ${validator.strategy.describe()}`
+      : `🙂 Validator ${validator.address.substring(0, 10)}... stops following its strategy`);
+  }
+  
+  // Handlers for fault-schedule.js events (crashes need the crash-recovery model)
+  faultHandlers() {
+    const handlers = { byzantine: (index, spec) => this.assignStrategy(index, spec) };
+    if (this.recovery) handlers.crash = (index, downtime) => this.crashValidator(index, downtime);
+    return handlers;
+  }
+  
+  // Sync a rejoining validator from the most reliable validator that is up
+  resync(validator) {
+    console.log(`🔄 Validator ${validator.address.substring(0, 10)}... rejoined ${this.height - validator.syncedHeight} blocks behind`);
+    this.recovery.catchUp(validator.index, () => {
+      const behind = this.height - validator.syncedHeight;
+      if (behind === 0) return null;
+      const peers = this.validators.filter(v => v !== validator && v.online);
+      if (peers.length === 0) return { source: null };
+      const source = peers.reduce((best, peer) => (peer.reliability > best.reliability ? peer : best));
+      return { source: source.index, height: this.height, ...this.recovery.chooseTransfer(behind) };
+    }, transfer => {
+      validator.syncedHeight = transfer.height;
+      measurements.networkMessages.push({
+        blockNumber: transfer.height,
+        stateTransferMessages: 1,
+        totalMessages: 1,
+        messageSize: transfer.bytes,
+        totalBandwidth: transfer.bytes
+      });
+    }, () => {
+      validator.online = true;
+      console.log(`✅ Validator ${validator.address.substring(0, 10)}... caught up at height ${this.height}`);
+    });
+  }
+  
+  // Record a finalized block
+  recordFinalized() {
+    this.height++;
+    if (this.recovery) this.recovery.recordFinalized();
+  }
+  
   // Process validator failures and replacements
   processValidatorStatus() {
     const replacements = [];
     
+    // Probe the standbys first, so a demoted validator that has recovered can be promoted again
+    this.getStandbyValidators().forEach(v => v.answerProbe());
+    
     // Check for validators that need replacement
     for (const validator of this.getActiveValidators()) {
-      if (validator.needsReplacement()) {
-        // Find best standby validator to replace it
-        const standbyValidators = this.getStandbyValidators();
+      if (validator.needsReplacement(this.policy)) {
+        // Find best standby validator that is up and clears the promotion threshold to replace it
+        const standbyValidators = this.getStandbyValidators()
+          .filter(v => v.online && v.reliability >= this.policy.promotionThreshold);
         if (standbyValidators.length > 0) {
           // Sort by reliability (highest first)
           standbyValidators.sort((a, b) => b.reliability - a.reliability);
@@ -157,11 +315,13 @@ class ValidatorManager {
           
           // Record replacement
           const replacementEvent = {
-            timestamp: Date.now(),
+            timestamp: this.clock.now,
             replaced: validator.address,
             replacedReliability: validator.reliability,
             replacement: replacement.address,
-            replacementReliability: replacement.reliability
+            replacementReliability: replacement.reliability,
+            // Honest validators are only replaced for chance failures, crashes or slow links
+            falseReplacement: validator.isHonest()
           };
           replacements.push(replacementEvent);
           
@@ -171,6 +331,7 @@ class ValidatorManager {
           replacement.isActive = true;
           replacement.isStandby = false;
           replacement.replacementCount++;
+          validator.checksBelowThreshold = 0;
           
           console.log(`Validator replacement: ${validator.address.substring(0, 10)}... (reliability: ${validator.reliability.toFixed(2)}) replaced by ${replacement.address.substring(0, 10)}... (reliability: ${replacement.reliability.toFixed(2)})`);
         } else {
@@ -182,6 +343,7 @@ class ValidatorManager {
     // Record replacements
     if (replacements.length > 0) {
       measurements.validatorReplacements.push(...replacements);
+      this.replacements.push(...replacements);
     }
     
     // Record new validator state
@@ -190,10 +352,40 @@ class ValidatorManager {
     return replacements.length > 0;
   }
   
+  /**
+   * Replacement churn and how many replacements removed an honest validator,
+   * against the misbehaving validators that are still active
+   */
+  replacementSummary() {
+    const falseReplacements = this.replacements.filter(r => r.falseReplacement).length;
+    const misbehaving = this.validators.filter(v => !v.isHonest());
+    return {
+      ...this.policy.summary(),
+      finalizedBlocks: this.height,
+      replacements: this.replacements.length,
+      churnPer100Blocks: this.height > 0 ? this.replacements.length / this.height * 100 : 0,
+      falseReplacements,
+      falseReplacementRate: this.replacements.length > 0 ? falseReplacements / this.replacements.length : 0,
+      misbehavingValidators: misbehaving.length,
+      misbehavingStillActive: misbehaving.filter(v => v.isActive).length
+    };
+  }
+  
+  // Adopt the active set read from the validator registry; returns how many validators changed role
+  applyActiveSet(activeAddresses) {
+    const active = new Set(activeAddresses);
+    const changed = this.validators.filter(v => v.isActive !== active.has(v.address));
+    changed.forEach(v => {
+      v.isActive = !v.isActive;
+      v.isStandby = !v.isActive;
+    });
+    return changed.length;
+  }
+  
   // Record current validator states for measurement
   recordValidatorState() {
     const validatorState = {
-      timestamp: Date.now(),
+      timestamp: this.clock.now,
       activeValidators: this.getActiveValidators().map(v => ({
         address: v.address,
         reliability: v.reliability,
@@ -220,7 +412,9 @@ class ValidatorManager {
  */
 async function runPoASquareConsensus() {
   console.log("Starting PoA Square consensus simulation with reliability-based validation...");
-  measurements.startTime = Date.now();
+  console.log(`Simulation seed: ${rng.seed} (replay with SIM_SEED=${rng.seed})`);
+  measurements.startTime = clock.now;
+  measurements.wallClockStart = Date.now();
 
   // Detect which network we're running on
   const networkName = hre.network.name;
@@ -334,9 +528,39 @@ async function runPoASquareConsensus() {
   console.log(`Total validator accounts: ${validatorAccounts.length}`);
   
   // Setup validators with the reliability-based manager
-  const validatorManager = new ValidatorManager(validatorAccounts);
+  const network = networkFromEnv(clock, rng.fork("network"));
+  const schedule = faultScheduleFromEnv();
+  // Scheduled crashes need the recovery model even without random ones
+  const crashRecovery = crashRecoveryFromEnv(clock, rng.fork("crash-recovery"), network) ||
+    (schedule && usesFaultAction(schedule, "crash")
+      ? new CrashRecoveryModel({ scheduler: clock, random: rng.fork("crash-recovery"), network, crashProbability: 0 })
+      : null);
+  const validatorManager = new ValidatorManager(
+    validatorAccounts, rng, NUM_VALIDATORS, clock, [], strategiesFromEnv(), crashRecovery, reliabilityPolicyFromEnv()
+  );
+  if (schedule) {
+    validatorManager.faultSchedule = new FaultSchedule(schedule, {
+      scheduler: clock, nodeCount: validatorAccounts.length, network, handlers: validatorManager.faultHandlers(), runner: "PoA Square"
+    });
+  }
+  if (network) console.log(`🌐 Network preset: ${network.preset} (${network.description})`);
+  if (crashRecovery && crashRecovery.crashProbability > 0) console.log(`💥 Crash-recovery: ${crashRecovery.crashProbability} per validator per block, down ${crashRecovery.minDowntime}-${crashRecovery.maxDowntime}ms`);
+  if (schedule) console.log(`📜 Fault schedule: ${schedule.name} (${schedule.events.length} events)`);
+  console.log(`📈 Reliability policy: ${validatorManager.policy.describe()}`);
   console.log(`Active validators: ${validatorManager.getActiveValidators().length}`);
   console.log(`Standby validators: ${validatorManager.getStandbyValidators().length}`);
+  const byzantineValidators = validatorManager.validators.filter(v => v.strategy);
+  byzantineValidators.forEach(v => {
+    console.log(`😈 Validator ${v.address.substring(0, 10)}... follows ${v.strategy.describe()}`);
+  });
+  
+  // The regulator keeps the validator set in the on-chain registry
+  const registry = await ValidatorRegistry.deploy(regulator, validatorManager.policy.threshold, {
+    onTransaction: tx => measurements.registryTransactions.push({ ...tx, timestamp: clock.now })
+  });
+  await registry.registerValidators(validatorManager.validators);
+  measurements.registryAddress = await registry.address();
+  console.log(`📋 Validator registry deployed at: ${measurements.registryAddress}`);
   
   // Log initial reliability scores
   console.log("Initial validator reliability scores:");
@@ -389,10 +613,17 @@ async function runPoASquareConsensus() {
   // Record network type in measurements
   measurements.networkInfo = {
     consensusMechanism: "PoA-Square",
+    seed: rng.seed,
     activeValidators: NUM_VALIDATORS,
     standbyValidators: NUM_STANDBY_VALIDATORS,
-    reliabilityThreshold: RELIABILITY_THRESHOLD,
-    failureProbability: FAILURE_PROBABILITY
+    reliabilityThreshold: validatorManager.policy.threshold,
+    reliabilityPolicy: validatorManager.policy.summary(),
+    failureProbability: FAILURE_PROBABILITY,
+    votingRounds: SQUARE_VOTING_ROUNDS,
+    votingRoundTime: VOTING_ROUND_TIME,
+    weightedVoteThreshold: WEIGHTED_VOTE_THRESHOLD,
+    requiredConfirmations: REQUIRED_CONFIRMATIONS,
+    strategies: byzantineValidators.map(v => ({ index: v.index, strategy: v.strategy.describe() }))
   };
 
   // Register industries
@@ -408,10 +639,10 @@ async function runPoASquareConsensus() {
     console.log(`Registered industry ${industryName}, Gas used: ${receipt.gasUsed.toString()}`);
     
     // Simulate PoA Square consensus with reliability tracking
-    await simulatePoASquareConsensus(receipt.transactionHash, validatorManager);
+    await simulatePoASquareConsensus(receipt.transactionHash, validatorManager, clock, network);
     
     // Check if validator status changed after this transaction
-    validatorManager.processValidatorStatus();
+    await governValidators(validatorManager, registry);
   }
 
   // Update GHG emissions
@@ -438,10 +669,10 @@ async function runPoASquareConsensus() {
     console.log(`Updated GHG emissions for Industry-${i+1}, Gas used: ${receipt.gasUsed.toString()}`);
     
     // Simulate PoA Square consensus with reliability tracking
-    await simulatePoASquareConsensus(receipt.transactionHash, validatorManager);
+    await simulatePoASquareConsensus(receipt.transactionHash, validatorManager, clock, network);
     
     // Check if validator status changed after this transaction
-    validatorManager.processValidatorStatus();
+    await governValidators(validatorManager, registry);
   }
 
   // Create auction
@@ -453,10 +684,10 @@ async function runPoASquareConsensus() {
   console.log(`Created auction, Gas used: ${createAuctionReceipt.gasUsed.toString()}`);
   
   // Simulate PoA Square consensus with reliability tracking
-  await simulatePoASquareConsensus(createAuctionReceipt.transactionHash, validatorManager);
+  await simulatePoASquareConsensus(createAuctionReceipt.transactionHash, validatorManager, clock, network);
   
   // Check if validator status changed after this transaction
-  validatorManager.processValidatorStatus();
+  await governValidators(validatorManager, registry);
 
   // Place bids
   console.log("Placing bids...");
@@ -471,10 +702,10 @@ async function runPoASquareConsensus() {
       console.log(`Placed bid for Industry-${i+1}, Gas used: ${receipt.gasUsed.toString()}`);
       
       // Simulate PoA Square consensus with reliability tracking
-      await simulatePoASquareConsensus(receipt.transactionHash, validatorManager);
+      await simulatePoASquareConsensus(receipt.transactionHash, validatorManager, clock, network);
       
       // Check if validator status changed after this transaction
-      validatorManager.processValidatorStatus();
+      await governValidators(validatorManager, registry);
     } catch (error) {
       console.error(`Error placing bid for Industry-${i+1}:`, error.message);
     }
@@ -490,16 +721,22 @@ async function runPoASquareConsensus() {
     console.log(`Finalized auction, Gas used: ${finalizeReceipt.gasUsed.toString()}`);
     
     // Simulate PoA Square consensus with reliability tracking
-    await simulatePoASquareConsensus(finalizeReceipt.transactionHash, validatorManager);
+    await simulatePoASquareConsensus(finalizeReceipt.transactionHash, validatorManager, clock, network);
     
     // Final check of validator reliability status
-    validatorManager.processValidatorStatus();
+    await governValidators(validatorManager, registry);
   } catch (error) {
     console.error("Error finalizing auction:", error.message);
   }
 
   // Record end time
-  measurements.endTime = Date.now();
+  if (network) measurements.network = network.summary();
+  if (crashRecovery) measurements.crashRecovery = crashRecovery.summary();
+  if (validatorManager.faultSchedule) measurements.faultSchedule = validatorManager.faultSchedule.summary();
+  measurements.registryGas = registry.gasSummary();
+  measurements.replacementSummary = validatorManager.replacementSummary();
+  measurements.endTime = clock.now;
+  measurements.wallClockDuration = Date.now() - measurements.wallClockStart;
   console.log("PoA Square consensus simulation completed");
   
   // Save measurements
@@ -508,19 +745,53 @@ async function runPoASquareConsensus() {
   // Return summary
   return {
     consensusMechanism: "PoA-Square",
+    seed: rng.seed,
     transactionsProcessed: measurements.transactions.length,
     averageGasUsed: calculateAverageGas(),
+    registryGasUsed: measurements.registryGas.totalGasUsed,
     averageFinality: calculateAverageFinality(),
     totalDuration: measurements.endTime - measurements.startTime
   };
 }
 
 /**
- * Simulates PoA Square consensus with reliability-based validator selection
+ * Apply reliability-based replacements and record them in the validator
+ * registry: changed scores first, since the registry only lets a validator
+ * recorded below the threshold be replaced, then each replacement. The
+ * active set is read back from the registry, which is authoritative.
  */
-async function simulatePoASquareConsensus(txHash, validatorManager) {
-  const blockNumber = measurements.blocks.length + 1;
-  const timestamp = Date.now();
+async function governValidators(validatorManager, registry) {
+  const known = measurements.validatorReplacements.length;
+  validatorManager.processValidatorStatus();
+  const height = validatorManager.height;
+  
+  await registry.recordReliability(validatorManager.validators, height);
+  for (const replacement of measurements.validatorReplacements.slice(known)) {
+    const receipt = await registry.replaceValidator(replacement.replaced, replacement.replacement, height);
+    replacement.txHash = receipt.hash;
+    replacement.gasUsed = receipt.gasUsed.toString();
+  }
+  
+  const { active } = await registry.readSets();
+  const changed = validatorManager.applyActiveSet(active);
+  if (changed > 0) {
+    console.warn(`Warning: ${changed} validators changed role to match the on-chain registry`);
+    validatorManager.recordValidatorState();
+  }
+}
+
+/**
+ * Simulates PoA Square consensus with reliability-based validator selection.
+ * With a network model the proposal and votes take their link delays instead
+ * of the fixed VOTING_ROUND_TIME. A primary that equivocates can get two
+ * blocks through the vote at the same height, and one proposing an invalid
+ * K-ETS state transition gets it finalized if its accomplices carry the
+ * threshold; both are recorded as safety violations.
+ */
+async function simulatePoASquareConsensus(txHash, validatorManager, scheduler = clock, network = null) {
+  const blockNumber = validatorManager.nextBlockNumber();
+  validatorManager.slots = blockNumber;
+  const timestamp = scheduler.now;
   
   console.log(`\n--- PoA Square Block ${blockNumber} Consensus ---`);
   // Safe way to show txHash with a check
@@ -537,12 +808,28 @@ async function simulatePoASquareConsensus(txHash, validatorManager) {
   const primary = validatorManager.selectPrimary(blockNumber);
   console.log(`Primary validator: ${primary.address.substring(0, 10)}... (reliability: ${primary.reliability.toFixed(2)})`);
   
-  // Phase 1: Propose block - check if primary fails
-  const primaryFails = primary.simulateFailure();
-  if (primaryFails) {
-    console.log(`⚠️ Primary validator ${primary.address.substring(0, 10)}... FAILED during proposal phase!`);
+  // Phase 1: Propose block - check if primary is down, fails or withholds its proposal
+  if (validatorManager.faultSchedule) validatorManager.faultSchedule.onBlock(blockNumber);
+  validatorManager.sampleCrashes();
+  const offline = !primary.online;
+  if (offline) primary.recordFailure();
+  const primaryFails = offline || primary.simulateFailure();
+  const withheld = !primaryFails && primary.strategy !== null && primary.strategy.withholds();
+  if (primaryFails || withheld) {
+    if (withheld) {
+      primary.recordFailure();
+      recordByzantineEvent(primary, blockNumber, 'withhold-proposal', scheduler);
+      console.log(`😈 Primary validator ${primary.address.substring(0, 10)}... withheld its proposal until the slot timed out`);
+    } else if (offline) {
+      console.log(`💤 Primary validator ${primary.address.substring(0, 10)}... is down and missed its slot`);
+    } else {
+      console.log(`⚠️ Primary validator ${primary.address.substring(0, 10)}... FAILED during proposal phase!`);
+    }
     console.log(`Reliability decreased to ${primary.reliability.toFixed(2)}`);
     
+    // The slot passes without a block
+    await scheduler.advance(BLOCK_TIME);
+    
     // Record the failure in the block data
     measurements.blocks.push({
       number: blockNumber,
@@ -550,7 +837,7 @@ async function simulatePoASquareConsensus(txHash, validatorManager) {
       proposer: primary.address,
       proposerReliability: primary.reliability,
       status: 'failed',
-      failurePhase: 'proposal',
+      failurePhase: withheld ? 'proposal-withheld' : offline ? 'proposal-offline' : 'proposal',
       finalityTime: null
     });
     
@@ -561,51 +848,60 @@ async function simulatePoASquareConsensus(txHash, validatorManager) {
   // Primary successfully proposes the block
   primary.recordProposal();
   console.log(`Primary validator successfully proposed block ${blockNumber}`);
+  const proposal = createProposal(primary, blockNumber, scheduler);
   
-  // Phase 2: Validation - other validators check the block
-  let validations = 0;
-  let validatorFailures = 0;
-  let reliabilityTotal = 0;
+  // The block is sealed in the next slot, then put to the square vote
+  await scheduler.advance(BLOCK_TIME);
+  if (network) {
+    const recipients = activeValidators.filter(v => !proposal.unreached.has(v.index));
+    await scheduler.advance(broadcastTime(network, primary, recipients));
+  }
   
-  console.log("Validator voting phase:");
-  for (const validator of activeValidators) {
-    if (validator === primary) continue; // Primary already processed
-    
-    // Check if this validator fails during validation
-    const validatorFails = validator.simulateFailure();
-    
-    if (validatorFails) {
-      console.log(`⚠️ Validator ${validator.address.substring(0, 10)}... FAILED during validation! ` +
-                 `Reliability: ${validator.reliability.toFixed(2)}`);
-      validatorFailures++;
-    } else {
-      validator.recordSuccess();
-      validations++;
-      reliabilityTotal += validator.reliability;
-      console.log(`✓ Validator ${validator.address.substring(0, 10)}... confirmed block ` +
-                 `(reliability: ${validator.reliability.toFixed(2)})`);
-    }
+  // Phase 2: Square voting - every round must pass the weighted threshold
+  const rounds = [];
+  for (let round = 1; round <= SQUARE_VOTING_ROUNDS; round++) {
+    const tally = await runSquareVotingRound(round, blockNumber, primary, proposal, activeValidators, scheduler, network);
+    rounds.push(tally);
+    if (!tally.passed && !(tally.conflicting && tally.conflicting.passed)) break;
   }
   
-  // Calculate if we have enough validations for consensus
-  // PoA Square requires a reliability-weighted majority
-  const validatorsNeeded = Math.ceil(activeValidators.length / 2);
-  const reliabilityScore = reliabilityTotal / activeValidators.length;
+  // Honest validators hold the evidence of an invalid or equivocated proposal
+  const votesCast = rounds.flatMap(tally => tally.votes.map(vote => vote.vote));
+  if (votesCast.includes('rejected') || (votesCast.includes('conflicting') && votesCast.includes('yes'))) {
+    primary.recordFailure();
+  }
   
-  console.log(`Received ${validations} valid confirmations (need ${validatorsNeeded}), ` +
-              `average reliability score: ${reliabilityScore.toFixed(2)}`);
+  const lastRound = rounds[rounds.length - 1];
+  const allRounds = rounds.length === SQUARE_VOTING_ROUNDS;
+  const blockFinal = allRounds && rounds.every(tally => tally.passed);
+  const conflictingFinal = allRounds && rounds.every(tally => tally.conflicting && tally.conflicting.passed);
+  const finalTally = tally => (blockFinal || !conflictingFinal ? tally : tally.conflicting);
+  const validations = finalTally(lastRound).confirmations;
+  const validatorFailures = rounds.reduce((sum, tally) => sum + tally.missed, 0);
+  const reliabilityScore = Math.min(...rounds.map(tally => finalTally(tally).weightedShare));
+  const roundSummaries = rounds.map(({ votes, ...summary }) => summary);
   
   // Check if block reaches consensus
-  const consensusReached = validations >= validatorsNeeded && reliabilityScore >= RELIABILITY_THRESHOLD;
+  const consensusReached = blockFinal || conflictingFinal;
+  if (blockFinal && conflictingFinal) {
+    recordSafetyViolation('conflicting-blocks', blockNumber, primary, scheduler,
+      `Two blocks from ${primary.address.substring(0, 10)}... were finalized at height ${blockNumber}`);
+  }
+  if (consensusReached && proposal.transition) {
+    recordSafetyViolation('invalid-transition', blockNumber, primary, scheduler,
+      `Invalid K-ETS state transition (${proposal.transition.type}) was finalized`);
+  }
   
   let finalityTime;
   if (consensusReached) {
     // Consensus reached - calculate finality time including reliability check
     const reliabilityCheckTime = 50; // ms - time to calculate reliability
-    finalityTime = BLOCK_TIME + reliabilityCheckTime;
+    await scheduler.advance(reliabilityCheckTime);
+    finalityTime = scheduler.now - timestamp;
+    validatorManager.recordFinalized();
     
-    console.log(`✅ Consensus REACHED for block ${blockNumber} with reliability-weighted validation`);
-    console.log(`Block finalized in ${finalityTime}ms with reliability score ${reliabilityScore.toFixed(2)}`);
+    console.log(`✅ Consensus REACHED for block ${blockNumber} after ${SQUARE_VOTING_ROUNDS} weighted voting rounds`);
+    console.log(`Block finalized in ${finalityTime}ms with weighted vote share ${reliabilityScore.toFixed(2)}`);
     
     // Record successful block
     measurements.blocks.push({
@@ -616,6 +912,7 @@ async function simulatePoASquareConsensus(txHash, validatorManager) {
       validations,
       validatorFailures,
       reliabilityScore,
+      votingRounds: roundSummaries,
       status: 'finalized',
       finalityTime
     });
@@ -626,13 +923,13 @@ async function simulatePoASquareConsensus(txHash, validatorManager) {
       txHash,
       finalityTime,
       reliabilityScore,
-      timestamp: Date.now()
+      timestamp: scheduler.now
     });
   } else {
-    // Consensus failed - not enough reliable validators
-    console.log(`❌ Consensus FAILED for block ${blockNumber} - ` + 
-                `insufficient reliable validations (${validations}/${validatorsNeeded}) ` +
-                `or reliability score (${reliabilityScore.toFixed(2)}/${RELIABILITY_THRESHOLD})`);
+    // Consensus failed - a voting round missed the weighted threshold
+    console.log(`❌ Consensus FAILED for block ${blockNumber} in voting round ${lastRound.round} - ` + 
+                `weighted share ${lastRound.weightedShare.toFixed(2)}/${WEIGHTED_VOTE_THRESHOLD.toFixed(2)}, ` +
+                `confirmations ${lastRound.confirmations}/${REQUIRED_CONFIRMATIONS}`);
     
     // Record failed block
     measurements.blocks.push({
@@ -643,8 +940,9 @@ async function simulatePoASquareConsensus(txHash, validatorManager) {
       validations,
       validatorFailures,
       reliabilityScore,
+      votingRounds: roundSummaries,
       status: 'failed',
-      failurePhase: 'validation'
+      failurePhase: `voting-round-${lastRound.round}`
     });
     
     return null;
@@ -657,10 +955,10 @@ async function simulatePoASquareConsensus(txHash, validatorManager) {
   // Messages include:
   // 1. Block proposal from primary to all validators
   // 2. Reliability scores exchange (each to each)
-  // 3. Validation messages from each validator to all others
+  // 3. Votes from each voting validator to all others, in every round
   const proposalMessages = activeValidatorCount;
   const reliabilityMessages = activeValidatorCount * activeValidatorCount;
-  const validationMessages = validations * activeValidatorCount;
+  const validationMessages = rounds.reduce((sum, tally) => sum + tally.voters * activeValidatorCount, 0);
   const totalMessages = proposalMessages + reliabilityMessages + validationMessages;
   
   // Record network overhead
@@ -670,8 +968,8 @@ async function simulatePoASquareConsensus(txHash, validatorManager) {
     reliabilityMessages,
     validationMessages,
     totalMessages,
-    messageSize: 1024, // Bytes
-    totalBandwidth: totalMessages * 1024
+    messageSize: MESSAGE_SIZE,
+    totalBandwidth: totalMessages * MESSAGE_SIZE
   });
   
   // Record resource usage for PoA Square
@@ -680,6 +978,225 @@ async function simulatePoASquareConsensus(txHash, validatorManager) {
   return finalityTime;
 }
 
+/**
+ * The block a primary puts to the vote. A Byzantine primary may attach an
+ * invalid K-ETS state transition, send a conflicting block at the same height
+ * to some validators, or leave some validators without a block at all.
+ */
+function createProposal(primary, blockNumber, scheduler = clock) {
+  const proposal = { transition: null, conflictingTo: new Set(), unreached: new Set() };
+  const strategy = primary.strategy;
+  if (!strategy) return proposal;
+  
+  if (strategy.proposesInvalid()) {
+    proposal.transition = forgeTransition(primary.rng);
+    console.log(`😈 Primary proposes an invalid K-ETS state transition (${proposal.transition.type})`);
+  } else if (strategy.name === 'equivocation' || strategy.name === 'collusion') {
+    proposal.conflictingTo = strategy.name === 'equivocation' ? strategy.targets : strategy.coalition.victims;
+    console.log(`😈 Primary sends a conflicting block to ${proposal.conflictingTo.size} validators`);
+  } else if (strategy.name === 'selective-silence') {
+    proposal.unreached = strategy.targets;
+    console.log(`😈 Primary withholds the block from ${proposal.unreached.size} validators`);
+  } else {
+    return proposal;
+  }
+  recordByzantineEvent(primary, blockNumber, `propose-${strategy.name}`, scheduler);
+  return proposal;
+}
+
+const WITHHELD_VOTE_REASONS = {
+  withheld: "held its vote back until the round timed out",
+  silent: "kept its vote from the primary",
+  equivocated: "signed both blocks, so its vote was discarded"
+};
+
+/**
+ * How a validator votes on a proposal: 'yes' for the primary's block,
+ * 'conflicting' for the other block of an equivocating primary, 'both' for a
+ * coalition member backing its own primary, or 'rejected' for an invalid
+ * transition. A Byzantine validator may instead leave its vote out
+ * ('withheld', 'silent') or sign both blocks ('equivocated'), which the
+ * square exchange exposes so the vote is discarded.
+ */
+function castVote(validator, primary, proposal) {
+  const strategy = validator.strategy;
+  if (strategy) {
+    if (strategy.withholds()) return 'withheld';
+    if (strategy.silentTo(primary.index)) return 'silent';
+    if (strategy.name === 'equivocation') return 'equivocated';
+    if (strategy.colludesWith(primary.index)) return 'both';
+  }
+  if (proposal.transition && !(strategy && strategy.acceptsInvalid())) return 'rejected';
+  return proposal.conflictingTo.has(validator.index) ? 'conflicting' : 'yes';
+}
+
+/**
+ * Runs one round of the square vote. Every active validator votes (or fails to),
+ * each vote weighted by the validator's reliability. The round passes when the
+ * "yes" weight reaches WEIGHTED_VOTE_THRESHOLD of the active set's total weight
+ * and at least REQUIRED_CONFIRMATIONS validators besides the proposer confirmed.
+ * The conflicting block of an equivocating primary is tallied the same way.
+ */
+async function runSquareVotingRound(round, blockNumber, primary, proposal, activeValidators, scheduler = clock, network = null) {
+  console.log(`Voting round ${round}/${SQUARE_VOTING_ROUNDS}:`);
+  
+  // Weights are fixed at the start of the round so a failure mid-round cannot shift them
+  const weights = new Map(activeValidators.map(v => [v, v.reliability]));
+  const totalWeight = activeValidators.reduce((sum, v) => sum + weights.get(v), 0);
+  
+  const votes = [];
+  let yesWeight = 0;
+  let confirmations = 0;
+  let conflictingWeight = 0;
+  let conflictingConfirmations = 0;
+  // With a network the round closes when the last vote has reached every active validator
+  let roundTime = network ? 0 : VOTING_ROUND_TIME;
+  
+  for (const validator of activeValidators) {
+    const weight = weights.get(validator);
+    
+    // A validator partitioned away from the primary never sees the block and its vote never arrives
+    if (network && network.isCut(validator.index, primary.index)) {
+      console.log(`🔌 Validator ${validator.address.substring(0, 10)}... is partitioned from the primary in round ${round}`);
+      votes.push({ validator: validator.address, weight, vote: 'unreachable' });
+      continue;
+    }
+    if (!validator.online) {
+      // Down or still syncing: counted as a missed vote
+      validator.recordFailure();
+      console.log(`💤 Validator ${validator.address.substring(0, 10)}... is down in round ${round}`);
+      votes.push({ validator: validator.address, weight, vote: 'offline' });
+      continue;
+    }
+    if (proposal.unreached.has(validator.index)) {
+      console.log(`🔇 Validator ${validator.address.substring(0, 10)}... never received the block in round ${round}`);
+      votes.push({ validator: validator.address, weight, vote: 'unreachable' });
+      continue;
+    }
+    
+    if (validator.simulateFailure()) {
+      console.log(`⚠️ Validator ${validator.address.substring(0, 10)}... FAILED to vote in round ${round}! ` +
+                 `Reliability: ${validator.reliability.toFixed(2)}`);
+      votes.push({ validator: validator.address, weight, vote: 'missed' });
+      continue;
+    }
+    
+    const vote = castVote(validator, primary, proposal);
+    votes.push({ validator: validator.address, weight, vote });
+    if (validator.strategy) recordByzantineEvent(validator, blockNumber, `vote-${vote}`, scheduler);
+    
+    if (vote === 'withheld' || vote === 'silent' || vote === 'equivocated') {
+      // Counted as a missed vote; a withheld vote also holds the round open until it times out
+      validator.recordFailure();
+      if (vote === 'withheld') roundTime = Math.max(roundTime, VOTING_ROUND_TIME);
+      console.log(`😈 Validator ${validator.address.substring(0, 10)}... ${WITHHELD_VOTE_REASONS[vote]} in round ${round}`);
+      continue;
+    }
+    
+    const latency = network ? broadcastTime(network, validator, activeValidators) : VOTING_ROUND_TIME;
+    validator.recordSuccess(latency);
+    if (network) roundTime = Math.max(roundTime, latency);
+    if (vote === 'rejected') {
+      console.log(`✗ Validator ${validator.address.substring(0, 10)}... rejected the invalid state transition`);
+      continue;
+    }
+    if (vote === 'yes' || vote === 'both') {
+      yesWeight += weight;
+      if (validator !== primary) confirmations++;
+    }
+    if (vote === 'conflicting' || vote === 'both') {
+      conflictingWeight += weight;
+      if (validator !== primary) conflictingConfirmations++;
+    }
+    console.log(`✓ Validator ${validator.address.substring(0, 10)}... voted for ` +
+               `${vote === 'yes' ? 'block' : vote === 'both' ? 'both blocks' : 'the conflicting block'} ` +
+               `(weight: ${weight.toFixed(2)})`);
+  }
+  
+  await scheduler.advance(roundTime);
+  
+  const missed = votes.filter(v => v.vote === 'missed' || v.vote === 'offline').length;
+  const unreachable = votes.filter(v => v.vote === 'unreachable').length;
+  const weightedShare = totalWeight > 0 ? yesWeight / totalWeight : 0;
+  const passed = weightedShare >= WEIGHTED_VOTE_THRESHOLD && confirmations >= REQUIRED_CONFIRMATIONS;
+  let conflicting = null;
+  if (proposal.conflictingTo.size > 0) {
+    const share = totalWeight > 0 ? conflictingWeight / totalWeight : 0;
+    conflicting = {
+      yesWeight: conflictingWeight,
+      weightedShare: share,
+      confirmations: conflictingConfirmations,
+      passed: share >= WEIGHTED_VOTE_THRESHOLD && conflictingConfirmations >= REQUIRED_CONFIRMATIONS
+    };
+  }
+  
+  const tally = {
+    blockNumber,
+    round,
+    timestamp: scheduler.now,
+    votes,
+    voters: votes.length - missed - unreachable,
+    missed,
+    unreachable,
+    confirmations,
+    yesWeight,
+    totalWeight,
+    weightedShare,
+    threshold: WEIGHTED_VOTE_THRESHOLD,
+    passed
+  };
+  if (conflicting) tally.conflicting = conflicting;
+  measurements.votingRounds.push(tally);
+  
+  console.log(`Round ${round} tally: ${yesWeight.toFixed(2)}/${totalWeight.toFixed(2)} weight ` +
+              `(${(weightedShare * 100).toFixed(1)}%, need ${(WEIGHTED_VOTE_THRESHOLD * 100).toFixed(1)}%), ` +
+              `${confirmations} confirmations - ${passed ? 'PASSED' : 'FAILED'}`);
+  if (conflicting) {
+    console.log(`Round ${round} conflicting block: ${conflictingWeight.toFixed(2)}/${totalWeight.toFixed(2)} weight, ` +
+                `${conflictingConfirmations} confirmations - ${conflicting.passed ? 'PASSED' : 'FAILED'}`);
+  }
+  
+  return tally;
+}
+
+/**
+ * Record a proposal or vote shaped by a validator's Byzantine strategy
+ */
+function recordByzantineEvent(validator, blockNumber, action, scheduler = clock) {
+  measurements.byzantineEvents.push({
+    timestamp: scheduler.now,
+    blockNumber,
+    validator: validator.address,
+    validatorIndex: validator.index,
+    strategy: validator.strategy.name,
+    action
+  });
+}
+
+/**
+ * Record a finalized block that breaks safety (a fork or an invalid transition)
+ */
+function recordSafetyViolation(type, blockNumber, primary, scheduler, description) {
+  console.error(`🚨 SAFETY VIOLATION at block ${blockNumber}: ${description}`);
+  measurements.safetyViolations.push({
+    timestamp: scheduler.now,
+    type,
+    blockNumber,
+    proposer: primary.address,
+    description
+  });
+}
+
+/**
+ * Time until a message from `sender` has reached every other active validator
+ * it can reach (messages across a partition are dropped)
+ */
+function broadcastTime(network, sender, activeValidators) {
+  const recipients = activeValidators.filter(v => v !== sender).map(v => v.index);
+  return network.broadcast(sender.index, recipients, MESSAGE_SIZE)
+    .reduce((latest, delay) => Math.max(latest, delay ?? 0), 0);
+}
+
 /**
  * Record transaction metrics
  */
@@ -690,14 +1207,14 @@ function recordTransaction(receipt, txType) {
     blockNumber: receipt.blockNumber,
     gasUsed: receipt.gasUsed.toString(),
     type: txType,
-    timestamp: Date.now()
+    timestamp: clock.now
   });
   
   // Record gas usage
   measurements.gasUsage.push({
     txType,
     gasUsed: receipt.gasUsed.toString(),
-    timestamp: Date.now()
+    timestamp: clock.now
   });
 }
 
@@ -718,13 +1235,13 @@ function recordResourceUsage(blockNumber, reliabilityScore = 1.0) {
   const baseNetworkBandwidth = 500; // KB/s
   
   // Adjusted for reliability - lower reliability means higher resource usage
-  const cpuUsage = baseCpuUsage * (1 + (0.5 * reliabilityFactor)) + (Math.random() * 10);
-  const memoryUsage = baseMemoryUsage * (1 + (0.25 * reliabilityFactor)) + (Math.random() * 50);
-  const networkBandwidth = baseNetworkBandwidth * (1 + (0.75 * reliabilityFactor)) + (Math.random() * 200);
+  const cpuUsage = baseCpuUsage * (1 + (0.5 * reliabilityFactor)) + (resourceNoise.next() * 10);
+  const memoryUsage = baseMemoryUsage * (1 + (0.25 * reliabilityFactor)) + (resourceNoise.next() * 50);
+  const networkBandwidth = baseNetworkBandwidth * (1 + (0.75 * reliabilityFactor)) + (resourceNoise.next() * 200);
   
   measurements.resourceUsage.push({
     blockNumber,
-    timestamp: Date.now(),
+    timestamp: clock.now,
     reliability: reliabilityScore,
     reliabilityFactor,
     cpu: cpuUsage,
@@ -779,13 +1296,6 @@ function saveMeasurements() {
   }
 }
 
-/**
- * Utility to simulate async waiting
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 // Run the simulation when called directly
 if (require.main === module) {
   runPoASquareConsensus()
@@ -800,6 +1310,10 @@ if (require.main === module) {
 } else {
   // Export for use in other modules
   module.exports = {
-    runPoASquareConsensus
+    runPoASquareConsensus,
+    simulatePoASquareConsensus,
+    ValidatorManager,
+    measurements,
+    BLOCK_TIME
   };
 }
@@ -0,0 +1,506 @@
+/**
+ * Proof of Work Mining Model
+ * Event-driven model of a PoW miner population for the K-ETS simulations.
+ *
+ * - Each miner owns a share of the network hash power and finds blocks as a
+ *   Poisson process (exponential inter-block times at rate hashShare / difficulty)
+ * - Blocks reach the other nodes after a per-link propagation delay, so two
+ *   miners can extend the same parent before hearing of each other's block
+ * - Every node follows the heaviest (most cumulative work) chain it knows of;
+ *   blocks that end up off the final main chain are counted as orphans
+ * - Difficulty is retargeted every `retargetInterval` blocks toward the target
+ *   block time, clamped like Bitcoin's 4x adjustment limit
+ * - Finality is measured, not assumed: the confirmation depth required is the
+ *   smallest depth no observed reorg exceeded (within `finalityRisk`), and the
+ *   time to finality is how long main-chain blocks took to get that deep
+ */
+
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+
+// Ethereum (pre-merge) style block target, matching the 15s PoW block time
+// used by the comparison scripts
+const TARGET_BLOCK_TIME = 15000;
+const RETARGET_INTERVAL = 20;
+const MAX_RETARGET_FACTOR = 4;
+// A few large pools and a tail of small miners
+const DEFAULT_HASH_SHARES = [0.28, 0.22, 0.15, 0.12, 0.09, 0.06, 0.05, 0.03];
+// Block propagation: fixed validation/relay cost plus exponential jitter per link
+const PROPAGATION_BASE_DELAY = 400;
+const PROPAGATION_JITTER_MEAN = 600;
+// Relayed block size when propagation goes through a network model
+const BLOCK_SIZE = 64 * 1024;
+// Acceptable share of main-chain blocks reverted after reaching the finality depth
+const FINALITY_RISK = 0.001;
+
+/**
+ * A node in the PoW network. Miners have hash power; observers (e.g. the
+ * regulator's client) only receive blocks.
+ */
+class PoWNode {
+  constructor(index, hashShare, label) {
+    this.index = index;
+    this.hashShare = hashShare;
+    this.label = label;
+    this.tip = null;
+    this.known = new Set();
+    // Blocks that arrived before their parent, keyed by parent id
+    this.waiting = new Map();
+    this.miningEvent = null;
+    this.blocksMined = 0;
+    this.reorgs = 0;
+  }
+}
+
+class PoWMiningModel {
+  /**
+   * @param {Object} options
+   * @param {number[]} [options.hashShares] - Relative hash power per miner (normalised)
+   * @param {number[]} [options.offlineMiners] - Indices of miners that never mine; their hash power is lost, not redistributed
+   * @param {number} [options.targetBlockTime] - Target mean block time in ms
+   * @param {number} [options.retargetInterval] - Blocks between difficulty retargets
+   * @param {number} [options.initialDifficulty] - Expected ms to find a block at full network hash power
+   * @param {number} [options.propagationBaseDelay] - Fixed per-link propagation delay in ms
+   * @param {number} [options.propagationJitterMean] - Mean exponential jitter added per link in ms
+   * @param {number} [options.finalityRisk] - Tolerated rate of reorgs deeper than the finality depth
+   * @param {NetworkModel} [options.network] - Per-link delivery (network-model.js) replacing base delay plus jitter
+   * @param {number} [options.blockSize] - Bytes per relayed block when a network model is attached
+   * @param {Object} [options.random] - SeededRandom instance
+   * @param {EventScheduler} [options.scheduler] - Simulated clock shared with the caller
+   */
+  constructor(options = {}) {
+    const shares = options.hashShares || DEFAULT_HASH_SHARES;
+    const totalShare = shares.reduce((sum, share) => sum + share, 0);
+
+    this.targetBlockTime = options.targetBlockTime || TARGET_BLOCK_TIME;
+    this.retargetInterval = options.retargetInterval || RETARGET_INTERVAL;
+    this.propagationBaseDelay = options.propagationBaseDelay ?? PROPAGATION_BASE_DELAY;
+    this.propagationJitterMean = options.propagationJitterMean ?? PROPAGATION_JITTER_MEAN;
+    this.finalityRisk = options.finalityRisk ?? FINALITY_RISK;
+    this.network = options.network || null;
+    this.blockSize = options.blockSize || BLOCK_SIZE;
+    this.random = options.random || createRandom();
+    this.clock = options.scheduler || new EventScheduler(0);
+
+    // Separate streams so changing the network model does not alter which miner wins
+    this.miningRandom = this.random.fork("pow-mining");
+    this.networkRandom = this.random.fork("pow-propagation");
+
+    const offline = new Set(options.offlineMiners || []);
+    this.miners = shares.map((share, i) => new PoWNode(i, offline.has(i) ? 0 : share / totalShare, `miner-${i}`));
+    this.observer = new PoWNode(this.miners.length, 0, "observer");
+    this.nodes = [...this.miners, this.observer];
+
+    this.blocks = new Map();
+    this.nextBlockId = 0;
+    this.retargets = [];
+    this.reorgEvents = [];
+    this.mempool = new Map();
+
+    const genesis = this.createBlock(null, null, options.initialDifficulty || this.targetBlockTime);
+    genesis.minedAt = this.clock.now;
+    this.genesis = genesis;
+    for (const node of this.nodes) {
+      this.acceptBlock(node, genesis, this.clock.now);
+    }
+    this.started = false;
+  }
+
+  /**
+   * Start every miner working on its current tip
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    for (const miner of this.miners) {
+      if (miner.hashShare > 0) this.scheduleMining(miner);
+    }
+  }
+
+  /**
+   * Stop mining (pending propagation events still deliver)
+   */
+  stop() {
+    this.started = false;
+    for (const miner of this.miners) {
+      if (miner.miningEvent !== null) {
+        this.clock.cancel(miner.miningEvent);
+        miner.miningEvent = null;
+      }
+    }
+  }
+
+  createBlock(parent, miner, difficulty) {
+    const block = {
+      id: this.nextBlockId++,
+      height: parent ? parent.height + 1 : 0,
+      parentId: parent ? parent.id : null,
+      miner: miner ? miner.index : null,
+      minedAt: this.clock.now,
+      difficulty,
+      totalWork: (parent ? parent.totalWork : 0) + difficulty,
+      transactions: [],
+      receivedAt: new Map()
+    };
+    this.blocks.set(block.id, block);
+    return block;
+  }
+
+  /**
+   * Difficulty for a child of `parent`, retargeted on interval boundaries
+   * from the time the last `retargetInterval` blocks of that branch took
+   */
+  nextDifficulty(parent) {
+    const height = parent.height + 1;
+    if (height % this.retargetInterval !== 0) {
+      return parent.difficulty;
+    }
+
+    const first = this.ancestorAt(parent, height - this.retargetInterval);
+    const expected = (this.retargetInterval - 1) * this.targetBlockTime;
+    const actual = Math.max(1, parent.minedAt - first.minedAt);
+    const factor = Math.min(MAX_RETARGET_FACTOR, Math.max(1 / MAX_RETARGET_FACTOR, expected / actual));
+    return parent.difficulty * factor;
+  }
+
+  /**
+   * Draw the miner's next solve time on its current tip. Exponential draws are
+   * memoryless, so re-drawing whenever the tip changes is exact.
+   */
+  scheduleMining(miner) {
+    if (miner.miningEvent !== null) {
+      this.clock.cancel(miner.miningEvent);
+    }
+    const difficulty = this.nextDifficulty(miner.tip);
+    const rate = miner.hashShare / difficulty;
+    const delay = -Math.log(1 - this.miningRandom.next()) / rate;
+    miner.miningEvent = this.clock.schedule(delay, () => {
+      miner.miningEvent = null;
+      this.mineBlock(miner, difficulty);
+    }, `pow-mine-${miner.index}`);
+  }
+
+  mineBlock(miner, difficulty) {
+    const parent = miner.tip;
+    const block = this.createBlock(parent, miner, difficulty);
+    block.transactions = [...this.mempool.keys()].filter(txId => !this.isIncluded(txId, parent));
+    // Every block carrying a transaction is indexed, so re-inclusion after a reorg is found
+    for (const txId of block.transactions) {
+      this.mempool.get(txId).includedIn.push(block.id);
+    }
+    miner.blocksMined++;
+
+    if (difficulty !== parent.difficulty) {
+      this.retargets.push({
+        height: block.height,
+        blockId: block.id,
+        timestamp: this.clock.now,
+        previousDifficulty: parent.difficulty,
+        difficulty,
+        adjustment: difficulty / parent.difficulty
+      });
+    }
+
+    this.acceptBlock(miner, block, this.clock.now);
+    this.broadcast(miner, block);
+  }
+
+  /**
+   * Relay a block from `sender` to every other node with an independent delay per link,
+   * or gossip it over the network model's overlay
+   */
+  broadcast(sender, block) {
+    const peers = this.nodes.filter(node => node !== sender);
+    // Peers cut off by a partition sync the block once the link is back
+    const delays = this.network
+      ? this.network.broadcast(sender.index, peers.map(node => node.index), this.blockSize, { reliable: true })
+      : peers.map(() => this.propagationBaseDelay - Math.log(1 - this.networkRandom.next()) * this.propagationJitterMean);
+    peers.forEach((node, i) => {
+      if (delays[i] === null) return;
+      this.clock.schedule(delays[i], (now) => this.receiveBlock(node, block, now), `pow-relay-${block.id}-${node.index}`);
+    });
+  }
+
+  receiveBlock(node, block, now) {
+    if (node.known.has(block.id)) return;
+    if (!node.known.has(block.parentId)) {
+      if (!node.waiting.has(block.parentId)) node.waiting.set(block.parentId, []);
+      node.waiting.get(block.parentId).push(block);
+      return;
+    }
+    this.acceptBlock(node, block, now);
+  }
+
+  /**
+   * Add a block to a node's view and switch to it if it carries more work
+   * than the node's current tip (first-seen wins on ties)
+   */
+  acceptBlock(node, block, now) {
+    node.known.add(block.id);
+    block.receivedAt.set(node.index, now);
+
+    if (!node.tip || block.totalWork > node.tip.totalWork) {
+      const previousTip = node.tip;
+      node.tip = block;
+      if (previousTip && block.parentId !== previousTip.id) {
+        this.recordReorg(node, previousTip, block, now);
+      }
+      if (this.started && node.hashShare > 0) {
+        this.scheduleMining(node);
+      }
+    }
+
+    const children = node.waiting.get(block.id);
+    if (children) {
+      node.waiting.delete(block.id);
+      for (const child of children) {
+        this.receiveBlock(node, child, now);
+      }
+    }
+  }
+
+  recordReorg(node, oldTip, newTip, now) {
+    const ancestor = this.commonAncestor(oldTip, newTip);
+    const depth = oldTip.height - ancestor.height;
+    if (depth === 0) return;
+
+    node.reorgs++;
+    this.reorgEvents.push({
+      node: node.label,
+      timestamp: now,
+      depth,
+      forkHeight: ancestor.height,
+      oldTip: oldTip.id,
+      newTip: newTip.id
+    });
+  }
+
+  ancestorAt(block, height) {
+    let current = block;
+    while (current.height > height) {
+      current = this.blocks.get(current.parentId);
+    }
+    return current;
+  }
+
+  commonAncestor(a, b) {
+    let left = this.ancestorAt(a, Math.min(a.height, b.height));
+    let right = this.ancestorAt(b, Math.min(a.height, b.height));
+    while (left.id !== right.id) {
+      left = this.blocks.get(left.parentId);
+      right = this.blocks.get(right.parentId);
+    }
+    return left;
+  }
+
+  /**
+   * Block on the chain ending at `tip` that includes `txId`, if any
+   */
+  findInclusion(txId, tip) {
+    const entry = this.mempool.get(txId);
+    if (!entry) return null;
+    for (const blockId of entry.includedIn) {
+      const block = this.blocks.get(blockId);
+      if (block.height <= tip.height && this.ancestorAt(tip, block.height).id === block.id) {
+        return block;
+      }
+    }
+    return null;
+  }
+
+  isIncluded(txId, tip) {
+    return this.findInclusion(txId, tip) !== null;
+  }
+
+  /**
+   * Broadcast a transaction to the miners' mempools
+   */
+  submitTransaction(txId) {
+    if (!this.mempool.has(txId)) {
+      this.mempool.set(txId, { submittedAt: this.clock.now, includedIn: [] });
+    }
+  }
+
+  /**
+   * Advance the clock until the observer sees `txId` buried under
+   * `confirmations` blocks on its best chain.
+   * Resolves to the including block and timing, or null on timeout.
+   */
+  async waitForInclusion(txId, confirmations = 0, timeout = this.targetBlockTime * 100) {
+    this.start();
+    const entry = this.mempool.get(txId);
+    const submittedAt = entry.submittedAt;
+
+    const included = await this.clock.advanceUntil(() => {
+      const block = this.findInclusion(txId, this.observer.tip);
+      return block !== null && this.observer.tip.height - block.height >= confirmations;
+    }, this.clock.now + timeout);
+
+    if (!included) return null;
+    const block = this.findInclusion(txId, this.observer.tip);
+    return {
+      block,
+      submittedAt,
+      includedAt: block.minedAt,
+      observedAt: this.clock.now,
+      inclusionTime: block.minedAt - submittedAt,
+      confirmationTime: this.clock.now - submittedAt,
+      confirmations: this.observer.tip.height - block.height
+    };
+  }
+
+  /**
+   * Mine until the observer's best chain reaches `height`
+   */
+  async mineUntilHeight(height, timeout = this.targetBlockTime * height * 10) {
+    this.start();
+    return this.clock.advanceUntil(() => this.observer.tip.height >= height, this.clock.now + timeout);
+  }
+
+  /**
+   * Blocks on the observer's best chain, genesis first
+   */
+  mainChain() {
+    const chain = [];
+    let current = this.observer.tip;
+    while (current) {
+      chain.push(current);
+      current = current.parentId === null ? null : this.blocks.get(current.parentId);
+    }
+    return chain.reverse();
+  }
+
+  /**
+   * Smallest confirmation depth k such that reorgs deeper than k hit at most
+   * `finalityRisk` of main-chain blocks. A block with k confirmations at a node
+   * is reverted only by a reorg of depth > k.
+   */
+  measureRequiredConfirmations(mainChainLength) {
+    const depths = this.reorgEvents.map(event => event.depth);
+    const maxDepth = depths.length > 0 ? Math.max(...depths) : 0;
+    for (let k = 1; k <= maxDepth; k++) {
+      const deeper = depths.filter(depth => depth > k).length;
+      if (deeper / Math.max(1, mainChainLength) <= this.finalityRisk) {
+        return k;
+      }
+    }
+    return Math.max(1, maxDepth);
+  }
+
+  /**
+   * Time from a block being mined until the observer saw `confirmations`
+   * blocks on top of it, for every main-chain block deep enough to measure
+   */
+  measureFinalityTimes(chain, confirmations) {
+    const times = [];
+    for (let i = 1; i + confirmations < chain.length; i++) {
+      const buried = chain[i + confirmations];
+      times.push(buried.receivedAt.get(this.observer.index) - chain[i].minedAt);
+    }
+    return times;
+  }
+
+  summary() {
+    const chain = this.mainChain();
+    const mainChainIds = new Set(chain.map(block => block.id));
+    const mined = [...this.blocks.values()].filter(block => block.height > 0);
+    const orphaned = mined.filter(block => !mainChainIds.has(block.id));
+    const contestedHeights = new Set(orphaned.map(block => block.height));
+
+    const intervals = [];
+    for (let i = 2; i < chain.length; i++) {
+      intervals.push(chain[i].minedAt - chain[i - 1].minedAt);
+    }
+
+    const requiredConfirmations = this.measureRequiredConfirmations(chain.length - 1);
+    const finalityTimes = this.measureFinalityTimes(chain, requiredConfirmations);
+    const depthCounts = {};
+    for (const event of this.reorgEvents) {
+      depthCounts[event.depth] = (depthCounts[event.depth] || 0) + 1;
+    }
+
+    return {
+      seed: this.random.seed,
+      targetBlockTime: this.targetBlockTime,
+      retargetInterval: this.retargetInterval,
+      propagation: {
+        baseDelay: this.propagationBaseDelay,
+        jitterMean: this.propagationJitterMean
+      },
+      simulatedTime: this.clock.now - this.genesis.minedAt,
+      blocksMined: mined.length,
+      mainChainLength: chain.length - 1,
+      orphanedBlocks: orphaned.length,
+      orphanRate: mined.length > 0 ? orphaned.length / mined.length : 0,
+      forks: contestedHeights.size,
+      averageBlockTime: average(intervals),
+      blockTimeStdDev: stdDev(intervals),
+      difficulty: {
+        initial: this.genesis.difficulty,
+        current: this.observer.tip.difficulty,
+        retargets: this.retargets.filter(retarget => mainChainIds.has(retarget.blockId))
+      },
+      reorgs: {
+        total: this.reorgEvents.length,
+        maxDepth: this.reorgEvents.reduce((max, event) => Math.max(max, event.depth), 0),
+        depthCounts
+      },
+      finality: {
+        type: "probabilistic",
+        risk: this.finalityRisk,
+        requiredConfirmations,
+        samples: finalityTimes.length,
+        averageTimeToFinality: average(finalityTimes),
+        p95TimeToFinality: percentile(finalityTimes, 0.95)
+      },
+      miners: this.miners.map(miner => ({
+        miner: miner.label,
+        hashShare: miner.hashShare,
+        blocksMined: miner.blocksMined,
+        mainChainBlocks: chain.filter(block => block.miner === miner.index).length,
+        orphanedBlocks: orphaned.filter(block => block.miner === miner.index).length,
+        reorgs: miner.reorgs
+      }))
+    };
+  }
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function stdDev(values) {
+  if (values.length === 0) return 0;
+  const mean = average(values);
+  return Math.sqrt(average(values.map(value => (value - mean) ** 2)));
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Run a stand-alone mining simulation and return its summary, used where only
+ * chain statistics are needed (e.g. finality analysis without a runner log).
+ * Synchronous: steps the model's own clock until the chain reaches `blocks`.
+ */
+function measurePoWFinality(options = {}, blocks = 500) {
+  const model = new PoWMiningModel(options);
+  model.start();
+  while (model.observer.tip.height < blocks && model.clock.step()) {
+    // Each step is a block found or a block delivered
+  }
+  model.stop();
+  model.clock.runUntilIdle();
+  return model.summary();
+}
+
+module.exports = {
+  PoWMiningModel,
+  measurePoWFinality,
+  TARGET_BLOCK_TIME,
+  RETARGET_INTERVAL,
+  DEFAULT_HASH_SHARES
+};
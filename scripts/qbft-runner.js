@@ -0,0 +1,1372 @@
+/**
+ * QBFT Consensus Runner
+ * Model of QBFT / IBFT 2.0 as run by enterprise Ethereum clients (Besu, Quorum)
+ *
+ * Each height waits for the block-period timer, then runs rounds of:
+ * 1. PROPOSAL: the round's proposer broadcasts a block
+ * 2. PREPARE: validators accept the proposal and broadcast a prepare
+ * 3. COMMIT: after a quorum of prepares, validators broadcast a commit seal
+ * A block is final once a quorum (ceil(2n/3)) of commit seals is collected.
+ *
+ * When a round timer expires (doubling each round) validators send ROUND-CHANGE
+ * carrying their prepared certificate. The next proposer needs a quorum of
+ * round changes (the round-change certificate) and must re-propose the block
+ * with the highest prepared certificate, so proposals after round 0 are justified.
+ *
+ * Validators are added and removed by votes in block headers, tallied with
+ * the same AuthoritySet the Clique runner uses. Byzantine validators follow the
+ * PBFT runner's fault model (crash, malicious, delayed) so results line up with
+ * the PBFT runs; honest validators vote out peers they catch misbehaving.
+ */
+
+const { ethers } = require("hardhat");
+const { parseEther } = ethers;
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+const { networkFromEnv } = require("./network-model");
+const { AuthoritySet } = require("./clique-poa-runner");
+
+// Constants for simulation
+const NUM_VALIDATORS = 4; // Genesis validators, 3f+1 where f=1
+const CANDIDATE_VALIDATORS = 1; // Accounts the validators vote in during the run
+const BLOCK_PERIOD = 1000; // Minimum time between blocks (blockperiodseconds)
+
+// Message delivery times, aligned with the PBFT phase timings
+const PROPOSAL_TIME = 200; // ms
+const PREPARE_TIME = 300; // ms
+const COMMIT_TIME = 300; // ms
+const ROUND_CHANGE_TIME = 300; // ms
+
+// Round timer: ROUND_TIMEOUT * 2^round (requesttimeoutseconds with exponential backoff)
+const ROUND_TIMEOUT = 2000; // ms
+const MAX_ROUNDS = 6; // Rounds per height before liveness is reported lost
+
+// Misbehaviour an honest validator tolerates before voting the peer out
+const SUSPICION_THRESHOLD = 2;
+
+// Byzantine behavior constants (same model as the PBFT runner)
+const BYZANTINE_VALIDATOR_COUNT = 1;
+const BYZANTINE_FAILURE_TYPES = [
+  'crash', // Validator stops responding
+  'malicious', // Validator sends conflicting messages
+  'delayed' // Validator responds with excessive delay
+];
+const BYZANTINE_FAILURE_PROBABILITY = 0.3; // Chance of Byzantine behavior per validator per message
+
+// Protocol message types (also used as the phase names in the measurements)
+const MESSAGE_TYPES = {
+  PROPOSAL: "proposal",
+  PREPARE: "prepare",
+  COMMIT: "commit",
+  ROUND_CHANGE: "round-change"
+};
+
+const MESSAGE_SIZES = {
+  [MESSAGE_TYPES.PROPOSAL]: 1024, // block plus round-change justification
+  [MESSAGE_TYPES.PREPARE]: 512,
+  [MESSAGE_TYPES.COMMIT]: 512, // carries the commit seal
+  [MESSAGE_TYPES.ROUND_CHANGE]: 1024 // carries the prepared certificate
+};
+
+// Seeded randomness (SIM_SEED / --seed) so runs can be replayed exactly
+const rng = createRandom();
+const resourceNoise = rng.fork("resource-usage");
+
+// Simulated clock - message delivery and timers are modelled on it
+const clock = new EventScheduler(Date.now());
+
+// Log file setup
+const LOG_FILE = path.join(__dirname, "../logs/qbft-measurements.json");
+const LOG_DIR = path.dirname(LOG_FILE);
+
+if (!fs.existsSync(LOG_DIR)) {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+}
+
+// Measurement data structure (same shape as the PBFT measurements)
+const measurements = {
+  consensusMechanism: "QBFT",
+  seed: rng.seed,
+  timeModel: "virtual-clock",
+  transactions: [],
+  blocks: [],
+  finalityTimes: [],
+  gasUsage: [],
+  resourceUsage: [],
+  networkMessages: [],
+  viewChanges: [], // round changes within a height
+  byzantineEvents: [],
+  consensusPhases: [],
+  quorumCertificates: [],
+  rejectedMessages: [],
+  safetyViolations: [],
+  livenessFailures: [],
+  validatorVotes: [],
+  validatorSetChanges: [],
+  crashEvents: [], // Scheduled crashes (fault-schedule.js)
+  startTime: null,
+  endTime: null
+};
+
+/**
+ * Digest of a proposed block
+ */
+function computeDigest(block) {
+  const vote = block.vote ? `${block.vote.address}:${block.vote.authorize}` : "";
+  return "0x" + crypto.createHash("sha256")
+    .update(`${block.txHash}:${block.height}:${block.proposer}:${block.round}:${vote}:${block.variant || ""}`)
+    .digest("hex");
+}
+
+/**
+ * QBFT validator state (fault injection as in PBFTValidator)
+ */
+class QBFTValidator {
+  constructor(account, index, isByzantine = false, random = rng, scheduler = clock, failureProbability = BYZANTINE_FAILURE_PROBABILITY, failureTypes = BYZANTINE_FAILURE_TYPES) {
+    this.account = account;
+    this.clock = scheduler;
+    this.address = account.address;
+    this.index = index;
+    this.rng = random;
+    this.isByzantine = isByzantine;
+    this.byzantineType = isByzantine ? this.rng.pick(failureTypes) : null;
+    this.failureProbability = failureProbability;
+    this.proposalsSent = 0;
+    this.preparesSent = 0;
+    this.commitsSent = 0;
+    this.roundChangesSent = 0;
+    this.messagesReceived = 0;
+    this.blocksProposed = 0;
+    this.failures = 0;
+    this.online = true; // False while down from a scheduled crash
+    this.rejoinedHeight = null; // Height it rejoined part-way through; it syncs that block
+    this.lastActive = this.clock.now;
+
+    // Header votes this validator will put in blocks it proposes
+    this.pendingVotes = new Map(); // address -> authorize
+    this.suspicions = new Map(); // address -> misbehaviour count
+
+    this.resetHeight(0);
+  }
+
+  /**
+   * Fresh per-height state
+   */
+  resetHeight(height) {
+    this.height = height;
+    this.round = 0;
+    this.preparedRound = -1;
+    this.preparedBlock = null;
+    this.preparedCert = null;
+    this.decision = null;
+    this.rounds = new Map();
+    this.roundChanges = new Map(); // round -> Map(sender -> ROUND-CHANGE)
+    this.timer = null;
+  }
+
+  getRoundLog(round) {
+    if (!this.rounds.has(round)) {
+      this.rounds.set(round, {
+        proposal: null,
+        prepares: new Map(), // sender -> digest
+        commits: new Map(),
+        sentPrepare: false,
+        sentCommit: false
+      });
+    }
+    return this.rounds.get(round);
+  }
+
+  /**
+   * Check if validator should exhibit Byzantine behavior for this message
+   */
+  exhibitsByzantineFailure() {
+    if (!this.isByzantine) return false;
+
+    if (this.rng.chance(this.failureProbability)) {
+      this.failures++;
+      return this.byzantineType;
+    }
+    return false;
+  }
+}
+
+/**
+ * QBFT consensus state manager
+ */
+class QBFTConsensus {
+  constructor(validatorAccounts, candidateAccounts = [], random = rng, scheduler = clock, options = {}) {
+    this.rng = random;
+    this.clock = scheduler;
+    this.network = options.network || null; // NetworkModel; without one every message takes its phase time
+    this.byzantineCount = Math.min(options.byzantineCount ?? BYZANTINE_VALIDATOR_COUNT, validatorAccounts.length);
+    this.failureProbability = options.failureProbability ?? BYZANTINE_FAILURE_PROBABILITY;
+    this.failureTypes = options.byzantineTypes || BYZANTINE_FAILURE_TYPES; // Faults Byzantine validators pick from
+    this.validators = this.setupValidators(validatorAccounts, candidateAccounts);
+    this.byAddress = new Map(this.validators.map(v => [v.address, v]));
+    this.authorities = new AuthoritySet(validatorAccounts.map(a => a.address));
+
+    // The regulator asks the genesis validators to admit the candidates
+    candidateAccounts.forEach(candidate => {
+      this.validators.slice(0, validatorAccounts.length).forEach(v => v.pendingVotes.set(candidate.address, true));
+    });
+
+    this.blockHeight = 0;
+    this.currentRound = 0;
+    this.lastBlockTimestamp = null;
+    this.heightState = null;
+
+    this.recordConsensusState("initialization");
+  }
+
+  /**
+   * Set up validators including Byzantine ones (only among the genesis set)
+   */
+  setupValidators(accounts, candidates) {
+    const byzantineIndices = new Set();
+    while (byzantineIndices.size < this.byzantineCount) {
+      byzantineIndices.add(this.rng.nextInt(accounts.length));
+    }
+
+    return [...accounts, ...candidates].map((account, index) => new QBFTValidator(
+      account,
+      index,
+      byzantineIndices.has(index),
+      this.rng.fork(`validator-${index}`),
+      this.clock,
+      this.failureProbability,
+      this.failureTypes
+    ));
+  }
+
+  /**
+   * Validators in the current snapshot, in address order
+   */
+  activeValidators() {
+    return this.authorities.signers.map(address => this.byAddress.get(address));
+  }
+
+  quorum(count = this.heightState.active.length) {
+    return Math.ceil((2 * count) / 3);
+  }
+
+  faultTolerance(count = this.heightState.active.length) {
+    return Math.floor((count - 1) / 3);
+  }
+
+  /**
+   * Round-robin proposer, offset by height and round
+   */
+  proposerFor(round) {
+    const active = this.heightState.active;
+    return active[(this.heightState.height + round) % active.length];
+  }
+
+  /**
+   * Run QBFT for one height carrying the transaction
+   */
+  async runConsensus(txHash) {
+    this.blockHeight++;
+    const height = this.blockHeight;
+    const submittedAt = this.clock.now;
+    const active = this.activeValidators();
+
+    // Block-period timer: no proposal before parent timestamp + BLOCK_PERIOD
+    const proposeAt = this.lastBlockTimestamp === null ? submittedAt :
+      Math.max(submittedAt, this.lastBlockTimestamp + BLOCK_PERIOD);
+
+    this.heightState = {
+      height,
+      request: { txHash, height },
+      active,
+      submittedAt,
+      proposeAt,
+      roundStats: new Map(),
+      decisions: new Map(),
+      firstDecision: null,
+      commitRound: null,
+      proposedRounds: new Set()
+    };
+    this.currentRound = 0;
+
+    console.log(`\n--- QBFT Height ${height} (${active.length} validators, quorum ${this.quorum()}) ---`);
+    console.log(`Proposer for round 0: ${this.proposerFor(0).address.substring(0, 10)}...`);
+
+    active.forEach(v => v.resetHeight(height));
+    this.clock.scheduleAt(proposeAt, () => active.filter(v => v.online).forEach(v => this.startRound(v, 0)), `block-period@${height}`);
+    if (proposeAt > submittedAt) {
+      measurements.consensusPhases.push({
+        timestamp: proposeAt,
+        blockHeight: height,
+        view: 0,
+        phase: "block-period",
+        duration: proposeAt - submittedAt,
+        messageCount: 0,
+        participantCount: active.length,
+        byzantineCount: 0
+      });
+    }
+
+    const honest = active.filter(v => !v.isByzantine);
+    const decided = await this.clock.advanceUntil(() => honest.every(v => v.decision !== null || this.catchesUpLater(v)),
+      proposeAt + this.heightDeadline());
+
+    active.forEach(v => {
+      if (v.timer !== null) this.clock.cancel(v.timer);
+      v.timer = null;
+    });
+
+    const state = this.heightState;
+    const success = state.firstDecision !== null;
+    const block = success ? state.firstDecision.block : null;
+    const result = {
+      success,
+      height,
+      round: state.commitRound,
+      proposer: success ? this.validators[block.proposer].address : null,
+      digest: success ? block.digest : null,
+      totalTime: success ? state.firstDecision.time - submittedAt : null,
+      blockPeriodWait: proposeAt - submittedAt,
+      allDecided: decided,
+      rounds: Math.max(...active.map(v => v.round)) + 1
+    };
+
+    if (success) {
+      console.log(`✅ Height ${height} finalized in round ${result.round} after ${result.totalTime}ms`);
+      this.lastBlockTimestamp = state.firstDecision.time;
+      this.applyHeaderVote(block);
+    } else {
+      console.log(`❌ Liveness lost at height ${height}: no block after ${result.rounds} rounds`);
+      measurements.livenessFailures.push({
+        timestamp: this.clock.now,
+        blockHeight: height,
+        rounds: result.rounds,
+        reason: this.describeRoundFailure()
+      });
+    }
+
+    this.checkSafety(height);
+    this.recordRoundMessages();
+    this.recordBlock(result, block);
+    this.recordConsensusState("height-complete", result);
+    recordQBFTResourceUsage(height, measurements.byzantineEvents.filter(e => e.blockHeight === height).length, "all");
+
+    return result;
+  }
+
+  heightDeadline() {
+    let total = 0;
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+      total += ROUND_TIMEOUT * Math.pow(2, round) + ROUND_CHANGE_TIME;
+    }
+    return total;
+  }
+
+  getRoundStats(round) {
+    const stats = this.heightState.roundStats;
+    if (!stats.has(round)) {
+      stats.set(round, {
+        startedAt: this.clock.now,
+        proposalAt: null,
+        preparedAt: null,
+        committedAt: null,
+        messages: Object.fromEntries(Object.values(MESSAGE_TYPES).map(type => [type, { count: 0, bytes: 0 }])),
+        byzantine: 0
+      });
+    }
+    return stats.get(round);
+  }
+
+  /**
+   * Enter a round: arm its timer and, as round 0 proposer, propose a new block
+   */
+  startRound(validator, round) {
+    validator.round = round;
+    if (validator.timer !== null) this.clock.cancel(validator.timer);
+    validator.timer = null;
+    if (round >= MAX_ROUNDS) return;
+
+    this.getRoundStats(round);
+    if (round > this.currentRound) this.currentRound = round;
+
+    const duration = ROUND_TIMEOUT * Math.pow(2, round);
+    validator.timer = this.clock.schedule(duration, () => {
+      validator.timer = null;
+      this.onRoundTimeout(validator, round, duration);
+    }, `round-timer:${validator.index}@${validator.height}/${round}`);
+
+    if (round === 0 && this.proposerFor(0) === validator) {
+      this.propose(validator, 0, this.createBlock(validator, 0), null);
+    } else if (round > 0) {
+      this.tryJustifiedProposal(validator, round);
+    }
+    this.evaluate(validator);
+  }
+
+  /**
+   * New block carrying the pending transaction and, if any, one header vote
+   */
+  createBlock(proposer, round) {
+    let vote = null;
+    for (const [address, authorize] of proposer.pendingVotes) {
+      if (this.authorities.validVote(address, authorize)) {
+        vote = { address, authorize };
+        break;
+      }
+    }
+    const block = {
+      txHash: this.heightState.request.txHash,
+      height: this.heightState.height,
+      proposer: proposer.index,
+      round,
+      vote
+    };
+    block.digest = computeDigest(block);
+    return block;
+  }
+
+  propose(proposer, round, block, justification) {
+    if (this.heightState.proposedRounds.has(round)) return;
+    this.heightState.proposedRounds.add(round);
+    proposer.proposalsSent++;
+    proposer.blocksProposed++;
+    this.broadcast(proposer, {
+      type: MESSAGE_TYPES.PROPOSAL,
+      height: proposer.height,
+      round,
+      sender: proposer.index,
+      block,
+      digest: block.digest,
+      justification
+    }, PROPOSAL_TIME);
+  }
+
+  /**
+   * Proposer of `round` with a round-change certificate re-proposes the block
+   * with the highest prepared certificate, or a new block if none was prepared
+   */
+  tryJustifiedProposal(validator, round) {
+    if (this.proposerFor(round) !== validator || validator.round !== round || validator.decision) return;
+    const received = validator.roundChanges.get(round);
+    if (!received || received.size < this.quorum()) return;
+
+    const roundChanges = [...received.values()];
+    const highest = this.highestPrepared(roundChanges);
+    const block = highest ? highest.preparedBlock : this.createBlock(validator, round);
+
+    measurements.quorumCertificates.push({
+      timestamp: this.clock.now,
+      type: "round-change",
+      blockHeight: validator.height,
+      view: round,
+      digest: block.digest,
+      validatorIndex: validator.index,
+      signers: roundChanges.map(rc => rc.sender),
+      reproposed: Boolean(highest)
+    });
+    this.propose(validator, round, block, {
+      roundChanges,
+      prepared: highest ? { round: highest.preparedRound, digest: highest.preparedBlock.digest, cert: highest.preparedCert } : null
+    });
+  }
+
+  highestPrepared(roundChanges) {
+    return roundChanges
+      .filter(rc => rc.preparedRound >= 0 && rc.preparedBlock)
+      .reduce((best, rc) => (!best || rc.preparedRound > best.preparedRound ? rc : best), null);
+  }
+
+  /**
+   * A round-0 proposal needs no justification; later rounds need a quorum of
+   * round changes, and must carry the block with the highest prepared certificate
+   */
+  isJustified(message) {
+    if (message.round === 0) return true;
+    const justification = message.justification;
+    if (!justification) return false;
+
+    const senders = new Set(justification.roundChanges
+      .filter(rc => rc.round === message.round && this.heightState.active.some(v => v.index === rc.sender))
+      .map(rc => rc.sender));
+    if (senders.size < this.quorum()) return false;
+
+    const highest = this.highestPrepared(justification.roundChanges);
+    if (!highest) return true;
+    return message.digest === highest.preparedBlock.digest && highest.preparedCert.length >= this.quorum();
+  }
+
+  isValidBlock(block) {
+    const request = this.heightState.request;
+    return block !== null && block.txHash === request.txHash && block.height === request.height &&
+      block.digest === computeDigest(block);
+  }
+
+  /**
+   * Deliver a message to every active validator (the sender gets its own copy
+   * at once); crashed validators neither send nor receive
+   */
+  broadcast(sender, message, delay) {
+    if (!sender.online) return;
+    const stats = this.getRoundStats(message.round);
+    const behaviour = this.applyByzantineBehaviour(sender, message.type, message.round, stats);
+    if (behaviour.silent) return;
+
+    const recipients = this.heightState.active;
+    const transits = this.network
+      ? this.network.broadcast(sender.index, recipients.map(r => r.index), MESSAGE_SIZES[message.type])
+      : null;
+    recipients.forEach((recipient, i) => {
+      let delivered = message;
+      if (behaviour.equivocate && recipient !== sender && sender.rng.chance(0.5)) {
+        delivered = this.equivocate(sender, message);
+      }
+
+      if (recipient !== sender) {
+        stats.messages[message.type].count++;
+        stats.messages[message.type].bytes += MESSAGE_SIZES[message.type];
+      }
+
+      const transit = transits ? transits[i] : delay;
+      if (transit === null) return; // Dropped by a network partition
+      const arrival = recipient === sender ? 0 : transit + behaviour.extraDelay;
+      this.clock.schedule(arrival, () => this.handleMessage(recipient, delivered),
+        `${message.type}:${sender.index}->${recipient.index}@${message.height}/${message.round}`);
+    });
+  }
+
+  /**
+   * Malicious variant: another block, a forged digest, or a round change hiding its prepared certificate
+   */
+  equivocate(sender, message) {
+    if (message.type === MESSAGE_TYPES.PROPOSAL) {
+      const block = { ...message.block, variant: `equivocation-${sender.index}` };
+      block.digest = computeDigest(block);
+      return { ...message, block, digest: block.digest };
+    }
+    if (message.type === MESSAGE_TYPES.ROUND_CHANGE) {
+      return { ...message, preparedRound: -1, preparedBlock: null, preparedCert: null };
+    }
+    const forged = "0x" + crypto.createHash("sha256").update(`${message.digest}:forged:${sender.index}`).digest("hex");
+    return { ...message, digest: forged };
+  }
+
+  /**
+   * Decide whether a validator misbehaves while sending this message
+   */
+  applyByzantineBehaviour(validator, phase, round, stats) {
+    const behaviour = { silent: false, equivocate: false, extraDelay: 0 };
+    const byzantineFailure = validator.exhibitsByzantineFailure();
+    if (!byzantineFailure) return behaviour;
+
+    measurements.byzantineEvents.push({
+      timestamp: this.clock.now,
+      validator: validator.address,
+      validatorIndex: validator.index,
+      blockHeight: this.blockHeight,
+      view: round,
+      phase,
+      failureType: byzantineFailure
+    });
+    stats.byzantine++;
+
+    if (byzantineFailure === 'crash') {
+      behaviour.silent = true;
+    } else if (byzantineFailure === 'malicious') {
+      behaviour.equivocate = true;
+    } else if (byzantineFailure === 'delayed') {
+      behaviour.extraDelay = ROUND_TIMEOUT / 2;
+    }
+    return behaviour;
+  }
+
+  handleMessage(validator, message) {
+    if (!validator.online || message.height !== validator.height || validator.decision) return;
+    validator.messagesReceived++;
+    validator.lastActive = this.clock.now;
+
+    if (message.type === MESSAGE_TYPES.ROUND_CHANGE) {
+      this.onRoundChange(validator, message);
+      return;
+    }
+
+    const log = validator.getRoundLog(message.round);
+    if (message.type === MESSAGE_TYPES.PROPOSAL) {
+      if (message.sender !== this.proposerFor(message.round).index) {
+        this.reject(validator, message, "not the round's proposer");
+        return;
+      }
+      if (log.proposal) {
+        if (log.proposal.digest !== message.digest) {
+          this.reject(validator, message, "conflicting proposal", log.proposal.digest);
+        }
+        return;
+      }
+      if (!this.isValidBlock(message.block) || !this.isJustified(message)) {
+        this.reject(validator, message, "unjustified or invalid proposal");
+        return;
+      }
+      log.proposal = message;
+      const stats = this.getRoundStats(message.round);
+      if (stats.proposalAt === null) stats.proposalAt = this.clock.now;
+
+      // A justified proposal for a later round moves the validator there
+      if (message.round > validator.round) this.startRound(validator, message.round);
+    } else {
+      const votes = message.type === MESSAGE_TYPES.PREPARE ? log.prepares : log.commits;
+      if (votes.has(message.sender)) {
+        if (votes.get(message.sender) !== message.digest) {
+          this.reject(validator, message, `conflicting ${message.type}`, votes.get(message.sender));
+        }
+        return;
+      }
+      if (log.proposal && log.proposal.digest !== message.digest) {
+        this.reject(validator, message, "digest mismatch", log.proposal.digest);
+      }
+      votes.set(message.sender, message.digest);
+    }
+
+    this.evaluate(validator);
+  }
+
+  /**
+   * PREPARE on a proposal, COMMIT on a quorum of prepares, finalize on a quorum of commit seals
+   */
+  evaluate(validator) {
+    if (validator.decision) return;
+    const quorum = this.quorum();
+
+    // Commit seals from any round finalize the block
+    for (const [round, log] of validator.rounds) {
+      if (log.proposal && this.countFor(log.commits, log.proposal.digest) >= quorum) {
+        this.finalize(validator, log.proposal, round);
+        return;
+      }
+    }
+
+    const round = validator.round;
+    const log = validator.getRoundLog(round);
+    const proposal = log.proposal;
+    if (!proposal) return;
+
+    if (!log.sentPrepare) {
+      log.sentPrepare = true;
+      validator.preparesSent++;
+      this.broadcast(validator, {
+        type: MESSAGE_TYPES.PREPARE, height: validator.height, round, sender: validator.index, digest: proposal.digest
+      }, PREPARE_TIME);
+    }
+
+    if (!log.sentCommit && this.countFor(log.prepares, proposal.digest) >= quorum) {
+      log.sentCommit = true;
+      validator.preparedRound = round;
+      validator.preparedBlock = proposal.block;
+      validator.preparedCert = [...log.prepares].filter(([, digest]) => digest === proposal.digest).map(([sender]) => sender);
+
+      const stats = this.getRoundStats(round);
+      if (stats.preparedAt === null) {
+        stats.preparedAt = this.clock.now;
+        measurements.quorumCertificates.push({
+          timestamp: this.clock.now,
+          type: "prepared",
+          blockHeight: validator.height,
+          view: round,
+          digest: proposal.digest,
+          validatorIndex: validator.index,
+          signers: validator.preparedCert
+        });
+      }
+
+      validator.commitsSent++;
+      this.broadcast(validator, {
+        type: MESSAGE_TYPES.COMMIT, height: validator.height, round, sender: validator.index, digest: proposal.digest
+      }, COMMIT_TIME);
+    }
+  }
+
+  /**
+   * Whether, once the height is committed, the validator is down, rejoined
+   * part-way through, or is separated from the first committer by a partition;
+   * it syncs the block once it can instead of holding up the height
+   */
+  catchesUpLater(validator) {
+    const decision = this.heightState.firstDecision;
+    if (!decision) return false;
+    if (!validator.online || validator.rejoinedHeight === this.heightState.height) return true;
+    return Boolean(this.network && this.network.isCut(validator.index, decision.validator));
+  }
+
+  /**
+   * Scheduled crash (fault-schedule.js): the validator neither sends nor
+   * receives for `downtime` ms. Rejoining part-way through a height it enters
+   * the round the others are in, unless the height is already committed.
+   */
+  crashValidator(index, downtime) {
+    const validator = this.validators[index];
+    if (!validator.online) return;
+    validator.online = false;
+    if (validator.timer !== null) this.clock.cancel(validator.timer);
+    validator.timer = null;
+    console.log(`💥 Validator ${validator.address.substring(0, 10)}... crashed for ${downtime}ms`);
+    measurements.crashEvents.push({
+      timestamp: this.clock.now,
+      validatorIndex: index,
+      blockHeight: this.blockHeight,
+      round: validator.round,
+      downtime
+    });
+
+    this.clock.schedule(downtime, () => {
+      validator.online = true;
+      const state = this.heightState;
+      console.log(`🔁 Validator ${validator.address.substring(0, 10)}... rejoined at height ${this.blockHeight}`);
+      if (!state || validator.height !== state.height || validator.decision || !state.active.includes(validator) ||
+          this.clock.now < state.proposeAt) return;
+      validator.rejoinedHeight = state.height;
+      if (!state.firstDecision) this.startRound(validator, this.currentRound);
+    }, `recover:${index}`);
+  }
+
+  /**
+   * Handlers for fault-schedule.js events (only crashes; scheduled strategies need PBFT or PoA Square)
+   */
+  faultHandlers() {
+    return { crash: (index, downtime) => this.crashValidator(index, downtime) };
+  }
+
+  countFor(votes, digest) {
+    let count = 0;
+    for (const voted of votes.values()) {
+      if (voted === digest) count++;
+    }
+    return count;
+  }
+
+  finalize(validator, proposal, round) {
+    validator.decision = proposal.block;
+    if (validator.timer !== null) this.clock.cancel(validator.timer);
+    validator.timer = null;
+
+    const state = this.heightState;
+    state.decisions.set(validator.index, proposal.digest);
+    if (state.firstDecision) return;
+
+    const seals = [...validator.rounds.get(round).commits]
+      .filter(([, digest]) => digest === proposal.digest)
+      .map(([sender]) => sender);
+    state.firstDecision = { block: proposal.block, time: this.clock.now, seals, validator: validator.index };
+    state.commitRound = round;
+    this.getRoundStats(round).committedAt = this.clock.now;
+    measurements.quorumCertificates.push({
+      timestamp: this.clock.now,
+      type: "commit",
+      blockHeight: state.height,
+      view: round,
+      digest: proposal.digest,
+      validatorIndex: validator.index,
+      signers: seals
+    });
+  }
+
+  /**
+   * Round timer expired: move to the next round and broadcast a round change
+   */
+  onRoundTimeout(validator, round, duration) {
+    if (validator.round !== round || validator.decision) return;
+
+    const log = validator.getRoundLog(round);
+    if (!log.proposal) {
+      this.suspect(validator, this.proposerFor(round), "no proposal before the round timer expired");
+    }
+    if (!this.heightState.roundStats.get(round + 1)) {
+      this.recordRoundChange(round, round + 1, "round-timeout", validator, duration);
+    }
+    this.changeRound(validator, round + 1);
+  }
+
+  changeRound(validator, round) {
+    validator.roundChangesSent++;
+    this.broadcast(validator, {
+      type: MESSAGE_TYPES.ROUND_CHANGE,
+      height: validator.height,
+      round,
+      sender: validator.index,
+      preparedRound: validator.preparedRound,
+      preparedBlock: validator.preparedBlock,
+      preparedCert: validator.preparedCert
+    }, ROUND_CHANGE_TIME);
+    this.startRound(validator, round);
+  }
+
+  /**
+   * Collect round changes: f+1 for later rounds pull the validator forward,
+   * a quorum lets the new round's proposer make a justified proposal
+   */
+  onRoundChange(validator, message) {
+    if (!validator.roundChanges.has(message.round)) validator.roundChanges.set(message.round, new Map());
+    validator.roundChanges.get(message.round).set(message.sender, message);
+
+    const ahead = new Map(); // sender -> lowest round above ours
+    for (const [round, received] of validator.roundChanges) {
+      if (round <= validator.round) continue;
+      for (const sender of received.keys()) {
+        ahead.set(sender, Math.min(round, ahead.has(sender) ? ahead.get(sender) : Infinity));
+      }
+    }
+    if (ahead.size >= this.faultTolerance() + 1) {
+      const target = Math.min(...ahead.values());
+      if (!this.heightState.roundStats.get(target)) {
+        this.recordRoundChange(validator.round, target, "f+1 round changes", validator, 0);
+      }
+      this.changeRound(validator, target);
+      return;
+    }
+
+    if (message.round === validator.round) this.tryJustifiedProposal(validator, message.round);
+  }
+
+  /**
+   * Track misbehaviour; past the threshold an honest validator votes the peer out
+   */
+  suspect(validator, peer, reason) {
+    if (validator.isByzantine || peer === validator) return;
+    const count = (validator.suspicions.get(peer.address) || 0) + 1;
+    validator.suspicions.set(peer.address, count);
+    if (count === SUSPICION_THRESHOLD && this.authorities.isAuthorized(peer.address)) {
+      console.log(`⚠️ Validator ${validator.index} will vote to remove ${peer.address.substring(0, 10)}... (${reason})`);
+      validator.pendingVotes.set(peer.address, false);
+    }
+  }
+
+  reject(validator, message, reason, acceptedDigest = null) {
+    measurements.rejectedMessages.push({
+      timestamp: this.clock.now,
+      validatorIndex: validator.index,
+      type: message.type,
+      blockHeight: message.height,
+      view: message.round,
+      sender: message.sender,
+      digest: message.digest,
+      acceptedDigest,
+      reason
+    });
+    this.suspect(validator, this.validators[message.sender], reason);
+  }
+
+  /**
+   * Tally the finalized block's header vote; a passed vote changes the validator set from the next height
+   */
+  applyHeaderVote(block) {
+    const proposer = this.validators[block.proposer];
+    if (block.vote) {
+      measurements.validatorVotes.push({
+        timestamp: this.clock.now,
+        blockHeight: block.height,
+        voter: proposer.address,
+        candidate: block.vote.address,
+        authorize: block.vote.authorize
+      });
+    }
+
+    const change = this.authorities.apply({ number: block.height, sealer: proposer.address, vote: block.vote });
+    if (!change) return;
+
+    console.log(`🗳️ Validator ${change.authorize ? "added" : "removed"}: ${change.address.substring(0, 10)}... (${change.votes} votes, ${change.signers} validators)`);
+    measurements.validatorSetChanges.push({
+      timestamp: this.clock.now,
+      blockHeight: block.height,
+      address: change.address,
+      action: change.authorize ? "add" : "remove",
+      votes: change.votes,
+      validatorCount: change.signers,
+      quorum: this.quorum(change.signers)
+    });
+    this.validators.forEach(v => v.pendingVotes.delete(change.address));
+  }
+
+  checkSafety(height) {
+    const digests = new Set(this.heightState.decisions.values());
+    if (digests.size > 1) {
+      console.log(`🚨 SAFETY VIOLATION at height ${height}: ${digests.size} different blocks finalized`);
+      measurements.safetyViolations.push({
+        timestamp: this.clock.now,
+        blockHeight: height,
+        decisions: Object.fromEntries(this.heightState.decisions)
+      });
+    }
+  }
+
+  describeRoundFailure() {
+    const round = Math.min(this.currentRound, MAX_ROUNDS - 1);
+    const stats = this.heightState.roundStats.get(round);
+    if (!stats || stats.proposalAt === null) return `no justified proposal in round ${round}`;
+    if (stats.preparedAt === null) return `no prepare quorum in round ${round}`;
+    return `no commit quorum in round ${round}`;
+  }
+
+  recordRoundChange(fromRound, toRound, reason, validator, duration) {
+    console.log(`🔄 Height ${this.heightState.height}: round ${fromRound} -> ${toRound} (${reason})`);
+    measurements.viewChanges.push({
+      timestamp: this.clock.now,
+      blockHeight: this.heightState.height,
+      oldView: fromRound,
+      newView: toRound,
+      reason,
+      initiator: validator.index,
+      newPrimary: this.proposerFor(toRound).address,
+      duration,
+      outcome: "installed"
+    });
+  }
+
+  /**
+   * Message counts and phase durations for every round of the height
+   */
+  recordRoundMessages() {
+    const height = this.heightState.height;
+    for (const [round, stats] of this.heightState.roundStats) {
+      for (const type of Object.values(MESSAGE_TYPES)) {
+        const { count } = stats.messages[type];
+        if (count === 0) continue;
+        measurements.networkMessages.push({
+          timestamp: this.clock.now,
+          blockHeight: height,
+          view: round,
+          phase: type,
+          messageCount: count,
+          messageSize: MESSAGE_SIZES[type],
+          totalBytes: count * MESSAGE_SIZES[type]
+        });
+      }
+
+      const phases = [
+        [MESSAGE_TYPES.PROPOSAL, stats.startedAt, stats.proposalAt],
+        [MESSAGE_TYPES.PREPARE, stats.proposalAt, stats.preparedAt],
+        [MESSAGE_TYPES.COMMIT, stats.preparedAt, stats.committedAt]
+      ];
+      for (const [phase, from, to] of phases) {
+        if (from === null || to === null) continue;
+        measurements.consensusPhases.push({
+          timestamp: to,
+          blockHeight: height,
+          view: round,
+          phase,
+          duration: to - from,
+          messageCount: stats.messages[phase].count,
+          participantCount: this.heightState.active.length,
+          byzantineCount: stats.byzantine
+        });
+      }
+    }
+  }
+
+  recordBlock(result, block) {
+    const stats = [...this.heightState.roundStats.values()];
+    measurements.blocks.push({
+      number: result.height,
+      view: result.round,
+      rounds: result.rounds,
+      digest: result.digest,
+      primary: result.proposer,
+      status: result.success ? "committed" : "failed",
+      committedBy: [...this.heightState.decisions.keys()],
+      commitSeals: result.success ? this.heightState.firstDecision.seals : [],
+      vote: block ? block.vote : null,
+      validatorCount: this.heightState.active.length,
+      finalityTime: result.totalTime,
+      blockPeriodWait: result.blockPeriodWait,
+      messageCount: stats.reduce((sum, s) => sum + Object.values(s.messages).reduce((n, m) => n + m.count, 0), 0),
+      rejectedMessages: measurements.rejectedMessages.filter(m => m.blockHeight === result.height).length,
+      timestamp: this.clock.now
+    });
+  }
+
+  recordConsensusState(eventType, result = null) {
+    const validatorStates = this.validators.map(v => ({
+      address: v.address,
+      index: v.index,
+      isByzantine: v.isByzantine,
+      byzantineType: v.byzantineType,
+      active: this.authorities.isAuthorized(v.address),
+      round: v.round,
+      preparedRound: v.preparedRound,
+      proposalsSent: v.proposalsSent,
+      preparesSent: v.preparesSent,
+      commitsSent: v.commitsSent,
+      roundChangesSent: v.roundChangesSent,
+      messagesReceived: v.messagesReceived,
+      failures: v.failures,
+      suspicions: Object.fromEntries(v.suspicions)
+    }));
+
+    if (!measurements.consensusState) {
+      measurements.consensusState = [];
+    }
+
+    measurements.consensusState.push({
+      timestamp: this.clock.now,
+      eventType,
+      blockHeight: this.blockHeight,
+      view: this.currentRound,
+      primary: this.heightState ? this.proposerFor(0).address : null,
+      f: Math.floor((this.authorities.signers.length - 1) / 3),
+      validators: this.authorities.signers.length,
+      validatorStates,
+      result
+    });
+  }
+}
+
+/**
+ * Simulates QBFT over the K-ETS workflow
+ */
+async function runQBFTConsensus() {
+  console.log("Starting QBFT consensus simulation with Byzantine fault tolerance...");
+  console.log(`Simulation seed: ${rng.seed} (replay with SIM_SEED=${rng.seed})`);
+  measurements.startTime = clock.now;
+  measurements.wallClockStart = Date.now();
+
+  // Deploy the contract
+  const KETSFactory = await ethers.getContractFactory("KETSBlockchain");
+  const ketsContract = await KETSFactory.deploy();
+  const contractAddress = await ketsContract.getAddress();
+  console.log(`Contract deployed at: ${contractAddress}`);
+
+  const [regulator, ...allAccounts] = await ethers.getSigners();
+  console.log(`Regulator: ${regulator.address}`);
+
+  const participants = NUM_VALIDATORS + CANDIDATE_VALIDATORS;
+  if (allAccounts.length < participants + 3) {
+    throw new Error(`Not enough accounts for QBFT. Need ${participants} validators and 3 industries`);
+  }
+  const validatorAccounts = allAccounts.slice(0, NUM_VALIDATORS);
+  const candidateAccounts = allAccounts.slice(NUM_VALIDATORS, participants);
+  const industries = allAccounts.slice(participants, participants + 3);
+
+  const network = networkFromEnv(clock, rng.fork("network"));
+  const qbft = new QBFTConsensus(validatorAccounts, candidateAccounts, rng, clock, { network });
+  if (network) console.log(`🌐 Network preset: ${network.preset} (${network.description})`);
+  console.log(`QBFT validators: ${validatorAccounts.length} (+${candidateAccounts.length} candidate to be voted in)`);
+  qbft.validators.filter(v => v.isByzantine).forEach(v => {
+    console.log(`- Byzantine: ${v.address.substring(0, 10)}... (${v.byzantineType})`);
+  });
+
+  measurements.qbftConfiguration = {
+    seed: rng.seed,
+    validators: validatorAccounts.length,
+    candidates: candidateAccounts.map(a => a.address),
+    byzantineValidators: BYZANTINE_VALIDATOR_COUNT,
+    byzantineTypes: BYZANTINE_FAILURE_TYPES,
+    failureProbability: BYZANTINE_FAILURE_PROBABILITY,
+    blockPeriod: BLOCK_PERIOD,
+    roundTimeout: { base: ROUND_TIMEOUT, backoff: "exponential" },
+    maxRounds: MAX_ROUNDS,
+    suspicionThreshold: SUSPICION_THRESHOLD,
+    phaseTiming: {
+      proposal: PROPOSAL_TIME,
+      prepare: PREPARE_TIME,
+      commit: COMMIT_TIME,
+      roundChange: ROUND_CHANGE_TIME
+    }
+  };
+
+  // Submit a transaction and run a QBFT height for it
+  async function executeWithQBFT(txPromise, txType) {
+    const tx = await txPromise;
+    const receipt = await tx.wait();
+
+    recordTransaction(receipt, txType);
+    console.log(`${txType}, Gas used: ${receipt.gasUsed.toString()}`);
+
+    const consensusResult = await qbft.runConsensus(tx.hash);
+    if (consensusResult.success) {
+      console.log(`Time to finality: ${consensusResult.totalTime}ms`);
+      measurements.finalityTimes.push({
+        txHash: tx.hash,
+        transactionType: txType,
+        finalityTime: consensusResult.totalTime,
+        rounds: consensusResult.round + 1,
+        timestamp: clock.now
+      });
+    }
+    return consensusResult;
+  }
+
+  // Register industries
+  console.log("Registering industries...");
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithQBFT(
+      ketsContract.connect(industries[i]).registerIndustry(`Industry-${i+1}`, i % 2 === 0),
+      "registerIndustry"
+    );
+  }
+
+  // Update GHG emissions
+  console.log("Updating GHG emissions...");
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithQBFT(
+      ketsContract.connect(industries[i]).updateGHGEmissions(
+        industries[i].address, 0,
+        5000 + i * 1000, 2000 + i * 500, 1000 + i * 200, 3000 + i * 300, 2000 + i * 250, 1000 + i * 100
+      ),
+      "updateGHGEmissions"
+    );
+  }
+
+  // Create auction
+  console.log("Creating auction...");
+  await executeWithQBFT(ketsContract.connect(regulator).createAuction(100, parseEther("0.01")), "createAuction");
+
+  // Place bids
+  console.log("Placing bids...");
+  for (let i = 0; i < industries.length; i++) {
+    try {
+      await executeWithQBFT(
+        ketsContract.connect(industries[i]).placeBid(10, { value: parseEther("0.02") }),
+        "placeBid"
+      );
+    } catch (error) {
+      console.error(`Error placing bid for Industry-${i+1}:`, error.message);
+    }
+  }
+
+  // Finalize the auction
+  console.log("Finalizing auction...");
+  try {
+    await executeWithQBFT(ketsContract.connect(regulator).finalizeAuction(), "finalizeAuction");
+  } catch (error) {
+    console.error("Error finalizing auction:", error.message);
+  }
+
+  // Deliver in-flight messages before closing the measurement
+  clock.runUntilIdle();
+  if (network) measurements.network = network.summary();
+
+  measurements.endTime = clock.now;
+  measurements.finalValidators = qbft.authorities.signers;
+  console.log("QBFT consensus simulation completed");
+
+  saveMeasurements();
+
+  const avgFinality = measurements.finalityTimes.length > 0 ?
+    measurements.finalityTimes.reduce((sum, item) => sum + item.finalityTime, 0) / measurements.finalityTimes.length : 0;
+
+  return {
+    consensusMechanism: "QBFT",
+    transactionsProcessed: measurements.transactions.length,
+    averageFinality: avgFinality,
+    totalDuration: measurements.endTime - measurements.startTime,
+    roundChanges: measurements.viewChanges.length,
+    byzantineEvents: measurements.byzantineEvents.length,
+    validatorSetChanges: measurements.validatorSetChanges.length
+  };
+}
+
+/**
+ * Simulated resource usage per height, scaled by Byzantine activity
+ */
+function recordQBFTResourceUsage(blockHeight, byzantineCount = 0, phase = 'all') {
+  const baseCpuUsage = 30; // percentage
+  const baseMemoryUsage = 250; // MB
+  const baseNetworkBandwidth = 800; // KB/s
+
+  const byzantineFactor = 1 + (byzantineCount * 0.2);
+  const phaseModifier = phase === 'transaction' ? 1.0 : 1.1;
+
+  const cpuUsage = baseCpuUsage * byzantineFactor * phaseModifier + (resourceNoise.next() * 10);
+  const memoryUsage = baseMemoryUsage * byzantineFactor * phaseModifier + (resourceNoise.next() * 30);
+  const networkBandwidth = baseNetworkBandwidth * byzantineFactor * phaseModifier + (resourceNoise.next() * 100);
+
+  measurements.resourceUsage.push({
+    blockHeight,
+    timestamp: clock.now,
+    byzantineCount,
+    byzantineFactor,
+    phase,
+    phaseModifier,
+    cpu: cpuUsage,
+    memory: memoryUsage,
+    network: networkBandwidth,
+    messageComplexity: "O(n²)"
+  });
+}
+
+/**
+ * Record transaction metrics
+ */
+function recordTransaction(receipt, txType) {
+  const gasUsed = receipt.gasUsed.toString();
+
+  measurements.transactions.push({
+    hash: receipt.hash || receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed,
+    effectiveGasPrice: receipt.effectiveGasPrice?.toString() || "0",
+    type: txType,
+    timestamp: clock.now,
+    consensusMechanism: "QBFT"
+  });
+
+  measurements.gasUsage.push({
+    txType,
+    gasUsed,
+    consensusMechanism: "QBFT",
+    timestamp: clock.now
+  });
+
+  recordQBFTResourceUsage(receipt.blockNumber || measurements.blocks.length + 1, 0, 'transaction');
+  return gasUsed;
+}
+
+/**
+ * Generate the measurement report (same sections as the PBFT report)
+ */
+function generateQBFTReport() {
+  const totalTransactions = measurements.transactions.length;
+  const finality = measurements.finalityTimes.map(item => item.finalityTime);
+  const avgFinalityTime = finality.length > 0 ? finality.reduce((a, b) => a + b, 0) / finality.length : 0;
+
+  const resource = measurements.resourceUsage.reduce((m, usage) => {
+    m.cpu += usage.cpu;
+    m.memory += usage.memory;
+    m.network += usage.network;
+    m.count++;
+    return m;
+  }, { cpu: 0, memory: 0, network: 0, count: 0 });
+  const avg = value => resource.count > 0 ? value / resource.count : 0;
+
+  const blocks = measurements.blocks;
+  const messagesPerBlock = blocks.length > 0 ? blocks.reduce((sum, b) => sum + b.messageCount, 0) / blocks.length : 0;
+  const bytesPerBlock = blocks.length > 0 ?
+    measurements.networkMessages.reduce((sum, m) => sum + m.totalBytes, 0) / blocks.length : 0;
+
+  const phaseAverage = phase => {
+    const entries = measurements.consensusPhases.filter(p => p.phase === phase);
+    return entries.length > 0 ? entries.reduce((sum, p) => sum + p.duration, 0) / entries.length : 0;
+  };
+
+  const validators = measurements.finalValidators ? measurements.finalValidators.length : NUM_VALIDATORS;
+
+  return {
+    consensusMechanism: "QBFT",
+    configuration: measurements.qbftConfiguration,
+    summary: {
+      totalTransactions,
+      successfulConsensusCount: finality.length,
+      consensusSuccessRate: totalTransactions > 0 ? (finality.length / totalTransactions) * 100 : 0,
+      byzantineEventCount: measurements.byzantineEvents.length,
+      viewChangeCount: measurements.viewChanges.length
+    },
+    performance: {
+      finalityTimes: {
+        average: avgFinalityTime,
+        min: finality.length > 0 ? Math.min(...finality) : 0,
+        max: finality.length > 0 ? Math.max(...finality) : 0,
+        guaranteedFinality: "Immediate once a quorum of commit seals is collected"
+      },
+      phaseBreakdown: {
+        blockPeriod: phaseAverage("block-period"),
+        proposal: phaseAverage(MESSAGE_TYPES.PROPOSAL),
+        prepare: phaseAverage(MESSAGE_TYPES.PREPARE),
+        commit: phaseAverage(MESSAGE_TYPES.COMMIT),
+        roundChange: measurements.viewChanges.length > 0 ?
+          measurements.viewChanges.reduce((sum, vc) => sum + vc.duration, 0) / measurements.viewChanges.length : 0
+      },
+      throughput: {
+        transactionsPerSecond: measurements.endTime && measurements.startTime ?
+          (totalTransactions / ((measurements.endTime - measurements.startTime) / 1000)) : 0,
+        potentialTps: avgFinalityTime > 0 ? 1000 / avgFinalityTime : 0
+      }
+    },
+    resourceUsage: {
+      averageCpu: avg(resource.cpu),
+      averageMemory: avg(resource.memory),
+      averageNetwork: avg(resource.network)
+    },
+    networkOverhead: {
+      messagesPerConsensus: messagesPerBlock,
+      bytesPerConsensus: bytesPerBlock,
+      messageComplexity: "O(n²)"
+    },
+    faultTolerance: {
+      maximumByzantineNodes: Math.floor((validators - 1) / 3),
+      actualByzantineNodes: BYZANTINE_VALIDATOR_COUNT,
+      viewChanges: measurements.viewChanges.length,
+      livenessFailures: measurements.livenessFailures.length,
+      quorumCertificates: measurements.quorumCertificates.length,
+      rejectedConflictingMessages: measurements.rejectedMessages.length,
+      safetyViolations: measurements.safetyViolations.length
+    },
+    validatorGovernance: {
+      headerVotes: measurements.validatorVotes.length,
+      validatorSetChanges: measurements.validatorSetChanges,
+      finalValidatorCount: validators
+    },
+    comparisonMetrics: {
+      blockTime: BLOCK_PERIOD,
+      finalityTime: avgFinalityTime,
+      messageComplexity: "O(n²)",
+      resourceUsage: {
+        cpu: avg(resource.cpu),
+        memory: avg(resource.memory),
+        network: avg(resource.network)
+      },
+      bytesSent: bytesPerBlock,
+      faultTolerance: "f < n/3 Byzantine (quorum ceil(2n/3))",
+      centralizedElements: "Round-robin proposer; validator set changed by header votes",
+      scalabilityLimitations: "All-to-all prepare/commit and block-period pacing"
+    }
+  };
+}
+
+/**
+ * Saves measurement data and the report
+ */
+function saveMeasurements() {
+  try {
+    measurements.endTime = clock.now;
+    measurements.totalDuration = measurements.endTime - measurements.startTime;
+    measurements.wallClockDuration = Date.now() - measurements.wallClockStart;
+
+    const report = generateQBFTReport();
+    measurements.report = report;
+
+    fs.writeFileSync(LOG_FILE, JSON.stringify(measurements, null, 2), 'utf8');
+    console.log(`QBFT measurements saved to ${LOG_FILE}`);
+
+    const reportFile = path.join(__dirname, "../reports/qbft-consensus-report.json");
+    if (!fs.existsSync(path.dirname(reportFile))) {
+      fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+    }
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`QBFT detailed report saved to ${reportFile}`);
+
+    return { logFile: LOG_FILE, reportFile };
+  } catch (error) {
+    console.error("Error saving measurements:", error);
+    return null;
+  }
+}
+
+// Run the simulation when called directly
+if (require.main === module) {
+  runQBFTConsensus()
+    .then(summary => {
+      console.log("\nQBFT Simulation Summary:");
+      console.log(JSON.stringify(summary, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("QBFT simulation failed:", error);
+      process.exit(1);
+    });
+} else {
+  module.exports = {
+    runQBFTConsensus,
+    QBFTConsensus,
+    measurements,
+    BLOCK_PERIOD
+  };
+}
@@ -0,0 +1,1117 @@
+/**
+ * Raft Consensus Runner
+ * Crash-fault-tolerant baseline for the K-ETS blockchain simulation
+ *
+ * A permissioned, regulator-run network may only need to survive crashed
+ * nodes, not Byzantine ones. This runner models Raft (Ongaro & Ousterhout):
+ * 1. Leader election: followers that miss heartbeats start an election for a new term
+ * 2. Log replication: the leader appends each transaction and replicates it with AppendEntries
+ * 3. Commit: an entry is committed once a majority stores it in the leader's current term
+ *
+ * Leaders crash at random during replication and recover later with their
+ * persistent state (term, vote, log). Clients retry against the new leader, so
+ * finality includes any election downtime. Measurements are written in the
+ * same shape as logs/pbft-measurements.json.
+ */
+
+const { ethers } = require("hardhat");
+const { parseEther } = ethers;
+const fs = require("fs");
+const path = require("path");
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+const { networkFromEnv } = require("./network-model");
+
+// Constants for simulation
+const NUM_NODES = 5; // 2f+1 where f=2 crash faults
+const BLOCK_TIME = 1000; // 1 second
+
+// Network and timers
+const NETWORK_DELAY = 150; // ms, base one-way delay
+const NETWORK_JITTER = 100; // ms, uniform jitter on top of the base delay
+const HEARTBEAT_INTERVAL = 500; // ms
+const ELECTION_TIMEOUT_MIN = 1500; // ms
+const ELECTION_TIMEOUT_MAX = 3000; // ms
+const CLIENT_RETRY_TIMEOUT = 4000; // ms a client waits on one leader before retrying
+const COMMIT_DEADLINE = 60000; // ms of simulated time a transaction may wait for commit
+
+// Crash faults
+const LEADER_CRASH_PROBABILITY = 0.2; // Chance the leader crashes while replicating a transaction
+const CRASH_WINDOW = 400; // ms after submission in which the crash happens
+const CRASH_DURATION = 6000; // ms before a crashed node restarts
+
+// Node states
+const STATES = {
+  FOLLOWER: "follower",
+  CANDIDATE: "candidate",
+  LEADER: "leader"
+};
+
+// RPC message types (also used as the phase names in the measurements)
+const MESSAGE_TYPES = {
+  REQUEST_VOTE: "request-vote",
+  VOTE_RESPONSE: "vote-response",
+  APPEND_ENTRIES: "append-entries",
+  HEARTBEAT: "heartbeat",
+  APPEND_RESPONSE: "append-response"
+};
+
+const MESSAGE_SIZES = {
+  [MESSAGE_TYPES.REQUEST_VOTE]: 256,
+  [MESSAGE_TYPES.VOTE_RESPONSE]: 128,
+  [MESSAGE_TYPES.APPEND_ENTRIES]: 1024, // carries the transaction
+  [MESSAGE_TYPES.HEARTBEAT]: 128,
+  [MESSAGE_TYPES.APPEND_RESPONSE]: 128
+};
+
+// Seeded randomness (SIM_SEED / --seed) so runs can be replayed exactly
+const rng = createRandom();
+const resourceNoise = rng.fork("resource-usage");
+
+// Simulated clock - message delivery, heartbeats and election timers are modelled on it
+const clock = new EventScheduler(Date.now());
+
+// Log file setup
+const LOG_FILE = path.join(__dirname, "../logs/raft-measurements.json");
+const LOG_DIR = path.dirname(LOG_FILE);
+
+if (!fs.existsSync(LOG_DIR)) {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+}
+
+// Measurement data structure (same shape as the PBFT measurements)
+const measurements = {
+  consensusMechanism: "Raft",
+  seed: rng.seed,
+  timeModel: "virtual-clock",
+  transactions: [],
+  blocks: [],
+  finalityTimes: [],
+  gasUsage: [],
+  resourceUsage: [],
+  networkMessages: [],
+  viewChanges: [], // term changes that installed a new leader
+  byzantineEvents: [], // always empty - Raft only tolerates crash faults
+  crashEvents: [],
+  elections: [],
+  consensusPhases: [],
+  safetyViolations: [],
+  livenessFailures: [],
+  startTime: null,
+  endTime: null
+};
+
+/**
+ * Raft node with persistent (term, vote, log) and volatile state
+ */
+class RaftNode {
+  constructor(account, index, random = rng, scheduler = clock) {
+    this.account = account;
+    this.clock = scheduler;
+    this.address = account.address;
+    this.index = index;
+    this.rng = random;
+
+    // Persistent state - survives crashes
+    this.currentTerm = 0;
+    this.votedFor = null;
+    this.log = []; // { term, index, txHash } - index is 1-based
+
+    // Volatile state
+    this.state = STATES.FOLLOWER;
+    this.commitIndex = 0;
+    this.lastApplied = 0;
+    this.leaderId = null;
+    this.votesReceived = new Set();
+    this.nextIndex = new Map();
+    this.matchIndex = new Map();
+
+    this.crashed = false;
+    this.electionTimer = null;
+    this.heartbeatTimer = null;
+
+    this.messagesSent = 0;
+    this.messagesReceived = 0;
+    this.electionsStarted = 0;
+    this.termsAsLeader = 0;
+    this.crashes = 0;
+  }
+
+  lastLogIndex() {
+    return this.log.length;
+  }
+
+  lastLogTerm() {
+    return this.log.length > 0 ? this.log[this.log.length - 1].term : 0;
+  }
+
+  termAt(index) {
+    return index > 0 && index <= this.log.length ? this.log[index - 1].term : 0;
+  }
+
+  /**
+   * Randomised election timeout so split votes resolve
+   */
+  electionTimeout() {
+    return ELECTION_TIMEOUT_MIN + Math.floor(this.rng.next() * (ELECTION_TIMEOUT_MAX - ELECTION_TIMEOUT_MIN));
+  }
+}
+
+/**
+ * Raft cluster state manager
+ */
+class RaftConsensus {
+  constructor(nodeAccounts, random = rng, scheduler = clock, options = {}) {
+    this.rng = random;
+    this.faultRandom = random.fork("crash-faults"); // Leader crashes, from the cluster's own seed
+    this.clock = scheduler;
+    this.network = options.network || null; // NetworkModel; without one RPCs take NETWORK_DELAY plus jitter
+    this.nodes = nodeAccounts.map((account, index) =>
+      new RaftNode(account, index, this.rng.fork(`node-${index}`), this.clock));
+    this.majority = Math.floor(this.nodes.length / 2) + 1;
+    this.f = this.nodes.length - this.majority;
+    this.stopped = false;
+
+    this.committedTxs = new Map(); // tx hash -> { index, term, committedAt, leader }
+    this.appliedEntries = new Map(); // log index -> "term:txHash" of the first node to apply it
+    this.leaderLostAt = null;
+    this.leaderLostTerm = null;
+    this.currentElection = null;
+    this.bucket = this.newBucket();
+    this.blockHeight = 0;
+
+    this.nodes.forEach(node => this.resetElectionTimer(node));
+    // Nodes listed in options.failedNodes are down for the whole run
+    (options.failedNodes || []).forEach(index => this.crash(this.nodes[index], "failed node", null));
+    this.recordConsensusState("initialization");
+  }
+
+  /**
+   * Message and election counters for the transaction currently being replicated
+   */
+  newBucket() {
+    const messages = {};
+    Object.values(MESSAGE_TYPES).forEach(type => { messages[type] = { count: 0, bytes: 0 }; });
+    return { messages, elections: 0, startedAt: this.clock.now };
+  }
+
+  /**
+   * Live leader of the highest term, if any
+   */
+  currentLeader() {
+    const leaders = this.nodes.filter(n => !n.crashed && n.state === STATES.LEADER);
+    if (leaders.length === 0) return null;
+    return leaders.reduce((best, n) => (n.currentTerm > best.currentTerm ? n : best));
+  }
+
+  /**
+   * Replicate a client transaction and wait until it is committed.
+   * The client retries with whichever node is leader after a crash or election.
+   */
+  async runConsensus(txHash) {
+    const submittedAt = this.clock.now;
+    const deadline = submittedAt + COMMIT_DEADLINE;
+    this.bucket = this.newBucket();
+    let crashInjected = false;
+    let attempts = 0;
+
+    console.log(`\n--- Raft: transaction ${txHash.substring(0, 10)}... ---`);
+
+    while (!this.committedTxs.has(txHash) && this.clock.now < deadline) {
+      const hasLeader = await this.clock.advanceUntil(() => this.currentLeader() !== null, deadline);
+      if (!hasLeader) break;
+
+      const leader = this.currentLeader();
+      attempts++;
+      if (!leader.log.some(entry => entry.txHash === txHash)) {
+        this.appendEntry(leader, txHash);
+      }
+
+      if (!crashInjected && this.faultRandom.chance(LEADER_CRASH_PROBABILITY)) {
+        crashInjected = true;
+        this.clock.schedule(this.faultRandom.nextInt(CRASH_WINDOW), () => this.crash(leader, "leader crash during replication"),
+          `crash:${leader.index}`);
+      }
+
+      const term = leader.currentTerm;
+      await this.clock.advanceUntil(
+        () => this.committedTxs.has(txHash) || leader.crashed || leader.state !== STATES.LEADER || leader.currentTerm !== term,
+        Math.min(this.clock.now + CLIENT_RETRY_TIMEOUT, deadline)
+      );
+    }
+
+    const committed = this.committedTxs.get(txHash);
+    const result = committed ? {
+      success: true,
+      index: committed.index,
+      term: committed.term,
+      leader: this.nodes[committed.leader].address,
+      totalTime: committed.committedAt - submittedAt,
+      attempts,
+      elections: this.bucket.elections
+    } : { success: false, attempts, elections: this.bucket.elections };
+
+    if (committed) {
+      this.blockHeight = committed.index;
+      console.log(`✅ Committed at index ${committed.index} (term ${committed.term}) after ${result.totalTime}ms`);
+    } else {
+      console.log(`❌ Transaction ${txHash.substring(0, 10)}... not committed within ${COMMIT_DEADLINE}ms`);
+      measurements.livenessFailures.push({
+        timestamp: this.clock.now,
+        txHash,
+        term: Math.max(...this.nodes.map(n => n.currentTerm)),
+        liveNodes: this.nodes.filter(n => !n.crashed).length,
+        reason: this.currentLeader() ? "entry not replicated to a majority" : "no leader elected"
+      });
+    }
+
+    this.recordReplication(txHash, result, submittedAt);
+    this.recordConsensusState("transaction-complete", result);
+    recordRaftResourceUsage(this.blockHeight, result.elections, "replication");
+    return result;
+  }
+
+  /**
+   * Leader appends a client entry and replicates it immediately
+   */
+  appendEntry(leader, txHash) {
+    leader.log.push({ term: leader.currentTerm, index: leader.lastLogIndex() + 1, txHash });
+    leader.matchIndex.set(leader.index, leader.lastLogIndex());
+    this.nodes.forEach(peer => {
+      if (peer !== leader) this.sendAppendEntries(leader, peer);
+    });
+  }
+
+  /**
+   * Deliver an RPC after the network delay (the network model's link delay when
+   * one is attached); crashed nodes neither send nor receive
+   */
+  send(sender, recipient, message) {
+    if (sender.crashed) return;
+    sender.messagesSent++;
+    this.bucket.messages[message.type].count++;
+    this.bucket.messages[message.type].bytes += MESSAGE_SIZES[message.type];
+
+    const delay = this.network
+      ? this.network.transmit(sender.index, recipient.index, MESSAGE_SIZES[message.type])
+      : NETWORK_DELAY + Math.floor(sender.rng.next() * NETWORK_JITTER);
+    if (delay === null) return; // Dropped by a network partition
+    this.clock.schedule(delay, () => {
+      if (recipient.crashed || this.stopped) return;
+      recipient.messagesReceived++;
+      this.handleMessage(recipient, message);
+    }, `${message.type}:${sender.index}->${recipient.index}@${message.term}`);
+  }
+
+  handleMessage(node, message) {
+    // Any RPC from a newer term turns the receiver into a follower of that term
+    if (message.term > node.currentTerm) {
+      this.stepDown(node, message.term);
+    }
+
+    switch (message.type) {
+      case MESSAGE_TYPES.REQUEST_VOTE:
+        this.onRequestVote(node, message);
+        break;
+      case MESSAGE_TYPES.VOTE_RESPONSE:
+        this.onVoteResponse(node, message);
+        break;
+      case MESSAGE_TYPES.APPEND_ENTRIES:
+      case MESSAGE_TYPES.HEARTBEAT:
+        this.onAppendEntries(node, message);
+        break;
+      case MESSAGE_TYPES.APPEND_RESPONSE:
+        this.onAppendResponse(node, message);
+        break;
+    }
+  }
+
+  stepDown(node, term) {
+    const wasLeader = node.state === STATES.LEADER;
+    node.currentTerm = term;
+    node.votedFor = null;
+    node.state = STATES.FOLLOWER;
+    if (wasLeader) {
+      this.clock.cancel(node.heartbeatTimer);
+      node.heartbeatTimer = null;
+      this.resetElectionTimer(node);
+    }
+  }
+
+  resetElectionTimer(node) {
+    if (node.electionTimer !== null) this.clock.cancel(node.electionTimer);
+    node.electionTimer = null;
+    if (this.stopped || node.crashed || node.state === STATES.LEADER) return;
+
+    node.electionTimer = this.clock.schedule(node.electionTimeout(), () => {
+      node.electionTimer = null;
+      this.startElection(node);
+    }, `election-timeout:${node.index}`);
+  }
+
+  /**
+   * Follower (or candidate) heard nothing from a leader: become candidate for the next term
+   */
+  startElection(node) {
+    if (node.crashed || node.state === STATES.LEADER) return;
+
+    node.state = STATES.CANDIDATE;
+    node.currentTerm++;
+    node.votedFor = node.index;
+    node.votesReceived = new Set([node.index]);
+    node.electionsStarted++;
+    this.bucket.elections++;
+
+    if (!this.currentElection) {
+      this.currentElection = { startedAt: this.clock.now, candidates: new Set() };
+    }
+    this.currentElection.candidates.add(node.index);
+    console.log(`🗳️ Node ${node.index} starts election for term ${node.currentTerm}`);
+
+    this.nodes.forEach(peer => {
+      if (peer === node) return;
+      this.send(node, peer, {
+        type: MESSAGE_TYPES.REQUEST_VOTE,
+        term: node.currentTerm,
+        sender: node.index,
+        lastLogIndex: node.lastLogIndex(),
+        lastLogTerm: node.lastLogTerm()
+      });
+    });
+    this.resetElectionTimer(node);
+  }
+
+  /**
+   * Grant at most one vote per term, and only to candidates whose log is at least as up to date
+   */
+  onRequestVote(node, message) {
+    const upToDate = message.lastLogTerm > node.lastLogTerm() ||
+      (message.lastLogTerm === node.lastLogTerm() && message.lastLogIndex >= node.lastLogIndex());
+    const granted = message.term === node.currentTerm && upToDate &&
+      (node.votedFor === null || node.votedFor === message.sender);
+
+    if (granted) {
+      node.votedFor = message.sender;
+      this.resetElectionTimer(node);
+    }
+    this.send(node, this.nodes[message.sender], {
+      type: MESSAGE_TYPES.VOTE_RESPONSE,
+      term: node.currentTerm,
+      sender: node.index,
+      granted
+    });
+  }
+
+  onVoteResponse(node, message) {
+    if (node.state !== STATES.CANDIDATE || message.term !== node.currentTerm || !message.granted) return;
+
+    node.votesReceived.add(message.sender);
+    if (node.votesReceived.size >= this.majority) {
+      this.becomeLeader(node);
+    }
+  }
+
+  /**
+   * Won the election: append a no-op so entries from earlier terms can commit, then start heartbeats
+   */
+  becomeLeader(node) {
+    node.state = STATES.LEADER;
+    node.leaderId = node.index;
+    node.termsAsLeader++;
+    if (node.electionTimer !== null) this.clock.cancel(node.electionTimer);
+    node.electionTimer = null;
+
+    this.nodes.forEach(peer => {
+      node.nextIndex.set(peer.index, node.lastLogIndex() + 1);
+      node.matchIndex.set(peer.index, 0);
+    });
+    node.log.push({ term: node.currentTerm, index: node.lastLogIndex() + 1, txHash: null });
+    node.matchIndex.set(node.index, node.lastLogIndex());
+
+    this.recordElection(node);
+    this.sendHeartbeats(node);
+  }
+
+  sendHeartbeats(node) {
+    if (node.crashed || node.state !== STATES.LEADER || this.stopped) return;
+    this.nodes.forEach(peer => {
+      if (peer !== node) this.sendAppendEntries(node, peer);
+    });
+    node.heartbeatTimer = this.clock.schedule(HEARTBEAT_INTERVAL, () => this.sendHeartbeats(node),
+      `heartbeat:${node.index}`);
+  }
+
+  /**
+   * AppendEntries from nextIndex onwards; an empty one is a heartbeat
+   */
+  sendAppendEntries(leader, peer) {
+    const nextIndex = leader.nextIndex.get(peer.index);
+    const prevLogIndex = nextIndex - 1;
+    const entries = leader.log.slice(prevLogIndex);
+    this.send(leader, peer, {
+      type: entries.length > 0 ? MESSAGE_TYPES.APPEND_ENTRIES : MESSAGE_TYPES.HEARTBEAT,
+      term: leader.currentTerm,
+      sender: leader.index,
+      prevLogIndex,
+      prevLogTerm: leader.termAt(prevLogIndex),
+      entries,
+      leaderCommit: leader.commitIndex
+    });
+  }
+
+  onAppendEntries(node, message) {
+    const reply = success => this.send(node, this.nodes[message.sender], {
+      type: MESSAGE_TYPES.APPEND_RESPONSE,
+      term: node.currentTerm,
+      sender: node.index,
+      success,
+      matchIndex: success ? message.prevLogIndex + message.entries.length : 0,
+      conflictIndex: success ? null : Math.min(message.prevLogIndex, node.lastLogIndex() + 1)
+    });
+
+    if (message.term < node.currentTerm) {
+      reply(false);
+      return;
+    }
+
+    // A valid leader exists for this term
+    if (node.state === STATES.CANDIDATE) node.state = STATES.FOLLOWER;
+    node.leaderId = message.sender;
+    this.resetElectionTimer(node);
+
+    if (message.prevLogIndex > node.lastLogIndex() || node.termAt(message.prevLogIndex) !== message.prevLogTerm) {
+      reply(false);
+      return;
+    }
+
+    // Append new entries, truncating any conflicting suffix
+    for (const entry of message.entries) {
+      const existing = node.log[entry.index - 1];
+      if (existing && existing.term !== entry.term) {
+        node.log.length = entry.index - 1;
+      }
+      if (!node.log[entry.index - 1]) {
+        node.log.push({ ...entry });
+      }
+    }
+
+    const lastNew = message.prevLogIndex + message.entries.length;
+    if (message.leaderCommit > node.commitIndex) {
+      node.commitIndex = Math.min(message.leaderCommit, lastNew);
+      this.applyCommitted(node);
+    }
+    reply(true);
+  }
+
+  onAppendResponse(leader, message) {
+    if (leader.state !== STATES.LEADER || message.term !== leader.currentTerm) return;
+    const peer = this.nodes[message.sender];
+
+    if (message.success) {
+      leader.matchIndex.set(peer.index, Math.max(leader.matchIndex.get(peer.index), message.matchIndex));
+      leader.nextIndex.set(peer.index, leader.matchIndex.get(peer.index) + 1);
+      this.advanceCommitIndex(leader);
+    } else {
+      // Back up to the follower's conflict point and retry straight away
+      leader.nextIndex.set(peer.index, Math.max(1, message.conflictIndex));
+      this.sendAppendEntries(leader, peer);
+    }
+  }
+
+  /**
+   * Commit the highest index stored on a majority, if it belongs to the current term
+   */
+  advanceCommitIndex(leader) {
+    for (let n = leader.lastLogIndex(); n > leader.commitIndex; n--) {
+      if (leader.termAt(n) !== leader.currentTerm) break;
+      const replicas = [...leader.matchIndex.values()].filter(match => match >= n).length;
+      if (replicas >= this.majority) {
+        leader.commitIndex = n;
+        this.applyCommitted(leader);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Apply committed entries and check every node applies the same entry at each index
+   */
+  applyCommitted(node) {
+    while (node.lastApplied < node.commitIndex) {
+      node.lastApplied++;
+      const entry = node.log[node.lastApplied - 1];
+      const key = `${entry.term}:${entry.txHash}`;
+      const applied = this.appliedEntries.get(entry.index);
+
+      if (applied === undefined) {
+        this.appliedEntries.set(entry.index, key);
+      } else if (applied !== key) {
+        console.log(`🚨 SAFETY VIOLATION at index ${entry.index}: node ${node.index} applied a different entry`);
+        measurements.safetyViolations.push({
+          timestamp: this.clock.now,
+          blockHeight: entry.index,
+          nodeIndex: node.index,
+          applied: key,
+          conflictsWith: applied
+        });
+      }
+
+      if (node.state === STATES.LEADER && entry.txHash && !this.committedTxs.has(entry.txHash)) {
+        this.committedTxs.set(entry.txHash, {
+          index: entry.index,
+          term: entry.term,
+          committedAt: this.clock.now,
+          leader: node.index
+        });
+      }
+    }
+  }
+
+  /**
+   * Crash-stop a node; it restarts with its persistent state after `downtime`
+   * ms, or never if `downtime` is null
+   */
+  crash(node, reason, downtime = CRASH_DURATION) {
+    if (node.crashed || this.stopped) return;
+    const wasLeader = node.state === STATES.LEADER;
+    node.crashed = true;
+    node.crashes++;
+    this.clock.cancel(node.electionTimer);
+    this.clock.cancel(node.heartbeatTimer);
+    node.electionTimer = null;
+    node.heartbeatTimer = null;
+
+    if (wasLeader && this.leaderLostAt === null) {
+      this.leaderLostAt = this.clock.now;
+      this.leaderLostTerm = node.currentTerm;
+    }
+    console.log(`💥 Node ${node.index} crashed${wasLeader ? ` (leader of term ${node.currentTerm})` : ""}`);
+    measurements.crashEvents.push({
+      timestamp: this.clock.now,
+      node: node.address,
+      nodeIndex: node.index,
+      blockHeight: this.blockHeight,
+      term: node.currentTerm,
+      wasLeader,
+      reason,
+      recoversAt: downtime !== null ? this.clock.now + downtime : null
+    });
+
+    if (downtime !== null) {
+      node.recoveryTimer = this.clock.schedule(downtime, () => this.recover(node), `recover:${node.index}`);
+    }
+  }
+
+  /**
+   * Handlers for fault-schedule.js events: a scheduled crash restarts the node
+   * after the event's duration
+   */
+  faultHandlers() {
+    return { crash: (index, downtime) => this.crash(this.nodes[index], "scheduled crash", downtime) };
+  }
+
+  recover(node) {
+    node.recoveryTimer = null;
+    if (this.stopped) return;
+    node.crashed = false;
+    node.state = STATES.FOLLOWER;
+    node.commitIndex = 0;
+    node.lastApplied = 0;
+    node.leaderId = null;
+    console.log(`🔁 Node ${node.index} restarted at term ${node.currentTerm} with ${node.log.length} log entries`);
+    this.resetElectionTimer(node);
+  }
+
+  /**
+   * Stop all timers and deliver in-flight messages
+   */
+  stop() {
+    this.stopped = true;
+    this.nodes.forEach(node => {
+      [node.electionTimer, node.heartbeatTimer, node.recoveryTimer].forEach(id => {
+        if (id !== null && id !== undefined) this.clock.cancel(id);
+      });
+      node.electionTimer = null;
+      node.heartbeatTimer = null;
+      node.recoveryTimer = null;
+    });
+    this.clock.runUntilIdle();
+  }
+
+  /**
+   * New leader elected: record the election and, after a crash, the downtime
+   */
+  recordElection(node) {
+    const election = this.currentElection || { startedAt: this.clock.now, candidates: new Set([node.index]) };
+    const downtime = this.leaderLostAt !== null ? this.clock.now - this.leaderLostAt : null;
+    const previous = measurements.elections[measurements.elections.length - 1];
+    console.log(`👑 Node ${node.index} elected leader for term ${node.currentTerm}` +
+      (downtime !== null ? ` (${downtime}ms without a leader)` : ""));
+
+    measurements.elections.push({
+      timestamp: this.clock.now,
+      term: node.currentTerm,
+      leader: node.address,
+      leaderIndex: node.index,
+      votes: node.votesReceived.size,
+      candidates: [...election.candidates],
+      electionDuration: this.clock.now - election.startedAt,
+      downtime
+    });
+
+    // The first election only bootstraps the cluster; later ones replace a leader
+    if (previous) {
+      measurements.viewChanges.push({
+        timestamp: this.clock.now,
+        blockHeight: this.blockHeight,
+        oldView: previous.term,
+        newView: node.currentTerm,
+        reason: this.leaderLostAt !== null ? "leader-crash" : "election-timeout",
+        newPrimary: node.address,
+        duration: downtime !== null ? downtime : this.clock.now - election.startedAt,
+        outcome: "installed"
+      });
+    }
+    measurements.consensusPhases.push({
+      timestamp: this.clock.now,
+      blockHeight: this.blockHeight,
+      view: node.currentTerm,
+      phase: "election",
+      duration: this.clock.now - election.startedAt,
+      messageCount: null,
+      participantCount: this.nodes.filter(n => !n.crashed).length,
+      byzantineCount: 0
+    });
+
+    this.currentElection = null;
+    this.leaderLostAt = null;
+    this.leaderLostTerm = null;
+  }
+
+  /**
+   * Per-transaction message counts (same entries as PBFT's networkMessages) and the committed block
+   */
+  recordReplication(txHash, result, submittedAt) {
+    const term = result.success ? result.term : Math.max(...this.nodes.map(n => n.currentTerm));
+    for (const [type, stats] of Object.entries(this.bucket.messages)) {
+      if (stats.count === 0) continue;
+      measurements.networkMessages.push({
+        timestamp: this.clock.now,
+        blockHeight: result.success ? result.index : null,
+        view: term,
+        phase: type,
+        messageCount: stats.count,
+        messageSize: MESSAGE_SIZES[type],
+        totalBytes: stats.bytes
+      });
+    }
+
+    const messageCount = Object.values(this.bucket.messages).reduce((sum, m) => sum + m.count, 0);
+    measurements.consensusPhases.push({
+      timestamp: this.clock.now,
+      blockHeight: result.success ? result.index : null,
+      view: term,
+      phase: "replication",
+      duration: this.clock.now - submittedAt,
+      messageCount,
+      participantCount: this.nodes.filter(n => !n.crashed).length,
+      byzantineCount: 0
+    });
+
+    measurements.blocks.push({
+      number: result.success ? result.index : null,
+      view: term,
+      digest: txHash,
+      primary: result.success ? result.leader : null,
+      status: result.success ? "committed" : "failed",
+      committedBy: this.nodes.filter(n => result.success && n.lastLogIndex() >= result.index &&
+        n.termAt(result.index) === result.term).map(n => n.index),
+      finalityTime: result.success ? result.totalTime : null,
+      messageCount,
+      elections: result.elections,
+      clientAttempts: result.attempts,
+      timestamp: this.clock.now
+    });
+  }
+
+  /**
+   * Record overall cluster state
+   */
+  recordConsensusState(eventType, result = null) {
+    const nodeStates = this.nodes.map(n => ({
+      address: n.address,
+      index: n.index,
+      state: n.crashed ? "crashed" : n.state,
+      term: n.currentTerm,
+      logLength: n.log.length,
+      commitIndex: n.commitIndex,
+      messagesSent: n.messagesSent,
+      messagesReceived: n.messagesReceived,
+      electionsStarted: n.electionsStarted,
+      termsAsLeader: n.termsAsLeader,
+      crashes: n.crashes
+    }));
+
+    if (!measurements.consensusState) {
+      measurements.consensusState = [];
+    }
+
+    const leader = this.currentLeader();
+    measurements.consensusState.push({
+      timestamp: this.clock.now,
+      eventType,
+      blockHeight: this.blockHeight,
+      view: leader ? leader.currentTerm : null,
+      primary: leader ? leader.address : null,
+      f: this.f,
+      validatorStates: nodeStates,
+      result
+    });
+  }
+}
+
+/**
+ * Simulates Raft consensus over the K-ETS workflow
+ */
+async function runRaftConsensus() {
+  console.log("Starting Raft consensus simulation with crash faults...");
+  console.log(`Simulation seed: ${rng.seed} (replay with SIM_SEED=${rng.seed})`);
+  measurements.startTime = clock.now;
+  measurements.wallClockStart = Date.now();
+
+  // Deploy the contract
+  const KETSFactory = await ethers.getContractFactory("KETSBlockchain");
+  const ketsContract = await KETSFactory.deploy();
+  const contractAddress = await ketsContract.getAddress();
+  console.log(`Contract deployed at: ${contractAddress}`);
+
+  const [regulator, ...allAccounts] = await ethers.getSigners();
+  console.log(`Regulator: ${regulator.address}`);
+
+  const nodeAccounts = allAccounts.slice(0, NUM_NODES);
+  if (nodeAccounts.length < NUM_NODES) {
+    throw new Error(`Not enough accounts for Raft. Need ${NUM_NODES} nodes but only have ${nodeAccounts.length}`);
+  }
+
+  const network = networkFromEnv(clock, rng.fork("network"));
+  const raft = new RaftConsensus(nodeAccounts, rng, clock, { network });
+  if (network) console.log(`🌐 Network preset: ${network.preset} (${network.description})`);
+  console.log(`Raft nodes: ${raft.nodes.length} (majority ${raft.majority}, tolerates ${raft.f} crashes)`);
+
+  const industries = allAccounts.slice(NUM_NODES, NUM_NODES + 3);
+
+  measurements.raftConfiguration = {
+    seed: rng.seed,
+    nodes: raft.nodes.length,
+    majority: raft.majority,
+    maxTolerableCrashes: raft.f,
+    network: { baseDelay: NETWORK_DELAY, jitter: NETWORK_JITTER },
+    timers: {
+      heartbeatInterval: HEARTBEAT_INTERVAL,
+      electionTimeout: [ELECTION_TIMEOUT_MIN, ELECTION_TIMEOUT_MAX],
+      clientRetryTimeout: CLIENT_RETRY_TIMEOUT
+    },
+    crashFaults: {
+      leaderCrashProbability: LEADER_CRASH_PROBABILITY,
+      crashWindow: CRASH_WINDOW,
+      crashDuration: CRASH_DURATION
+    }
+  };
+
+  // Elect the first leader before any transaction arrives
+  await clock.advanceUntil(() => raft.currentLeader() !== null, clock.now + COMMIT_DEADLINE);
+
+  // Submit a transaction and wait for the cluster to commit it
+  async function executeWithRaft(txPromise, txType) {
+    const tx = await txPromise;
+    const receipt = await tx.wait();
+
+    recordTransaction(receipt, txType);
+    console.log(`${txType}, Gas used: ${receipt.gasUsed.toString()}`);
+
+    const consensusResult = await raft.runConsensus(tx.hash);
+    if (consensusResult.success) {
+      console.log(`Time to finality: ${consensusResult.totalTime}ms`);
+      measurements.finalityTimes.push({
+        txHash: tx.hash,
+        transactionType: txType,
+        finalityTime: consensusResult.totalTime,
+        elections: consensusResult.elections,
+        timestamp: clock.now
+      });
+    }
+    return consensusResult;
+  }
+
+  // Register industries
+  console.log("Registering industries...");
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithRaft(
+      ketsContract.connect(industries[i]).registerIndustry(`Industry-${i+1}`, i % 2 === 0),
+      "registerIndustry"
+    );
+  }
+
+  // Update GHG emissions
+  console.log("Updating GHG emissions...");
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithRaft(
+      ketsContract.connect(industries[i]).updateGHGEmissions(
+        industries[i].address, 0,
+        5000 + i * 1000, 2000 + i * 500, 1000 + i * 200, 3000 + i * 300, 2000 + i * 250, 1000 + i * 100
+      ),
+      "updateGHGEmissions"
+    );
+  }
+
+  // Create auction
+  console.log("Creating auction...");
+  await executeWithRaft(ketsContract.connect(regulator).createAuction(100, parseEther("0.01")), "createAuction");
+
+  // Place bids
+  console.log("Placing bids...");
+  for (let i = 0; i < industries.length; i++) {
+    try {
+      await executeWithRaft(
+        ketsContract.connect(industries[i]).placeBid(10, { value: parseEther("0.02") }),
+        "placeBid"
+      );
+    } catch (error) {
+      console.error(`Error placing bid for Industry-${i+1}:`, error.message);
+    }
+  }
+
+  // Finalize the auction
+  console.log("Finalizing auction...");
+  try {
+    await executeWithRaft(ketsContract.connect(regulator).finalizeAuction(), "finalizeAuction");
+  } catch (error) {
+    console.error("Error finalizing auction:", error.message);
+  }
+
+  raft.stop();
+  if (network) measurements.network = network.summary();
+
+  measurements.endTime = clock.now;
+  console.log("Raft consensus simulation completed");
+
+  saveMeasurements();
+
+  const avgFinality = measurements.finalityTimes.length > 0 ?
+    measurements.finalityTimes.reduce((sum, item) => sum + item.finalityTime, 0) / measurements.finalityTimes.length : 0;
+
+  return {
+    consensusMechanism: "Raft",
+    transactionsProcessed: measurements.transactions.length,
+    averageFinality: avgFinality,
+    totalDuration: measurements.endTime - measurements.startTime,
+    elections: measurements.elections.length,
+    crashes: measurements.crashEvents.length
+  };
+}
+
+/**
+ * Simulated resource usage per transaction, scaled by elections held meanwhile
+ */
+function recordRaftResourceUsage(blockHeight, electionCount = 0, phase = 'all') {
+  const baseCpuUsage = 12; // percentage (no signature checks between nodes)
+  const baseMemoryUsage = 180; // MB
+  const baseNetworkBandwidth = 300; // KB/s (leader to followers only)
+
+  const electionFactor = 1 + (electionCount * 0.1);
+  const phaseModifier = phase === 'transaction' ? 1.0 : 1.1;
+
+  const cpuUsage = baseCpuUsage * electionFactor * phaseModifier + (resourceNoise.next() * 10);
+  const memoryUsage = baseMemoryUsage * electionFactor * phaseModifier + (resourceNoise.next() * 30);
+  const networkBandwidth = baseNetworkBandwidth * electionFactor * phaseModifier + (resourceNoise.next() * 100);
+
+  measurements.resourceUsage.push({
+    blockHeight,
+    timestamp: clock.now,
+    electionCount,
+    electionFactor,
+    phase,
+    phaseModifier,
+    cpu: cpuUsage,
+    memory: memoryUsage,
+    network: networkBandwidth,
+    messageComplexity: "O(n)"
+  });
+}
+
+/**
+ * Record transaction metrics
+ */
+function recordTransaction(receipt, txType) {
+  const gasUsed = receipt.gasUsed.toString();
+
+  measurements.transactions.push({
+    hash: receipt.hash || receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed,
+    effectiveGasPrice: receipt.effectiveGasPrice?.toString() || "0",
+    type: txType,
+    timestamp: clock.now,
+    consensusMechanism: "Raft"
+  });
+
+  measurements.gasUsage.push({
+    txType,
+    gasUsed,
+    consensusMechanism: "Raft",
+    timestamp: clock.now
+  });
+
+  recordRaftResourceUsage(receipt.blockNumber || measurements.blocks.length + 1, 0, 'transaction');
+  return gasUsed;
+}
+
+/**
+ * Generate the measurement report (same sections as the PBFT report)
+ */
+function generateRaftReport() {
+  const totalTransactions = measurements.transactions.length;
+  const finality = measurements.finalityTimes.map(item => item.finalityTime);
+  const avgFinalityTime = finality.length > 0 ? finality.reduce((a, b) => a + b, 0) / finality.length : 0;
+
+  const resource = measurements.resourceUsage.reduce((m, usage) => {
+    m.cpu += usage.cpu;
+    m.memory += usage.memory;
+    m.network += usage.network;
+    m.count++;
+    return m;
+  }, { cpu: 0, memory: 0, network: 0, count: 0 });
+  const avg = value => resource.count > 0 ? value / resource.count : 0;
+
+  const blocks = measurements.blocks;
+  const messagesPerBlock = blocks.length > 0 ? blocks.reduce((sum, b) => sum + b.messageCount, 0) / blocks.length : 0;
+  const bytesPerBlock = blocks.length > 0 ?
+    measurements.networkMessages.reduce((sum, m) => sum + m.totalBytes, 0) / blocks.length : 0;
+
+  const downtimes = measurements.elections.map(e => e.downtime).filter(d => d !== null);
+  const replication = measurements.consensusPhases.filter(p => p.phase === "replication" && p.blockHeight !== null);
+  const nodes = measurements.raftConfiguration?.nodes || NUM_NODES;
+
+  return {
+    consensusMechanism: "Raft",
+    configuration: measurements.raftConfiguration,
+    summary: {
+      totalTransactions,
+      successfulConsensusCount: finality.length,
+      consensusSuccessRate: totalTransactions > 0 ? (finality.length / totalTransactions) * 100 : 0,
+      crashEventCount: measurements.crashEvents.length,
+      electionCount: measurements.elections.length,
+      viewChangeCount: measurements.viewChanges.length
+    },
+    performance: {
+      finalityTimes: {
+        average: avgFinalityTime,
+        min: finality.length > 0 ? Math.min(...finality) : 0,
+        max: finality.length > 0 ? Math.max(...finality) : 0,
+        guaranteedFinality: "Immediate once a majority stores the entry (crash faults only)"
+      },
+      phaseBreakdown: {
+        replication: replication.length > 0 ? replication.reduce((sum, p) => sum + p.duration, 0) / replication.length : 0,
+        election: measurements.elections.length > 0 ?
+          measurements.elections.reduce((sum, e) => sum + e.electionDuration, 0) / measurements.elections.length : 0
+      },
+      electionDowntime: {
+        total: downtimes.reduce((a, b) => a + b, 0),
+        average: downtimes.length > 0 ? downtimes.reduce((a, b) => a + b, 0) / downtimes.length : 0,
+        max: downtimes.length > 0 ? Math.max(...downtimes) : 0,
+        leaderFailures: downtimes.length
+      },
+      throughput: {
+        transactionsPerSecond: measurements.endTime && measurements.startTime ?
+          (totalTransactions / ((measurements.endTime - measurements.startTime) / 1000)) : 0,
+        potentialTps: avgFinalityTime > 0 ? 1000 / avgFinalityTime : 0
+      }
+    },
+    resourceUsage: {
+      averageCpu: avg(resource.cpu),
+      averageMemory: avg(resource.memory),
+      averageNetwork: avg(resource.network)
+    },
+    networkOverhead: {
+      messagesPerConsensus: messagesPerBlock,
+      bytesPerConsensus: bytesPerBlock,
+      messageComplexity: "O(n)",
+      scaleFactors: {
+        byValidatorCount: "Linear growth - the leader replicates to every follower",
+        byTransactionVolume: "Linear growth - one AppendEntries round per entry, batched while followers lag"
+      }
+    },
+    faultTolerance: {
+      maximumCrashFaults: Math.floor((nodes - 1) / 2),
+      maximumByzantineNodes: 0,
+      crashes: measurements.crashEvents.length,
+      elections: measurements.elections.length,
+      livenessFailures: measurements.livenessFailures.length,
+      safetyViolations: measurements.safetyViolations.length
+    },
+    comparisonMetrics: {
+      blockTime: BLOCK_TIME,
+      finalityTime: avgFinalityTime,
+      messageComplexity: "O(n)",
+      resourceUsage: {
+        cpu: avg(resource.cpu),
+        memory: avg(resource.memory),
+        network: avg(resource.network)
+      },
+      bytesSent: bytesPerBlock,
+      faultTolerance: "f < n/2 crash faults, no Byzantine tolerance",
+      centralizedElements: "Single elected leader per term",
+      scalabilityLimitations: "Leader bandwidth; unavailable during elections"
+    }
+  };
+}
+
+/**
+ * Saves measurement data and the report
+ */
+function saveMeasurements() {
+  try {
+    measurements.endTime = clock.now;
+    measurements.totalDuration = measurements.endTime - measurements.startTime;
+    measurements.wallClockDuration = Date.now() - measurements.wallClockStart;
+
+    const report = generateRaftReport();
+    measurements.report = report;
+
+    fs.writeFileSync(LOG_FILE, JSON.stringify(measurements, null, 2), 'utf8');
+    console.log(`Raft measurements saved to ${LOG_FILE}`);
+
+    const reportFile = path.join(__dirname, "../reports/raft-consensus-report.json");
+    if (!fs.existsSync(path.dirname(reportFile))) {
+      fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+    }
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`Raft detailed report saved to ${reportFile}`);
+
+    return { logFile: LOG_FILE, reportFile };
+  } catch (error) {
+    console.error("Error saving measurements:", error);
+    return null;
+  }
+}
+
+// Run the simulation when called directly
+if (require.main === module) {
+  runRaftConsensus()
+    .then(summary => {
+      console.log("\nRaft Simulation Summary:");
+      console.log(JSON.stringify(summary, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("Raft simulation failed:", error);
+      process.exit(1);
+    });
+} else {
+  module.exports = {
+    runRaftConsensus,
+    RaftConsensus,
+    measurements,
+    BLOCK_TIME
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Regular Overlay Test
+ * Property check for the k-regular gossip overlay (TOPOLOGIES["k-regular"] in
+ * network-model.js): for every seed, validator count and degree the overlay
+ * must be connected and give every node `degree` peers
+ */
+const { TOPOLOGIES, isConnected } = require("./network-model");
+const { SeededRandom } = require("./seeded-random");
+
+const DEFAULT_SEEDS = 300;
+const NODE_COUNTS = [4, 5, 6, 7, 8, 10, 12, 16, 21, 32];
+const DEGREES = [2, 3, 4, 5, 6];
+
+/**
+ * Build the k-regular overlay for every seed, validator count and degree and
+ * check it (one node may have an extra peer when nodeCount * degree is odd).
+ * Throws on the first bad overlay.
+ */
+function checkRegularOverlays(seeds = DEFAULT_SEEDS) {
+  let overlays = 0;
+  for (const nodeCount of NODE_COUNTS) {
+    for (const requested of DEGREES) {
+      const degree = Math.min(requested, nodeCount - 1);
+      for (let seed = 1; seed <= seeds; seed++) {
+        const adjacency = TOPOLOGIES["k-regular"].build(nodeCount, { degree: requested }, new SeededRandom(seed));
+        const degrees = [...adjacency.values()].map(peers => peers.size);
+        const extra = degrees.filter(size => size === degree + 1).length;
+        const regular = degrees.every(size => size === degree || size === degree + 1) &&
+          extra === (nodeCount * degree) % 2;
+
+        if (!regular || !isConnected(adjacency)) {
+          throw new Error(`k-regular overlay over ${nodeCount} nodes with degree ${requested} (seed ${seed}) is ` +
+            (regular ? "disconnected" : `not regular (degrees ${degrees.join(", ")})`));
+        }
+        overlays++;
+      }
+    }
+  }
+  return { overlays, seeds, nodeCounts: NODE_COUNTS, degrees: DEGREES };
+}
+
+// Execute if called directly
+if (require.main === module) {
+  try {
+    const result = checkRegularOverlays();
+    console.log(`✅ k-regular overlay connected and regular for ${result.overlays} seed/size/degree combinations`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  checkRegularOverlays
+};
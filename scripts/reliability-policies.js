@@ -0,0 +1,217 @@
+/**
+ * Reliability-Scoring Policies for PoA Square
+ * How a validator's reliability score reacts to the proposals and votes it
+ * delivers or misses, and when a low score gets the validator replaced:
+ *
+ *   const policy = createReliabilityPolicy("ewma", { alpha: 0.2, hysteresis: 0.05, patience: 3 });
+ *   const score = policy.createScore();
+ *   score.record({ success: false });            // -> new score in [0, 1]
+ *   score.record({ success: true, kind: "vote", latency: 180 });
+ *
+ * An active validator is replaced once its score has been below `threshold`
+ * for `patience` status checks in a row, and only by a standby validator
+ * scoring at least `threshold + hysteresis`, so a validator hovering at the
+ * threshold is not swapped back and forth. Standby validators are scored on
+ * liveness probes while benched, so a replaced validator can earn its way back.
+ */
+
+const RELIABILITY_POLICIES = {
+  linear: "Fixed decay per failure, half of it regained per vote and all of it per proposal (the original PoA Square scoring)",
+  ewma: "Exponentially weighted moving average of uptime",
+  window: "Share of successes among the last `size` proposals and votes",
+  beta: "Bayesian beta reputation (r + 1) / (r + s + 2) over discounted successes r and failures s",
+  latency: "Moving average of uptime where a vote slower than `targetLatency` earns partial credit"
+};
+
+const DEFAULT_THRESHOLD = 0.75; // Replace active validators scoring below this
+const LINEAR_DECAY = 0.05; // Score lost per failure under the linear policy
+
+// Per-policy parameters and their defaults
+const POLICY_DEFAULTS = {
+  linear: { decay: LINEAR_DECAY },
+  ewma: { alpha: 0.1 },
+  window: { size: 20 },
+  beta: { priorSuccesses: 18, forgetting: 0.98 },
+  latency: { alpha: 0.1, targetLatency: 200 }
+};
+
+class LinearDecayScore {
+  constructor({ decay }) {
+    this.decay = decay;
+    this.value = 1.0;
+  }
+
+  record({ success, kind }) {
+    if (!success) this.value = Math.max(0, this.value - this.decay);
+    else if (kind === "proposal") this.value = Math.min(1.0, this.value + this.decay);
+    else this.value = Math.min(1.0, this.value + (this.decay / 2));
+    return this.value;
+  }
+}
+
+class EwmaScore {
+  constructor({ alpha }) {
+    this.alpha = alpha;
+    this.value = 1.0;
+  }
+
+  credit({ success }) {
+    return success ? 1 : 0;
+  }
+
+  record(outcome) {
+    this.value = this.alpha * this.credit(outcome) + (1 - this.alpha) * this.value;
+    return this.value;
+  }
+}
+
+class LatencyWeightedScore extends EwmaScore {
+  constructor({ alpha, targetLatency }) {
+    super({ alpha });
+    this.targetLatency = targetLatency;
+  }
+
+  // Proposals and votes without a measured latency get full credit
+  credit({ success, latency }) {
+    if (!success) return 0;
+    return latency > this.targetLatency ? this.targetLatency / latency : 1;
+  }
+}
+
+class SlidingWindowScore {
+  constructor({ size }) {
+    this.size = size;
+    this.outcomes = [];
+    this.value = 1.0; // Nothing observed yet
+  }
+
+  record({ success }) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > this.size) this.outcomes.shift();
+    this.value = this.outcomes.filter(Boolean).length / this.outcomes.length;
+    return this.value;
+  }
+}
+
+class BetaReputationScore {
+  constructor({ priorSuccesses, forgetting }) {
+    this.forgetting = forgetting;
+    this.successes = priorSuccesses;
+    this.failures = 0;
+    this.value = this.expected();
+  }
+
+  expected() {
+    return (this.successes + 1) / (this.successes + this.failures + 2);
+  }
+
+  record({ success }) {
+    // Older evidence is discounted so the score can recover (and fall) again
+    this.successes = this.successes * this.forgetting + (success ? 1 : 0);
+    this.failures = this.failures * this.forgetting + (success ? 0 : 1);
+    this.value = this.expected();
+    return this.value;
+  }
+}
+
+const SCORES = {
+  linear: LinearDecayScore,
+  ewma: EwmaScore,
+  window: SlidingWindowScore,
+  beta: BetaReputationScore,
+  latency: LatencyWeightedScore
+};
+
+/**
+ * A scoring policy with its replacement rule
+ */
+class ReliabilityPolicy {
+  constructor(name, params, { threshold, hysteresis, patience }) {
+    this.name = name;
+    this.params = params;
+    this.threshold = threshold;
+    this.hysteresis = hysteresis;
+    this.patience = patience;
+  }
+
+  createScore() {
+    return new SCORES[this.name](this.params);
+  }
+
+  // Lowest score a standby validator needs to be promoted
+  get promotionThreshold() {
+    return this.threshold + this.hysteresis;
+  }
+
+  describe() {
+    const params = Object.entries(this.params).map(([key, value]) => `${key}=${value}`).join(", ");
+    return `${this.name} (${params}), threshold ${this.threshold}` +
+      (this.hysteresis > 0 ? ` +${this.hysteresis} to promote` : "") +
+      (this.patience > 1 ? `, ${this.patience} checks below to replace` : "");
+  }
+
+  summary() {
+    return {
+      policy: this.name,
+      params: this.params,
+      threshold: this.threshold,
+      hysteresis: this.hysteresis,
+      patience: this.patience
+    };
+  }
+}
+
+/**
+ * @param {string} [name] - Key of RELIABILITY_POLICIES (default "linear")
+ * @param {Object} [settings] - Policy parameters (see POLICY_DEFAULTS) plus
+ *   threshold, hysteresis and patience for the replacement rule
+ */
+function createReliabilityPolicy(name = "linear", settings = {}) {
+  if (!RELIABILITY_POLICIES[name]) {
+    throw new Error(`Unknown reliability policy "${name}" (available: ${Object.keys(RELIABILITY_POLICIES).join(", ")})`);
+  }
+  const { threshold = DEFAULT_THRESHOLD, hysteresis = 0, patience = 1, ...overrides } = settings;
+  const unknown = Object.keys(overrides).filter(key => !(key in POLICY_DEFAULTS[name]));
+  if (unknown.length > 0) {
+    throw new Error(`Reliability policy ${name} has no parameter ${unknown[0]} (available: ${Object.keys(POLICY_DEFAULTS[name]).join(", ")})`);
+  }
+  if (!(threshold >= 0 && threshold <= 1) || !(hysteresis >= 0) || !(Number.isInteger(patience) && patience >= 1)) {
+    throw new Error("Reliability threshold must be in [0, 1], hysteresis non-negative and patience a positive integer");
+  }
+  return new ReliabilityPolicy(name, { ...POLICY_DEFAULTS[name], ...overrides }, { threshold, hysteresis, patience });
+}
+
+/**
+ * Replacement rule set by RELIABILITY_THRESHOLD, RELIABILITY_HYSTERESIS and
+ * REPLACEMENT_PATIENCE; only the variables that are set
+ */
+function replacementRuleFromEnv(env = process.env) {
+  const rule = {};
+  if (env.RELIABILITY_THRESHOLD) rule.threshold = Number(env.RELIABILITY_THRESHOLD);
+  if (env.RELIABILITY_HYSTERESIS) rule.hysteresis = Number(env.RELIABILITY_HYSTERESIS);
+  if (env.REPLACEMENT_PATIENCE) rule.patience = Number(env.REPLACEMENT_PATIENCE);
+  return rule;
+}
+
+/**
+ * Policy for a standalone runner: RELIABILITY_POLICY=name or name:key=value/key=value
+ * (e.g. "ewma:alpha=0.2") with the replacement rule from replacementRuleFromEnv.
+ * The linear policy when nothing is set.
+ */
+function reliabilityPolicyFromEnv(env = process.env) {
+  const [name, params] = (env.RELIABILITY_POLICY || "linear").split(":");
+  const settings = {};
+  for (const pair of (params || "").split("/").filter(Boolean)) {
+    const [key, value] = pair.split("=");
+    settings[key] = Number(value);
+  }
+  return createReliabilityPolicy(name, { ...settings, ...replacementRuleFromEnv(env) });
+}
+
+module.exports = {
+  RELIABILITY_POLICIES,
+  ReliabilityPolicy,
+  createReliabilityPolicy,
+  reliabilityPolicyFromEnv,
+  replacementRuleFromEnv
+};
@@ -0,0 +1,178 @@
+/**
+ * Reliability Policy Test for PoA Square
+ * Streams batches through PoA Square under each reliability-scoring policy
+ * (see reliability-policies.js) in a few fault scenarios, on the same seeds so
+ * the policies see the same failures. Reports per policy how often validators
+ * were replaced (churn), how many of those replacements removed an honest
+ * validator (false replacements), and how many misbehaving validators were
+ * still active at the end. Before the runs, each policy has to promote a
+ * replaced validator again once its score recovers while benched.
+ * RELIABILITY_THRESHOLD, RELIABILITY_HYSTERESIS and REPLACEMENT_PATIENCE set
+ * the replacement rule for every policy.
+ */
+const { ethers } = require("hardhat");
+const { saveTestResults } = require("./test-utils");
+const { createConsensusModel } = require("./consensus-models");
+const { RELIABILITY_POLICIES, createReliabilityPolicy, replacementRuleFromEnv } = require("./reliability-policies");
+const { ValidatorManager } = require("./poa-square-runner");
+const { EventScheduler } = require("./event-scheduler");
+const { createRandom } = require("./seeded-random");
+
+// Honest validators only fail by chance; "faulty" adds two that fail every time
+// and "crashes" has honest validators going down and catching up
+const SCENARIOS = {
+  honest: {},
+  faulty: { faultyValidators: 2 },
+  crashes: { crashRecovery: { crashProbability: 0.02 } }
+};
+
+const DEFAULT_VALIDATOR_COUNT = 8; // 6 active, 2 standby
+const DEFAULT_BATCHES = 200;
+const NETWORK_PRESET = process.env.NETWORK_PRESET || "korea"; // Gives the latency policy real vote delays
+const MAX_STATUS_CHECKS = 500; // Per stage of the re-promotion check
+
+/**
+ * Two active validators and one standby. Validator 0 fails until it is
+ * replaced, recovers on standby probes, and must take its seat back once the
+ * validator that replaced it fails in turn. Throws if any stage stalls.
+ */
+function checkRepromotion(policy) {
+  const accounts = [0, 1, 2].map(index => ({ address: ethers.zeroPadValue(ethers.toBeHex(index + 1), 20) }));
+  const manager = new ValidatorManager(accounts, createRandom().fork(`repromotion-${policy.name}`), 2, new EventScheduler(0), [], null, null, policy);
+  const [demoted, , standby] = manager.validators;
+
+  // Run status checks, failing `failing` before each, until `done` holds
+  const checkUntil = (stage, failing, done) => {
+    for (let checks = 1; checks <= MAX_STATUS_CHECKS; checks++) {
+      if (failing) failing.recordFailure();
+      manager.processValidatorStatus();
+      if (done()) return checks;
+    }
+    throw new Error(`${policy.name} policy: ${stage} did not happen within ${MAX_STATUS_CHECKS} status checks`);
+  };
+
+  const demotedAfter = checkUntil("the replacement of a failing validator", demoted, () => !demoted.isActive);
+  const recoveredAfter = checkUntil("recovery on standby", null, () => demoted.reliability >= policy.promotionThreshold);
+  const recoveredReliability = demoted.reliability;
+  const repromotedAfter = checkUntil("re-promotion of the recovered validator", standby, () => demoted.isActive);
+  return { policy: policy.name, demotedAfter, recoveredAfter, recoveredReliability, repromotedAfter, replacements: manager.replacements.length };
+}
+
+// Run one policy through one scenario
+async function testPolicy(policy, scenario, validatorCount, batches) {
+  const accounts = await ethers.getSigners();
+  const model = createConsensusModel("PoASquare", {
+    ...SCENARIOS[scenario], validatorCount, network: NETWORK_PRESET, reliabilityPolicy: policy
+  });
+  model.initValidators(accounts.slice(1, validatorCount + 1));
+
+  try {
+    for (let i = 0; i < batches; i++) {
+      const hash = ethers.id(`${policy.name}:${scenario}:${i}`);
+      await model.finalizeBatch([{ hash, type: "reliability-probe" }]);
+    }
+    const metrics = model.getMetrics();
+    return {
+      policy: policy.name,
+      scenario,
+      batches: metrics.batches,
+      finalizedBatches: metrics.finalizedBatches,
+      successRate: metrics.successRate,
+      averageFinality: metrics.averageFinality,
+      throughput: metrics.throughput,
+      safetyHeld: metrics.faults.safetyViolations === 0,
+      ...metrics.reliability
+    };
+  } finally {
+    model.close();
+  }
+}
+
+// Main function to compare reliability policies
+async function runReliabilityPolicyTests(
+  policyNames = Object.keys(RELIABILITY_POLICIES),
+  scenarios = Object.keys(SCENARIOS),
+  validatorCount = DEFAULT_VALIDATOR_COUNT,
+  batches = DEFAULT_BATCHES,
+  replacementRule = replacementRuleFromEnv()
+) {
+  const policies = policyNames.map(name => createReliabilityPolicy(name, replacementRule));
+
+  const results = {
+    testDate: new Date().toISOString(),
+    validatorCount,
+    batches,
+    networkPreset: NETWORK_PRESET,
+    policies: policies.map(policy => policy.summary()),
+    scenarios: Object.fromEntries(scenarios.map(scenario => [scenario, SCENARIOS[scenario]])),
+    repromotion: [],
+    runs: [],
+    comparison: {
+      churnPer100Blocks: {},
+      falseReplacementRate: {},
+      misbehavingStillActive: {},
+      successRate: {}
+    }
+  };
+
+  for (const policy of policies) {
+    try {
+      const check = checkRepromotion(policy);
+      results.repromotion.push(check);
+      console.log(`🔁 ${policy.name}: replaced after ${check.demotedAfter} checks, recovered to ` +
+        `${check.recoveredReliability.toFixed(2)} on standby after ${check.recoveredAfter}, promoted again after ${check.repromotedAfter}`);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      results.repromotion.push({ policy: policy.name, error: error.message });
+    }
+  }
+
+  for (const scenario of scenarios) {
+    for (const key of Object.keys(results.comparison)) results.comparison[key][scenario] = {};
+
+    for (const policy of policies) {
+      console.log(`\n📈 PoA Square, ${scenario} scenario, ${policy.describe()}`);
+      try {
+        const run = await testPolicy(policy, scenario, validatorCount, batches);
+        results.runs.push(run);
+        for (const key of Object.keys(results.comparison)) results.comparison[key][scenario][policy.name] = run[key];
+        console.log(`📊 ${run.replacements} replacements (${run.churnPer100Blocks.toFixed(1)} per 100 blocks), ` +
+          `${run.falseReplacements} false, ${run.misbehavingStillActive}/${run.misbehavingValidators} misbehaving still active, ` +
+          `${(run.successRate * 100).toFixed(1)}% of batches finalized`);
+      } catch (error) {
+        console.error(`Error testing the ${policy.name} policy in the ${scenario} scenario:`, error);
+        results.runs.push({ policy: policy.name, scenario, error: error.message });
+      }
+    }
+  }
+
+  saveTestResults("reliability-policy-results.json", results);
+
+  return results;
+}
+
+// Execute if called directly
+if (require.main === module) {
+  runReliabilityPolicyTests()
+    .then(results => {
+      console.log("\n===== Reliability Policy Test Complete =====");
+      results.repromotion.forEach(check => {
+        console.log(`${check.policy}: ${check.error ? `re-promotion check FAILED (${check.error})` : "replaced validator promoted again after recovering"}`);
+      });
+      results.runs.forEach(run => {
+        if (run.error) return console.log(`${run.policy} (${run.scenario}): error (${run.error})`);
+        console.log(`${run.policy} (${run.scenario}): churn ${run.churnPer100Blocks.toFixed(1)}/100 blocks, ` +
+          `false replacements ${(run.falseReplacementRate * 100).toFixed(0)}%, ` +
+          `misbehaving still active ${run.misbehavingStillActive}/${run.misbehavingValidators}`);
+      });
+    })
+    .catch(error => {
+      console.error("Error running reliability policy tests:", error);
+    });
+}
+
+module.exports = {
+  runReliabilityPolicyTests,
+  checkRepromotion,
+  SCENARIOS
+};
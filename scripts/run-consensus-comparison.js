@@ -7,10 +7,21 @@ const fs = require('fs');
 const path = require('path');
 const { runValidatorScalingTests } = require('./validator-scaling-test');
 const { runTransactionStressTests } = require('./transaction-stress-test');
+const { runNetworkLatencyTests, DEFAULT_LATENCY_CONDITIONS } = require('./network-latency-test');
+const { runByzantineFaultTests, DEFAULT_FAULT_PERCENTAGES } = require('./byzantine-fault-test');
 const { saveTestResults } = require('./test-utils');
+const { hasConsensusModel, listConsensusModels } = require('./consensus-models');
 
-// Configure which consensus mechanisms to test
-const CONSENSUS_MECHANISMS = ["PoASquare", "PBFT", "DPoS", "PoA", "PoW"];
+// Configure which consensus mechanisms to test - any registered consensus model
+// (see consensus-models.js), e.g. CONSENSUS_MODELS=PBFT,Tendermint,QBFT
+const CONSENSUS_MECHANISMS = process.env.CONSENSUS_MODELS
+  ? process.env.CONSENSUS_MODELS.split(',').map(name => name.trim()).filter(Boolean)
+  : ["PoASquare", "PBFT", "DPoS", "PoA", "PoW"];
+
+const unknownModels = CONSENSUS_MECHANISMS.filter(name => !hasConsensusModel(name));
+if (unknownModels.length > 0) {
+  throw new Error(`Unknown consensus models: ${unknownModels.join(', ')} (registered: ${listConsensusModels().join(', ')})`);
+}
 
 // Configure which tests to run
 const TEST_CONFIG = {
@@ -23,15 +34,21 @@ const TEST_CONFIG = {
     txRates: [1, 5, 10] // Reduced rates for faster testing
   },
   networkLatency: {
-    enabled: false, // Not implemented yet
-    latencyConditions: []
+    enabled: true,
+    latencyConditions: DEFAULT_LATENCY_CONDITIONS // Network presets from network-model.js, best to worst
   },
   byzantineFaults: {
-    enabled: false, // Not implemented yet
-    faultPercentages: []
+    enabled: true,
+    faultPercentages: DEFAULT_FAULT_PERCENTAGES // Share of faulty validators (%), from none to beyond f
   }
 };
 
+// How each faultModel's faulty validators fail in the crash-fault sweep, for the fault tolerance ranking
+const FAULT_MODEL_LABELS = {
+  byzantine: "BFT protocol, crashed validators withhold every message",
+  crash: "crashed validators never take part"
+};
+
 // Generate a comprehensive report
 function generateComprehensiveReport(results) {
   // Create detailed summary
@@ -115,6 +132,56 @@ function generateComprehensiveReport(results) {
       }));
   }
   
+  // Process network latency results
+  if (results.networkLatency) {
+    summary.completedTests.push("networkLatency");
+
+    // Finality slowdown from the best to the worst tested network condition
+    const conditions = TEST_CONFIG.networkLatency.latencyConditions;
+    const best = results.networkLatency.comparison.finality[conditions[0]] || {};
+    const worst = results.networkLatency.comparison.finality[conditions[conditions.length - 1]] || {};
+    const latencyResilience = {};
+
+    Object.entries(worst).forEach(([mechanism, finality]) => {
+      if (best[mechanism] > 0) {
+        latencyResilience[mechanism] = finality / best[mechanism];
+      }
+    });
+
+    // Rank by slowdown (lower is better, 1.0 = unaffected by the network)
+    summary.rankings.latencyResilience = Object.entries(latencyResilience)
+      .sort((a, b) => a[1] - b[1])
+      .map(([mechanism, ratio], index) => ({
+        rank: index + 1,
+        mechanism,
+        score: ratio.toFixed(2),
+        description: `Finality time ratio from "${conditions[0]}" to "${conditions[conditions.length - 1]}" network conditions`
+      }));
+  }
+
+  // Process Byzantine fault results
+  if (results.byzantineFaults) {
+    summary.completedTests.push("byzantineFaults");
+
+    // Highest faulty share survived with safety and every batch finalized;
+    // ties go to the model that kept more of its fault-free throughput
+    const tolerance = results.byzantineFaults.comparison.faultTolerance;
+    summary.rankings.faultTolerance = Object.entries(tolerance)
+      .map(([mechanism, { percentage, throughputRetained }]) => [mechanism, percentage ?? -1, throughputRetained ?? 0])
+      .sort((a, b) => b[1] - a[1] || b[2] - a[2])
+      .map(([mechanism, percentage, retained], index) => ({
+        rank: index + 1,
+        mechanism,
+        faultModel: tolerance[mechanism].faultModel,
+        injectedFault: tolerance[mechanism].injectedFault,
+        score: Math.max(percentage, 0).toFixed(2),
+        throughputRetained: retained.toFixed(2),
+        description: percentage >= 0
+          ? `Safe and live with up to ${percentage}% crashed validators (${FAULT_MODEL_LABELS[tolerance[mechanism].faultModel] || tolerance[mechanism].faultModel}), keeping ${(retained * 100).toFixed(0)}% of its throughput`
+          : `Lost liveness or safety even without injected faults`
+      }));
+  }
+
   // Generate overall rankings based on completed tests
   const overallScores = {};
   
@@ -178,6 +245,33 @@ function generateComprehensiveReport(results) {
       }
     }
     
+    // Latency resilience (lower slowdown is better, so invert)
+    if (summary.rankings.latencyResilience) {
+      const resilienceRank = summary.rankings.latencyResilience.find(r => r.mechanism === mechanism);
+      if (resilienceRank) {
+        const resilienceScore = normalizeScore(
+          Object.fromEntries(summary.rankings.latencyResilience.map(r => [r.mechanism, parseFloat(r.score)])),
+          mechanism,
+          true // Invert because a smaller slowdown is better
+        );
+        totalScore += resilienceScore * 0.3; // 30% weight
+        categories++;
+      }
+    }
+    
+    // Fault tolerance (higher tolerated share is better)
+    if (summary.rankings.faultTolerance) {
+      const toleranceRank = summary.rankings.faultTolerance.find(r => r.mechanism === mechanism);
+      if (toleranceRank) {
+        const toleranceScore = normalizeScore(
+          Object.fromEntries(summary.rankings.faultTolerance.map(r => [r.mechanism, parseFloat(r.score)])),
+          mechanism
+        );
+        totalScore += toleranceScore * 0.3; // 30% weight
+        categories++;
+      }
+    }
+    
     // Calculate final score (0-100)
     overallScores[mechanism] = categories > 0 
       ? Math.round((totalScore / categories) * 100) 
@@ -219,6 +313,14 @@ function generateComprehensiveReport(results) {
       mechanism: summary.rankings.transactionLatency?.[0]?.mechanism,
       description: `For low-latency applications requiring quick response times, ${summary.rankings.transactionLatency?.[0]?.mechanism} provides the fastest transaction confirmation.`
     },
+    geographicDistribution: {
+      mechanism: summary.rankings.latencyResilience?.[0]?.mechanism,
+      description: `For validators spread across Seoul, Busan and overseas verifiers, ${summary.rankings.latencyResilience?.[0]?.mechanism} keeps finality closest to its local-network performance.`
+    },
+    faultTolerance: {
+      mechanism: summary.rankings.faultTolerance?.[0]?.mechanism,
+      description: `For a validator set in which some nodes may crash or go offline, ${summary.rankings.faultTolerance?.[0]?.mechanism} stays safe and live with the largest share of crashed validators.`
+    },
     ketsRecommendation: {
       mechanism: topMechanism,
       description: `For the Korean Emissions Trading Scheme (K-ETS) blockchain implementation, ${topMechanism} is recommended based on its balance of throughput, latency, and scaling properties which align well with carbon credit trading requirements.`
@@ -253,7 +355,24 @@ async function runComprehensiveTests() {
     );
   }
   
-  // TODO: Add other tests as they are implemented
+  // Run network latency tests if enabled
+  if (TEST_CONFIG.networkLatency.enabled) {
+    console.log("\n=== Running Network Latency Tests ===");
+    results.networkLatency = await runNetworkLatencyTests(
+      CONSENSUS_MECHANISMS,
+      TEST_CONFIG.networkLatency.latencyConditions
+    );
+  }
+  
+  // Run Byzantine fault tests if enabled
+  if (TEST_CONFIG.byzantineFaults.enabled) {
+    console.log("\n=== Running Byzantine Fault Tests (crash-fault sweep) ===");
+    results.byzantineFaults = await runByzantineFaultTests(
+      CONSENSUS_MECHANISMS,
+      TEST_CONFIG.byzantineFaults.faultPercentages
+    );
+  }
+  
   
   // Generate comprehensive report
   console.log("\n=== Generating Comprehensive Report ===");
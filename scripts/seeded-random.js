@@ -0,0 +1,114 @@
+/**
+ * Seeded Random Number Generator
+ * Shared deterministic PRNG for all consensus runners so that any simulation
+ * run can be replayed exactly from its recorded seed.
+ *
+ * The seed is resolved from the command line (--seed=<value>) or the SIM_SEED
+ * environment variable. `npx hardhat run` does not forward unknown CLI flags,
+ * so SIM_SEED is the way to pin the seed for Hardhat-driven runs:
+ *
+ *   SIM_SEED=42 npx hardhat run scripts/pbft-runner.js
+ */
+
+/**
+ * Hash an arbitrary seed (number or string) into a 32-bit unsigned integer
+ * using FNV-1a, so string seeds such as "kets-2025" are accepted too.
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic PRNG (mulberry32) with helpers for the draws the runners need
+ */
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed;
+    this.state = hashSeed(seed);
+  }
+
+  /**
+   * Next float in [0, 1) - drop-in replacement for Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [0, max)
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Returns true with the given probability
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element from an array
+   */
+  pick(items) {
+    return items[this.nextInt(items.length)];
+  }
+
+  /**
+   * Derive an independent generator for a named sub-component, so adding
+   * draws in one component does not shift the sequence seen by another
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}:${label}`);
+  }
+}
+
+/**
+ * Resolve the simulation seed from CLI (--seed=N or --seed N) or SIM_SEED.
+ * Falls back to a time-based seed, which is still recorded so the run can be replayed.
+ */
+function resolveSeed(argv = process.argv, env = process.env) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--seed=")) {
+      return normalizeSeed(argv[i].slice("--seed=".length));
+    }
+    if (argv[i] === "--seed" && argv[i + 1] !== undefined) {
+      return normalizeSeed(argv[i + 1]);
+    }
+  }
+
+  if (env.SIM_SEED !== undefined && env.SIM_SEED !== "") {
+    return normalizeSeed(env.SIM_SEED);
+  }
+
+  return Date.now() >>> 0;
+}
+
+// Keep numeric seeds numeric in the measurements JSON
+function normalizeSeed(value) {
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Create a generator from the resolved seed (or an explicit one)
+ */
+function createRandom(seed = resolveSeed()) {
+  return new SeededRandom(seed);
+}
+
+module.exports = {
+  SeededRandom,
+  createRandom,
+  resolveSeed
+};
@@ -0,0 +1,1482 @@
+/**
+ * Tendermint (CometBFT) Consensus Runner
+ * Implementation of the Tendermint BFT consensus algorithm for the K-ETS blockchain simulation
+ *
+ * Every height runs one or more rounds of three steps:
+ * 1. Propose: the round's proposer broadcasts a block (or re-proposes its valid block)
+ * 2. Prevote: validators prevote the proposal, or nil if it is invalid or conflicts with their lock
+ * 3. Precommit: after +2/3 prevotes for a block (a "polka") validators lock on it and precommit
+ * A block is decided once +2/3 of the voting power precommits it in the same round.
+ * A validator that has decided answers peers still in a later round of the
+ * height with the block and its +2/3 precommits (the commit), so they catch up.
+ *
+ * Locking and valid-round rules follow "The latest gossip on BFT consensus"
+ * (Buchman, Kwon, Milosevic): a locked validator only prevotes another block if
+ * it is re-proposed with a polka from a round at or after its lock. Timeouts
+ * grow with the round number, and the proposer for each round is chosen by
+ * CometBFT's weighted round-robin proposer priority over voting power.
+ *
+ * Byzantine validators reuse the PBFT runner's fault model (crash, malicious,
+ * delayed). Messages and timeouts run on a simulated clock (see event-scheduler.js),
+ * and measurements are written in the same shape as logs/pbft-measurements.json.
+ */
+
+const { ethers } = require("hardhat");
+const { parseEther } = ethers;
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+const { networkFromEnv } = require("./network-model");
+
+// Constants for simulation
+const VOTING_POWERS = [30, 25, 25, 20]; // One entry per validator; no single validator holds 1/3
+const BLOCK_TIME = 1000; // 1 second
+
+// Message delivery times, aligned with the PBFT phase timings
+const PROPOSAL_TIME = 200; // ms
+const PREVOTE_TIME = 300; // ms
+const PRECOMMIT_TIME = 300; // ms
+const COMMIT_TIME = 300; // ms
+
+// Step timeouts (CometBFT defaults), each growing by TIMEOUT_DELTA per round
+const TIMEOUT_PROPOSE = 3000; // ms
+const TIMEOUT_PREVOTE = 1000; // ms
+const TIMEOUT_PRECOMMIT = 1000; // ms
+const TIMEOUT_DELTA = 500; // ms added per round
+const MAX_ROUNDS = 8; // Rounds per height before liveness is reported lost
+
+// Byzantine behavior constants (same model as the PBFT runner)
+const BYZANTINE_VALIDATOR_COUNT = 1;
+const BYZANTINE_FAILURE_TYPES = [
+  'crash', // Validator stops responding
+  'malicious', // Validator sends conflicting messages
+  'delayed' // Validator responds with excessive delay
+];
+const BYZANTINE_FAILURE_PROBABILITY = 0.3; // Chance of Byzantine behavior per validator per message
+const BYZANTINE_EXTRA_DELAY = 1000; // ms
+
+// Protocol message types (also used as the phase names in the measurements)
+const MESSAGE_TYPES = {
+  PROPOSAL: "proposal",
+  PREVOTE: "prevote",
+  PRECOMMIT: "precommit",
+  COMMIT: "commit" // Decided block and its precommits, sent to validators still on the height
+};
+
+const MESSAGE_SIZES = {
+  [MESSAGE_TYPES.PROPOSAL]: 1024,
+  [MESSAGE_TYPES.PREVOTE]: 512,
+  [MESSAGE_TYPES.PRECOMMIT]: 512,
+  [MESSAGE_TYPES.COMMIT]: 1536
+};
+
+const STEPS = { PROPOSE: 0, PREVOTE: 1, PRECOMMIT: 2 };
+const STEP_NAMES = ["propose", "prevote", "precommit"];
+
+// Seeded randomness (SIM_SEED / --seed) so runs can be replayed exactly
+const rng = createRandom();
+const resourceNoise = rng.fork("resource-usage");
+
+// Simulated clock - message delivery and timeouts are modelled on it
+const clock = new EventScheduler(Date.now());
+
+// Log file setup
+const LOG_FILE = path.join(__dirname, "../logs/tendermint-measurements.json");
+const LOG_DIR = path.dirname(LOG_FILE);
+
+if (!fs.existsSync(LOG_DIR)) {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+}
+
+// Measurement data structure (same shape as the PBFT measurements)
+const measurements = {
+  consensusMechanism: "Tendermint",
+  seed: rng.seed,
+  timeModel: "virtual-clock",
+  transactions: [],
+  blocks: [],
+  finalityTimes: [],
+  gasUsage: [],
+  resourceUsage: [],
+  networkMessages: [],
+  viewChanges: [], // round changes within a height
+  byzantineEvents: [],
+  consensusPhases: [],
+  quorumCertificates: [],
+  rejectedMessages: [],
+  safetyViolations: [],
+  livenessFailures: [],
+  catchUps: [], // Validators that decided from a relayed commit
+  crashEvents: [], // Scheduled crashes (fault-schedule.js)
+  locks: [],
+  timeouts: [],
+  proposerSelection: [],
+  startTime: null,
+  endTime: null
+};
+
+/**
+ * Digest of a proposed block (the value validators vote on)
+ */
+function computeDigest(block) {
+  return "0x" + crypto.createHash("sha256")
+    .update(`${block.txHash}:${block.height}:${block.proposer}:${block.round}:${block.variant || ""}`)
+    .digest("hex");
+}
+
+/**
+ * A proposal is valid when its digest matches its contents and it carries the pending transaction
+ */
+function isValidBlock(block, request) {
+  return block !== null && block.txHash === request.txHash && block.height === request.height &&
+    block.digest === computeDigest(block);
+}
+
+/**
+ * Weighted round-robin proposer selection (CometBFT ProposerPriority).
+ * Every increment adds each validator's voting power to its priority; the
+ * highest priority proposes and pays back the total voting power.
+ */
+class ProposerPriority {
+  constructor(validators) {
+    this.entries = validators.map(v => ({ validator: v, priority: 0 }));
+    this.totalPower = validators.reduce((sum, v) => sum + v.votingPower, 0);
+  }
+
+  copy() {
+    const copy = Object.create(ProposerPriority.prototype);
+    copy.entries = this.entries.map(entry => ({ ...entry }));
+    copy.totalPower = this.totalPower;
+    return copy;
+  }
+
+  /**
+   * Advance `times` rounds and return the last selected proposer
+   */
+  increment(times = 1) {
+    let proposer = null;
+    for (let i = 0; i < times; i++) {
+      // Keep priorities centred on zero so they do not drift
+      const average = this.entries.reduce((sum, e) => sum + e.priority, 0) / this.entries.length;
+      this.entries.forEach(e => { e.priority -= Math.trunc(average); });
+
+      this.entries.forEach(e => { e.priority += e.validator.votingPower; });
+      proposer = this.entries.reduce((best, e) => (e.priority > best.priority ? e : best));
+      proposer.priority -= this.totalPower;
+    }
+    return proposer.validator;
+  }
+
+  snapshot() {
+    return this.entries.map(e => ({ index: e.validator.index, votingPower: e.validator.votingPower, priority: e.priority }));
+  }
+}
+
+/**
+ * Tendermint validator state
+ */
+class TendermintValidator {
+  constructor(account, index, votingPower, isByzantine = false, random = rng, scheduler = clock, failureProbability = BYZANTINE_FAILURE_PROBABILITY, failureTypes = BYZANTINE_FAILURE_TYPES) {
+    this.account = account;
+    this.clock = scheduler;
+    this.address = account.address;
+    this.index = index;
+    this.votingPower = votingPower;
+    this.rng = random;
+    this.isByzantine = isByzantine;
+    this.byzantineType = isByzantine ? this.rng.pick(failureTypes) : null;
+    this.failureProbability = failureProbability;
+    this.proposalsSent = 0;
+    this.prevotesSent = 0;
+    this.precommitsSent = 0;
+    this.messagesReceived = 0;
+    this.nilVotes = 0;
+    this.timeoutsFired = 0;
+    this.failures = 0;
+    this.online = true; // False while down from a scheduled crash
+    this.rejoinedHeight = null; // Height it rejoined part-way through; it syncs that block
+    this.lastActive = this.clock.now;
+    this.resetHeight(0);
+  }
+
+  /**
+   * Fresh per-height state (lines 1-10 of the algorithm)
+   */
+  resetHeight(height) {
+    this.height = height;
+    this.round = 0;
+    this.step = STEPS.PROPOSE;
+    this.decision = null;
+    this.decidedAt = null;
+    this.commit = null; // { round, block, digest, signers } once decided
+    this.relayedTo = new Set(); // Peers already sent the commit
+    this.lockedValue = null;
+    this.lockedRound = -1;
+    this.validValue = null;
+    this.validRound = -1;
+    this.rounds = new Map();
+    this.timers = [];
+  }
+
+  /**
+   * Messages received for a round, and which one-shot rules have fired
+   */
+  getRoundLog(round) {
+    if (!this.rounds.has(round)) {
+      this.rounds.set(round, {
+        proposal: null,
+        prevotes: new Map(), // sender index -> digest (null = nil)
+        precommits: new Map(),
+        fired: new Set()
+      });
+    }
+    return this.rounds.get(round);
+  }
+
+  /**
+   * Check if validator should exhibit Byzantine behavior for this message
+   */
+  exhibitsByzantineFailure() {
+    if (!this.isByzantine) return false;
+
+    if (this.rng.chance(this.failureProbability)) {
+      this.failures++;
+      return this.byzantineType;
+    }
+    return false;
+  }
+}
+
+/**
+ * Tendermint consensus state manager
+ */
+class TendermintConsensus {
+  constructor(validatorAccounts, random = rng, scheduler = clock, options = {}) {
+    this.rng = random;
+    this.clock = scheduler;
+    this.votingPowers = options.votingPowers || VOTING_POWERS;
+    this.maxRounds = options.maxRounds || MAX_ROUNDS;
+    this.network = options.network || null; // NetworkModel; without one every message takes its phase time
+    this.byzantineCount = Math.min(options.byzantineCount ?? BYZANTINE_VALIDATOR_COUNT, validatorAccounts.length);
+    this.failureProbability = options.failureProbability ?? BYZANTINE_FAILURE_PROBABILITY;
+    this.failureTypes = options.byzantineTypes || BYZANTINE_FAILURE_TYPES; // Faults Byzantine validators pick from
+
+    this.validators = this.setupValidators(validatorAccounts);
+    this.totalPower = this.validators.reduce((sum, v) => sum + v.votingPower, 0);
+    this.f = Math.floor((this.validators.length - 1) / 3);
+    this.priorities = new ProposerPriority(this.validators);
+    this.blockHeight = 0;
+    this.currentRound = 0;
+    this.heightState = null;
+
+    this.recordConsensusState("initialization");
+  }
+
+  /**
+   * Set up validators including Byzantine ones
+   */
+  setupValidators(accounts) {
+    const byzantineIndices = new Set();
+    while (byzantineIndices.size < this.byzantineCount) {
+      byzantineIndices.add(this.rng.nextInt(accounts.length));
+    }
+
+    return accounts.map((account, index) => new TendermintValidator(
+      account,
+      index,
+      this.votingPowers[index % this.votingPowers.length],
+      byzantineIndices.has(index),
+      this.rng.fork(`validator-${index}`),
+      this.clock,
+      this.failureProbability,
+      this.failureTypes
+    ));
+  }
+
+  /**
+   * More than two thirds of the voting power
+   */
+  quorumPower() {
+    return Math.floor((this.totalPower * 2) / 3) + 1;
+  }
+
+  /**
+   * More than one third of the voting power (at least one correct validator)
+   */
+  skipPower() {
+    return Math.floor(this.totalPower / 3) + 1;
+  }
+
+  /**
+   * Proposer for a round of the current height. Priorities advance once per
+   * round from the height's starting state, and once per committed height.
+   */
+  proposerFor(round) {
+    const state = this.heightState;
+    while (state.proposers.length <= round) {
+      const proposer = state.priorityState.increment(1);
+      state.proposers.push(proposer);
+      measurements.proposerSelection.push({
+        timestamp: this.clock.now,
+        blockHeight: state.height,
+        round: state.proposers.length - 1,
+        proposer: proposer.address,
+        proposerIndex: proposer.index,
+        priorities: state.priorityState.snapshot()
+      });
+    }
+    return state.proposers[round];
+  }
+
+  /**
+   * Run Tendermint for one height carrying the transaction.
+   * Resolves once every correct validator has decided, or liveness is lost
+   * after MAX_ROUNDS rounds. totalTime is the first decision; heightTime is
+   * when the last correct validator decided (or the deadline, if one never did).
+   */
+  async runConsensus(txHash, receipt) {
+    this.blockHeight++;
+    const height = this.blockHeight;
+    const startTime = this.clock.now;
+
+    this.heightState = {
+      height,
+      request: { txHash, height },
+      startTime,
+      priorityState: this.priorities.copy(),
+      proposers: [],
+      roundStats: new Map(), // round -> message counts and phase timestamps
+      decisions: new Map(), // validator index -> digest
+      firstDecision: null,
+      commitRound: null
+    };
+
+    console.log(`\n--- Tendermint Height ${height} ---`);
+    console.log(`Proposer for round 0: ${this.proposerFor(0).address.substring(0, 10)}...`);
+
+    for (const validator of this.validators) {
+      validator.resetHeight(height);
+    }
+    for (const validator of this.validators) {
+      if (validator.online) this.startRound(validator, 0);
+    }
+
+    const correct = this.validators.filter(v => !v.isByzantine);
+    const deadline = startTime + this.heightDeadline();
+    const decided = await this.clock.advanceUntil(() => correct.every(v => v.decision !== null || this.catchesUpLater(v)), deadline);
+
+    // Stop every validator's timers for this height
+    for (const validator of this.validators) {
+      validator.timers.forEach(id => this.clock.cancel(id));
+      validator.timers = [];
+    }
+
+    const state = this.heightState;
+    const success = state.firstDecision !== null;
+    const result = {
+      success,
+      height,
+      round: state.commitRound,
+      proposer: success ? this.proposerFor(state.commitRound).address : null,
+      digest: success ? state.firstDecision.digest : null,
+      totalTime: success ? state.firstDecision.time - startTime : null,
+      heightTime: this.clock.now - startTime,
+      allDecided: decided,
+      rounds: Math.max(...this.validators.map(v => v.round)) + 1
+    };
+    const undecided = correct.filter(v => v.decision === null && !this.catchesUpLater(v));
+
+    if (!success) {
+      console.log(`❌ Liveness lost at height ${height}: no decision after ${result.rounds} rounds`);
+      measurements.livenessFailures.push({
+        timestamp: this.clock.now,
+        blockHeight: height,
+        rounds: result.rounds,
+        reason: this.describeRoundFailure()
+      });
+    } else if (undecided.length > 0) {
+      console.log(`⚠️ Height ${height} decided in round ${result.round} after ${result.totalTime}ms, ` +
+        `but ${undecided.length} correct validators were still undecided after ${result.heightTime}ms`);
+      measurements.livenessFailures.push({
+        timestamp: this.clock.now,
+        blockHeight: height,
+        rounds: result.rounds,
+        reason: `correct validators ${undecided.map(v => v.index).join(", ")} never decided`
+      });
+    } else {
+      console.log(`✅ Height ${height} decided in round ${result.round} after ${result.totalTime}ms`);
+    }
+
+    this.checkSafety(height);
+    this.recordRoundPhases();
+    this.recordBlock(result);
+    this.recordConsensusState("height-complete", result);
+    recordTendermintResourceUsage(height, this.byzantineMessagesAt(height), "all");
+
+    // Priorities move on by one round per committed height
+    this.priorities.increment(1);
+    this.currentRound = 0;
+
+    return result;
+  }
+
+  /**
+   * Once the height is decided, a validator that is down, rejoined part-way
+   * through, or is cut off from the first decider by a network partition
+   * catches up on the block once it can, so the height does not wait for it
+   */
+  catchesUpLater(validator) {
+    const decision = this.heightState.firstDecision;
+    if (!decision) return false;
+    if (!validator.online || validator.rejoinedHeight === this.heightState.height) return true;
+    return Boolean(this.network && this.network.isCut(validator.index, decision.validator));
+  }
+
+  /**
+   * Scheduled crash (fault-schedule.js): the validator neither sends nor
+   * receives for `downtime` ms. Rejoining part-way through a height it enters
+   * the round the others are in, unless the height is already decided.
+   */
+  crashValidator(index, downtime) {
+    const validator = this.validators[index];
+    if (!validator.online) return;
+    validator.online = false;
+    validator.timers.forEach(id => this.clock.cancel(id));
+    validator.timers = [];
+    console.log(`💥 Validator ${validator.address.substring(0, 10)}... crashed for ${downtime}ms`);
+    measurements.crashEvents.push({
+      timestamp: this.clock.now,
+      validatorIndex: index,
+      blockHeight: this.blockHeight,
+      round: validator.round,
+      downtime
+    });
+
+    this.clock.schedule(downtime, () => {
+      validator.online = true;
+      console.log(`🔁 Validator ${validator.address.substring(0, 10)}... rejoined at height ${this.blockHeight}`);
+      if (this.heightState && validator.height === this.blockHeight && !validator.decision) {
+        validator.rejoinedHeight = validator.height;
+        if (!this.heightState.firstDecision) this.startRound(validator, this.currentRound);
+      }
+    }, `recover:${index}`);
+  }
+
+  /**
+   * Handlers for fault-schedule.js events (only crashes; scheduled strategies need PBFT or PoA Square)
+   */
+  faultHandlers() {
+    return { crash: (index, downtime) => this.crashValidator(index, downtime) };
+  }
+
+  /**
+   * Longest a height may take: every round's propose, prevote and precommit timeout
+   */
+  heightDeadline() {
+    let total = 0;
+    for (let round = 0; round < this.maxRounds; round++) {
+      total += this.timeoutFor(STEPS.PROPOSE, round) + this.timeoutFor(STEPS.PREVOTE, round) +
+        this.timeoutFor(STEPS.PRECOMMIT, round) + PROPOSAL_TIME + PREVOTE_TIME + PRECOMMIT_TIME;
+    }
+    return total;
+  }
+
+  timeoutFor(step, round) {
+    const base = [TIMEOUT_PROPOSE, TIMEOUT_PREVOTE, TIMEOUT_PRECOMMIT][step];
+    return base + round * TIMEOUT_DELTA;
+  }
+
+  getRoundStats(round) {
+    const stats = this.heightState.roundStats;
+    if (!stats.has(round)) {
+      stats.set(round, {
+        startedAt: this.clock.now,
+        proposalAt: null,
+        polkaAt: null,
+        commitAt: null,
+        messages: {
+          [MESSAGE_TYPES.PROPOSAL]: { count: 0, bytes: 0 },
+          [MESSAGE_TYPES.PREVOTE]: { count: 0, bytes: 0 },
+          [MESSAGE_TYPES.PRECOMMIT]: { count: 0, bytes: 0 },
+          [MESSAGE_TYPES.COMMIT]: { count: 0, bytes: 0 }
+        },
+        byzantine: 0
+      });
+    }
+    return stats.get(round);
+  }
+
+  /**
+   * StartRound (lines 11-21): the proposer proposes its valid value or a new
+   * block; everyone else arms the propose timeout
+   */
+  startRound(validator, round) {
+    const previousRound = validator.round;
+    validator.round = round;
+    validator.step = STEPS.PROPOSE;
+
+    if (round > this.currentRound) {
+      this.recordRoundChange(previousRound, round, validator);
+      this.currentRound = round;
+    }
+    if (round >= this.maxRounds) return;
+    this.getRoundStats(round);
+
+    const proposer = this.proposerFor(round);
+    if (validator === proposer) {
+      let block = validator.validValue;
+      if (!block) {
+        block = { txHash: this.heightState.request.txHash, height: validator.height, proposer: validator.index, round };
+        block.digest = computeDigest(block);
+      }
+      validator.proposalsSent++;
+      this.broadcast(validator, {
+        type: MESSAGE_TYPES.PROPOSAL,
+        height: validator.height,
+        round,
+        sender: validator.index,
+        block,
+        digest: block.digest,
+        validRound: validator.validRound
+      }, PROPOSAL_TIME);
+    } else {
+      this.scheduleTimeout(validator, STEPS.PROPOSE, round);
+    }
+    this.evaluate(validator);
+  }
+
+  /**
+   * Deliver a message to every validator, or just `recipients` (the sender gets
+   * its own copy at once). Crashed senders send nothing; Byzantine senders may stay silent, arrive late or
+   * sign two conflicting versions.
+   */
+  broadcast(sender, message, delay, recipients = this.validators) {
+    if (!sender.online) return;
+    const stats = this.getRoundStats(message.round);
+    const behaviour = this.applyByzantineBehaviour(sender, message.type, stats);
+    if (behaviour.silent) return;
+
+    // Votes are gossiped until peers have them, so a partition delays them rather than losing them
+    const transits = this.network
+      ? this.network.broadcast(sender.index, recipients.map(v => v.index), MESSAGE_SIZES[message.type], { reliable: true })
+      : null;
+    recipients.forEach((recipient, i) => {
+      let delivered = [message];
+      if (behaviour.equivocate && recipient !== sender && sender.rng.chance(0.5)) {
+        // Double-sign: the recipient gets both versions, in either order
+        const conflicting = this.equivocate(sender, message);
+        delivered = sender.rng.chance(0.5) ? [conflicting, message] : [message, conflicting];
+      }
+
+      const transit = transits ? transits[i] : delay;
+      if (transit === null) return; // Not reachable over the gossip overlay
+      const arrival = recipient === sender ? 0 : transit + behaviour.extraDelay;
+      for (const copy of delivered) {
+        if (recipient !== sender) {
+          stats.messages[message.type].count++;
+          stats.messages[message.type].bytes += MESSAGE_SIZES[message.type];
+        }
+        this.clock.schedule(arrival, () => this.handleMessage(recipient, copy),
+          `${message.type}:${sender.index}->${recipient.index}@${message.height}/${message.round}`);
+      }
+    });
+  }
+
+  /**
+   * Conflicting variant of a message: a different (self-consistent) block for
+   * proposals, a vote for a block nobody proposed for votes
+   */
+  equivocate(sender, message) {
+    if (message.type === MESSAGE_TYPES.PROPOSAL) {
+      const block = { ...message.block, variant: `equivocation-${sender.index}` };
+      block.digest = computeDigest(block);
+      return { ...message, block, digest: block.digest };
+    }
+    const forged = "0x" + crypto.createHash("sha256")
+      .update(`${message.digest}:forged:${sender.index}`)
+      .digest("hex");
+    return { ...message, digest: forged };
+  }
+
+  /**
+   * Decide whether a validator misbehaves while sending this message
+   */
+  applyByzantineBehaviour(validator, phase, stats) {
+    const behaviour = { silent: false, equivocate: false, extraDelay: 0 };
+    const byzantineFailure = validator.exhibitsByzantineFailure();
+    if (!byzantineFailure) return behaviour;
+
+    this.recordByzantineEvent(validator, phase, byzantineFailure);
+    stats.byzantine++;
+
+    if (byzantineFailure === 'crash') {
+      behaviour.silent = true;
+    } else if (byzantineFailure === 'malicious') {
+      behaviour.equivocate = true;
+    } else if (byzantineFailure === 'delayed') {
+      behaviour.extraDelay = BYZANTINE_EXTRA_DELAY;
+    }
+    return behaviour;
+  }
+
+  /**
+   * Log a received message, rejecting duplicates that conflict with an earlier one
+   */
+  handleMessage(validator, message) {
+    if (!validator.online || message.height !== validator.height) return;
+    if (validator.decision) {
+      this.relayCommit(validator, message);
+      return;
+    }
+    validator.messagesReceived++;
+    validator.lastActive = this.clock.now;
+
+    if (message.type === MESSAGE_TYPES.COMMIT) {
+      this.handleCommit(validator, message);
+      return;
+    }
+
+    const log = validator.getRoundLog(message.round);
+    if (message.type === MESSAGE_TYPES.PROPOSAL) {
+      if (message.sender !== this.proposerFor(message.round).index) {
+        this.recordRejectedMessage(validator, message, "not the round's proposer");
+        return;
+      }
+      if (log.proposal) {
+        if (log.proposal.digest !== message.digest) {
+          this.recordRejectedMessage(validator, message, "conflicting proposal", log.proposal.digest);
+        }
+        return;
+      }
+      log.proposal = message;
+      const stats = this.getRoundStats(message.round);
+      if (stats.proposalAt === null) stats.proposalAt = this.clock.now;
+    } else {
+      const votes = message.type === MESSAGE_TYPES.PREVOTE ? log.prevotes : log.precommits;
+      if (votes.has(message.sender)) {
+        if (votes.get(message.sender) !== message.digest) {
+          this.recordRejectedMessage(validator, message, `conflicting ${message.type}`, votes.get(message.sender));
+        }
+        return;
+      }
+      votes.set(message.sender, message.digest);
+    }
+
+    this.evaluate(validator);
+  }
+
+  /**
+   * A peer still voting in a round after the decided one has missed the
+   * decision: send it the commit, once
+   */
+  relayCommit(validator, message) {
+    const commit = validator.commit;
+    if (message.type === MESSAGE_TYPES.COMMIT || message.round <= commit.round || validator.relayedTo.has(message.sender)) return;
+    validator.relayedTo.add(message.sender);
+    this.broadcast(validator, {
+      type: MESSAGE_TYPES.COMMIT,
+      height: validator.height,
+      round: commit.round,
+      sender: validator.index,
+      block: commit.block,
+      digest: commit.digest,
+      signers: commit.signers
+    }, COMMIT_TIME, [this.validators[message.sender]]);
+  }
+
+  /**
+   * Decide from a relayed commit if its precommits carry +2/3 of the power
+   */
+  handleCommit(validator, message) {
+    const power = message.signers.reduce((sum, i) => sum + this.validators[i].votingPower, 0);
+    if (message.digest !== message.block.digest || !isValidBlock(message.block, this.heightState.request) ||
+        power < this.quorumPower()) {
+      this.recordRejectedMessage(validator, message, "invalid commit");
+      return;
+    }
+    console.log(`📥 Validator ${validator.index} caught up on height ${validator.height} from validator ${message.sender}'s commit`);
+    measurements.catchUps.push({
+      timestamp: this.clock.now,
+      blockHeight: validator.height,
+      validatorIndex: validator.index,
+      round: validator.round,
+      commitRound: message.round,
+      source: message.sender
+    });
+    this.decide(validator, message, message.round);
+  }
+
+  /**
+   * Voting power behind `digest` (undefined = any value, including nil)
+   */
+  powerFor(votes, digest) {
+    let power = 0;
+    for (const [sender, voted] of votes) {
+      if (digest === undefined || voted === digest) {
+        power += this.validators[sender].votingPower;
+      }
+    }
+    return power;
+  }
+
+  /**
+   * Apply the algorithm's "upon" rules to the validator's current state
+   */
+  evaluate(validator) {
+    if (validator.decision || validator.round >= this.maxRounds) return;
+    const request = this.heightState.request;
+    const quorum = this.quorumPower();
+
+    // Lines 49-54: decide on a proposal with +2/3 precommits in any round
+    for (const [round, log] of validator.rounds) {
+      const proposal = log.proposal;
+      if (proposal && this.powerFor(log.precommits, proposal.digest) >= quorum &&
+          isValidBlock(proposal.block, request)) {
+        this.decide(validator, proposal, round);
+        return;
+      }
+    }
+
+    // Lines 55-56: +1/3 of the power is already in a later round - skip ahead
+    for (const [round, log] of validator.rounds) {
+      if (round <= validator.round) continue;
+      const senders = new Set([...log.prevotes.keys(), ...log.precommits.keys()]);
+      if (log.proposal) senders.add(log.proposal.sender);
+      const power = [...senders].reduce((sum, i) => sum + this.validators[i].votingPower, 0);
+      if (power >= this.skipPower()) {
+        this.startRound(validator, round);
+        return;
+      }
+    }
+
+    const round = validator.round;
+    const log = validator.getRoundLog(round);
+    const proposal = log.proposal;
+
+    if (validator.step === STEPS.PROPOSE && proposal) {
+      const valid = isValidBlock(proposal.block, request);
+      if (proposal.validRound === -1) {
+        // Lines 22-27: fresh proposal - prevote it unless locked on something else
+        const accept = valid && (validator.lockedRound === -1 || validator.lockedValue.digest === proposal.digest);
+        this.noteProposalDecision(validator, proposal, valid, accept);
+        this.sendVote(validator, MESSAGE_TYPES.PREVOTE, accept ? proposal.digest : null);
+        return;
+      }
+      const polkaLog = validator.rounds.get(proposal.validRound);
+      if (proposal.validRound < round && polkaLog &&
+          this.powerFor(polkaLog.prevotes, proposal.digest) >= quorum) {
+        // Lines 28-33: re-proposal justified by a polka from an earlier round
+        const accept = valid && (validator.lockedRound <= proposal.validRound ||
+          validator.lockedValue.digest === proposal.digest);
+        this.noteProposalDecision(validator, proposal, valid, accept);
+        this.sendVote(validator, MESSAGE_TYPES.PREVOTE, accept ? proposal.digest : null);
+        return;
+      }
+    }
+
+    // Lines 34-35: +2/3 prevotes for anything - arm the prevote timeout once
+    if (validator.step === STEPS.PREVOTE && this.powerFor(log.prevotes) >= quorum && !log.fired.has("prevote-any")) {
+      log.fired.add("prevote-any");
+      this.scheduleTimeout(validator, STEPS.PREVOTE, round);
+    }
+
+    // Lines 36-43: polka for the proposal - lock (if still prevoting) and record it as valid
+    if (proposal && validator.step >= STEPS.PREVOTE && !log.fired.has("polka") &&
+        this.powerFor(log.prevotes, proposal.digest) >= quorum && isValidBlock(proposal.block, request)) {
+      log.fired.add("polka");
+      this.recordPolka(validator, round, proposal.digest, log.prevotes);
+      if (validator.step === STEPS.PREVOTE) {
+        this.recordLock(validator, proposal.block, round);
+        validator.lockedValue = proposal.block;
+        validator.lockedRound = round;
+        this.sendVote(validator, MESSAGE_TYPES.PRECOMMIT, proposal.digest);
+      }
+      validator.validValue = proposal.block;
+      validator.validRound = round;
+      return;
+    }
+
+    // Lines 44-46: polka for nil - precommit nil
+    if (validator.step === STEPS.PREVOTE && this.powerFor(log.prevotes, null) >= quorum) {
+      this.sendVote(validator, MESSAGE_TYPES.PRECOMMIT, null);
+      return;
+    }
+
+    // Lines 47-48: +2/3 precommits for anything - arm the precommit timeout once
+    if (this.powerFor(log.precommits) >= quorum && !log.fired.has("precommit-any")) {
+      log.fired.add("precommit-any");
+      this.scheduleTimeout(validator, STEPS.PRECOMMIT, round);
+    }
+  }
+
+  /**
+   * Broadcast a prevote or precommit and move to the matching step
+   */
+  sendVote(validator, type, digest) {
+    if (type === MESSAGE_TYPES.PREVOTE) {
+      validator.step = STEPS.PREVOTE;
+      validator.prevotesSent++;
+    } else {
+      validator.step = STEPS.PRECOMMIT;
+      validator.precommitsSent++;
+    }
+    if (digest === null) validator.nilVotes++;
+
+    this.broadcast(validator, {
+      type,
+      height: validator.height,
+      round: validator.round,
+      sender: validator.index,
+      digest
+    }, type === MESSAGE_TYPES.PREVOTE ? PREVOTE_TIME : PRECOMMIT_TIME);
+    this.evaluate(validator);
+  }
+
+  /**
+   * Arm a step timeout; it only acts if the validator is still in that round and step
+   */
+  scheduleTimeout(validator, step, round) {
+    const duration = this.timeoutFor(step, round);
+    const height = validator.height;
+    const id = this.clock.schedule(duration, () => {
+      if (validator.height !== height || validator.round !== round || validator.decision) return;
+
+      if (step === STEPS.PROPOSE && validator.step === STEPS.PROPOSE) {
+        this.recordTimeout(validator, step, round, duration);
+        this.sendVote(validator, MESSAGE_TYPES.PREVOTE, null);
+      } else if (step === STEPS.PREVOTE && validator.step === STEPS.PREVOTE) {
+        this.recordTimeout(validator, step, round, duration);
+        this.sendVote(validator, MESSAGE_TYPES.PRECOMMIT, null);
+      } else if (step === STEPS.PRECOMMIT) {
+        this.recordTimeout(validator, step, round, duration);
+        this.startRound(validator, round + 1);
+      }
+    }, `timeout-${STEP_NAMES[step]}:${validator.index}@${height}/${round}`);
+    validator.timers.push(id);
+  }
+
+  /**
+   * Commit the decided block. `proposal` is the round's proposal or a relayed commit.
+   */
+  decide(validator, proposal, round) {
+    validator.decision = proposal.block;
+    validator.decidedAt = this.clock.now;
+    validator.timers.forEach(id => this.clock.cancel(id));
+    validator.timers = [];
+
+    const state = this.heightState;
+    state.decisions.set(validator.index, proposal.digest);
+    const signers = proposal.type === MESSAGE_TYPES.COMMIT ? proposal.signers :
+      [...validator.rounds.get(round).precommits].filter(([, digest]) => digest === proposal.digest).map(([sender]) => sender);
+    validator.commit = { round, block: proposal.block, digest: proposal.digest, signers };
+
+    if (!state.firstDecision) {
+      state.firstDecision = { digest: proposal.digest, time: this.clock.now, validator: validator.index };
+      state.commitRound = round;
+      this.getRoundStats(round).commitAt = this.clock.now;
+
+      measurements.quorumCertificates.push({
+        timestamp: this.clock.now,
+        type: "commit",
+        blockHeight: state.height,
+        round,
+        digest: proposal.digest,
+        validatorIndex: validator.index,
+        power: signers.reduce((sum, i) => sum + this.validators[i].votingPower, 0),
+        signers
+      });
+    }
+  }
+
+  /**
+   * Every validator that decided at this height must have decided the same block
+   */
+  checkSafety(height) {
+    const decisions = this.heightState.decisions;
+    const digests = new Set(decisions.values());
+    if (digests.size > 1) {
+      console.log(`🚨 SAFETY VIOLATION at height ${height}: ${digests.size} different blocks decided`);
+      measurements.safetyViolations.push({
+        timestamp: this.clock.now,
+        blockHeight: height,
+        decisions: Object.fromEntries(decisions)
+      });
+    }
+  }
+
+  /**
+   * Explain why a height failed to decide, from the last round's votes
+   */
+  describeRoundFailure() {
+    const round = Math.min(this.currentRound, this.maxRounds - 1);
+    const stats = this.heightState.roundStats.get(round);
+    if (!stats || stats.proposalAt === null) return `no proposal received in round ${round}`;
+    if (stats.polkaAt === null) return `no +2/3 prevotes for the proposal in round ${round}`;
+    return `no +2/3 precommits for the proposal in round ${round}`;
+  }
+
+  byzantineMessagesAt(height) {
+    return measurements.byzantineEvents.filter(event => event.blockHeight === height).length;
+  }
+
+  noteProposalDecision(validator, proposal, valid, accept) {
+    if (!valid) {
+      this.recordRejectedMessage(validator, proposal, "invalid block");
+    } else if (!accept) {
+      console.log(`🔒 Validator ${validator.index} locked on round ${validator.lockedRound} - prevotes nil in round ${validator.round}`);
+    }
+  }
+
+  recordPolka(validator, round, digest, prevotes) {
+    const stats = this.getRoundStats(round);
+    if (stats.polkaAt !== null) return;
+    stats.polkaAt = this.clock.now;
+    measurements.quorumCertificates.push({
+      timestamp: this.clock.now,
+      type: "polka",
+      blockHeight: this.heightState.height,
+      round,
+      digest,
+      validatorIndex: validator.index,
+      power: this.powerFor(prevotes, digest),
+      signers: [...prevotes].filter(([, voted]) => voted === digest).map(([sender]) => sender)
+    });
+  }
+
+  recordLock(validator, block, round) {
+    const event = validator.lockedRound === -1 ? "lock" :
+      validator.lockedValue.digest === block.digest ? "relock" : "change-lock";
+    measurements.locks.push({
+      timestamp: this.clock.now,
+      blockHeight: validator.height,
+      round,
+      validatorIndex: validator.index,
+      event,
+      digest: block.digest,
+      previousRound: validator.lockedRound
+    });
+  }
+
+  recordRoundChange(fromRound, toRound, validator) {
+    const trigger = toRound === fromRound + 1 ? "timeout-precommit" : "round-skip";
+    console.log(`🔄 Height ${this.heightState.height}: round ${fromRound} -> ${toRound} (${trigger})`);
+    const previous = this.heightState.roundStats.get(fromRound);
+    measurements.viewChanges.push({
+      timestamp: this.clock.now,
+      blockHeight: this.heightState.height,
+      oldView: fromRound,
+      newView: toRound,
+      reason: trigger,
+      initiator: validator.index,
+      newProposer: this.proposerFor(toRound).address,
+      duration: previous ? this.clock.now - previous.startedAt : 0,
+      outcome: "installed"
+    });
+  }
+
+  recordTimeout(validator, step, round, duration) {
+    validator.timeoutsFired++;
+    measurements.timeouts.push({
+      timestamp: this.clock.now,
+      blockHeight: validator.height,
+      round,
+      step: STEP_NAMES[step],
+      validatorIndex: validator.index,
+      duration
+    });
+  }
+
+  /**
+   * Record Byzantine event
+   */
+  recordByzantineEvent(validator, phase, failureType) {
+    measurements.byzantineEvents.push({
+      timestamp: this.clock.now,
+      validator: validator.address,
+      validatorIndex: validator.index,
+      blockHeight: this.blockHeight,
+      view: validator.round,
+      phase,
+      failureType
+    });
+  }
+
+  recordRejectedMessage(validator, message, reason, acceptedDigest = null) {
+    measurements.rejectedMessages.push({
+      timestamp: this.clock.now,
+      validatorIndex: validator.index,
+      type: message.type,
+      blockHeight: message.height,
+      view: message.round,
+      sender: message.sender,
+      digest: message.digest,
+      acceptedDigest,
+      reason
+    });
+  }
+
+  /**
+   * Message counts and phase durations for every round of the height
+   */
+  recordRoundPhases() {
+    for (const [round, stats] of this.heightState.roundStats) {
+      for (const type of Object.values(MESSAGE_TYPES)) {
+        const { count } = stats.messages[type];
+        if (count === 0) continue;
+        measurements.networkMessages.push({
+          timestamp: this.clock.now,
+          blockHeight: this.heightState.height,
+          view: round,
+          phase: type,
+          messageCount: count,
+          messageSize: MESSAGE_SIZES[type],
+          totalBytes: count * MESSAGE_SIZES[type]
+        });
+      }
+
+      const phases = [
+        [MESSAGE_TYPES.PROPOSAL, stats.startedAt, stats.proposalAt],
+        [MESSAGE_TYPES.PREVOTE, stats.proposalAt, stats.polkaAt],
+        [MESSAGE_TYPES.PRECOMMIT, stats.polkaAt, stats.commitAt]
+      ];
+      for (const [phase, from, to] of phases) {
+        if (from === null || to === null) continue;
+        measurements.consensusPhases.push({
+          timestamp: to,
+          blockHeight: this.heightState.height,
+          view: round,
+          phase,
+          duration: to - from,
+          messageCount: stats.messages[phase].count,
+          participantCount: this.validators.length,
+          byzantineCount: stats.byzantine
+        });
+      }
+    }
+  }
+
+  /**
+   * Record the outcome of a height
+   */
+  recordBlock(result) {
+    const stats = [...this.heightState.roundStats.values()];
+    measurements.blocks.push({
+      number: result.height,
+      view: result.round,
+      rounds: result.rounds,
+      digest: result.digest,
+      primary: result.proposer,
+      status: result.success ? "committed" : "failed",
+      committedBy: [...this.heightState.decisions.keys()],
+      finalityTime: result.totalTime,
+      heightTime: result.heightTime, // Until the last correct validator decided
+      messageCount: stats.reduce((sum, s) => sum + Object.values(s.messages).reduce((n, m) => n + m.count, 0), 0),
+      rejectedMessages: measurements.rejectedMessages.filter(m => m.blockHeight === result.height).length,
+      timestamp: this.clock.now
+    });
+  }
+
+  /**
+   * Record overall consensus state
+   */
+  recordConsensusState(eventType, result = null) {
+    const validatorStates = this.validators.map(v => ({
+      address: v.address,
+      index: v.index,
+      votingPower: v.votingPower,
+      isByzantine: v.isByzantine,
+      byzantineType: v.byzantineType,
+      round: v.round,
+      step: STEP_NAMES[v.step],
+      lockedRound: v.lockedRound,
+      validRound: v.validRound,
+      decided: v.decision !== null,
+      proposalsSent: v.proposalsSent,
+      prevotesSent: v.prevotesSent,
+      precommitsSent: v.precommitsSent,
+      messagesReceived: v.messagesReceived,
+      nilVotes: v.nilVotes,
+      timeoutsFired: v.timeoutsFired,
+      failures: v.failures
+    }));
+
+    if (!measurements.consensusState) {
+      measurements.consensusState = [];
+    }
+
+    measurements.consensusState.push({
+      timestamp: this.clock.now,
+      eventType,
+      blockHeight: this.blockHeight,
+      view: this.currentRound,
+      primary: this.heightState ? this.proposerFor(0).address : null,
+      f: this.f,
+      totalVotingPower: this.totalPower,
+      validatorStates,
+      result
+    });
+  }
+}
+
+/**
+ * Simulates the Tendermint consensus mechanism over the K-ETS workflow
+ */
+async function runTendermintConsensus() {
+  console.log("Starting Tendermint consensus simulation with Byzantine fault tolerance...");
+  console.log(`Simulation seed: ${rng.seed} (replay with SIM_SEED=${rng.seed})`);
+  measurements.startTime = clock.now;
+  measurements.wallClockStart = Date.now();
+
+  // Deploy the contract
+  const KETSFactory = await ethers.getContractFactory("KETSBlockchain");
+  const ketsContract = await KETSFactory.deploy();
+  const contractAddress = await ketsContract.getAddress();
+  console.log(`Contract deployed at: ${contractAddress}`);
+
+  const [regulator, ...allAccounts] = await ethers.getSigners();
+  console.log(`Regulator: ${regulator.address}`);
+
+  const validatorCount = VOTING_POWERS.length;
+  const validatorAccounts = allAccounts.slice(0, validatorCount);
+  if (validatorAccounts.length < validatorCount) {
+    throw new Error(`Not enough accounts for Tendermint. Need ${validatorCount} validators but only have ${validatorAccounts.length}`);
+  }
+
+  const network = networkFromEnv(clock, rng.fork("network"));
+  const tendermint = new TendermintConsensus(validatorAccounts, rng, clock, { network });
+  if (network) console.log(`🌐 Network preset: ${network.preset} (${network.description})`);
+  console.log(`Tendermint validators: ${tendermint.validators.length} (total voting power ${tendermint.totalPower}, quorum ${tendermint.quorumPower()})`);
+  tendermint.validators.filter(v => v.isByzantine).forEach(v => {
+    console.log(`- Byzantine: ${v.address.substring(0, 10)}... (${v.byzantineType}, power ${v.votingPower})`);
+  });
+
+  const industries = allAccounts.slice(validatorCount, validatorCount + 3);
+
+  measurements.tendermintConfiguration = {
+    seed: rng.seed,
+    validators: tendermint.validators.length,
+    votingPowers: tendermint.validators.map(v => v.votingPower),
+    byzantineValidators: BYZANTINE_VALIDATOR_COUNT,
+    byzantineTypes: BYZANTINE_FAILURE_TYPES,
+    failureProbability: BYZANTINE_FAILURE_PROBABILITY,
+    maxTolerableFailures: tendermint.f,
+    maxRounds: tendermint.maxRounds,
+    phaseTiming: {
+      proposal: PROPOSAL_TIME,
+      prevote: PREVOTE_TIME,
+      precommit: PRECOMMIT_TIME
+    },
+    timeouts: {
+      propose: TIMEOUT_PROPOSE,
+      prevote: TIMEOUT_PREVOTE,
+      precommit: TIMEOUT_PRECOMMIT,
+      deltaPerRound: TIMEOUT_DELTA
+    }
+  };
+
+  // Submit a transaction and run a Tendermint height for it
+  async function executeWithTendermint(txPromise, txType) {
+    const tx = await txPromise;
+    const receipt = await tx.wait();
+
+    recordTransaction(receipt, txType);
+    console.log(`${txType}, Gas used: ${receipt.gasUsed.toString()}`);
+
+    const consensusResult = await tendermint.runConsensus(tx.hash, receipt);
+    if (consensusResult.success) {
+      console.log(`Time to finality: ${consensusResult.totalTime}ms (all correct validators after ${consensusResult.heightTime}ms)`);
+      measurements.finalityTimes.push({
+        txHash: tx.hash,
+        transactionType: txType,
+        finalityTime: consensusResult.totalTime, // First +2/3 precommit decision
+        heightTime: consensusResult.heightTime, // Every correct validator has the block
+        rounds: consensusResult.round + 1,
+        timestamp: clock.now
+      });
+    }
+    return consensusResult;
+  }
+
+  // Register industries
+  console.log("Registering industries...");
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithTendermint(
+      ketsContract.connect(industries[i]).registerIndustry(`Industry-${i+1}`, i % 2 === 0),
+      "registerIndustry"
+    );
+  }
+
+  // Update GHG emissions
+  console.log("Updating GHG emissions...");
+  for (let i = 0; i < industries.length; i++) {
+    await executeWithTendermint(
+      ketsContract.connect(industries[i]).updateGHGEmissions(
+        industries[i].address, 0,
+        5000 + i * 1000, 2000 + i * 500, 1000 + i * 200, 3000 + i * 300, 2000 + i * 250, 1000 + i * 100
+      ),
+      "updateGHGEmissions"
+    );
+  }
+
+  // Create auction
+  console.log("Creating auction...");
+  await executeWithTendermint(ketsContract.connect(regulator).createAuction(100, parseEther("0.01")), "createAuction");
+
+  // Place bids
+  console.log("Placing bids...");
+  for (let i = 0; i < industries.length; i++) {
+    try {
+      await executeWithTendermint(
+        ketsContract.connect(industries[i]).placeBid(10, { value: parseEther("0.02") }),
+        "placeBid"
+      );
+    } catch (error) {
+      console.error(`Error placing bid for Industry-${i+1}:`, error.message);
+    }
+  }
+
+  // Finalize the auction
+  console.log("Finalizing auction...");
+  try {
+    await executeWithTendermint(ketsContract.connect(regulator).finalizeAuction(), "finalizeAuction");
+  } catch (error) {
+    console.error("Error finalizing auction:", error.message);
+  }
+
+  // Deliver in-flight votes before closing the measurement
+  clock.runUntilIdle();
+  if (network) measurements.network = network.summary();
+
+  measurements.endTime = clock.now;
+  console.log("Tendermint consensus simulation completed");
+
+  saveMeasurements();
+
+  const avgFinality = measurements.finalityTimes.length > 0 ?
+    measurements.finalityTimes.reduce((sum, item) => sum + item.finalityTime, 0) / measurements.finalityTimes.length : 0;
+
+  return {
+    consensusMechanism: "Tendermint",
+    transactionsProcessed: measurements.transactions.length,
+    averageFinality: avgFinality,
+    totalDuration: measurements.endTime - measurements.startTime,
+    roundChanges: measurements.viewChanges.length,
+    byzantineEvents: measurements.byzantineEvents.length
+  };
+}
+
+/**
+ * Simulated resource usage per height, scaled by Byzantine activity
+ */
+function recordTendermintResourceUsage(blockHeight, byzantineCount = 0, phase = 'all') {
+  const baseCpuUsage = 28; // percentage
+  const baseMemoryUsage = 240; // MB
+  const baseNetworkBandwidth = 750; // KB/s (all-to-all prevotes and precommits)
+
+  const byzantineFactor = 1 + (byzantineCount * 0.2);
+  const phaseModifier = phase === 'transaction' ? 1.0 : 1.1;
+
+  const cpuUsage = baseCpuUsage * byzantineFactor * phaseModifier + (resourceNoise.next() * 10);
+  const memoryUsage = baseMemoryUsage * byzantineFactor * phaseModifier + (resourceNoise.next() * 30);
+  const networkBandwidth = baseNetworkBandwidth * byzantineFactor * phaseModifier + (resourceNoise.next() * 100);
+
+  measurements.resourceUsage.push({
+    blockHeight,
+    timestamp: clock.now,
+    byzantineCount,
+    byzantineFactor,
+    phase,
+    phaseModifier,
+    cpu: cpuUsage,
+    memory: memoryUsage,
+    network: networkBandwidth,
+    messageComplexity: "O(n²)"
+  });
+}
+
+/**
+ * Record transaction metrics
+ */
+function recordTransaction(receipt, txType) {
+  const gasUsed = receipt.gasUsed.toString();
+
+  measurements.transactions.push({
+    hash: receipt.hash || receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed,
+    effectiveGasPrice: receipt.effectiveGasPrice?.toString() || "0",
+    type: txType,
+    timestamp: clock.now,
+    consensusMechanism: "Tendermint"
+  });
+
+  measurements.gasUsage.push({
+    txType,
+    gasUsed,
+    consensusMechanism: "Tendermint",
+    timestamp: clock.now
+  });
+
+  recordTendermintResourceUsage(receipt.blockNumber || measurements.blocks.length + 1, 0, 'transaction');
+  return gasUsed;
+}
+
+/**
+ * Generate the measurement report (same sections as the PBFT report)
+ */
+function generateTendermintReport() {
+  const totalTransactions = measurements.transactions.length;
+  const finality = measurements.finalityTimes.map(item => item.finalityTime);
+  const avgFinalityTime = finality.length > 0 ? finality.reduce((a, b) => a + b, 0) / finality.length : 0;
+  const heights = measurements.finalityTimes.map(item => item.heightTime);
+
+  const resource = measurements.resourceUsage.reduce((m, usage) => {
+    m.cpu += usage.cpu;
+    m.memory += usage.memory;
+    m.network += usage.network;
+    m.count++;
+    return m;
+  }, { cpu: 0, memory: 0, network: 0, count: 0 });
+  const avg = value => resource.count > 0 ? value / resource.count : 0;
+
+  const committedBlocks = measurements.blocks.filter(b => b.status === "committed");
+  const messagesPerBlock = measurements.blocks.length > 0 ?
+    measurements.blocks.reduce((sum, b) => sum + b.messageCount, 0) / measurements.blocks.length : 0;
+  const bytesPerBlock = measurements.blocks.length > 0 ?
+    measurements.networkMessages.reduce((sum, m) => sum + m.totalBytes, 0) / measurements.blocks.length : 0;
+
+  const phaseAverage = phase => {
+    const entries = measurements.consensusPhases.filter(p => p.phase === phase);
+    return entries.length > 0 ? entries.reduce((sum, p) => sum + p.duration, 0) / entries.length : 0;
+  };
+
+  const validators = measurements.tendermintConfiguration?.validators || VOTING_POWERS.length;
+
+  return {
+    consensusMechanism: "Tendermint",
+    configuration: measurements.tendermintConfiguration,
+    summary: {
+      totalTransactions,
+      successfulConsensusCount: finality.length,
+      consensusSuccessRate: totalTransactions > 0 ? (finality.length / totalTransactions) * 100 : 0,
+      byzantineEventCount: measurements.byzantineEvents.length,
+      viewChangeCount: measurements.viewChanges.length
+    },
+    performance: {
+      finalityTimes: {
+        average: avgFinalityTime,
+        min: finality.length > 0 ? Math.min(...finality) : 0,
+        max: finality.length > 0 ? Math.max(...finality) : 0,
+        guaranteedFinality: "Immediate once +2/3 of voting power precommits"
+      },
+      heightTimes: {
+        average: heights.length > 0 ? heights.reduce((a, b) => a + b, 0) / heights.length : 0,
+        max: heights.length > 0 ? Math.max(...heights) : 0,
+        description: "Until every correct validator has the block, including catch-up"
+      },
+      phaseBreakdown: {
+        propose: phaseAverage(MESSAGE_TYPES.PROPOSAL),
+        prevote: phaseAverage(MESSAGE_TYPES.PREVOTE),
+        precommit: phaseAverage(MESSAGE_TYPES.PRECOMMIT),
+        roundChange: measurements.viewChanges.length > 0 ?
+          measurements.viewChanges.reduce((sum, vc) => sum + vc.duration, 0) / measurements.viewChanges.length : 0
+      },
+      roundsPerHeight: committedBlocks.length > 0 ?
+        committedBlocks.reduce((sum, b) => sum + b.view + 1, 0) / committedBlocks.length : 0,
+      throughput: {
+        transactionsPerSecond: measurements.endTime && measurements.startTime ?
+          (totalTransactions / ((measurements.endTime - measurements.startTime) / 1000)) : 0,
+        potentialTps: avgFinalityTime > 0 ? 1000 / avgFinalityTime : 0
+      }
+    },
+    resourceUsage: {
+      averageCpu: avg(resource.cpu),
+      averageMemory: avg(resource.memory),
+      averageNetwork: avg(resource.network)
+    },
+    networkOverhead: {
+      messagesPerConsensus: messagesPerBlock,
+      bytesPerConsensus: bytesPerBlock,
+      messageComplexity: "O(n²)"
+    },
+    faultTolerance: {
+      maximumByzantineNodes: Math.floor((validators - 1) / 3),
+      actualByzantineNodes: BYZANTINE_VALIDATOR_COUNT,
+      viewChanges: measurements.viewChanges.length,
+      livenessFailures: measurements.livenessFailures.length,
+      catchUps: measurements.catchUps.length,
+      quorumCertificates: measurements.quorumCertificates.length,
+      rejectedConflictingMessages: measurements.rejectedMessages.length,
+      safetyViolations: measurements.safetyViolations.length,
+      locks: measurements.locks.length,
+      timeouts: measurements.timeouts.length
+    },
+    comparisonMetrics: {
+      blockTime: BLOCK_TIME,
+      finalityTime: avgFinalityTime,
+      messageComplexity: "O(n²)",
+      resourceUsage: {
+        cpu: avg(resource.cpu),
+        memory: avg(resource.memory),
+        network: avg(resource.network)
+      },
+      bytesSent: bytesPerBlock,
+      faultTolerance: "<1/3 of voting power Byzantine",
+      centralizedElements: "Weighted round-robin proposer per round",
+      scalabilityLimitations: "All-to-all prevote/precommit gossip"
+    }
+  };
+}
+
+/**
+ * Saves measurement data and the report
+ */
+function saveMeasurements() {
+  try {
+    measurements.endTime = clock.now;
+    measurements.totalDuration = measurements.endTime - measurements.startTime;
+    measurements.wallClockDuration = Date.now() - measurements.wallClockStart;
+
+    const report = generateTendermintReport();
+    measurements.report = report;
+
+    fs.writeFileSync(LOG_FILE, JSON.stringify(measurements, null, 2), 'utf8');
+    console.log(`Tendermint measurements saved to ${LOG_FILE}`);
+
+    const reportFile = path.join(__dirname, "../reports/tendermint-consensus-report.json");
+    if (!fs.existsSync(path.dirname(reportFile))) {
+      fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+    }
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`Tendermint detailed report saved to ${reportFile}`);
+
+    return { logFile: LOG_FILE, reportFile };
+  } catch (error) {
+    console.error("Error saving measurements:", error);
+    return null;
+  }
+}
+
+// Run the simulation when called directly
+if (require.main === module) {
+  runTendermintConsensus()
+    .then(summary => {
+      console.log("\nTendermint Simulation Summary:");
+      console.log(JSON.stringify(summary, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("Tendermint simulation failed:", error);
+      process.exit(1);
+    });
+} else {
+  module.exports = {
+    runTendermintConsensus,
+    TendermintConsensus,
+    ProposerPriority,
+    measurements,
+    BLOCK_TIME
+  };
+}
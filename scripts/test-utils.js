@@ -23,11 +23,34 @@ function parseEther(amount) {
   }
 }
 
-// Standard transaction sequence for testing consensus mechanisms
-async function runStandardTransactionSequence(contract, accounts) {
+// Record a mined transaction; with a consensus model (see consensus-models.js) it is
+// also ordered and finalized as a batch, and timestamps come from the model's clock
+async function recordTransaction(results, type, receipt, model) {
+  const transaction = {
+    type,
+    gasUsed: receipt.gasUsed.toString(),
+    blockNumber: receipt.blockNumber,
+    timestamp: Date.now()
+  };
+  
+  if (model) {
+    const batch = await model.finalizeBatch([{ hash: receipt.hash || receipt.transactionHash, receipt, type }]);
+    transaction.finalized = batch.success;
+    transaction.finalityTime = batch.finalityTime;
+    transaction.timestamp = model.clock.now;
+    results.consensusEvents.push({ type, ...batch });
+  }
+  
+  results.transactions.push(transaction);
+}
+
+// Standard transaction sequence for testing consensus mechanisms.
+// Pass a consensus model to have every transaction finalized by it.
+async function runStandardTransactionSequence(contract, accounts, model = null) {
+  const now = () => (model ? model.clock.now : Date.now());
   const results = {
     transactions: [],
-    startTime: Date.now(),
+    startTime: now(),
     consensusEvents: []
   };
   
@@ -42,12 +65,7 @@ async function runStandardTransactionSequence(contract, accounts) {
       const tx = await contract.connect(accounts[i+1]).registerIndustry(`Industry-${i+1}`, i % 2 === 0);
       const receipt = await tx.wait();
       
-      results.transactions.push({
-        type: "registerIndustry",
-        gasUsed: receipt.gasUsed.toString(),
-        blockNumber: receipt.blockNumber,
-        timestamp: Date.now()
-      });
+      await recordTransaction(results, "registerIndustry", receipt, model);
       console.log(`Industry-${i+1} registered, gas used: ${receipt.gasUsed.toString()}`);
     }
     
@@ -71,12 +89,7 @@ async function runStandardTransactionSequence(contract, accounts) {
       );
       const receipt = await tx.wait();
       
-      results.transactions.push({
-        type: "updateGHGEmissions",
-        gasUsed: receipt.gasUsed.toString(),
-        blockNumber: receipt.blockNumber,
-        timestamp: Date.now()
-      });
+      await recordTransaction(results, "updateGHGEmissions", receipt, model);
       console.log(`Industry-${i+1} emissions updated, gas used: ${receipt.gasUsed.toString()}`);
     }
     
@@ -93,12 +106,7 @@ async function runStandardTransactionSequence(contract, accounts) {
     
     const auctionReceipt = await auctionTx.wait();
     
-    results.transactions.push({
-      type: "createAuction",
-      gasUsed: auctionReceipt.gasUsed.toString(),
-      blockNumber: auctionReceipt.blockNumber,
-      timestamp: Date.now()
-    });
+    await recordTransaction(results, "createAuction", auctionReceipt, model);
     console.log(`Auction created, gas used: ${auctionReceipt.gasUsed.toString()}`);
     
     // Add a placeholder bid to ensure the auction can be finalized properly
@@ -122,16 +130,11 @@ async function runStandardTransactionSequence(contract, accounts) {
     const finalizeTx = await contract.connect(regulator).finalizeAuction();
     const finalizeReceipt = await finalizeTx.wait();
     
-    results.transactions.push({
-      type: "finalizeAuction",
-      gasUsed: finalizeReceipt.gasUsed.toString(), 
-      blockNumber: finalizeReceipt.blockNumber,
-      timestamp: Date.now()
-    });
+    await recordTransaction(results, "finalizeAuction", finalizeReceipt, model);
     console.log(`Auction finalized, gas used: ${finalizeReceipt.gasUsed.toString()}`);
     
     // Record end time
-    results.endTime = Date.now();
+    results.endTime = now();
     results.totalDuration = results.endTime - results.startTime;
     
     console.log(`Transaction sequence completed successfully in ${results.totalDuration}ms`);
@@ -139,7 +142,7 @@ async function runStandardTransactionSequence(contract, accounts) {
   } catch (error) {
     console.error("Error in transaction sequence:", error);
     results.error = error.message;
-    results.endTime = Date.now();
+    results.endTime = now();
     results.totalDuration = results.endTime - results.startTime;
     return results;
   }
@@ -151,10 +154,16 @@ function calculateMetrics(results) {
   const txCount = results.transactions.length;
   const totalGasUsed = results.transactions.reduce((sum, tx) => sum + parseInt(tx.gasUsed || 0), 0);
   
-  // Calculate transaction latency
+  // Calculate transaction latency - time to finality when a consensus model
+  // finalized the transactions, otherwise the gap between transactions
+  const finalized = results.transactions.filter(tx => tx.finalityTime != null);
   const latencies = [];
-  for (let i = 1; i < results.transactions.length; i++) {
-    latencies.push(results.transactions[i].timestamp - results.transactions[i-1].timestamp);
+  if (finalized.length > 0) {
+    latencies.push(...finalized.map(tx => tx.finalityTime));
+  } else {
+    for (let i = 1; i < results.transactions.length; i++) {
+      latencies.push(results.transactions[i].timestamp - results.transactions[i-1].timestamp);
+    }
   }
   
   const averageLatency = latencies.length > 0 
@@ -166,6 +175,7 @@ function calculateMetrics(results) {
   
   return {
     transactionCount: txCount,
+    finalizedTransactions: finalized.length,
     totalGasUsed,
     averageGasPerTx: txCount > 0 ? totalGasUsed / txCount : 0,
     averageLatency,
@@ -0,0 +1,309 @@
+/**
+ * Consensus Trace Checker
+ * Checks a runner's measurements log against the invariants its protocol
+ * promises, using only what the log recorded (`blocks`, `quorumCertificates`,
+ * `consensusState`, `byzantineEvents`, ...):
+ *
+ *   const report = checkTrace(require("../logs/pbft-measurements.json"));
+ *   report.violations.forEach(v => console.log(v.invariant, v.block, v.view, v.detail));
+ *
+ * - agreement: honest replicas never commit different digests at the same
+ *   height, and no height has two committed blocks
+ * - validity: commit certificates carry a quorum, blocks honest replicas
+ *   rejected as invalid K-ETS transitions are never committed, and PoA Square
+ *   only finalizes blocks whose reliability-weighted vote share reached the
+ *   threshold in every round
+ * - bounded liveness: no run of unfinalized blocks stalls the chain for longer
+ *   than `livenessBound` ms
+ *
+ * PBFT, Tendermint, HotStuff, QBFT and Raft share the committed-block log
+ * shape; PoA Square has checks of its own. Every violation names the offending
+ * block (height or sequence) and view or round.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_LIVENESS_BOUND = 30000; // ms of simulated time without a finalized block
+
+// Logs with the committed-block shape: blocks { number, view, digest, status }
+const COMMITTED_BLOCK_LOGS = ["PBFT", "Tendermint", "HotStuff", "QBFT", "Raft"];
+const POA_SQUARE_LOG = "PoA-Square";
+
+// Certificate types that mean a replica committed (PBFT: "committed", Tendermint/QBFT: "commit")
+const COMMIT_CERTIFICATES = new Set(["committed", "commit"]);
+
+function isFinalized(block) {
+  return block.status === "committed" || block.status === "finalized";
+}
+
+function violation(invariant, rule, block, view, detail) {
+  return { invariant, rule, block, view: view ?? null, detail };
+}
+
+/**
+ * Validators that misbehaved at any point: marked Byzantine in a consensus
+ * state snapshot or named in a Byzantine event
+ */
+function byzantineValidators(log) {
+  const indices = new Set();
+  for (const state of log.consensusState || []) {
+    for (const validator of state.validatorStates || []) {
+      if (validator.isByzantine) indices.add(validator.index);
+    }
+  }
+  for (const event of log.byzantineEvents || []) {
+    if (event.validatorIndex !== undefined) indices.add(event.validatorIndex);
+  }
+  return indices;
+}
+
+// Largest fault bound f any consensus state snapshot recorded, or null
+function faultBound(log) {
+  const bounds = (log.consensusState || []).map(state => state.f).filter(f => Number.isInteger(f));
+  return bounds.length > 0 ? Math.max(...bounds) : null;
+}
+
+/**
+ * Agreement over committed blocks: one digest per height
+ */
+function checkBlockAgreement(blocks) {
+  const violations = [];
+  const committed = new Map(); // height -> first committed block
+  for (const block of blocks) {
+    if (!isFinalized(block) || block.number === null || block.number === undefined) continue;
+    const first = committed.get(block.number);
+    if (!first) {
+      committed.set(block.number, block);
+    } else if (block.digest !== undefined && first.digest !== block.digest) {
+      violations.push(violation("agreement", "conflicting-blocks", block.number, block.view,
+        `Blocks ${first.digest} (view ${first.view}) and ${block.digest} (view ${block.view}) were both committed at height ${block.number}`));
+    }
+  }
+  return { violations, heights: committed.size };
+}
+
+/**
+ * Agreement and validity over per-replica commit certificates: honest replicas
+ * agree on the digest at each height, and each certificate has 2f+1 signers
+ */
+function checkCommitCertificates(log, byzantine) {
+  const violations = [];
+  const certificates = (log.quorumCertificates || []).filter(certificate => COMMIT_CERTIFICATES.has(certificate.type));
+  const f = faultBound(log);
+  const byHeight = new Map(); // height -> Map(digest -> { replicas, view })
+
+  for (const certificate of certificates) {
+    const height = certificate.sequence ?? certificate.blockHeight;
+    const replica = certificate.replica ?? certificate.validatorIndex;
+    const view = certificate.view ?? certificate.round;
+
+    // Weighted certificates (Tendermint) are checked by voting power in the runner
+    if (f !== null && certificate.power === undefined && certificate.signers.length < 2 * f + 1) {
+      violations.push(violation("validity", "commit-without-quorum", height, view,
+        `Replica ${replica} committed ${certificate.digest} with ${certificate.signers.length} signers, below the quorum of ${2 * f + 1}`));
+    }
+    if (byzantine.has(replica)) continue;
+    if (!byHeight.has(height)) byHeight.set(height, new Map());
+    const digests = byHeight.get(height);
+    if (!digests.has(certificate.digest)) digests.set(certificate.digest, { replicas: new Set(), view });
+    digests.get(certificate.digest).replicas.add(replica);
+  }
+
+  for (const [height, digests] of byHeight) {
+    if (digests.size <= 1) continue;
+    const sides = [...digests].map(([digest, { replicas, view }]) => `${digest} by replicas ${[...replicas].join("/")} (view ${view})`);
+    violations.push(violation("agreement", "honest-replicas-diverged", height, [...digests.values()][0].view,
+      `Honest replicas committed different digests at height ${height}: ${sides.join(" vs ")}`));
+  }
+  return { violations, certificates: certificates.length };
+}
+
+/**
+ * Validity: no block committed in a view where honest replicas rejected the
+ * proposal as an invalid K-ETS state transition
+ */
+function checkInvalidProposals(log) {
+  const violations = [];
+  const rejected = new Map(); // "view:sequence" -> rejection
+  for (const rejection of log.invalidProposals || []) {
+    rejected.set(`${rejection.view}:${rejection.sequence}`, rejection);
+  }
+  for (const block of log.blocks) {
+    const rejection = isFinalized(block) ? rejected.get(`${block.view}:${block.number}`) : null;
+    if (!rejection) continue;
+    violations.push(violation("validity", "invalid-transition-committed", block.number, block.view,
+      `Block ${block.digest} was committed although replica ${rejection.validatorIndex} rejected its ${rejection.transition} transition`));
+  }
+  return violations;
+}
+
+/**
+ * PoA Square agreement and validity: a finalized block passed every square
+ * voting round at or above the weighted threshold, for one value only, and
+ * was not an invalid transition forged by its proposer
+ */
+function checkPoASquareBlocks(log) {
+  const violations = [];
+  const invalidProposals = new Set((log.byzantineEvents || [])
+    .filter(event => event.action === "propose-invalid-transition")
+    .map(event => event.blockNumber));
+  const finalized = new Map();
+
+  for (const block of log.blocks) {
+    if (!isFinalized(block)) continue;
+    if (finalized.has(block.number)) {
+      violations.push(violation("agreement", "conflicting-blocks", block.number, null,
+        `Two blocks were finalized at height ${block.number} (proposers ${finalized.get(block.number).proposer} and ${block.proposer})`));
+    }
+    finalized.set(block.number, block);
+
+    const rounds = block.votingRounds || [];
+    if (rounds.length > 0 && rounds.every(round => round.passed && round.conflicting && round.conflicting.passed)) {
+      violations.push(violation("agreement", "conflicting-blocks", block.number, null,
+        `Proposer ${block.proposer} got two conflicting blocks through every voting round at height ${block.number}`));
+    }
+    // The finalized value is the block itself, or the conflicting one if only it passed every round
+    const blockFinal = rounds.every(round => round.passed);
+    for (const round of rounds) {
+      const share = (blockFinal || !round.conflicting ? round : round.conflicting).weightedShare;
+      if (share < round.threshold) {
+        violations.push(violation("validity", "below-reliability-threshold", block.number, round.round,
+          `Finalized with ${(share * 100).toFixed(1)}% of the reliability weight in round ${round.round}, below the ${(round.threshold * 100).toFixed(1)}% threshold`));
+      }
+    }
+    if (invalidProposals.has(block.number)) {
+      violations.push(violation("validity", "invalid-transition-committed", block.number, null,
+        `Block from ${block.proposer} carrying an invalid K-ETS state transition was finalized`));
+    }
+  }
+  return { violations, heights: finalized.size };
+}
+
+/**
+ * Bounded liveness: from the last finalized block (or the start of the run),
+ * a stretch that contains unfinalized blocks must end in a finalized block
+ * within `bound` ms
+ */
+function checkLiveness(log, bound) {
+  const violations = [];
+  let lastProgress = log.startTime ?? (log.blocks.length > 0 ? log.blocks[0].timestamp : 0);
+  let firstStalled = null;
+
+  const close = (time, reason) => {
+    if (firstStalled && time - lastProgress > bound) {
+      violations.push(violation("liveness", "stalled", firstStalled.number, firstStalled.view,
+        `No block finalized for ${Math.round(time - lastProgress)}ms from the failure of block ${firstStalled.number} ${reason} (bound ${bound}ms)`));
+    }
+  };
+
+  for (const block of log.blocks) {
+    if (isFinalized(block)) {
+      const finalizedAt = block.timestamp + (block.finalityTime || 0);
+      close(finalizedAt, `until block ${block.number}`);
+      lastProgress = finalizedAt;
+      firstStalled = null;
+    } else if (!firstStalled) {
+      firstStalled = block;
+    }
+  }
+  close(log.endTime ?? lastProgress, "to the end of the run");
+  return violations;
+}
+
+/**
+ * Check a parsed measurements log.
+ * @param {Object} log - Contents of a runner's measurements JSON
+ * @param {Object} [options]
+ * @param {number} [options.livenessBound] - ms a stall may last (default DEFAULT_LIVENESS_BOUND)
+ * @returns {Object} { mechanism, checked, violations, passed }
+ */
+function checkTrace(log, options = {}) {
+  const mechanism = log.consensusMechanism;
+  const bound = options.livenessBound ?? DEFAULT_LIVENESS_BOUND;
+  if (!Array.isArray(log.blocks)) {
+    throw new Error(`${mechanism || "Unknown"} log has no blocks to check`);
+  }
+
+  const violations = [];
+  const checked = { blocks: log.blocks.length, livenessBound: bound };
+  if (mechanism === POA_SQUARE_LOG) {
+    const blocks = checkPoASquareBlocks(log);
+    violations.push(...blocks.violations);
+    checked.finalizedHeights = blocks.heights;
+  } else if (COMMITTED_BLOCK_LOGS.includes(mechanism)) {
+    const byzantine = byzantineValidators(log);
+    const blocks = checkBlockAgreement(log.blocks);
+    const certificates = checkCommitCertificates(log, byzantine);
+    violations.push(...blocks.violations, ...certificates.violations, ...checkInvalidProposals(log));
+    checked.finalizedHeights = blocks.heights;
+    checked.commitCertificates = certificates.certificates;
+    checked.byzantineValidators = [...byzantine].sort((a, b) => a - b);
+  } else {
+    throw new Error(`No trace invariants for ${mechanism || "unknown"} logs (supported: ${[...COMMITTED_BLOCK_LOGS, POA_SQUARE_LOG].join(", ")})`);
+  }
+  violations.push(...checkLiveness(log, bound));
+
+  return {
+    mechanism,
+    seed: log.seed ?? null,
+    checked,
+    violations,
+    passed: violations.length === 0
+  };
+}
+
+/**
+ * Read and check a measurements log file
+ */
+function checkTraceFile(file, options = {}) {
+  return { file, ...checkTrace(JSON.parse(fs.readFileSync(file, "utf8")), options) };
+}
+
+// Check the logs in TRACE_LOGS (comma-separated), or every runner log in logs/
+async function main() {
+  const { saveTestResults } = require("./test-utils");
+  const logDir = path.join(__dirname, "../logs");
+  const files = process.env.TRACE_LOGS
+    ? process.env.TRACE_LOGS.split(",").map(file => path.resolve(file.trim()))
+    : fs.readdirSync(logDir).filter(file => file.endsWith("-measurements.json")).map(file => path.join(logDir, file));
+  const livenessBound = process.env.LIVENESS_BOUND ? Number(process.env.LIVENESS_BOUND) : undefined;
+
+  const reports = [];
+  for (const file of files) {
+    let report;
+    try {
+      report = checkTraceFile(file, { livenessBound });
+    } catch (error) {
+      console.log(`⏭️ ${path.basename(file)}: ${error.message}`);
+      continue;
+    }
+    reports.push(report);
+    console.log(`\n${report.passed ? "✅" : "🚨"} ${report.mechanism} (${path.basename(file)}): ` +
+      `${report.checked.blocks} blocks, ${report.violations.length} violations`);
+    report.violations.forEach(v => {
+      console.log(`  - ${v.invariant}/${v.rule} at block ${v.block}${v.view !== null ? `, view ${v.view}` : ""}: ${v.detail}`);
+    });
+  }
+
+  saveTestResults("trace-check-results.json", { testDate: new Date().toISOString(), reports });
+  return reports;
+}
+
+// Execute if called directly
+if (require.main === module) {
+  main()
+    .then(reports => {
+      if (reports.some(report => !report.passed)) process.exitCode = 1;
+    })
+    .catch(error => {
+      console.error("Error checking consensus traces:", error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  checkTrace,
+  checkTraceFile,
+  DEFAULT_LIVENESS_BOUND
+};
@@ -7,16 +7,37 @@ const fs = require("fs");
 const path = require("path");
 const { 
   calculateMetrics, 
-  saveTestResults,
-  sleep
+  saveTestResults
 } = require("./test-utils");
+const { createRandom } = require("./seeded-random");
+const { EventScheduler } = require("./event-scheduler");
+const { createConsensusModel } = require("./consensus-models");
 
 // Default transaction rates to test (transactions per second)
 const DEFAULT_TX_RATES = [1, 2, 5, 10, 20, 50];
 
-// Duration of each test in milliseconds (2 minutes)
+// Duration of each test in milliseconds (2 minutes of simulated time)
 const TEST_DURATION = 2 * 60 * 1000;
 
+// Validator counts per consensus mechanism; other registered models use DEFAULT_VALIDATOR_COUNT
+const VALIDATOR_COUNTS = {
+  PBFT: 4,
+  PoASquare: 8,
+  DPoS: 16, // Reduced from 21 to work with available accounts
+  PoA: 5,
+  PoW: 10
+};
+const DEFAULT_VALIDATOR_COUNT = 4;
+
+// Block gas limit caps how many transactions fit into one batch
+const BLOCK_GAS_LIMIT = 30000000;
+
+// Batches a transaction may be part of before it is counted as failed
+const MAX_FINALIZATION_ATTEMPTS = 3;
+
+// Seeded randomness (SIM_SEED / --seed) so emission values can be replayed exactly
+const rng = createRandom();
+
 async function deployContract() {
   console.log("Deploying KETSBlockchain contract...");
   const KETSFactory = await ethers.getContractFactory("KETSBlockchain");
@@ -77,23 +98,21 @@ async function setupAccounts(validatorCount = 4) {
 }
 
 // Generate a random GHG emission update transaction
-async function submitRandomEmissionUpdate(contract, industryAccount, year) {
+async function submitRandomEmissionUpdate(contract, industryAccount, year, random = rng) {
   try {
     // Random emission values for GHG data
-    const co2 = Math.floor(Math.random() * 5000) + 1000;
-    const ch4 = Math.floor(Math.random() * 2000) + 500;
-    const n2o = Math.floor(Math.random() * 1000) + 300;
-    const hfcs = Math.floor(Math.random() * 500) + 100;
-    const pfcs = Math.floor(Math.random() * 800) + 200;
-    const sf6 = Math.floor(Math.random() * 300) + 50;
+    const co2 = random.nextInt(5000) + 1000;
+    const ch4 = random.nextInt(2000) + 500;
+    const n2o = random.nextInt(1000) + 300;
+    const hfcs = random.nextInt(500) + 100;
+    const pfcs = random.nextInt(800) + 200;
+    const sf6 = random.nextInt(300) + 50;
     
     // The contract requires us to provide the industry owner address and index
     // Each industry account has registered an industry at index 0
     const industryOwner = industryAccount.address;
     const industryIndex = 0; // First industry for this address
     
-    const startTime = Date.now();
-    
     // Submit transaction with proper parameters matching the contract function:
     // function updateGHGEmissions(address _industryOwner, uint industryIndex, uint _CO2, uint _CH4, uint _N2O, uint _HFCs, uint _PFCs, uint _SF6)
     const tx = await contract.connect(industryAccount).updateGHGEmissions(
@@ -109,21 +128,17 @@ async function submitRandomEmissionUpdate(contract, industryAccount, year) {
     
     const receipt = await tx.wait();
     
-    const endTime = Date.now();
-    
     return {
       success: true,
+      hash: receipt.hash || receipt.transactionHash,
       gasUsed: receipt.gasUsed.toString(),
-      blockNumber: receipt.blockNumber,
-      latency: endTime - startTime,
-      timestamp: endTime
+      blockNumber: receipt.blockNumber
     };
   } catch (error) {
     console.log(`Transaction error: ${error.message}`);
     return {
       success: false,
-      error: error.message,
-      timestamp: Date.now()
+      error: error.message
     };
   }
 }
@@ -132,21 +147,18 @@ async function submitRandomEmissionUpdate(contract, industryAccount, year) {
 async function runStressTest(consensusMechanism, txPerSecond) {
   console.log(`Running ${consensusMechanism} stress test at ${txPerSecond} tx/sec`);
   
+  // Independent stream per test so skipping a rate does not shift the others
+  const forkLabel = `${consensusMechanism}-${txPerSecond}`;
+  const testRng = rng.fork(forkLabel);
+  
   // Deploy contract
   const contract = await deployContract();
   
-  // Setup accounts with appropriate validator count for the mechanism
-  let validatorCount = 4; // Default
-  
-  // Ideal validator counts for each consensus mechanism
-  if (consensusMechanism === "PBFT") validatorCount = 4;
-  else if (consensusMechanism === "PoASquare") validatorCount = 8;
-  else if (consensusMechanism === "DPoS") validatorCount = 16; // Reduced from 21 to work with available accounts
-  else if (consensusMechanism === "PoA") validatorCount = 5;
-  else if (consensusMechanism === "PoW") validatorCount = 10;
+  // Setup accounts with the mechanism's validator count
+  const validatorCount = VALIDATOR_COUNTS[consensusMechanism] || DEFAULT_VALIDATOR_COUNT;
   
   // Setup accounts - the function will automatically adjust validator count if needed
-  const { regulator, industries, actualValidatorCount } = await setupAccounts(validatorCount);
+  const { regulator, validators, industries, actualValidatorCount } = await setupAccounts(validatorCount);
   
   console.log(`${consensusMechanism} test using ${actualValidatorCount} validators (requested: ${validatorCount})`);
   
@@ -166,79 +178,149 @@ async function runStressTest(consensusMechanism, txPerSecond) {
     }
   }
   
-  // Prepare stress test
+  // Prepare stress test on a simulated clock shared with the consensus model
+  const clock = new EventScheduler(Date.now());
+  const model = createConsensusModel(consensusMechanism, {
+    validatorCount: actualValidatorCount,
+    random: testRng.fork("consensus"),
+    scheduler: clock
+  });
+  model.initValidators(validators);
+  
   const targetInterval = 1000 / txPerSecond; // ms between transactions
   const results = {
     consensusMechanism,
     targetTxRate: txPerSecond,
+    seed: rng.seed, // root seed: replay with SIM_SEED, the run re-forks forkLabel from it
+    forkLabel,
+    timeModel: "virtual-clock",
+    blockInterval: model.blockInterval,
+    blockGasLimit: BLOCK_GAS_LIMIT,
     transactions: [],
-    startTime: Date.now(),
+    startTime: clock.now,
     endTime: null,
     totalDuration: 0,
+    blocksProduced: 0,
+    failedBlocks: 0,
     successfulTx: 0,
     failedTx: 0
   };
   
-  console.log(`Starting stress test: Target interval ${targetInterval}ms between transactions`);
-  console.log(`Test will run for ${TEST_DURATION / 1000} seconds`);
+  // Executed transactions wait here until a batch including them is finalized
+  let mempool = [];
+  
+  // Take pending transactions in arrival order until the block gas limit is reached
+  const takeBatch = () => {
+    let blockGas = 0;
+    let size = 0;
+    while (size < mempool.length && (size === 0 || blockGas + mempool[size].gasUsed <= BLOCK_GAS_LIMIT)) {
+      blockGas += mempool[size].gasUsed;
+      size++;
+    }
+    const batch = mempool.slice(0, size);
+    mempool = mempool.slice(size);
+    return batch;
+  };
+  
+  console.log(`Starting stress test: Target interval ${targetInterval}ms between transactions, ${model.protocol} blocks ordered by the consensus model`);
+  console.log(`Test will run for ${TEST_DURATION / 1000} simulated seconds`);
   
-  // Run the stress test for the specified duration
+  // Transactions arrive at the target rate; while the model is busy finalizing a
+  // batch, arrivals queue up and are submitted once it returns
   const endTime = results.startTime + TEST_DURATION;
+  let nextArrival = results.startTime;
   let txCount = 0;
   
-  while (Date.now() < endTime) {
-    const txStartTime = Date.now();
-    
-    // Select a random industry account
-    const industryIndex = txCount % industries.length;
-    const industry = industries[industryIndex];
-    
-    // Submit random emission update
-    const txResult = await submitRandomEmissionUpdate(
-      contract,
-      industry,
-      (Math.floor(txCount / 10) % 5) + 1 // Years 1-5, changing every 10 transactions
-    );
-    
-    // Record transaction result
-    results.transactions.push({
-      id: txCount,
-      ...txResult
-    });
-    
-    if (txResult.success) {
-      results.successfulTx++;
-    } else {
-      results.failedTx++;
-    }
-    
-    txCount++;
-    
-    // Calculate time to next transaction
-    const elapsed = Date.now() - txStartTime;
-    const sleepTime = Math.max(0, targetInterval - elapsed);
-    
-    if (sleepTime > 0) {
-      await sleep(sleepTime);
-    }
-    
-    // Log progress every 10 transactions
-    if (txCount % 10 === 0) {
-      const elapsedSec = (Date.now() - results.startTime) / 1000;
-      const actualRate = txCount / elapsedSec;
-      console.log(`Processed ${txCount} transactions (${results.successfulTx} successful) at ${actualRate.toFixed(2)} tx/sec`);
+  try {
+    while (nextArrival < endTime || mempool.length > 0) {
+      while (nextArrival < endTime && nextArrival <= clock.now) {
+        // Select a random industry account
+        const industryIndex = txCount % industries.length;
+        const industry = industries[industryIndex];
+        
+        // Submit random emission update
+        const txResult = await submitRandomEmissionUpdate(
+          contract,
+          industry,
+          (Math.floor(txCount / 10) % 5) + 1, // Years 1-5, changing every 10 transactions
+          testRng
+        );
+        
+        // Record transaction result
+        const record = {
+          id: txCount,
+          submittedAt: nextArrival,
+          ...txResult
+        };
+        results.transactions.push(record);
+        
+        if (txResult.success) {
+          mempool.push({ gasUsed: parseInt(txResult.gasUsed), record, attempts: 0 });
+        } else {
+          results.failedTx++;
+        }
+        
+        txCount++;
+        nextArrival += targetInterval;
+        
+        // Log progress every 10 transactions
+        if (txCount % 10 === 0) {
+          const elapsedSec = Math.max(1, clock.now - results.startTime) / 1000;
+          const actualRate = results.successfulTx / elapsedSec;
+          console.log(`Processed ${txCount} transactions (${results.successfulTx} finalized) at ${actualRate.toFixed(2)} tx/sec`);
+        }
+      }
+      
+      if (mempool.length === 0) {
+        // Idle until the next arrival
+        await clock.advance(nextArrival - clock.now);
+        continue;
+      }
+      
+      const batch = takeBatch();
+      const outcome = await model.finalizeBatch(batch.map(pending => ({
+        hash: pending.record.hash,
+        type: "updateGHGEmissions"
+      })));
+      results.blocksProduced++;
+      
+      if (outcome.success) {
+        for (const pending of batch) {
+          pending.record.finalizedAt = outcome.finishedAt;
+          pending.record.latency = outcome.finishedAt - pending.record.submittedAt;
+          results.successfulTx++;
+        }
+      } else {
+        // Unfinalized transactions go back to the front of the mempool for the next block
+        results.failedBlocks++;
+        const retry = [];
+        for (const pending of batch) {
+          pending.attempts++;
+          if (pending.attempts < MAX_FINALIZATION_ATTEMPTS) {
+            retry.push(pending);
+          } else {
+            pending.record.success = false;
+            pending.record.error = `Not finalized after ${pending.attempts} blocks`;
+            results.failedTx++;
+          }
+        }
+        mempool = [...retry, ...mempool];
+      }
     }
+  } finally {
+    model.close();
   }
   
   // Finalize results
-  results.endTime = Date.now();
+  results.endTime = clock.now;
   results.totalDuration = results.endTime - results.startTime;
-  results.actualTxRate = results.transactions.length / (results.totalDuration / 1000);
+  results.actualTxRate = results.successfulTx / (results.totalDuration / 1000);
   results.successRate = results.successfulTx / results.transactions.length;
+  results.consensus = model.getMetrics();
   
   // Calculate latency statistics
   const latencies = results.transactions
-    .filter(tx => tx.success)
+    .filter(tx => tx.success && tx.latency !== undefined)
     .map(tx => tx.latency);
   
   if (latencies.length > 0) {
@@ -264,8 +346,11 @@ async function runTransactionStressTests(
   consensusMechanisms = ["PoASquare", "PBFT", "DPoS", "PoA", "PoW"],
   txRates = DEFAULT_TX_RATES
 ) {
+  console.log(`Simulation seed: ${rng.seed} (replay with SIM_SEED=${rng.seed})`);
+  
   const results = {
     testDate: new Date().toISOString(),
+    seed: rng.seed,
     consensusMechanisms: {},
     comparison: {
       successRate: {},
@@ -0,0 +1,234 @@
+/**
+ * PoA Square Validator Registry Admin
+ * Client for contracts/PoASquareValidatorRegistry.sol, which keeps the
+ * validator set's reliability scores, active/standby membership and
+ * replacement history on chain. The PoA Square runner writes every block's
+ * scores and replacements through it; run directly it is the regulator's
+ * admin tool (REGISTRY_ACTION=status|deploy|register|reliability|replace):
+ *
+ *   REGISTRY_ACTION=deploy npx hardhat run scripts/validator-registry-admin.js --network localPoA
+ *   REGISTRY_ADDRESS=0x... REGISTRY_ACTION=register REGISTRY_VALIDATORS=0xabc:active,0xdef:standby ...
+ *   REGISTRY_ADDRESS=0x... REGISTRY_ACTION=reliability REGISTRY_SCORES=0xabc:0.7,0xdef:0.95 REGISTRY_HEIGHT=12 ...
+ *   REGISTRY_ADDRESS=0x... REGISTRY_ACTION=replace REGISTRY_REPLACE=0xabc:0xdef REGISTRY_HEIGHT=12 ...
+ */
+
+const { ethers } = require("hardhat");
+
+const MAX_RELIABILITY = 10000; // Basis points, as in the contract
+
+// Scores are rounded down so one recorded below the threshold really is below it
+function toBasisPoints(reliability) {
+  return Math.max(0, Math.min(MAX_RELIABILITY, Math.floor(reliability * MAX_RELIABILITY)));
+}
+
+class ValidatorRegistry {
+  /**
+   * @param {Contract} contract - PoASquareValidatorRegistry connected to the regulator
+   * @param {Object} [options]
+   * @param {Function} [options.onTransaction] - Called with { txType, hash, blockNumber, gasUsed } for every write
+   */
+  constructor(contract, options = {}) {
+    this.contract = contract;
+    this.onTransaction = options.onTransaction || (() => {});
+    this.recorded = new Map(); // address -> basis points last written by this client
+    this.transactions = [];
+  }
+
+  /**
+   * Deploy a registry whose regulator is `regulator`
+   */
+  static async deploy(regulator, reliabilityThreshold, options = {}) {
+    const factory = await ethers.getContractFactory("PoASquareValidatorRegistry", regulator);
+    const contract = await (await factory.deploy(toBasisPoints(reliabilityThreshold))).waitForDeployment();
+    const registry = new ValidatorRegistry(contract, options);
+    const receipt = await contract.deploymentTransaction().wait();
+    registry.record("deployRegistry", receipt);
+    return registry;
+  }
+
+  static async attach(address, regulator, options = {}) {
+    const contract = await ethers.getContractAt("PoASquareValidatorRegistry", address, regulator);
+    return new ValidatorRegistry(contract, options);
+  }
+
+  async address() {
+    return this.contract.getAddress();
+  }
+
+  record(txType, receipt) {
+    const transaction = {
+      txType,
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+    this.transactions.push(transaction);
+    this.onTransaction(transaction);
+    return receipt;
+  }
+
+  async send(txType, call) {
+    const tx = await call;
+    return this.record(txType, await tx.wait());
+  }
+
+  /**
+   * Register validators; each is { address, isActive }
+   */
+  async registerValidators(validators) {
+    for (const validator of validators) {
+      await this.send("registerValidator", this.contract.registerValidator(validator.address, validator.isActive));
+      this.recorded.set(validator.address, MAX_RELIABILITY);
+    }
+  }
+
+  /**
+   * Write the scores that changed since the last write, in one transaction
+   * (none if nothing changed). Each validator is { address, reliability }.
+   */
+  async recordReliability(validators, height) {
+    const changed = validators
+      .map(validator => ({ address: validator.address, score: toBasisPoints(validator.reliability) }))
+      .filter(({ address, score }) => this.recorded.get(address) !== score);
+    if (changed.length === 0) return null;
+
+    const receipt = await this.send("recordReliability", this.contract.recordReliability(
+      changed.map(({ address }) => address), changed.map(({ score }) => score), height
+    ));
+    changed.forEach(({ address, score }) => this.recorded.set(address, score));
+    return receipt;
+  }
+
+  async replaceValidator(replaced, replacement, height) {
+    return this.send("replaceValidator", this.contract.replaceValidator(replaced, replacement, height));
+  }
+
+  async readSets() {
+    const [active, standby] = await this.contract.getValidatorSets();
+    return { active: [...active], standby: [...standby] };
+  }
+
+  async readReliabilities() {
+    const [addresses, scores] = await this.contract.getReliabilities();
+    return addresses.map((address, i) => ({ address, reliability: Number(scores[i]) / MAX_RELIABILITY }));
+  }
+
+  async readReplacements() {
+    const count = Number(await this.contract.getReplacementCount());
+    const replacements = [];
+    for (let i = 0; i < count; i++) {
+      const entry = await this.contract.replacements(i);
+      replacements.push({
+        replaced: entry.replaced,
+        replacement: entry.replacement,
+        replacedReliability: Number(entry.replacedReliability) / MAX_RELIABILITY,
+        replacementReliability: Number(entry.replacementReliability) / MAX_RELIABILITY,
+        height: Number(entry.height),
+        timestamp: Number(entry.timestamp)
+      });
+    }
+    return replacements;
+  }
+
+  /**
+   * Gas spent through this client, in total and per transaction type
+   */
+  gasSummary() {
+    const byType = {};
+    for (const { txType, gasUsed } of this.transactions) {
+      byType[txType] = byType[txType] || { transactions: 0, gasUsed: 0 };
+      byType[txType].transactions++;
+      byType[txType].gasUsed += Number(gasUsed);
+    }
+    return {
+      transactions: this.transactions.length,
+      totalGasUsed: Object.values(byType).reduce((sum, type) => sum + type.gasUsed, 0),
+      byType
+    };
+  }
+}
+
+// "a:b,c:d" -> [["a", "b"], ["c", "d"]]
+function pairsFromEnv(name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`${name} is required for REGISTRY_ACTION=${process.env.REGISTRY_ACTION}`);
+  return value.split(",").map(entry => entry.trim().split(":"));
+}
+
+async function printStatus(registry) {
+  const { active, standby } = await registry.readSets();
+  const scores = new Map((await registry.readReliabilities()).map(({ address, reliability }) => [address, reliability]));
+  console.log(`📋 Registry ${await registry.address()} (threshold ${Number(await registry.contract.reliabilityThreshold()) / MAX_RELIABILITY})`);
+  console.log("Active validators:");
+  active.forEach(address => console.log(`- ${address}: ${scores.get(address).toFixed(4)}`));
+  console.log("Standby validators:");
+  standby.forEach(address => console.log(`- ${address}: ${scores.get(address).toFixed(4)}`));
+
+  const replacements = await registry.readReplacements();
+  console.log(`Replacements: ${replacements.length}`);
+  replacements.forEach(r => {
+    console.log(`- height ${r.height}: ${r.replaced.substring(0, 10)}... (${r.replacedReliability.toFixed(2)}) ` +
+      `replaced by ${r.replacement.substring(0, 10)}... (${r.replacementReliability.toFixed(2)})`);
+  });
+}
+
+async function main() {
+  const [regulator] = await ethers.getSigners();
+  const action = process.env.REGISTRY_ACTION || "status";
+  const height = Number(process.env.REGISTRY_HEIGHT) || 0;
+  const options = {
+    onTransaction: tx => console.log(`⛽ ${tx.txType}: ${tx.gasUsed} gas (${tx.hash})`)
+  };
+
+  if (action === "deploy") {
+    const threshold = Number(process.env.REGISTRY_THRESHOLD) || 0.75;
+    const registry = await ValidatorRegistry.deploy(regulator, threshold, options);
+    console.log(`✅ PoASquareValidatorRegistry deployed to: ${await registry.address()}`);
+    return;
+  }
+  if (!process.env.REGISTRY_ADDRESS) throw new Error("REGISTRY_ADDRESS is required (or REGISTRY_ACTION=deploy)");
+  const registry = await ValidatorRegistry.attach(process.env.REGISTRY_ADDRESS, regulator, options);
+
+  switch (action) {
+    case "status":
+      break;
+    case "register":
+      await registry.registerValidators(pairsFromEnv("REGISTRY_VALIDATORS").map(([address, role]) => ({
+        address, isActive: role !== "standby"
+      })));
+      break;
+    case "reliability":
+      // Compare against the chain, not this fresh client, so only real changes are written
+      (await registry.readReliabilities()).forEach(({ address, reliability }) => {
+        registry.recorded.set(address, toBasisPoints(reliability));
+      });
+      await registry.recordReliability(pairsFromEnv("REGISTRY_SCORES").map(([address, score]) => ({
+        address, reliability: Number(score)
+      })), height);
+      break;
+    case "replace":
+      for (const [replaced, replacement] of pairsFromEnv("REGISTRY_REPLACE")) {
+        await registry.replaceValidator(replaced, replacement, height);
+      }
+      break;
+    default:
+      throw new Error(`Unknown REGISTRY_ACTION "${action}" (available: status, deploy, register, reliability, replace)`);
+  }
+  await printStatus(registry);
+}
+
+// Execute if called directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error("❌ Registry action failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ValidatorRegistry,
+  toBasisPoints,
+  MAX_RELIABILITY
+};
@@ -10,6 +10,7 @@ const {
   calculateMetrics, 
   saveTestResults 
 } = require("./test-utils");
+const { createConsensusModel } = require("./consensus-models");
 
 // Configure validator counts to test - use smaller numbers for practical testing
 const DEFAULT_VALIDATOR_COUNTS = [3, 5, 7]; // Reduced counts for faster testing with limited accounts
@@ -82,9 +83,11 @@ async function setupValidators(validatorCount) {
   };
 }
 
-// Test PoA Square with a specific validator count
-async function testPoASquare(validatorCount) {
-  console.log(`Testing PoA Square with ${validatorCount} validators`);
+// Test a registered consensus model (see consensus-models.js) with a specific validator count.
+// Every transaction of the standard sequence is ordered and finalized by the model.
+// modelOptions are passed through to the model (e.g. { network: "korea-overseas" }).
+async function testConsensusModel(mechanism, validatorCount, modelOptions = {}) {
+  console.log(`Testing ${mechanism} with ${validatorCount} validators`);
   
   // Deploy contract
   const contract = await deployContract();
@@ -92,18 +95,10 @@ async function testPoASquare(validatorCount) {
   // Setup accounts
   const { regulator, validators, industries, actualValidatorCount } = await setupValidators(validatorCount);
   
-  // Create validator manager configuration for PoA Square
-  const activeCount = Math.max(1, Math.ceil(actualValidatorCount * 0.75)); // Ensure at least 1 active validator
-  const validatorManager = {
-    activeValidators: validators.slice(0, activeCount), // 75% active
-    standbyValidators: validators.slice(activeCount)    // 25% standby
-  };
-  
-  console.log(`Active validators: ${validatorManager.activeValidators.length}`);
-  console.log(`Standby validators: ${validatorManager.standbyValidators.length}`);
-  
-  // Set starting timestamp for synchronization
-  const startTime = Date.now();
+  // Create the model and hand it the validator accounts
+  const model = createConsensusModel(mechanism, { ...modelOptions, validatorCount: actualValidatorCount });
+  model.initValidators(validators);
+  console.log(`${model.protocol} configuration: ${actualValidatorCount} validators`);
   
   // Create combined array of accounts for the transaction sequence
   // Start with regulator, then include at least one industry account
@@ -115,172 +110,25 @@ async function testPoASquare(validatorCount) {
     txAccounts.push(regulator);
   }
   
-  // Run standard transaction sequence
-  const txResults = await runStandardTransactionSequence(contract, txAccounts);
-  
-  // Calculate metrics
-  const metrics = calculateMetrics(txResults);
-  
-  // Add validator-specific metrics
-  metrics.requestedValidatorCount = validatorCount;
-  metrics.actualValidatorCount = actualValidatorCount;
-  metrics.activeValidators = validatorManager.activeValidators.length;
-  metrics.standbyValidators = validatorManager.standbyValidators.length;
-  metrics.blockInterval = 10; // Simulated block interval in seconds
-  metrics.consensusProtocol = "PoA Square";
-  
-  return metrics;
-}
-
-// Test PBFT with a specific validator count
-async function testPBFT(validatorCount) {
-  console.log(`Testing PBFT with ${validatorCount} validators`);
-  
-  // Deploy contract
-  const contract = await deployContract();
-  
-  // Setup accounts
-  const { regulator, validators, industries, actualValidatorCount } = await setupValidators(validatorCount);
-  
-  // PBFT requires 3f+1 validators, where f is max faulty nodes
-  const maxFaultyNodes = Math.floor((actualValidatorCount - 1) / 3);
-  console.log(`PBFT configuration: can tolerate ${maxFaultyNodes} faulty validators`);
-  
-  // Create combined array of accounts for the transaction sequence
-  const txAccounts = [regulator];
-  if (industries.length > 0) {
-    txAccounts.push(...industries.slice(0, Math.min(3, industries.length)));
-  } else {
-    txAccounts.push(regulator);
-  }
-  
-  // Run standard transaction sequence
-  const txResults = await runStandardTransactionSequence(contract, txAccounts);
-  
-  // Calculate metrics
-  const metrics = calculateMetrics(txResults);
-  
-  // Add validator-specific metrics
-  metrics.requestedValidatorCount = validatorCount;
-  metrics.actualValidatorCount = actualValidatorCount;
-  metrics.maxFaultyNodes = maxFaultyNodes;
-  metrics.minHealthyNodes = actualValidatorCount - maxFaultyNodes;
-  metrics.blockInterval = 2; // PBFT typically has very fast blocks
-  metrics.consensusProtocol = "PBFT";
-  
-  return metrics;
-}
-
-// Test DPoS with a specific validator count
-async function testDPoS(validatorCount) {
-  console.log(`Testing DPoS with ${validatorCount} validators`);
-  
-  // Deploy contract
-  const contract = await deployContract();
-  
-  // Setup accounts
-  const { regulator, validators, industries, actualValidatorCount } = await setupValidators(validatorCount);
-  
-  // In DPoS, active validators are block producers elected by stake
-  const blockProducers = validators.slice(0, Math.min(21, actualValidatorCount)); // Max 21 active block producers
-  
-  console.log(`DPoS configuration: ${blockProducers.length} block producers out of ${actualValidatorCount} validators`);
-  
-  // Create combined array of accounts for the transaction sequence
-  const txAccounts = [regulator];
-  if (industries.length > 0) {
-    txAccounts.push(...industries.slice(0, Math.min(3, industries.length)));
-  } else {
-    txAccounts.push(regulator);
-  }
-  
-  // Run standard transaction sequence
-  const txResults = await runStandardTransactionSequence(contract, txAccounts);
-  
-  // Calculate metrics
-  const metrics = calculateMetrics(txResults);
-  
-  // Add validator-specific metrics
-  metrics.requestedValidatorCount = validatorCount;
-  metrics.actualValidatorCount = actualValidatorCount;
-  metrics.blockProducers = blockProducers.length;
-  metrics.blockInterval = 3; // DPoS typically has scheduled blocks every 3 seconds
-  metrics.consensusProtocol = "DPoS";
-  
-  return metrics;
-}
-
-// Test basic PoA with a specific validator count
-async function testPoA(validatorCount) {
-  console.log(`Testing PoA with ${validatorCount} validators`);
-  
-  // Deploy contract
-  const contract = await deployContract();
-  
-  // Setup accounts
-  const { regulator, validators, industries, actualValidatorCount } = await setupValidators(validatorCount);
-  
-  // In basic PoA, all validators are authorities
-  console.log(`PoA configuration: ${actualValidatorCount} authorities`);
-  
-  // Create combined array of accounts for the transaction sequence
-  const txAccounts = [regulator];
-  if (industries.length > 0) {
-    txAccounts.push(...industries.slice(0, Math.min(3, industries.length)));
-  } else {
-    txAccounts.push(regulator);
-  }
-  
-  // Run standard transaction sequence
-  const txResults = await runStandardTransactionSequence(contract, txAccounts);
-  
-  // Calculate metrics
-  const metrics = calculateMetrics(txResults);
-  
-  // Add validator-specific metrics
-  metrics.requestedValidatorCount = validatorCount;
-  metrics.actualValidatorCount = actualValidatorCount;
-  metrics.blockInterval = 5; // PoA typically has 5-second blocks
-  metrics.consensusProtocol = "PoA";
-  
-  return metrics;
-}
-
-// Test PoW (validator count becomes hash power distribution)
-async function testPoW(validatorCount) {
-  console.log(`Testing PoW with ${validatorCount} miners`);
-  
-  // Deploy contract
-  const contract = await deployContract();
-  
-  // Setup accounts
-  const { regulator, validators, industries, actualValidatorCount } = await setupValidators(validatorCount);
-  
-  // In PoW, "validators" are miners with hash power
-  console.log(`PoW configuration: ${actualValidatorCount} miners`);
-  
-  // Create combined array of accounts for the transaction sequence
-  const txAccounts = [regulator];
-  if (industries.length > 0) {
-    txAccounts.push(...industries.slice(0, Math.min(3, industries.length)));
-  } else {
-    txAccounts.push(regulator);
+  try {
+    // Run standard transaction sequence through the model
+    const txResults = await runStandardTransactionSequence(contract, txAccounts, model);
+    
+    // Calculate metrics
+    const metrics = calculateMetrics(txResults);
+    const modelMetrics = model.getMetrics();
+    
+    // Add validator-specific metrics
+    metrics.requestedValidatorCount = validatorCount;
+    metrics.actualValidatorCount = actualValidatorCount;
+    metrics.blockInterval = modelMetrics.blockInterval; // ms, as everywhere else in the results
+    metrics.consensusProtocol = model.protocol;
+    metrics.consensus = modelMetrics;
+    
+    return metrics;
+  } finally {
+    model.close();
   }
-  
-  // Run standard transaction sequence
-  const txResults = await runStandardTransactionSequence(contract, txAccounts);
-  
-  // Calculate metrics
-  const metrics = calculateMetrics(txResults);
-  
-  // Add validator-specific metrics
-  metrics.requestedValidatorCount = validatorCount;
-  metrics.actualValidatorCount = actualValidatorCount;
-  metrics.approximateDifficulty = actualValidatorCount * 100; // Simplified simulation
-  metrics.blockInterval = 15; // PoW typically has 15-second blocks in Ethereum
-  metrics.consensusProtocol = "PoW";
-  
-  return metrics;
 }
 
 // Main function to run validator scaling tests
@@ -309,29 +157,8 @@ async function runValidatorScalingTests(
     
     // Test each validator count
     for (const count of validatorCounts) {
-      let metrics;
-      
       try {
-        // Call the appropriate test function based on the consensus mechanism
-        switch (mechanism) {
-          case "PoASquare":
-            metrics = await testPoASquare(count);
-            break;
-          case "PBFT":
-            metrics = await testPBFT(count);
-            break;
-          case "DPoS":
-            metrics = await testDPoS(count);
-            break;
-          case "PoA":
-            metrics = await testPoA(count);
-            break;
-          case "PoW":
-            metrics = await testPoW(count);
-            break;
-          default:
-            throw new Error(`Unknown consensus mechanism: ${mechanism}`);
-        }
+        const metrics = await testConsensusModel(mechanism, count);
         
         mechanismResults.scalingMetrics.push(metrics);
         
@@ -377,5 +204,6 @@ if (require.main === module) {
 }
 
 module.exports = {
-  runValidatorScalingTests
+  runValidatorScalingTests,
+  testConsensusModel
 };